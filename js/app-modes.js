@@ -8,6 +8,7 @@ export const APP_MODES = Object.freeze({
     STATS: 'stats',
     TIME_SINCE: 'time-since',
     MATERIAL_GROUPS: 'material-groups',
+    RESULTS: 'results',
     DETAIL: 'detail',
 });
 
@@ -16,6 +17,7 @@ const URL_MODE_TO_ACTIVE = Object.freeze({
     stats: APP_MODES.STATS,
     'time-since': APP_MODES.TIME_SINCE,
     'material-groups': APP_MODES.MATERIAL_GROUPS,
+    results: APP_MODES.RESULTS,
     detail: APP_MODES.DETAIL,
 });
 
@@ -24,6 +26,7 @@ const ACTIVE_TO_URL_PARAM = Object.freeze({
     [APP_MODES.STATS]: 'stats',
     [APP_MODES.TIME_SINCE]: 'time-since',
     [APP_MODES.MATERIAL_GROUPS]: 'material-groups',
+    [APP_MODES.RESULTS]: 'results',
     [APP_MODES.DETAIL]: 'detail',
 });
 
@@ -62,7 +65,11 @@ export function isSearchDisabledMode(activeMode) {
  * @returns {boolean}
  */
 export function isYearToggleDisabledMode(activeMode) {
-    return activeMode === APP_MODES.TIME_SINCE || activeMode === APP_MODES.MATERIAL_GROUPS;
+    return (
+        activeMode === APP_MODES.TIME_SINCE ||
+        activeMode === APP_MODES.MATERIAL_GROUPS ||
+        activeMode === APP_MODES.RESULTS
+    );
 }
 
 /**
@@ -75,6 +82,7 @@ export function historyModeLabel(activeMode) {
     if (activeMode === APP_MODES.STATS) return 'stats';
     if (activeMode === APP_MODES.TIME_SINCE) return 'time-since';
     if (activeMode === APP_MODES.MATERIAL_GROUPS) return 'material-groups';
+    if (activeMode === APP_MODES.RESULTS) return 'results';
     if (activeMode === APP_MODES.COMPARE) return 'compare';
     return 'list';
 }
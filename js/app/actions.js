@@ -1,5 +1,43 @@
 import { CONFIG } from '../config.js';
+import { Utils } from '../utils.js';
 import { APP_MODES } from '../app-modes.js';
+import { clearDataIssues } from '../diagnostics.js';
+import { DEFAULT_EDITION, EDITIONS } from '../data/editions.js';
+import { sortUpdatesByReleaseDate } from '../data/update-order.js';
+import {
+    addRecentSearch,
+    applySavedSearchFilters,
+    createSavedSearch,
+    upsertSavedSearch,
+} from '../state/search-history.js';
+import {
+    applyFilterPresetToState,
+    createFilterPreset,
+    findFilterPreset,
+    getPresetShownSections,
+    parseFilterPresets,
+    serializeFilterPresets,
+    upsertFilterPreset,
+} from '../state/filter-presets.js';
+import { toggleFacet } from '../data/facets.js';
+import { EMPTY_RELEASE_RANGE, normalizeReleaseRange } from '../data/release-range.js';
+import { sanitizeUpdateCategories } from '../data/update-categories.js';
+import { coerceItemSort, coerceListSort } from '../data/sorting.js';
+import { buildItemLink, findItemLocation } from '../data/item-links.js';
+import { renderSavedSearchList } from '../ui/saved-searches.js';
+import { renderFilterPresetList } from '../ui/filter-presets.js';
+import { setStatusLine } from '../ui/status-view.js';
+import { showToast } from '../ui/toast.js';
+import { DOMManager } from '../dom-manager.js';
+import {
+    RESET_SCOPES,
+    exportSettingsFile,
+    importSettingsFile,
+    parseSettingsFile,
+    resetPersistedUIState,
+} from '../ui-persistence.js';
+import { applyAppDataSource, getActiveDataSource } from './data-source.js';
+import { loadUpdatesAndRender as reloadAppData } from './lifecycle.js';
 
 export class AppActions {
     constructor(app) {
@@ -9,6 +47,8 @@ export class AppActions {
     async refreshForSearchChange() {
         const app = this.app;
         app.updateURL(false, false);
+        app.updateSearchSuggestions();
+        app.updateFilterCounts();
 
         switch (app.state.activeMode) {
             case APP_MODES.COMPARE: {
@@ -37,6 +77,8 @@ export class AppActions {
     async refreshForSearchClear() {
         const app = this.app;
         app.updateURL(false, false);
+        app.updateSearchSuggestions();
+        app.updateFilterCounts();
 
         switch (app.state.activeMode) {
             case APP_MODES.COMPARE: {
@@ -62,6 +104,291 @@ export class AppActions {
         }
     }
 
+    rememberSearch(query) {
+        const app = this.app;
+        const recentSearches = addRecentSearch(app.state.recentSearches, query);
+        if (recentSearches === app.state.recentSearches) return;
+        app.state.recentSearches = recentSearches;
+        app.saveState();
+    }
+
+    clearRecentSearches() {
+        this.app.state.recentSearches = [];
+        this.app.saveState();
+    }
+
+    saveCurrentSearch(name) {
+        const app = this.app;
+        const saved = createSavedSearch(app.state, name, app.getSearchQuery());
+        if (!saved.name) return;
+        app.state.savedSearches = upsertSavedSearch(app.state.savedSearches, saved);
+        app.saveState();
+        renderSavedSearchList(app.elements.savedSearchesList, app.state.savedSearches);
+    }
+
+    removeSavedSearch(id) {
+        const app = this.app;
+        app.state.savedSearches = app.state.savedSearches.filter((saved) => saved.id !== id);
+        app.saveState();
+        renderSavedSearchList(app.elements.savedSearchesList, app.state.savedSearches);
+    }
+
+    async applySavedSearch(id) {
+        const app = this.app;
+        const saved = app.state.savedSearches.find((entry) => entry.id === id);
+        if (!saved) return;
+
+        applySavedSearchFilters(app.state, saved);
+        app.setSearchQuery(saved.query);
+        app.syncCheckboxesToState();
+        app.updatePopularButtons();
+        if (saved.view !== app.state.currentView) {
+            app.updateFilterCounts();
+            await this.setView(saved.view);
+            return;
+        }
+        app.saveState();
+        await this.refreshForSearchChange();
+    }
+
+    saveFilterPreset(name) {
+        const app = this.app;
+        const preset = createFilterPreset(app.state, name);
+        if (!preset.name) return;
+        app.state.filterPresets = upsertFilterPreset(app.state.filterPresets, preset);
+        app.saveState();
+        renderFilterPresetList(app.elements.filterPresetsList, app.state.filterPresets);
+        setStatusLine(app.elements.filterPresetsStatus, '');
+    }
+
+    removeFilterPreset(id) {
+        const app = this.app;
+        app.state.filterPresets = app.state.filterPresets.filter((preset) => preset.id !== id);
+        app.saveState();
+        renderFilterPresetList(app.elements.filterPresetsList, app.state.filterPresets);
+    }
+
+    async applyFilterPreset(id) {
+        const app = this.app;
+        const preset = findFilterPreset(app.state.filterPresets, id);
+        if (!preset) return;
+
+        applyFilterPresetToState(app.state, preset);
+        await this.setContentFilters(getPresetShownSections(preset), true);
+    }
+
+    exportFilterPresets() {
+        const app = this.app;
+        DOMManager.downloadTextFile('minecraft-filter-presets.json', serializeFilterPresets(app.state.filterPresets));
+    }
+
+    importFilterPresets(text) {
+        const app = this.app;
+        let imported;
+        try {
+            imported = parseFilterPresets(text);
+        } catch (error) {
+            setStatusLine(app.elements.filterPresetsStatus, `Import failed: ${error.message}`);
+            return;
+        }
+        app.state.filterPresets = imported
+            .reverse()
+            .reduce((presets, preset) => upsertFilterPreset(presets, preset), app.state.filterPresets);
+        app.saveState();
+        renderFilterPresetList(app.elements.filterPresetsList, app.state.filterPresets);
+        setStatusLine(
+            app.elements.filterPresetsStatus,
+            `Imported ${imported.length} ${imported.length === 1 ? 'preset' : 'presets'}.`
+        );
+    }
+
+    async toggleFacet(group, value) {
+        const app = this.app;
+        app.state.facetFilters = toggleFacet(app.state.facetFilters, group, value);
+        app.updateURL(false, true);
+        await this.refreshForFilterChange();
+    }
+
+    async clearFacets() {
+        const app = this.app;
+        if (!app.state.facetFilters.length) return;
+        app.state.facetFilters = [];
+        app.updateURL(false, true);
+        await this.refreshForFilterChange();
+    }
+
+    async setReleaseRange(patch) {
+        const app = this.app;
+        app.state.releaseRange = normalizeReleaseRange({ ...app.state.releaseRange, ...patch });
+        app.updateURL(false, true);
+        app.saveState();
+        app.updateReleaseRangeControls();
+        await this.refreshForFilterChange();
+    }
+
+    async clearReleaseRange() {
+        await this.setReleaseRange(EMPTY_RELEASE_RANGE);
+    }
+
+    async toggleUpdateCategory(category) {
+        const app = this.app;
+        const hidden = app.state.hiddenUpdateCategories;
+        app.state.hiddenUpdateCategories = sanitizeUpdateCategories(
+            hidden.includes(category) ? hidden.filter((entry) => entry !== category) : [...hidden, category]
+        );
+        app.updateURL(false, true);
+        app.saveState();
+        app.updateUpdateCategoryFilter();
+        await this.refreshForFilterChange();
+    }
+
+    async setListSort(order) {
+        const app = this.app;
+        app.state.listSort = coerceListSort(order);
+        app.updateURL(false, true);
+        app.saveState();
+        await this.refreshForFilterChange();
+    }
+
+    async setItemSort(order) {
+        const app = this.app;
+        app.state.itemSort = coerceItemSort(order);
+        app.updateURL(false, true);
+        app.saveState();
+        await this.refreshForFilterChange();
+    }
+
+    exportSettings() {
+        DOMManager.downloadTextFile('minecraft-updates-settings.json', exportSettingsFile(this.app));
+    }
+
+    async importSettings(text) {
+        const app = this.app;
+        let settings;
+        try {
+            settings = parseSettingsFile(text);
+        } catch (error) {
+            setStatusLine(app.elements.settingsStatus, `Import failed: ${error.message}`);
+            return;
+        }
+        const previous = { edition: app.state.edition, dataSource: getActiveDataSource(app.state) };
+        let restored;
+        try {
+            restored = importSettingsFile(app, settings);
+        } catch (error) {
+            setStatusLine(app.elements.settingsStatus, `Import failed: could not store the settings (${error.message})`);
+            return;
+        }
+        app.pendingRestore.compareVersionIds = restored.compareVersionIds;
+        await this.refreshForSettingsChange(previous);
+        setStatusLine(app.elements.settingsStatus, 'Settings imported.');
+    }
+
+    async resetSettings(scope) {
+        const app = this.app;
+        if (!Object.values(RESET_SCOPES).includes(scope)) return;
+        const previous = { edition: app.state.edition, dataSource: getActiveDataSource(app.state) };
+        resetPersistedUIState(app, scope);
+        await this.refreshForSettingsChange(previous);
+        const messages = {
+            [RESET_SCOPES.FILTERS]: 'Filters reset.',
+            [RESET_SCOPES.COLLAPSED]: 'Collapsed sections reset.',
+            [RESET_SCOPES.ALL]: 'All settings reset.',
+        };
+        setStatusLine(app.elements.settingsStatus, messages[scope]);
+    }
+
+    async refreshForSettingsChange(previous) {
+        const app = this.app;
+        if (app.state.edition !== previous.edition) {
+            app.state.allUpdates = sortUpdatesByReleaseDate(app.state.allUpdates, app.state.edition);
+            app.yearEntriesCache = null;
+        }
+        app.syncViewToggle();
+        app.syncCheckboxesToState();
+        app.updatePopularButtons();
+        renderSavedSearchList(app.elements.savedSearchesList, app.state.savedSearches);
+        renderFilterPresetList(app.elements.filterPresetsList, app.state.filterPresets);
+        app.updateSearchSuggestions();
+        app.updateURL(false, true);
+
+        if (getActiveDataSource(app.state) !== previous.dataSource) {
+            applyAppDataSource(app);
+            app.featureManagers.clear();
+            clearDataIssues();
+            await reloadAppData(app);
+            return;
+        }
+
+        app.restoreCompareVersions();
+        app.updateReleaseRangeControls();
+        app.updateUpdateCategoryFilter();
+        app.updateFilterCounts();
+        await app.renderActiveModeView();
+    }
+
+    async copyItemLink(identifier, versionId = null) {
+        const app = this.app;
+        const location = findItemLocation(app.state.allUpdates, identifier, versionId);
+        if (!location) {
+            showToast(app.elements.appToast, `Could not copy a link: "${identifier}" is not in this data.`, { error: true });
+            return null;
+        }
+        const link = buildItemLink(
+            window.location.href,
+            { identifier, versionId: Utils.generateCardId(location.update) },
+            {
+                edition: app.state.edition !== DEFAULT_EDITION ? app.state.edition : '',
+                data: getActiveDataSource(app.state),
+            }
+        );
+        try {
+            await navigator.clipboard.writeText(link);
+            showToast(app.elements.appToast, 'Link copied.');
+        } catch (error) {
+            console.warn('Could not copy the item link', error);
+            showToast(app.elements.appToast, `Could not copy the link: ${link}`, { error: true, duration: 8000 });
+        }
+        return link;
+    }
+
+    async applySharedState(changes) {
+        const app = this.app;
+        const keys = Object.keys(changes);
+        const previousEdition = app.state.edition;
+        Object.assign(app.state, changes);
+
+        // Not saved: the other tab has already stored these values.
+        app.syncViewToggle();
+        app.syncCheckboxesToState();
+        app.updatePopularButtons();
+        renderSavedSearchList(app.elements.savedSearchesList, app.state.savedSearches);
+        renderFilterPresetList(app.elements.filterPresetsList, app.state.filterPresets);
+        app.updateSearchSuggestions();
+        if (!app.state.allUpdates.length) return;
+
+        if (keys.every((key) => ['theme', 'recentSearches', 'savedSearches', 'filterPresets'].includes(key))) {
+            if (keys.includes('theme') && app.state.activeMode === APP_MODES.STATS) {
+                const statisticsManager = await app.ensureStatisticsManager();
+                await statisticsManager.renderChart(app.state.currentView === CONFIG.VIEWS.YEARS);
+            }
+            return;
+        }
+
+        if (app.state.edition !== previousEdition) {
+            app.state.allUpdates = sortUpdatesByReleaseDate(app.state.allUpdates, app.state.edition);
+            app.yearEntriesCache = null;
+        }
+        app.updateURL(false, false);
+        app.updateReleaseRangeControls();
+        app.updateUpdateCategoryFilter();
+        app.updateFilterCounts();
+        // Re-rendering must not move this tab's reading position.
+        const scrollTop = window.scrollY;
+        await app.renderActiveModeView();
+        window.scrollTo({ top: scrollTop, behavior: 'instant' });
+    }
+
     async setView(targetView) {
         const app = this.app;
         if (!targetView) return;
@@ -94,6 +421,7 @@ export class AppActions {
         app.syncViewToggle();
         app.updateURL(true, true);
         app.saveState();
+        app.updateFilterCounts();
         await app.render();
         app.updateLayout();
         window.scrollTo({ top: 0, behavior: 'instant' });
@@ -102,8 +430,18 @@ export class AppActions {
     async setFilter(stateKey, enabled) {
         const app = this.app;
         app.state[stateKey] = enabled;
+        app.updateURL(false, true);
         app.saveState();
         app.updatePopularButtons();
+        if (stateKey === 'fuzzySearch') {
+            app.updateSearchSuggestions();
+        }
+        if (stateKey === 'showDevelopmentVersions') {
+            // Changes which entries exist (selectors, nav), not just their contents.
+            app.updateFilterCounts();
+            await app.render();
+            return;
+        }
         await this.refreshForFilterChange();
     }
 
@@ -119,7 +457,9 @@ export class AppActions {
         });
         app.syncCheckboxesToState();
         app.updatePopularButtons();
+        app.updateURL(false, true);
         app.saveState();
+        app.updateFilterCounts();
         await app.render();
     }
 
@@ -138,8 +478,58 @@ export class AppActions {
         }
     }
 
+    async setEdition(edition) {
+        const app = this.app;
+        if (!Object.values(EDITIONS).includes(edition)) return;
+        if (app.state.edition === edition) return;
+
+        app.state.edition = edition;
+        app.state.allUpdates = sortUpdatesByReleaseDate(app.state.allUpdates, edition);
+        app.yearEntriesCache = null;
+        app.syncViewToggle();
+        app.updateURL(false, false);
+        app.saveState();
+        app.updateReleaseRangeControls();
+        app.updateFilterCounts();
+        await app.render();
+    }
+
+    async setDataSource(spec) {
+        const app = this.app;
+        const nextSource = String(spec || '').trim() || null;
+        if (nextSource === app.state.dataSource && !app.state.linkedDataSource) return;
+
+        app.state.dataSource = nextSource;
+        app.state.linkedDataSource = null;
+        await this.reloadDataSource();
+    }
+
+    async leaveDataSource() {
+        const app = this.app;
+        if (!app.state.linkedDataSource) {
+            await this.setDataSource(null);
+            return;
+        }
+        app.state.linkedDataSource = null;
+        await this.reloadDataSource();
+    }
+
+    async reloadDataSource() {
+        const app = this.app;
+        app.pendingRestore.compareVersionIds = app.state.compareVersions.map((version) =>
+            version ? Utils.generateCardId(version) : null
+        );
+        applyAppDataSource(app);
+        app.featureManagers.clear();
+        clearDataIssues();
+        app.updateURL(false, false);
+        app.saveState();
+        await reloadAppData(app);
+    }
+
     async refreshForFilterChange() {
         const app = this.app;
+        app.updateFilterCounts();
 
         switch (app.state.activeMode) {
             case APP_MODES.COMPARE: {
@@ -152,6 +542,7 @@ export class AppActions {
                 const statisticsManager = await app.ensureStatisticsManager();
                 await statisticsManager.renderChart(isYearView);
                 statisticsManager.renderContentTable();
+                statisticsManager.renderCategoryTable();
                 break;
             }
             case APP_MODES.TIME_SINCE: {
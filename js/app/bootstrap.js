@@ -1,4 +1,5 @@
 import { refreshUrlSessionFromLocation } from '../url-state.js';
+import { attachTabSync } from './tab-sync.js';
 
 export function bootstrapApp(AppClass) {
     const app = new AppClass();
@@ -13,5 +14,7 @@ export function bootstrapApp(AppClass) {
         void app.onPopStateNavigation();
     });
 
+    attachTabSync(app);
+
     return app;
 }
@@ -11,7 +11,7 @@ export function restoreCompareVersions(app) {
 
     const dataSource =
         app.state.currentView === CONFIG.VIEWS.YEARS
-            ? groupByYear(app.state.allUpdates, SECTION_TYPES)
+            ? groupByYear(app.state.allUpdates, SECTION_TYPES, app.state.edition)
             : app.state.allUpdates;
 
     app.state.compareVersions = compareVersionIds.map((id) => {
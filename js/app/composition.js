@@ -3,6 +3,7 @@ import { CardRenderer } from '../modules/card/index.js';
 import { NavigationManager } from '../modules/navigation/index.js';
 import { FeatureManagerRegistry } from './feature-manager-registry.js';
 import { AppActions } from './actions.js';
+import { createFilterClient } from '../data/filter-client.js';
 
 export function createAppDependencies(app) {
     return {
@@ -12,6 +13,7 @@ export function createAppDependencies(app) {
             isYearView: () => app.isYearView(),
             getYearEntries: () => app.getYearEntries(),
             getSearchQuery: () => app.getSearchQuery(),
+            getSearchIndex: () => app.getSearchIndex(),
         },
         actions: {
             setSearchQuery: (value) => app.setSearchQuery(value),
@@ -31,10 +33,12 @@ export function createAppDependencies(app) {
             detailView: () => app.detailViewManager,
             timeSince: () => app.timeSinceManager,
             materialGroups: () => app.materialGroupsManager,
+            searchResults: () => app.searchResultsManager,
             ensureStatistics: () => app.ensureStatisticsManager(),
             ensureCompare: () => app.ensureCompareManager(),
             ensureTimeSince: () => app.ensureTimeSinceManager(),
             ensureMaterialGroups: () => app.ensureMaterialGroupsManager(),
+            ensureSearchResults: () => app.ensureSearchResultsManager(),
         },
     };
 }
@@ -46,5 +50,6 @@ export function createAppServices(app, ctx) {
         navigationManager: new NavigationManager(ctx),
         featureManagers: new FeatureManagerRegistry(ctx),
         actions: new AppActions(app),
+        filterClient: createFilterClient(),
     };
 }
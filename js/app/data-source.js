@@ -0,0 +1,22 @@
+import { setDataSource } from '../data-source.js';
+import { renderDataSourceFooter } from '../ui/data-source-footer.js';
+
+/**
+ * @param {object} state
+ * @returns {string | null} The source in use: a linked one, else the saved one (null is the default)
+ */
+export function getActiveDataSource(state) {
+    return state.linkedDataSource || state.dataSource || null;
+}
+
+/**
+ * Activate the active data source and reflect it in the footer and settings field.
+ * @param {*} app - MinecraftUpdatesApp
+ */
+export function applyAppDataSource(app) {
+    const source = setDataSource(getActiveDataSource(app.state));
+    renderDataSourceFooter(app.elements, source, {
+        linked: Boolean(app.state.linkedDataSource),
+        savedSpec: app.state.dataSource,
+    });
+}
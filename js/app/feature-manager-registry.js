@@ -29,6 +29,13 @@ const FEATURE_DEFINITIONS = {
             return MaterialGroupsManager;
         },
     },
+    searchResults: {
+        mode: APP_MODES.RESULTS,
+        load: async () => {
+            const { SearchResultsManager } = await import('../modules/search-results/index.js');
+            return SearchResultsManager;
+        },
+    },
 };
 
 export class FeatureManagerRegistry {
@@ -52,6 +59,14 @@ export class FeatureManagerRegistry {
         return this.instances.get(key);
     }
 
+    /**
+     * Drop every manager so the next `ensure` reloads its data (e.g. after the data source changed).
+     */
+    clear() {
+        this.instances.forEach((instance) => instance.reset?.());
+        this.instances.clear();
+    }
+
     resetMode(previousMode, nextMode) {
         Object.entries(FEATURE_DEFINITIONS).forEach(([key, definition]) => {
             if (previousMode === definition.mode && nextMode !== definition.mode) {
@@ -0,0 +1,55 @@
+import { Utils } from '../utils.js';
+import { APP_MODES } from '../app-modes.js';
+import { CONFIG } from '../config.js';
+import { findItemLocation, getItemHiddenReasons } from '../data/item-links.js';
+import { scrollToGridItem } from '../ui/item-scroll.js';
+import { showToast } from '../ui/toast.js';
+
+/**
+ * Reveal the item of a `?item=` link once the data is loaded: in its version's
+ * card when the list shows it, otherwise in that version's detail view. When
+ * the item is missing or the filters hide it, a toast says so instead.
+ * @param {*} app - MinecraftUpdatesApp
+ * @returns {boolean} Whether there was a pending item and it was revealed
+ */
+export function revealPendingItem(app) {
+    const target = app.pendingRestore.itemTarget;
+    if (!target) return false;
+    app.pendingRestore.itemTarget = null;
+
+    const location = findItemLocation(app.state.allUpdates, target.identifier, target.versionId);
+    if (!location) {
+        console.warn('Linked item not found', target.identifier);
+        showToast(app.elements.appToast, `The linked item "${target.identifier}" is not in this data.`, { error: true });
+        return false;
+    }
+
+    const versionId = Utils.generateCardId(location.update);
+    const { identifier } = location.item;
+    if (app.state.activeMode === APP_MODES.LIST) {
+        // Year cards have year ids; there the item is looked up in the whole list.
+        const root = app.state.currentView === CONFIG.VIEWS.VERSIONS
+            ? app.elements.content.querySelector(`#${versionId}`)
+            : app.elements.content;
+        if (root && scrollToGridItem(root, identifier, { pulse: true })) {
+            app.updateURL();
+            return true;
+        }
+    }
+
+    const reasons = getItemHiddenReasons(app.state, location, app.getSearchIndex(), app.getSearchQuery());
+    if (reasons.length) {
+        showToast(
+            app.elements.appToast,
+            `"${location.item.name || identifier}" is not shown: ${reasons.join(', ')}.`,
+            { error: true, duration: 8000 }
+        );
+        return false;
+    }
+
+    // Silent, so the link's history entry is replaced rather than stacked under the detail view.
+    app.detailViewManager.open('version', versionId, { silent: true });
+    app.updateURL(true);
+    app.saveState();
+    return scrollToGridItem(app.elements.content, identifier, { pulse: true });
+}
@@ -1,13 +1,38 @@
 import { CONFIG } from '../config.js';
 import { DOMManager } from '../dom-manager.js';
-import { loadSortedUpdates } from '../data-loader.js';
-import { showLoadError } from '../error-ui.js';
+import { loadSortedUpdates, loadUpdateChunk, mergeUpdates } from '../data-loader.js';
+import { sortUpdatesByReleaseDate } from '../data/update-order.js';
+import { createSearchIndex } from '../data/search.js';
+import { renderMissingChunksNotice, showLoadError } from '../error-ui.js';
+import { onCachedDataFallback } from '../data-cache.js';
+import { onDataIssuesChange } from '../diagnostics.js';
+import { renderCachedDataNotice } from '../ui/cached-data-notice.js';
+import { renderDiagnosticsPanel } from '../ui/diagnostics-panel.js';
+
+export function watchDataNotices(app) {
+    onCachedDataFallback((cachedAt) => {
+        renderCachedDataNotice(app.elements.appNotices, cachedAt);
+    });
+    onDataIssuesChange((issues) => {
+        renderDiagnosticsPanel(app.elements.appNotices, issues);
+    });
+}
 
 export async function loadUpdatesAndRender(app) {
     try {
-        app.state.allUpdates = await loadSortedUpdates();
+        const { updates, failedFiles } = await loadSortedUpdates();
+        app.state.allUpdates = sortUpdatesByReleaseDate(updates, app.state.edition);
+        app.searchIndex = createSearchIndex(app.state.allUpdates);
+        app.state.failedUpdateChunks = failedFiles;
+        if (failedFiles.length) {
+            console.warn('Some update chunks failed to load:', failedFiles);
+        }
+        renderFailedChunksNotice(app);
 
         app.updateSearchSuggestions();
+        app.updateReleaseRangeControls();
+        app.updateUpdateCategoryFilter();
+        app.updateFilterCounts();
         app.restoreCompareVersions();
         app.yearEntriesCache = null;
 
@@ -25,3 +50,48 @@ export async function loadUpdatesAndRender(app) {
         DOMManager.removeClass(app.elements.body, CONFIG.CSS_CLASSES.NO_TRANSITION);
     }
 }
+
+function renderFailedChunksNotice(app) {
+    renderMissingChunksNotice(app.elements.appNotices, app.state.failedUpdateChunks, {
+        onRetry: (file) => retryFailedUpdateChunk(app, file),
+    });
+}
+
+/**
+ * Retry one chunk that failed during the initial load and, on success, merge
+ * it into `state.allUpdates` and re-render the active mode in place.
+ * @param {object} app
+ * @param {string} file
+ * @returns {Promise<boolean>}
+ */
+export async function retryFailedUpdateChunk(app, file) {
+    const failure = app.state.failedUpdateChunks.find((entry) => entry.file === file);
+    if (!failure) {
+        renderFailedChunksNotice(app);
+        return false;
+    }
+
+    let chunk;
+    try {
+        chunk = await loadUpdateChunk(failure.file, failure.index);
+    } catch (error) {
+        failure.error = error.message;
+        renderFailedChunksNotice(app);
+        return false;
+    }
+
+    app.state.allUpdates = sortUpdatesByReleaseDate(mergeUpdates(app.state.allUpdates, [chunk]), app.state.edition);
+    app.state.failedUpdateChunks = app.state.failedUpdateChunks.filter((entry) => entry !== failure);
+    app.yearEntriesCache = null;
+    app.searchIndex = createSearchIndex(app.state.allUpdates);
+    app.updateSearchSuggestions();
+    app.updateReleaseRangeControls();
+    app.updateUpdateCategoryFilter();
+    app.updateFilterCounts();
+
+    // The notice is replaced only once the merged data renders, so a render
+    // failure can still be reported in it.
+    await app.render();
+    renderFailedChunksNotice(app);
+    return true;
+}
@@ -1,9 +1,16 @@
 import { APP_MODES } from '../app-modes.js';
 import { DOMManager } from '../dom-manager.js';
 import { groupByYear } from '../data/aggregation.js';
+import { createSearchIndex } from '../data/search.js';
+import { getFilterOptions } from '../data/filtering.js';
 import { SECTION_TYPES } from '../section-config.js';
 import { renderCardsInChunks, renderEmptyState, renderResultsSummary } from '../ui/list-renderer.js';
-import { renderSearchSuggestions } from '../ui/search-suggestions.js';
+import { renderFacetPanel } from '../ui/facet-panel.js';
+import { renderSectionCounts } from '../ui/section-counts.js';
+import { renderReleaseRangeControls } from '../ui/release-range-controls.js';
+import { getUpdateCategory } from '../data/update-categories.js';
+import { flattenDevelopmentVersions } from '../data/development-versions.js';
+import { renderUpdateCategoryFilter } from '../ui/update-category-filter.js';
 
 export function renderAppNav(app, data) {
     if (app.state.activeMode === APP_MODES.DETAIL) {
@@ -28,18 +35,61 @@ export function renderAppContent(app, data) {
         cardRenderer: app.cardRenderer,
         afterRender: () => {
             app.applyCollapsedState();
-            app.handleHashScroll();
+            if (!app.revealPendingItem()) {
+                app.handleHashScroll();
+            }
         },
     });
 }
 
 export function updateAppSearchSuggestions(app) {
-    renderSearchSuggestions(app.state.allUpdates, document.getElementById('search-suggestions'));
+    app.searchComboboxes.forEach((combobox) => combobox.refresh());
+}
+
+export function updateAppReleaseRangeControls(app) {
+    renderReleaseRangeControls(app.elements, app.state.allUpdates, app.state.releaseRange, app.state.edition);
+}
+
+export function updateAppUpdateCategoryFilter(app) {
+    const counts = {};
+    flattenDevelopmentVersions(app.state.allUpdates).forEach((update) => {
+        const category = getUpdateCategory(update);
+        counts[category] = (counts[category] || 0) + 1;
+    });
+    renderUpdateCategoryFilter(app.elements.updateCategoryFilter, counts, app.state.hiddenUpdateCategories);
+}
+
+/**
+ * Filters panel counts for the modes other than the list; the list gets them
+ * with its own filter request (see renderListView).
+ */
+export function updateAppFilterCounts(app) {
+    if (app.state.activeMode === APP_MODES.LIST) return;
+    const options = getFilterOptions(app.state, app.state.currentView, app.getSearchQuery());
+    void app.filterClient.filter(app.state.allUpdates, options, getAppSearchIndex(app)).then((result) => {
+        if (result) renderAppFilterCounts(app, result.counts);
+    });
+}
+
+export function renderAppFilterCounts(app, counts) {
+    const { facetPanel, facetClearBtn } = app.elements;
+    if (facetPanel) {
+        renderFacetPanel(facetPanel, counts.facets, app.state.facetFilters);
+        if (facetClearBtn) facetClearBtn.hidden = !app.state.facetFilters.length;
+    }
+    renderSectionCounts(app.elements, counts.sections);
+}
+
+export function getAppSearchIndex(app) {
+    if (!app.searchIndex) {
+        app.searchIndex = createSearchIndex(app.state.allUpdates);
+    }
+    return app.searchIndex;
 }
 
 export function getAppYearEntries(app) {
     if (!app.yearEntriesCache) {
-        app.yearEntriesCache = groupByYear(app.state.allUpdates, SECTION_TYPES);
+        app.yearEntriesCache = groupByYear(app.state.allUpdates, SECTION_TYPES, app.state.edition);
     }
     return app.yearEntriesCache;
 }
@@ -2,7 +2,18 @@ import { CONFIG } from '../config.js';
 import { renderActiveModeView as renderActiveModeViewForApp, renderCurrentView } from './rendering.js';
 import { setAppMode, toggleAppMode } from './modes.js';
 import { handlePopStateNavigation } from './popstate.js';
-import { getAppYearEntries, renderAppContent, renderAppNav, updateAppSearchSuggestions } from './list-view.js';
+import { revealPendingItem } from './item-link-restore.js';
+import {
+    getAppSearchIndex,
+    getAppYearEntries,
+    renderAppContent,
+    renderAppFilterCounts,
+    renderAppNav,
+    updateAppFilterCounts,
+    updateAppReleaseRangeControls,
+    updateAppUpdateCategoryFilter,
+    updateAppSearchSuggestions,
+} from './list-view.js';
 import {
     applyAppCollapsedState,
     attachAppEventListeners,
@@ -42,6 +53,9 @@ export function installAppMethods(proto) {
         materialGroupsManager: {
             get() { return this.featureManagers.get('materialGroups'); },
         },
+        searchResultsManager: {
+            get() { return this.featureManagers.get('searchResults'); },
+        },
     });
 
     Object.assign(proto, {
@@ -61,6 +75,10 @@ export function installAppMethods(proto) {
             return this.featureManagers.ensure('materialGroups');
         },
 
+        ensureSearchResultsManager() {
+            return this.featureManagers.ensure('searchResults');
+        },
+
         rememberCollapsed(sectionEl) {
             rememberAppCollapsedSection(this, sectionEl);
         },
@@ -131,6 +149,22 @@ export function installAppMethods(proto) {
             updateAppSearchSuggestions(this);
         },
 
+        updateFilterCounts() {
+            updateAppFilterCounts(this);
+        },
+
+        renderFilterCounts(counts) {
+            renderAppFilterCounts(this, counts);
+        },
+
+        updateReleaseRangeControls() {
+            updateAppReleaseRangeControls(this);
+        },
+
+        updateUpdateCategoryFilter() {
+            updateAppUpdateCategoryFilter(this);
+        },
+
         toggleFiltersPanel(forceOpen = null) {
             toggleAppFiltersPanel(this, forceOpen);
         },
@@ -199,8 +233,16 @@ export function installAppMethods(proto) {
             scrollToAppItem(this, identifier);
         },
 
+        revealPendingItem() {
+            return revealPendingItem(this);
+        },
+
         getYearEntries() {
             return getAppYearEntries(this);
         },
+
+        getSearchIndex() {
+            return getAppSearchIndex(this);
+        },
     });
 }
@@ -2,6 +2,7 @@ import {
     restoreFromURL as applyUrlParamsToState,
     refreshUrlSessionFromLocation,
     getLastTrackedUrlParams,
+    haveFilterParamsChanged,
 } from '../url-state.js';
 
 export async function handlePopStateNavigation(app) {
@@ -9,7 +10,7 @@ export async function handlePopStateNavigation(app) {
     const currentView = p.get('view');
     const currentMode = p.get('mode');
     const { view: lastView, mode: lastMode } = getLastTrackedUrlParams();
-    if (currentView === lastView && currentMode === lastMode) {
+    if (currentView === lastView && currentMode === lastMode && !haveFilterParamsChanged(p)) {
         return;
     }
 
@@ -19,6 +20,7 @@ export async function handlePopStateNavigation(app) {
     app.pendingRestore = {
         detailTarget: urlRestore.detailTarget,
         compareVersionIds: urlRestore.compareVersionIds,
+        itemTarget: urlRestore.itemTarget,
     };
 
     app.featureManagers.resetMode(prevMode, app.state.activeMode);
@@ -29,6 +31,8 @@ export async function handlePopStateNavigation(app) {
 
     refreshUrlSessionFromLocation();
     app.syncViewToggle();
+    app.syncCheckboxesToState();
+    app.updatePopularButtons();
     app.saveState();
 
     if (!app.state.allUpdates.length) {
@@ -36,6 +40,9 @@ export async function handlePopStateNavigation(app) {
     }
 
     app.restoreCompareVersions();
+    app.updateReleaseRangeControls();
+    app.updateUpdateCategoryFilter();
+    app.updateFilterCounts();
     await app.renderActiveModeView();
     app.updateLayout();
     window.scrollTo({ top: 0, behavior: 'auto' });
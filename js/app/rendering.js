@@ -1,5 +1,5 @@
 import { APP_MODES } from '../app-modes.js';
-import { getFilteredDataFromState } from '../data/filtering.js';
+import { getFilterOptions } from '../data/filtering.js';
 
 export async function renderCurrentView(app) {
     switch (app.state.activeMode) {
@@ -26,12 +26,23 @@ export async function renderCurrentView(app) {
             compareManager.render();
             return;
         }
+        case APP_MODES.RESULTS: {
+            const searchResultsManager = await app.ensureSearchResultsManager();
+            searchResultsManager.render();
+            return;
+        }
         default:
-            renderListView(app);
+            await renderListView(app);
     }
 }
 
 export async function renderActiveModeView(app) {
+    // Outside the list, an item link opens the item's version in detail mode.
+    if (app.state.activeMode !== APP_MODES.LIST && app.revealPendingItem()) {
+        app.pendingRestore.detailTarget = null;
+        return;
+    }
+
     const pendingDetailTarget = app.pendingRestore.detailTarget;
     if (app.state.activeMode === APP_MODES.DETAIL && pendingDetailTarget) {
         app.detailViewManager.open(pendingDetailTarget.type, pendingDetailTarget.id, {
@@ -57,14 +68,16 @@ export async function renderActiveModeView(app) {
     await app.render();
 }
 
-function renderListView(app) {
-    const query = app.getSearchQuery().toLowerCase();
-    const filteredData = getFilteredDataFromState(
+async function renderListView(app) {
+    const query = app.getSearchQuery();
+    const result = await app.filterClient.filter(
         app.state.allUpdates,
-        app.state.currentView,
-        query,
-        app.state
+        getFilterOptions(app.state, app.state.currentView, query),
+        app.getSearchIndex()
     );
-    app.renderNav(filteredData);
-    app.renderContent(filteredData);
+    // Superseded by a newer render, or the user left the list meanwhile.
+    if (!result || app.state.activeMode !== APP_MODES.LIST) return;
+    app.renderFilterCounts(result.counts);
+    app.renderNav(result.entries);
+    app.renderContent(result.entries);
 }
@@ -1,11 +1,15 @@
 import { restoreFromURL as applyUrlParamsToState } from '../url-state.js';
 import { restorePersistedUIState } from '../ui-persistence.js';
+import { applyAppDataSource } from './data-source.js';
 
 export function restoreInitialAppState(app) {
     const persistedRestore = restorePersistedUIState(app);
     const urlRestore = applyUrlParamsToState(app);
+    app.syncCheckboxesToState();
     app.pendingRestore = {
         detailTarget: urlRestore.detailTarget || persistedRestore.detailTarget,
         compareVersionIds: urlRestore.compareVersionIds || persistedRestore.compareVersionIds,
+        itemTarget: urlRestore.itemTarget,
     };
+    applyAppDataSource(app);
 }
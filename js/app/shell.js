@@ -6,12 +6,13 @@ import { attachPanelScrollGuards, toggleFiltersPanel as setFiltersPanelState } f
 import { closeNav as closeNavPanel, isNavOpen as isNavPanelOpen, openNav as openNavPanel } from '../ui/nav-panel.js';
 import { applyCollapsedSections, rememberCollapsedSection } from '../ui/collapsible-sections.js';
 import { scrollToHashTarget, scrollToHashTargetWithRetry } from '../ui/hash-scroll.js';
-import { getSearchQueryFromFields, setSearchQueryInFields } from '../ui/search-fields.js';
+import { getSearchQueryFromFields, setSearchErrorInFields, setSearchQueryInFields } from '../ui/search-fields.js';
+import { parseQuery } from '../data/query-language.js';
 import { updateAppLayout } from '../ui/layout.js';
 import { updateActiveNavLink as updateActiveNavLinkUi } from '../ui/active-nav.js';
 import { scrollToGridItem } from '../ui/item-scroll.js';
 import { restoreCompareVersions as restoreCompareVersionsForApp } from './compare-restore.js';
-import { loadUpdatesAndRender } from './lifecycle.js';
+import { loadUpdatesAndRender, watchDataNotices } from './lifecycle.js';
 
 export function rememberAppCollapsedSection(app, sectionEl) {
     if (rememberCollapsedSection(app.state, sectionEl)) {
@@ -24,6 +25,7 @@ export function applyAppCollapsedState(app) {
 }
 
 export async function initializeAppData(app) {
+    watchDataNotices(app);
     await loadUpdatesAndRender(app);
 }
 
@@ -57,6 +59,7 @@ export function getAppSearchQuery(app) {
 
 export function setAppSearchQuery(app, value) {
     setSearchQueryInFields(app.elements, value);
+    setSearchErrorInFields(app.elements, parseQuery(value).error);
 }
 
 export function updateAppPopularButtons(app) {
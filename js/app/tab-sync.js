@@ -0,0 +1,19 @@
+/**
+ * Live sync of shared preferences between open tabs: another tab's
+ * persistUIState write fires a `storage` event here.
+ */
+import { STORAGE_KEY, readSharedUIStateChanges } from '../ui-persistence.js';
+
+/**
+ * @param {*} app - MinecraftUpdatesApp
+ */
+export function attachTabSync(app) {
+    window.addEventListener('storage', (e) => {
+        if (e.key !== STORAGE_KEY) return;
+        // Diffing against our own state also stops echoes: applying the
+        // changes here and persisting them later writes nothing new.
+        const changes = readSharedUIStateChanges(app.state, e.newValue);
+        if (!Object.keys(changes).length) return;
+        void app.actions.applySharedState(changes);
+    });
+}
@@ -2,9 +2,9 @@
  * Application configuration constants
  */
 
-// Example: 'https://raw.githubusercontent.com/kfgod/minecraft_folder_data/main' or '../minecraft_data'
+// Default data source. Override at runtime with `?data=` or the "Data source" field
+// (e.g. '../minecraft_data' or a bundled archive), see js/data-source.js.
 const BASE_URL = 'https://raw.githubusercontent.com/kfgod/minecraft_folder_data/main';
-// const BASE_URL = '../minecraft_data';
 export const CONFIG = {
     BASE_URL: BASE_URL,
     INDEX_FILE_PATH: '/data/file_index.json',
@@ -66,6 +66,9 @@ export const CONFIG = {
         SHOW_STRUCTURES_CHECKBOX: '#show-structures-checkbox',
         SHOW_BORDERS_CHECKBOX: '#show-borders-checkbox',
         SHOW_NOTABLE_CHANGES_CHECKBOX: '#show-notable-changes-checkbox',
+        SHOW_DEVELOPMENT_VERSIONS_CHECKBOX: '#show-development-versions-checkbox',
+        FUZZY_SEARCH_CHECKBOX: '#fuzzy-search-checkbox',
+        HIGHLIGHT_MATCHES_CHECKBOX: '#highlight-matches-checkbox',
         NAV_PANEL: '#nav-panel',
         NAV_TOGGLE_BTN: '#nav-toggle-btn',
         OVERLAY: '#overlay',
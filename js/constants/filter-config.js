@@ -12,6 +12,9 @@ export const ALL_FILTER_CHECKBOX_PAIRS = [
     }).filter(([, stateKey]) => Boolean(stateKey)),
     ['showBordersCheckbox', 'showBorders'],
     ['showNotableChangesCheckbox', 'showNotableChanges'],
+    ['showDevelopmentVersionsCheckbox', 'showDevelopmentVersions'],
+    ['fuzzySearchCheckbox', 'fuzzySearch'],
+    ['highlightMatchesCheckbox', 'highlightMatches'],
 ];
 
 export const POPULAR_FILTERS = [
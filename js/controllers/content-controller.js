@@ -1,4 +1,10 @@
 import { CONFIG } from '../config.js';
+import { DOM_SELECTORS } from '../constants/dom-classes.js';
+import {
+    closeItemContextMenu,
+    getItemContextMenuTarget,
+    openItemContextMenu,
+} from '../ui/item-context-menu.js';
 
 export function attachContentController(app) {
     app.elements.content.addEventListener('click', (e) => {
@@ -53,6 +59,50 @@ export function attachContentController(app) {
         e.preventDefault();
         toggleSection(header, app);
     });
+
+    attachItemContextMenu(app);
+}
+
+function attachItemContextMenu(app) {
+    const menu = app.elements.itemContextMenu;
+    if (!menu) return;
+
+    app.elements.content.addEventListener('contextmenu', (e) => {
+        const gridItem = e.target.closest(DOM_SELECTORS.GRID_ITEM);
+        if (!gridItem?.dataset.identifier) return;
+
+        e.preventDefault();
+        // Keyboard-opened menus (Shift+F10, the menu key) carry no pointer position.
+        let { clientX: x, clientY: y } = e;
+        if (!x && !y) {
+            const rect = gridItem.getBoundingClientRect();
+            x = rect.left;
+            y = rect.top + rect.height;
+        }
+        openItemContextMenu(menu, {
+            x,
+            y,
+            identifier: gridItem.dataset.identifier,
+            versionId: gridItem.closest(DOM_SELECTORS.UPDATE_CARD)?.id || null,
+        });
+    });
+
+    menu.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-item-action]')?.dataset.itemAction;
+        const target = getItemContextMenuTarget(menu);
+        closeItemContextMenu(menu);
+        if (action === 'copy-link' && target) {
+            void app.actions.copyItemLink(target.identifier, target.versionId);
+        }
+    });
+
+    document.addEventListener('click', (e) => {
+        if (!menu.contains(e.target)) closeItemContextMenu(menu);
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') closeItemContextMenu(menu);
+    });
+    window.addEventListener('scroll', () => closeItemContextMenu(menu), { passive: true });
 }
 
 function toggleSection(header, app) {
@@ -0,0 +1,19 @@
+/**
+ * Data source settings field and the footer's way back to the default.
+ */
+
+/**
+ * @param {*} app - MinecraftUpdatesApp
+ */
+export function attachDataSourceController(app) {
+    const { dataSourceForm, dataSourceInput, dataSourceResetBtn } = app.elements;
+    dataSourceResetBtn?.addEventListener('click', () => {
+        void app.actions.leaveDataSource();
+    });
+    if (!dataSourceForm || !dataSourceInput) return;
+
+    dataSourceForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        void app.actions.setDataSource(dataSourceInput.value);
+    });
+}
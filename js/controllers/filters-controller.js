@@ -3,6 +3,7 @@
  */
 import { isYearToggleDisabledMode } from '../app-modes.js';
 import { ALL_FILTER_CHECKBOX_PAIRS, CONTENT_FILTER_STATE_KEYS, POPULAR_FILTERS } from '../constants/filter-config.js';
+import { FILTER_PRESET_CLASSES, renderFilterPresetList } from '../ui/filter-presets.js';
 
 /**
  * @param {*} app - MinecraftUpdatesApp
@@ -46,6 +47,12 @@ export function attachFiltersController(app) {
         console.warn('Time Since button not found');
     }
 
+    if (app.elements.searchResultsBtn) {
+        app.elements.searchResultsBtn.addEventListener('click', () => {
+            app.toggleMode('results');
+        });
+    }
+
     if (app.elements.materialGroupsBtn) {
         app.elements.materialGroupsBtn.addEventListener('click', () => {
             app.toggleMode('material-groups');
@@ -76,6 +83,59 @@ export function attachFiltersController(app) {
         });
     }
 
+    if (app.elements.updateCategoryFilter) {
+        app.elements.updateCategoryFilter.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-update-category]');
+            if (!chip) return;
+            void app.actions.toggleUpdateCategory(chip.dataset.updateCategory);
+        });
+    }
+
+    if (app.elements.listSortSelect) {
+        app.elements.listSortSelect.addEventListener('change', (e) => {
+            void app.actions.setListSort(e.target.value);
+        });
+    }
+
+    if (app.elements.itemSortSelect) {
+        app.elements.itemSortSelect.addEventListener('change', (e) => {
+            void app.actions.setItemSort(e.target.value);
+        });
+    }
+
+    [
+        ['releaseRangeFromVersion', 'fromVersion'],
+        ['releaseRangeToVersion', 'toVersion'],
+        ['releaseRangeFromDate', 'fromDate'],
+        ['releaseRangeToDate', 'toDate'],
+    ].forEach(([elementKey, rangeKey]) => {
+        const el = app.elements[elementKey];
+        if (!el) return;
+        el.addEventListener('change', (e) => {
+            void app.actions.setReleaseRange({ [rangeKey]: e.target.value || null });
+        });
+    });
+
+    if (app.elements.releaseRangeClearBtn) {
+        app.elements.releaseRangeClearBtn.addEventListener('click', () => {
+            void app.actions.clearReleaseRange();
+        });
+    }
+
+    if (app.elements.facetPanel) {
+        app.elements.facetPanel.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-facet-group]');
+            if (!chip) return;
+            void app.actions.toggleFacet(chip.dataset.facetGroup, chip.dataset.facetValue);
+        });
+    }
+
+    if (app.elements.facetClearBtn) {
+        app.elements.facetClearBtn.addEventListener('click', () => {
+            void app.actions.clearFacets();
+        });
+    }
+
     [
         app.elements.themeDarkBtn,
         app.elements.themeLightBtn,
@@ -87,6 +147,16 @@ export function attachFiltersController(app) {
         });
     });
 
+    [
+        app.elements.editionJavaBtn,
+        app.elements.editionBedrockBtn,
+    ].forEach((button) => {
+        if (!button) return;
+        button.addEventListener('click', () => {
+            void app.actions.setEdition(button.dataset.edition);
+        });
+    });
+
     const attachPopularToggle = (element, stateKey) => {
         if (!element) return;
         element.addEventListener('click', () => {
@@ -97,4 +167,51 @@ export function attachFiltersController(app) {
     POPULAR_FILTERS.forEach(({ elementKey, stateKey }) => {
         attachPopularToggle(app.elements[elementKey], stateKey);
     });
+
+    attachFilterPresetsPanel(app);
+}
+
+function attachFilterPresetsPanel(app) {
+    const {
+        filterPresetsList,
+        filterPresetForm,
+        filterPresetNameInput,
+        filterPresetsExportBtn,
+        filterPresetsImportBtn,
+        filterPresetsImportInput,
+    } = app.elements;
+    renderFilterPresetList(filterPresetsList, app.state.filterPresets);
+
+    filterPresetForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        app.actions.saveFilterPreset(filterPresetNameInput?.value || '');
+        if (filterPresetNameInput) filterPresetNameInput.value = '';
+    });
+
+    filterPresetsList?.addEventListener('click', (e) => {
+        const remove = e.target.closest(`.${FILTER_PRESET_CLASSES.REMOVE}`);
+        if (remove) {
+            app.actions.removeFilterPreset(remove.dataset.filterPresetId);
+            return;
+        }
+        const apply = e.target.closest(`.${FILTER_PRESET_CLASSES.APPLY}`);
+        if (apply) {
+            void app.actions.applyFilterPreset(apply.dataset.filterPresetId);
+        }
+    });
+
+    filterPresetsExportBtn?.addEventListener('click', () => {
+        app.actions.exportFilterPresets();
+    });
+
+    filterPresetsImportBtn?.addEventListener('click', () => {
+        filterPresetsImportInput?.click();
+    });
+
+    filterPresetsImportInput?.addEventListener('change', async () => {
+        const [file] = filterPresetsImportInput.files || [];
+        if (!file) return;
+        app.actions.importFilterPresets(await file.text());
+        filterPresetsImportInput.value = '';
+    });
 }
@@ -3,6 +3,8 @@ import { attachFiltersController } from './filters-controller.js';
 import { attachNavShellController } from './nav-shell-controller.js';
 import { attachContentController } from './content-controller.js';
 import { attachTooltipController } from './tooltip-controller.js';
+import { attachDataSourceController } from './data-source-controller.js';
+import { attachSettingsController } from './settings-controller.js';
 
 export function attachAppControllers(app) {
     attachSearchController(app);
@@ -10,4 +12,6 @@ export function attachAppControllers(app) {
     attachContentController(app);
     attachTooltipController(app);
     attachNavShellController(app);
+    attachDataSourceController(app);
+    attachSettingsController(app);
 }
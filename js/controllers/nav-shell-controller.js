@@ -42,6 +42,12 @@ export function attachNavShellController(app) {
     app.elements.navList.addEventListener('click', (e) => {
         const isMobile = DOMManager.hasClass(app.elements.body, CONFIG.CSS_CLASSES.MOBILE_LAYOUT);
 
+        const devToggle = e.target.closest('.nav-dev-toggle');
+        if (devToggle) {
+            app.navigationManager.toggleDevelopmentGroup(devToggle);
+            return;
+        }
+
         if (e.target.closest('a') && isMobile) {
             app.closeNav();
             return;
@@ -4,6 +4,10 @@
 import { Utils } from '../utils.js';
 import { CONFIG } from '../config.js';
 import { isSearchDisabledMode } from '../app-modes.js';
+import { getAutocompleteOptions } from '../data/search.js';
+import { getSearchHistoryOptions } from '../state/search-history.js';
+import { attachSearchCombobox } from '../ui/search-combobox.js';
+import { renderSavedSearchList, SAVED_SEARCH_CLASSES } from '../ui/saved-searches.js';
 
 /**
  * @param {*} app - MinecraftUpdatesApp
@@ -31,6 +35,44 @@ export function attachSearchController(app) {
         });
     }
 
+    // `change` fires once the user leaves an edited field: a finished query.
+    [app.elements.searchBar, app.elements.mobileSearchBar].forEach((input) => {
+        input?.addEventListener('change', () => {
+            app.actions.rememberSearch(input.value);
+        });
+    });
+
+    const comboboxHandlers = {
+        getOptions: (query) => {
+            if (isSearchDisabledMode(app.state.activeMode)) return [];
+            return [
+                ...getSearchHistoryOptions(app.state, query),
+                ...getAutocompleteOptions(app.getSearchIndex(), query, { fuzzy: app.state.fuzzySearch }),
+            ];
+        },
+        getEdition: () => app.state.edition,
+        onSearch: (value, option) => {
+            if (isSearchDisabledMode(app.state.activeMode)) return;
+            if (option?.kind === 'saved') {
+                void app.actions.applySavedSearch(option.saved.id);
+                return;
+            }
+            app.setSearchQuery(value);
+            app.actions.rememberSearch(value);
+            void app.actions.refreshForSearchChange();
+        },
+        onJump: ({ item, update }) => {
+            app.detailViewManager.open('version', Utils.generateCardId(update));
+            if (item.identifier) app.scrollToItem(item.identifier);
+        },
+    };
+    app.searchComboboxes = [
+        [app.elements.searchBar, app.elements.searchSuggestions],
+        [app.elements.mobileSearchBar, app.elements.mobileSearchSuggestions],
+    ]
+        .filter(([input, listbox]) => input && listbox)
+        .map(([input, listbox]) => attachSearchCombobox(input, listbox, comboboxHandlers));
+
     const onClearSearch = () => {
         void app.actions.clearSearch();
     };
@@ -40,4 +82,33 @@ export function attachSearchController(app) {
     if (app.elements.mobileSearchClearBtn) {
         app.elements.mobileSearchClearBtn.addEventListener('click', onClearSearch);
     }
+
+    attachSavedSearchesPanel(app);
+}
+
+function attachSavedSearchesPanel(app) {
+    const { savedSearchesList, savedSearchForm, savedSearchNameInput, clearRecentSearchesBtn } = app.elements;
+    renderSavedSearchList(savedSearchesList, app.state.savedSearches);
+
+    savedSearchForm?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        app.actions.saveCurrentSearch(savedSearchNameInput?.value || '');
+        if (savedSearchNameInput) savedSearchNameInput.value = '';
+    });
+
+    savedSearchesList?.addEventListener('click', (e) => {
+        const remove = e.target.closest(`.${SAVED_SEARCH_CLASSES.REMOVE}`);
+        if (remove) {
+            app.actions.removeSavedSearch(remove.dataset.savedSearchId);
+            return;
+        }
+        const apply = e.target.closest(`.${SAVED_SEARCH_CLASSES.APPLY}`);
+        if (apply) {
+            void app.actions.applySavedSearch(apply.dataset.savedSearchId);
+        }
+    });
+
+    clearRecentSearchesBtn?.addEventListener('click', () => {
+        app.actions.clearRecentSearches();
+    });
 }
@@ -0,0 +1,53 @@
+/**
+ * Settings dialog: export, import and reset of the persisted settings.
+ */
+import { setStatusLine } from '../ui/status-view.js';
+
+const RESET_CONFIRMATIONS = Object.freeze({
+    filters: 'Reset all filters to their defaults?',
+    collapsed: 'Expand every collapsed section?',
+    all: 'Reset every setting, saved search and preset? Consider exporting them first.',
+});
+
+/**
+ * @param {*} app - MinecraftUpdatesApp
+ */
+export function attachSettingsController(app) {
+    const {
+        settingsBtn,
+        settingsDialog,
+        settingsExportBtn,
+        settingsImportBtn,
+        settingsImportInput,
+        settingsStatus,
+    } = app.elements;
+    if (!settingsBtn || !settingsDialog) return;
+
+    settingsBtn.addEventListener('click', () => {
+        setStatusLine(settingsStatus, '');
+        settingsDialog.showModal();
+    });
+
+    settingsExportBtn?.addEventListener('click', () => {
+        app.actions.exportSettings();
+    });
+
+    settingsImportBtn?.addEventListener('click', () => {
+        settingsImportInput?.click();
+    });
+
+    settingsImportInput?.addEventListener('change', async () => {
+        const [file] = settingsImportInput.files || [];
+        if (!file) return;
+        await app.actions.importSettings(await file.text());
+        settingsImportInput.value = '';
+    });
+
+    settingsDialog.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-settings-reset]');
+        if (!button) return;
+        const scope = button.dataset.settingsReset;
+        if (!window.confirm(RESET_CONFIRMATIONS[scope])) return;
+        void app.actions.resetSettings(scope);
+    });
+}
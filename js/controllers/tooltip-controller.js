@@ -1,15 +1,21 @@
 import { showTooltip, hideTooltip } from '../ui/tooltip.js';
+import { getHighlightTerms } from '../data/search.js';
+import { CARD_CLASSES } from '../modules/card/constants.js';
 
 export function attachTooltipController(app) {
     let currentTooltipItem = null;
 
+    const getTooltipHighlightTerms = (tooltipItem) => (
+        tooltipItem.classList.contains(CARD_CLASSES.SEARCH_MATCH) ? getHighlightTerms(app.getSearchQuery()) : []
+    );
+
     app.elements.content.addEventListener('pointerover', (e) => {
         const tooltipItem = e.target.closest('.grid-item, .tooltip-wrapper');
         if (tooltipItem && tooltipItem !== currentTooltipItem) {
             const tooltipText = tooltipItem.dataset.tooltip;
             if (tooltipText) {
                 currentTooltipItem = tooltipItem;
-                showTooltip(app.elements.tooltip, tooltipItem, tooltipText);
+                showTooltip(app.elements.tooltip, tooltipItem, tooltipText, getTooltipHighlightTerms(tooltipItem));
             }
         }
     });
@@ -30,7 +36,12 @@ export function attachTooltipController(app) {
             if (!currentTooltipItem) return;
             const tooltipText = currentTooltipItem.dataset.tooltip;
             if (tooltipText) {
-                showTooltip(app.elements.tooltip, currentTooltipItem, tooltipText);
+                showTooltip(
+                    app.elements.tooltip,
+                    currentTooltipItem,
+                    tooltipText,
+                    getTooltipHighlightTerms(currentTooltipItem)
+                );
             }
         },
         { passive: true }
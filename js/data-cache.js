@@ -0,0 +1,134 @@
+/**
+ * Persistent JSON cache backed by Cache Storage.
+ *
+ * Cached responses are returned immediately and revalidated in the background
+ * with ETag / Last-Modified. When revalidation cannot reach the network the
+ * fallback listeners are told how old the served data is.
+ */
+
+export const DATA_CACHE_NAME = 'minecraft-updates-data-v1';
+
+const CACHED_AT_HEADER = 'x-cached-at';
+const PRESERVED_HEADERS = ['content-type', 'etag', 'last-modified'];
+
+const fallbackListeners = new Set();
+let oldestFallbackTimestamp = null;
+
+/**
+ * @param {Object} [cacheStorage]
+ * @returns {Promise<Cache | null>}
+ */
+async function openDataCache(cacheStorage) {
+    if (!cacheStorage || typeof cacheStorage.open !== 'function') return null;
+    try {
+        return await cacheStorage.open(DATA_CACHE_NAME);
+    } catch {
+        // Cache Storage throws in private windows and on insecure origins.
+        return null;
+    }
+}
+
+function createNetworkError(response, url) {
+    return new Error(`Network error: ${response.statusText} for ${url}`);
+}
+
+async function storeResponse(cache, url, response, cachedAt = Date.now()) {
+    const headers = new Headers();
+    PRESERVED_HEADERS.forEach((name) => {
+        const value = response.headers.get(name);
+        if (value) headers.set(name, value);
+    });
+    headers.set(CACHED_AT_HEADER, String(cachedAt));
+
+    const body = await response.arrayBuffer();
+    await cache.put(url, new Response(body, { status: 200, headers }));
+}
+
+function getCachedAt(response) {
+    const value = Number(response.headers.get(CACHED_AT_HEADER));
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+function notifyCachedDataFallback(cachedAt) {
+    if (cachedAt === null) return;
+    if (oldestFallbackTimestamp !== null && oldestFallbackTimestamp <= cachedAt) return;
+
+    oldestFallbackTimestamp = cachedAt;
+    const date = new Date(cachedAt);
+    fallbackListeners.forEach((listener) => listener(date));
+}
+
+async function revalidateCachedResponse(cache, url, cached, fetchImpl) {
+    const headers = {};
+    const etag = cached.headers.get('etag');
+    const lastModified = cached.headers.get('last-modified');
+    if (etag) headers['If-None-Match'] = etag;
+    if (lastModified) headers['If-Modified-Since'] = lastModified;
+
+    let response;
+    try {
+        response = await fetchImpl(url, { headers, cache: 'no-store' });
+    } catch {
+        notifyCachedDataFallback(getCachedAt(cached));
+        return 'offline';
+    }
+
+    try {
+        if (response.status === 304) {
+            await storeResponse(cache, url, cached);
+            return 'not-modified';
+        }
+        if (!response.ok) return 'error';
+
+        await storeResponse(cache, url, response);
+        return 'updated';
+    } catch (error) {
+        console.warn(`Failed to refresh cached data for ${url}:`, error);
+        return 'error';
+    }
+}
+
+/**
+ * Fetch JSON through the persistent data cache.
+ * Falls back to a plain network request when Cache Storage is unavailable.
+ * @param {string} url
+ * @param {{ fetch?: typeof fetch, caches?: CacheStorage }} [options]
+ * @returns {Promise<Object>}
+ */
+export async function fetchJSONWithCache(url, options = {}) {
+    const fetchImpl = options.fetch ?? globalThis.fetch;
+    const cache = await openDataCache('caches' in options ? options.caches : globalThis.caches);
+
+    const cached = cache ? await cache.match(url).catch(() => undefined) : undefined;
+    if (cached) {
+        void revalidateCachedResponse(cache, url, cached.clone(), fetchImpl);
+        return cached.json();
+    }
+
+    const response = await fetchImpl(url);
+    if (!response.ok) {
+        throw createNetworkError(response, url);
+    }
+    if (cache) {
+        await storeResponse(cache, url, response.clone()).catch((error) => {
+            console.warn(`Failed to cache ${url}:`, error);
+        });
+    }
+    return response.json();
+}
+
+/**
+ * Subscribe to "serving cached data while offline" events.
+ * The listener receives the date of the oldest cached response that was served.
+ * @param {(cachedAt: Date) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onCachedDataFallback(listener) {
+    fallbackListeners.add(listener);
+    if (oldestFallbackTimestamp !== null) {
+        listener(new Date(oldestFallbackTimestamp));
+    }
+    return () => {
+        fallbackListeners.delete(listener);
+    };
+}
@@ -1,48 +1,78 @@
 /**
  * Load and sort Minecraft update JSON chunks (static files, no server).
  */
-import { Utils } from './utils.js';
 import { CONFIG } from './config.js';
 import { validateFileIndex, validateUpdateChunk } from './validate-data.js';
+import { reportDataIssues } from './diagnostics.js';
+import { getDataSource } from './data-source.js';
+import { flattenDevelopmentVersions, groupDevelopmentVersions } from './data/development-versions.js';
 
 /**
- * @returns {Promise<Array<object>>}
+ * @returns {Promise<Array<string>>}
  */
-export async function loadSortedUpdates() {
-    const indexFilePath = CONFIG.BASE_URL + CONFIG.INDEX_FILE_PATH;
-    const indexData = await Utils.fetchJSON(indexFilePath);
+async function loadFileIndex() {
+    const indexData = await getDataSource().fetchJSON(CONFIG.INDEX_FILE_PATH);
     const indexCheck = validateFileIndex(indexData);
     if (!indexCheck.ok) {
         throw new Error(indexCheck.error || 'Invalid file index');
     }
-    const fetchPromises = indexData.files.map((file) => Utils.fetchJSON(CONFIG.BASE_URL + '/' + file));
-    const updatesData = await Promise.all(fetchPromises);
-    updatesData.forEach((chunk, i) => {
-        const chunkCheck = validateUpdateChunk(chunk, i);
-        if (!chunkCheck.ok) {
-            throw new Error(chunkCheck.error || 'Invalid update chunk');
-        }
-    });
+    return indexData.files;
+}
 
-    return updatesData.sort((a, b) => {
-        if (a.release_date === null && b.release_date !== null) return -1;
-        if (a.release_date !== null && b.release_date === null) return 1;
-        if (a.release_date === null && b.release_date === null) return 0;
+/**
+ * Fetch and validate a single update chunk listed in file_index.json.
+ * Non-fatal schema issues are reported to the diagnostics panel and the
+ * repaired chunk is returned.
+ * @param {string} file
+ * @param {number} index - Position of the file in the index (for error messages)
+ * @returns {Promise<object>}
+ */
+export async function loadUpdateChunk(file, index) {
+    const chunk = await getDataSource().fetchJSON(file);
+    const chunkCheck = validateUpdateChunk(chunk, index);
+    if (!chunkCheck.ok) {
+        throw new Error(chunkCheck.error || 'Invalid update chunk');
+    }
+    reportDataIssues(file, chunkCheck.issues);
+    return chunkCheck.value;
+}
 
-        const aIsYearOnly = Utils.isYearOnly(a.release_date);
-        const bIsYearOnly = Utils.isYearOnly(b.release_date);
+/**
+ * Load every chunk that can be loaded. Individual chunk failures are reported
+ * in `failedFiles` instead of rejecting; only a broken index or a load where
+ * no chunk succeeded throws. Development versions are grouped under their
+ * release (see development-versions.js).
+ * @returns {Promise<{ updates: Array<object>, failedFiles: Array<{ file: string, index: number, error: string }> }>}
+ */
+export async function loadSortedUpdates() {
+    const files = await loadFileIndex();
+    const results = await Promise.all(
+        files.map((file, index) =>
+            loadUpdateChunk(file, index).then(
+                (chunk) => ({ chunk }),
+                (error) => ({ failure: { file, index, error: error.message } })
+            )
+        )
+    );
+
+    const updates = results.filter((result) => result.chunk).map((result) => result.chunk);
+    const failedFiles = results.filter((result) => result.failure).map((result) => result.failure);
 
-        if (aIsYearOnly && !bIsYearOnly) return -1;
-        if (!aIsYearOnly && bIsYearOnly) return 1;
-        if (aIsYearOnly && bIsYearOnly) {
-            return parseInt(b.release_date, 10) - parseInt(a.release_date, 10);
-        }
+    if (!updates.length) {
+        throw new Error(failedFiles[0]?.error || 'No update chunks could be loaded');
+    }
 
-        const dateA = Utils.parseDate(a.release_date);
-        const dateB = Utils.parseDate(b.release_date);
-        if (!dateA && !dateB) return 0;
-        if (!dateA) return -1;
-        if (!dateB) return 1;
-        return dateB - dateA;
-    });
+    return { updates: groupDevelopmentVersions(updates), failedFiles };
+}
+
+/**
+ * Merge chunks that loaded late (after a retry) into an already sorted list.
+ * Development versions are regrouped since a late chunk may be the parent of
+ * (or a child of) an entry that is already loaded.
+ * @param {Array<object>} updates
+ * @param {Array<object>} lateChunks
+ * @returns {Array<object>} A new sorted array
+ */
+export function mergeUpdates(updates, lateChunks) {
+    return groupDevelopmentVersions([...flattenDevelopmentVersions(updates), ...lateChunks]);
 }
@@ -0,0 +1,260 @@
+/**
+ * Declarative schemas for the static data files and a small validator that
+ * collects every issue (with its JSON path) instead of stopping at the first.
+ *
+ * Schema nodes are plain objects built with `Schema.*`. Shared options:
+ * - `optional`: the value may be missing (`undefined`)
+ * - `nullable`: the value may be `null`
+ * - `fatal`: issues at this node make the whole file unusable
+ * - `fallback`: replacement value when the node is invalid
+ * - `drop`: remove the value from its parent array/object when invalid
+ */
+import { SECTION_TYPES } from './section-config.js';
+
+const DROP = Symbol('drop');
+const DATE_PATTERN = /^\d{4}(-\d{2}-\d{2})?$/;
+
+export const Schema = Object.freeze({
+    string: (options = {}) => ({ kind: 'string', ...options }),
+    number: (options = {}) => ({ kind: 'number', ...options }),
+    date: (options = {}) => ({ kind: 'date', ...options }),
+    array: (items, options = {}) => ({ kind: 'array', items, ...options }),
+    object: (fields, options = {}) => ({ kind: 'object', fields, ...options }),
+    record: (values, options = {}) => ({ kind: 'record', values, ...options }),
+    anyOf: (variants, options = {}) => ({ kind: 'anyOf', variants, ...options }),
+});
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesKind(value, schema) {
+    switch (schema.kind) {
+        case 'string':
+            return typeof value === 'string';
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'date':
+            return typeof value === 'string'
+                && DATE_PATTERN.test(value.trim())
+                && !Number.isNaN(Date.parse(value.trim()));
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+        case 'record':
+            return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+        default:
+            return true;
+    }
+}
+
+function expectedLabel(schema) {
+    if (schema.kind === 'date') return 'a YYYY or YYYY-MM-DD date';
+    if (schema.kind === 'anyOf') return schema.variants.map((variant) => variant.kind).join(' or ');
+    if (schema.kind === 'record') return 'object';
+    return schema.kind;
+}
+
+function invalid(value, schema, path, message, issues) {
+    issues.push({ path, message, fatal: Boolean(schema.fatal) });
+    if ('fallback' in schema) {
+        return Array.isArray(schema.fallback) ? [] : schema.fallback;
+    }
+    return schema.drop ? DROP : value;
+}
+
+function checkNode(value, schema, path, issues) {
+    if (value === undefined) {
+        return schema.optional ? value : invalid(value, schema, path, 'is required', issues);
+    }
+    if (value === null && schema.nullable) {
+        return value;
+    }
+
+    if (schema.kind === 'anyOf') {
+        const matches = schema.variants.some((variant) => matchesKind(value, variant));
+        return matches
+            ? value
+            : invalid(value, schema, path, `expected ${expectedLabel(schema)}, got ${describe(value)}`, issues);
+    }
+
+    if (!matchesKind(value, schema)) {
+        const message = schema.kind === 'date' && typeof value === 'string'
+            ? `expected ${expectedLabel(schema)}, got "${value}"`
+            : `expected ${expectedLabel(schema)}, got ${describe(value)}`;
+        return invalid(value, schema, path, message, issues);
+    }
+
+    if (schema.kind === 'array') {
+        return value
+            .map((item, index) => checkNode(item, schema.items, `${path}[${index}]`, issues))
+            .filter((item) => item !== DROP);
+    }
+
+    if (schema.kind === 'object') {
+        const result = { ...value };
+        Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+            const checked = checkNode(value[key], fieldSchema, `${path}.${key}`, issues);
+            if (checked === DROP) {
+                delete result[key];
+            } else if (checked !== undefined || key in value) {
+                result[key] = checked;
+            }
+        });
+        return result;
+    }
+
+    if (schema.kind === 'record') {
+        const result = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            const checked = checkNode(entry, schema.values, `${path}.${key}`, issues);
+            if (checked !== DROP) result[key] = checked;
+        });
+        return result;
+    }
+
+    return value;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path]
+ * @returns {{ value: *, issues: Array<{ path: string, message: string, fatal: boolean }> }}
+ *   `value` is a repaired copy with `fallback` / `drop` applied.
+ */
+export function checkSchema(value, schema, path = '$') {
+    const issues = [];
+    const checked = checkNode(value, schema, path, issues);
+    return { value: checked === DROP ? undefined : checked, issues };
+}
+
+const { string, number, date, array, object, record, anyOf } = Schema;
+
+const optionalText = () => string({ optional: true, nullable: true });
+const optionalList = (items) => array(items, { optional: true, fallback: [] });
+
+const IMAGE_REFERENCE_SCHEMA = object({
+    name: optionalText(),
+    imagePath: optionalText(),
+    wiki: optionalText(),
+}, { optional: true, nullable: true, drop: true });
+
+const ITEM_FIELDS = {
+    name: string(),
+    identifier: string(),
+    imagePath: optionalText(),
+    wiki: optionalText(),
+    types: optionalList(string()),
+    tags: optionalList(string()),
+    meta: object({}, { optional: true, nullable: true, drop: true }),
+};
+
+const MOB_ITEM_SCHEMA = object({
+    ...ITEM_FIELDS,
+    meta: object({
+        health: number({ optional: true, nullable: true }),
+        parent_mob: IMAGE_REFERENCE_SCHEMA,
+        spawn_egg: IMAGE_REFERENCE_SCHEMA,
+        babyImagePath: optionalText(),
+    }, { optional: true, nullable: true, drop: true }),
+}, { drop: true });
+
+const DEFAULT_ITEM_SCHEMA = object(ITEM_FIELDS, { drop: true });
+
+export const ITEM_SCHEMAS = Object.freeze(Object.fromEntries(
+    SECTION_TYPES.map((type) => [
+        type,
+        type === 'mobs' || type === 'mob_variants' ? MOB_ITEM_SCHEMA : DEFAULT_ITEM_SCHEMA,
+    ])
+));
+
+const NOTABLE_ENTRY_SCHEMA = object({
+    description: string(),
+    imagePath: optionalText(),
+    list: optionalList(string()),
+}, { drop: true });
+
+export const NOTABLE_CHANGES_SCHEMA = object({
+    additions: optionalList(NOTABLE_ENTRY_SCHEMA),
+    changes: optionalList(NOTABLE_ENTRY_SCHEMA),
+}, { optional: true, nullable: true, fallback: null });
+
+export const UPDATE_CHUNK_SCHEMA = object({
+    name: optionalText(),
+    type: optionalText(),
+    wiki: optionalText(),
+    release_date: date({ nullable: true }),
+    release_version: object({
+        java: optionalText(),
+        bedrock: optionalText(),
+    }, { optional: true, nullable: true, fallback: null }),
+    release_dates: object({
+        java: date({ optional: true, nullable: true }),
+        bedrock: date({ optional: true, nullable: true }),
+    }, { optional: true, nullable: true, fallback: null }),
+    added: object(
+        Object.fromEntries(SECTION_TYPES.map((type) => [type, optionalList(ITEM_SCHEMAS[type])])),
+        { fatal: true }
+    ),
+    notable_changes: NOTABLE_CHANGES_SCHEMA,
+}, { fatal: true });
+
+const STAT_COUNTS_SCHEMA = record(number({ nullable: true }), { fallback: {} });
+
+export const STATISTICS_SCHEMAS = Object.freeze({
+    versions: array(object({
+        name: optionalText(),
+        version: optionalText(),
+        release_date: date({ optional: true, nullable: true }),
+        counts: STAT_COUNTS_SCHEMA,
+    }, { drop: true }), { fatal: true }),
+    years: array(object({
+        year: anyOf([number(), string()]),
+        counts: STAT_COUNTS_SCHEMA,
+    }, { drop: true }), { fatal: true }),
+    names: object({
+        longest: optionalList(string({ drop: true })),
+        shortest: optionalList(string({ drop: true })),
+    }, { fatal: true }),
+});
+
+const TIME_SINCE_VERSION_SCHEMA = object({
+    name: optionalText(),
+    version: optionalText(),
+    wiki: optionalText(),
+    release_date: date({ optional: true, nullable: true }),
+}, { optional: true, nullable: true, fallback: null });
+
+const TIME_SINCE_CONTENT_SCHEMA = object({
+    element: object({
+        name: optionalText(),
+        wiki: optionalText(),
+    }, { optional: true, nullable: true, fallback: null }),
+    version: optionalText(),
+    version_name: optionalText(),
+    release_date: date({ optional: true, nullable: true }),
+}, { optional: true, nullable: true, fallback: null });
+
+export const TIME_SINCE_SCHEMA = object({
+    last_drop: TIME_SINCE_VERSION_SCHEMA,
+    last_major: TIME_SINCE_VERSION_SCHEMA,
+    ...Object.fromEntries(
+        ['block', 'item', 'mob', 'mob_variant', 'advancement', 'biome', 'painting', 'effect', 'enchantment', 'structure']
+            .map((type) => [`last_${type}`, TIME_SINCE_CONTENT_SCHEMA])
+    ),
+}, { fatal: true });
+
+export const MATERIAL_GROUP_SCHEMA = object({
+    name: string(),
+    columns_order: optionalList(string()),
+    groups: array(object({
+        group: optionalText(),
+        group_name: optionalText(),
+        material: object({}, { optional: true, nullable: true, fallback: null }),
+        items: record(object({}, { nullable: true, fallback: null }), { optional: true, fallback: {} }),
+    }, { drop: true }), { fallback: [] }),
+}, { drop: true });
@@ -0,0 +1,157 @@
+/**
+ * Runtime-selectable data sources.
+ *
+ * A source spec is a string, chosen with `?data=` or the settings field:
+ * - `https://host/path` – remote base URL
+ * - `../minecraft_data` – same-origin relative path
+ * - `bundle.json` / `bundle.zip` – a single archive (relative or absolute URL).
+ *   JSON archives look like `{ "files": { "data/file_index.json": {...} }, "images": "<optional base>" }`.
+ *
+ * Every loader fetches through `getDataSource().fetchJSON(path)` with paths
+ * relative to the data root (e.g. `data/file_index.json`).
+ */
+import { CONFIG } from './config.js';
+import { Utils } from './utils.js';
+import { readZipEntries } from './data/zip-archive.js';
+
+export const DATA_SOURCE_KINDS = Object.freeze({
+    REMOTE: 'remote',
+    RELATIVE: 'relative',
+    ARCHIVE: 'archive',
+});
+
+const DEFAULT_IMAGE_BASE_PATH = CONFIG.IMAGE_BASE_PATH;
+const ENCHANTMENT_ICON_PATH = '/item/enchanted_book/latest.png';
+
+function stripSlashes(path) {
+    return String(path).replace(/^\/+/, '');
+}
+
+function getArchiveFormat(location) {
+    const pathname = location.split(/[?#]/)[0].toLowerCase();
+    if (pathname.endsWith('.zip')) return 'zip';
+    if (pathname.endsWith('.json')) return 'json';
+    return null;
+}
+
+/**
+ * @param {string | null | undefined} spec
+ * @returns {{ kind: string, location: string }}
+ */
+export function parseDataSourceSpec(spec) {
+    const location = String(spec || '').trim() || CONFIG.BASE_URL;
+    if (getArchiveFormat(location)) {
+        return { kind: DATA_SOURCE_KINDS.ARCHIVE, location };
+    }
+    const base = location.replace(/\/+$/, '');
+    if (/^[a-z][a-z\d+.-]*:\/\//i.test(base)) {
+        return { kind: DATA_SOURCE_KINDS.REMOTE, location: base };
+    }
+    return { kind: DATA_SOURCE_KINDS.RELATIVE, location: base };
+}
+
+function createBaseUrlSource(kind, location, spec) {
+    return {
+        kind,
+        spec,
+        label: location,
+        imageBasePath: `${location}/images`,
+        fetchJSON(path) {
+            return Utils.fetchJSON(`${location}/${stripSlashes(path)}`);
+        },
+    };
+}
+
+async function loadArchiveFiles(location) {
+    if (getArchiveFormat(location) === 'zip') {
+        const response = await fetch(location);
+        if (!response.ok) {
+            throw new Error(`Network error: ${response.statusText} for ${location}`);
+        }
+        const entries = await readZipEntries(await response.arrayBuffer());
+        const decoder = new TextDecoder();
+        return {
+            images: null,
+            read: (name) => (entries.has(name) ? JSON.parse(decoder.decode(entries.get(name))) : undefined),
+            names: [...entries.keys()],
+        };
+    }
+
+    const archive = await Utils.fetchJSON(location);
+    const files = archive?.files && typeof archive.files === 'object' ? archive.files : {};
+    return {
+        images: typeof archive?.images === 'string' ? archive.images : null,
+        read: (name) => files[name],
+        names: Object.keys(files),
+    };
+}
+
+function createArchiveSource(location, spec) {
+    let archivePromise = null;
+    const source = {
+        kind: DATA_SOURCE_KINDS.ARCHIVE,
+        spec,
+        label: `${location} (archive)`,
+        imageBasePath: DEFAULT_IMAGE_BASE_PATH,
+        async fetchJSON(path) {
+            if (!archivePromise) {
+                archivePromise = loadArchiveFiles(location).catch((error) => {
+                    archivePromise = null;
+                    throw error;
+                });
+            }
+            const archive = await archivePromise;
+            if (archive.images && source.imageBasePath !== archive.images) {
+                source.imageBasePath = archive.images;
+                if (activeSource === source) applyImagePaths(source);
+            }
+            const name = stripSlashes(path);
+            // Archives made by zipping a checkout usually have one top-level folder.
+            const entryName = archive.names.includes(name)
+                ? name
+                : archive.names.find((candidate) => candidate.endsWith(`/${name}`));
+            const data = entryName ? archive.read(entryName) : undefined;
+            if (data === undefined) {
+                throw new Error(`${name} not found in archive ${location}`);
+            }
+            return data;
+        },
+    };
+    return source;
+}
+
+/**
+ * @param {string | null | undefined} spec - Empty for the default source
+ * @returns {{ kind: string, spec: string | null, label: string, imageBasePath: string, fetchJSON: (path: string) => Promise<*> }}
+ */
+export function createDataSource(spec) {
+    const normalizedSpec = String(spec || '').trim() || null;
+    const { kind, location } = parseDataSourceSpec(normalizedSpec);
+    if (kind === DATA_SOURCE_KINDS.ARCHIVE) {
+        return createArchiveSource(location, normalizedSpec);
+    }
+    return createBaseUrlSource(kind, location, normalizedSpec);
+}
+
+let activeSource = createDataSource(null);
+
+function applyImagePaths(source) {
+    CONFIG.IMAGE_BASE_PATH = source.imageBasePath;
+    CONFIG.ENCHANTMENT_ICON = source.imageBasePath + ENCHANTMENT_ICON_PATH;
+}
+
+export function getDataSource() {
+    return activeSource;
+}
+
+/**
+ * Switch the active data source. Image paths in CONFIG follow the source so
+ * card renderers pick them up without knowing about sources.
+ * @param {string | null | undefined} spec
+ * @returns {ReturnType<typeof createDataSource>}
+ */
+export function setDataSource(spec) {
+    activeSource = createDataSource(spec);
+    applyImagePaths(activeSource);
+    return activeSource;
+}
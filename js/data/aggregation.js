@@ -1,4 +1,5 @@
 import { Utils } from '../utils.js';
+import { DEFAULT_EDITION, getEditionReleaseDate, getVersionLabel } from './editions.js';
 
 export function createEmptyContent(contentTypes) {
     return contentTypes.reduce((acc, type) => {
@@ -7,9 +8,9 @@ export function createEmptyContent(contentTypes) {
     }, {});
 }
 
-export function groupByYear(updates, contentTypes) {
+export function groupByYear(updates, contentTypes, edition = DEFAULT_EDITION) {
     const groupedByYear = updates.reduce((acc, data) => {
-        const parsedDate = Utils.parseDate(data.release_date);
+        const parsedDate = Utils.parseDate(getEditionReleaseDate(data, edition));
         const year = parsedDate ? parsedDate.getFullYear() : null;
         if (!year) return acc;
 
@@ -42,7 +43,7 @@ export function groupByYear(updates, contentTypes) {
     return Object.values(groupedByYear).sort((a, b) => b.name - a.name);
 }
 
-export function getGrowthByVersion(updates) {
+export function getGrowthByVersion(updates, edition = DEFAULT_EDITION) {
     const labels = [];
     const blockCounts = [];
     const itemCounts = [];
@@ -54,7 +55,7 @@ export function getGrowthByVersion(updates) {
     let totalEffects = 0;
 
     updates.forEach((update) => {
-        labels.push(update.release_version?.java || update.name);
+        labels.push(getVersionLabel(update, edition) || update.name);
         totalBlocks += update.added?.blocks?.length || 0;
         totalItems += update.added?.items?.length || 0;
         totalMobs += update.added?.mobs?.length || 0;
@@ -68,9 +69,9 @@ export function getGrowthByVersion(updates) {
     return { labels, blocks: blockCounts, items: itemCounts, mobs: mobCounts, effects: effectCounts };
 }
 
-export function getGrowthByYear(updates) {
+export function getGrowthByYear(updates, edition = DEFAULT_EDITION) {
     const byYear = updates.reduce((acc, update) => {
-        const parsedDate = Utils.parseDate(update.release_date);
+        const parsedDate = Utils.parseDate(getEditionReleaseDate(update, edition));
         const year = parsedDate ? parsedDate.getFullYear() : null;
         if (!year) return acc;
 
@@ -0,0 +1,156 @@
+/**
+ * Group development versions (weekly snapshots, pre-releases and release
+ * candidates) under the release they lead up to.
+ *
+ * Parents get a `development_versions` array (newest first) and children a
+ * `development_parent` card id. The top-level list only contains releases and
+ * development versions whose release could not be found.
+ */
+import { Utils } from '../utils.js';
+import { VERSION_KINDS, parseJavaVersion } from './versions.js';
+import { compareUpdatesByReleaseDate } from './update-order.js';
+
+const DEVELOPMENT_KINDS = new Set([
+    VERSION_KINDS.SNAPSHOT,
+    VERSION_KINDS.PRE_RELEASE,
+    VERSION_KINDS.RELEASE_CANDIDATE,
+]);
+
+/**
+ * @param {object} update
+ * @returns {boolean}
+ */
+export function isDevelopmentVersion(update) {
+    if (update?.type === 'snapshot') return true;
+    return DEVELOPMENT_KINDS.has(parseJavaVersion(update?.release_version?.java).kind);
+}
+
+function sameNumbers(a, b) {
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        if ((a[i] ?? 0) !== (b[i] ?? 0)) return false;
+    }
+    return a.length > 0;
+}
+
+function releaseTime(update) {
+    if (!update.release_date || Utils.isYearOnly(update.release_date)) return null;
+    return Utils.parseDate(update.release_date)?.getTime() ?? null;
+}
+
+function findParentRelease(child, releases) {
+    const parsed = parseJavaVersion(child.release_version?.java);
+    if (parsed.kind === VERSION_KINDS.PRE_RELEASE || parsed.kind === VERSION_KINDS.RELEASE_CANDIDATE) {
+        const match = releases.find((release) => sameNumbers(release.parsed.numbers, parsed.numbers));
+        if (match) return match;
+    }
+
+    // Snapshots lead up to the first release on or after their own date;
+    // undated snapshots and those after the latest release belong to the
+    // upcoming (unreleased) one.
+    const childTime = releaseTime(child);
+    if (childTime !== null) {
+        const following = releases
+            .filter((release) => release.time !== null && release.time >= childTime)
+            .sort((a, b) => a.time - b.time);
+        if (following.length) return following[0];
+    }
+    const upcoming = releases.filter((release) => release.update.release_date === null);
+    return upcoming[upcoming.length - 1] || null;
+}
+
+function stripGrouping(update) {
+    const { development_versions: _children, development_parent: _parent, ...rest } = update;
+    return rest;
+}
+
+/**
+ * @param {Array<object>} updates - Flat list, in any order
+ * @returns {Array<object>} New top-level list in release-date order
+ */
+export function groupDevelopmentVersions(updates) {
+    const entries = updates.map(stripGrouping);
+    const releases = [];
+    const developmentVersions = [];
+
+    entries.forEach((update) => {
+        if (isDevelopmentVersion(update)) {
+            developmentVersions.push(update);
+        } else {
+            releases.push({ update, parsed: parseJavaVersion(update.release_version?.java), time: releaseTime(update) });
+        }
+    });
+
+    // Oldest releases first so an unreleased parent is the next one due.
+    releases.sort((a, b) => compareUpdatesByReleaseDate(b.update, a.update));
+
+    const childrenByParent = new Map();
+    const orphans = [];
+    developmentVersions.forEach((child) => {
+        const parent = findParentRelease(child, releases);
+        if (!parent) {
+            orphans.push(child);
+            return;
+        }
+        if (!childrenByParent.has(parent.update)) childrenByParent.set(parent.update, []);
+        childrenByParent.get(parent.update).push(child);
+    });
+
+    const grouped = releases.map(({ update }) => {
+        const children = childrenByParent.get(update);
+        if (!children) return update;
+        const parentId = Utils.generateCardId(update);
+        return {
+            ...update,
+            development_versions: children
+                .sort(compareUpdatesByReleaseDate)
+                .map((child) => ({ ...child, development_parent: parentId })),
+        };
+    });
+
+    return [...grouped, ...orphans].sort(compareUpdatesByReleaseDate);
+}
+
+/**
+ * @param {Array<object>} updates - Grouped top-level list
+ * @returns {Array<object>} Releases each followed by their development versions
+ */
+export function flattenDevelopmentVersions(updates) {
+    return updates.flatMap((update) => [update, ...(update.development_versions || [])]);
+}
+
+function itemKey(sectionType, item) {
+    return `${sectionType}:${item.identifier || item.name}`;
+}
+
+/**
+ * Map each item a release added to the oldest development version that
+ * already contained it.
+ * @param {object} release
+ * @returns {Map<string, object>} `sectionType:identifier` -> development version entry
+ */
+export function getIntroductionMap(release) {
+    const introductions = new Map();
+    const children = release?.development_versions || [];
+    for (let i = children.length - 1; i >= 0; i--) {
+        const child = children[i];
+        Object.entries(child.added || {}).forEach(([sectionType, items]) => {
+            if (!Array.isArray(items)) return;
+            items.forEach((item) => {
+                const key = itemKey(sectionType, item);
+                if (!introductions.has(key)) introductions.set(key, child);
+            });
+        });
+    }
+    return introductions;
+}
+
+/**
+ * @param {Map<string, object>} introductions - From getIntroductionMap
+ * @param {string} sectionType
+ * @param {object} item
+ * @returns {object | null}
+ */
+export function getIntroducingVersion(introductions, sectionType, item) {
+    return introductions.get(itemKey(sectionType, item)) || null;
+}
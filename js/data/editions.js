@@ -0,0 +1,73 @@
+/**
+ * Java / Bedrock edition accessors for update entries.
+ *
+ * Entries carry `release_version.{java,bedrock}` and one `release_date`;
+ * an optional `release_dates.{java,bedrock}` overrides the date per edition.
+ * An entry without a version for the active edition falls back to the other
+ * edition's version and is flagged as "Java only" / "Bedrock only".
+ */
+
+export const EDITIONS = Object.freeze({
+    JAVA: 'java',
+    BEDROCK: 'bedrock',
+});
+
+export const DEFAULT_EDITION = EDITIONS.JAVA;
+
+export const EDITION_LABELS = Object.freeze({
+    [EDITIONS.JAVA]: 'Java',
+    [EDITIONS.BEDROCK]: 'Bedrock',
+});
+
+/**
+ * @param {*} value
+ * @returns {string} A known edition, defaulting to Java
+ */
+export function normalizeEdition(value) {
+    return Object.values(EDITIONS).includes(value) ? value : DEFAULT_EDITION;
+}
+
+function otherEdition(edition) {
+    return edition === EDITIONS.BEDROCK ? EDITIONS.JAVA : EDITIONS.BEDROCK;
+}
+
+/**
+ * @param {object} update
+ * @param {string} [edition]
+ * @returns {string | null} The version in that edition only
+ */
+export function getEditionVersion(update, edition = DEFAULT_EDITION) {
+    return update?.release_version?.[normalizeEdition(edition)] || null;
+}
+
+/**
+ * Version to display and order by: the active edition's, else the other one's.
+ * @param {object} update
+ * @param {string} [edition]
+ * @returns {string}
+ */
+export function getVersionLabel(update, edition = DEFAULT_EDITION) {
+    return getEditionVersion(update, edition) || getEditionVersion(update, otherEdition(edition)) || '';
+}
+
+/**
+ * @param {object} update
+ * @param {string} [edition]
+ * @returns {string | null}
+ */
+export function getEditionReleaseDate(update, edition = DEFAULT_EDITION) {
+    const editionDate = update?.release_dates?.[normalizeEdition(edition)];
+    return editionDate !== undefined ? editionDate : update?.release_date ?? null;
+}
+
+/**
+ * @param {object} update
+ * @param {string} [edition] - Active edition
+ * @returns {string | null} 'Java only' / 'Bedrock only' when the entry is missing from the active edition
+ */
+export function getEditionAvailabilityLabel(update, edition = DEFAULT_EDITION) {
+    const active = normalizeEdition(edition);
+    const other = otherEdition(active);
+    if (getEditionVersion(update, active) || !getEditionVersion(update, other)) return null;
+    return `${EDITION_LABELS[other]} only`;
+}
@@ -0,0 +1,143 @@
+/**
+ * Type and tag facets: include/exclude filters over the `types` and `tags`
+ * arrays of items.
+ *
+ * Within a group the included values are alternatives (any of them), groups
+ * must all match, and an excluded value removes every item carrying it.
+ */
+import { SECTION_META, SECTION_TYPES } from '../section-config.js';
+
+export const FACET_GROUPS = Object.freeze({
+    TYPES: 'types',
+    TAGS: 'tags',
+});
+
+export const FACET_GROUP_LABELS = Object.freeze({
+    [FACET_GROUPS.TYPES]: 'Types',
+    [FACET_GROUPS.TAGS]: 'Tags',
+});
+
+/** Marks re-listed duplicates, not a kind of item. */
+const IGNORED_TYPES = new Set(['hidden']);
+
+/**
+ * @param {object} item
+ * @param {string} group
+ * @returns {Array<string>} Lowercased facet values of `item` in `group`
+ */
+export function getFacetValues(item, group) {
+    const values = Array.isArray(item?.[group]) ? item[group].map((value) => String(value).toLowerCase()) : [];
+    return group === FACET_GROUPS.TYPES ? values.filter((value) => !IGNORED_TYPES.has(value)) : values;
+}
+
+/**
+ * @param {object} item
+ * @param {Array<{ group: string, value: string, exclude: boolean }>} facets
+ * @returns {boolean}
+ */
+export function matchesFacets(item, facets) {
+    if (!facets?.length) return true;
+    const valuesByGroup = new Map();
+    const valuesOf = (group) => {
+        if (!valuesByGroup.has(group)) valuesByGroup.set(group, new Set(getFacetValues(item, group)));
+        return valuesByGroup.get(group);
+    };
+
+    if (facets.some((facet) => facet.exclude && valuesOf(facet.group).has(facet.value))) return false;
+    const included = Object.values(FACET_GROUPS)
+        .map((group) => facets.filter((facet) => facet.group === group && !facet.exclude))
+        .filter((groupFacets) => groupFacets.length);
+    return included.every((groupFacets) => groupFacets.some((facet) => valuesOf(facet.group).has(facet.value)));
+}
+
+/**
+ * Cycle a facet value: off -> include -> exclude -> off.
+ * @param {Array<object>} facets
+ * @param {string} group
+ * @param {string} value
+ * @returns {Array<object>} New selection
+ */
+export function toggleFacet(facets, group, value) {
+    const current = facets.find((facet) => facet.group === group && facet.value === value);
+    const others = facets.filter((facet) => facet !== current);
+    if (!current) return [...others, { group, value, exclude: false }];
+    if (!current.exclude) return [...others, { group, value, exclude: true }];
+    return others;
+}
+
+/**
+ * @param {Array<object>} facets
+ * @returns {string} `types:block,-tags:redstone`, empty when nothing is selected
+ */
+export function encodeFacets(facets) {
+    return facets.map(({ group, value, exclude }) => `${exclude ? '-' : ''}${group}:${value}`).join(',');
+}
+
+/**
+ * @param {string | null} param - From encodeFacets
+ * @returns {Array<object>} Valid entries only
+ */
+export function decodeFacets(param) {
+    if (!param) return [];
+    const groups = Object.values(FACET_GROUPS);
+    const facets = [];
+    param.split(',').forEach((part) => {
+        const exclude = part.startsWith('-');
+        const text = exclude ? part.slice(1) : part;
+        const separator = text.indexOf(':');
+        const group = text.slice(0, separator);
+        const value = text.slice(separator + 1).trim().toLowerCase();
+        if (separator === -1 || !groups.includes(group) || !value) return;
+        if (facets.some((facet) => facet.group === group && facet.value === value)) return;
+        facets.push({ group, value, exclude });
+    });
+    return facets;
+}
+
+/**
+ * Facet values of the listed items with live counts: an item counts for a
+ * value when it matches the query, the visible sections and the selected
+ * facets of the other groups. Values without matches are kept with a count of 0.
+ * @param {object} index - From createSearchIndex(updates)
+ * @param {Array<object>} updates - Top-level updates
+ * @param {{ matches?: Map<object, number> | null, facets?: Array<object>, visibilityMap?: Object<string, boolean>, removeDuplicates?: boolean }} [options]
+ *   `matches` comes from scoreSearchMatches; null when there is no query
+ * @returns {Object<string, Array<{ value: string, count: number }>>} Per group, most frequent first
+ */
+export function getFacetCounts(index, updates, {
+    matches = null,
+    facets = [],
+    visibilityMap = {},
+    removeDuplicates = false,
+} = {}) {
+    const groups = Object.values(FACET_GROUPS);
+    const otherGroupFacets = Object.fromEntries(groups.map((group) => [
+        group,
+        facets.filter((facet) => facet.group !== group),
+    ]));
+    const counts = Object.fromEntries(groups.map((group) => [group, new Map()]));
+
+    updates.forEach((update) => {
+        SECTION_TYPES.forEach((type) => {
+            const visible = visibilityMap[type] ?? !SECTION_META[type]?.stateKey;
+            (update.added?.[type] || []).forEach((item) => {
+                const listed = visible
+                    && !(removeDuplicates && index.hidden.has(item))
+                    && (!matches || matches.has(item));
+                groups.forEach((group) => {
+                    const counted = listed && matchesFacets(item, otherGroupFacets[group]);
+                    getFacetValues(item, group).forEach((value) => {
+                        counts[group].set(value, (counts[group].get(value) || 0) + (counted ? 1 : 0));
+                    });
+                });
+            });
+        });
+    });
+
+    return Object.fromEntries(groups.map((group) => [
+        group,
+        [...counts[group]]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    ]));
+}
@@ -0,0 +1,82 @@
+/**
+ * Runs filterUpdatesWithCounts in the filter worker, or synchronously when module
+ * Workers are unavailable (node tests, old browsers) or the worker fails.
+ *
+ * Updates are posted to the worker only when the array changes (by identity),
+ * so keystrokes only send the small options object.
+ */
+import { filterUpdatesWithCounts } from './filtering.js';
+
+function createFilterWorker() {
+    if (typeof Worker === 'undefined') return null;
+    try {
+        return new Worker(new URL('../workers/filter-worker.js', import.meta.url), { type: 'module' });
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * @param {{ createWorker?: () => Worker | null }} [options]
+ * @returns {{ filter: (updates: Array<object>, options: object) => Promise<{ entries: Array<object>, counts: object } | null>, dispose: () => void }}
+ */
+export function createFilterClient({ createWorker = createFilterWorker } = {}) {
+    let worker = createWorker();
+    let postedUpdates = null;
+    let latestId = 0;
+    let pending = null;
+
+    const fallBackToSync = () => {
+        worker?.terminate();
+        worker = null;
+        postedUpdates = null;
+        if (pending) {
+            pending.resolve(filterUpdatesWithCounts(pending.updates, pending.options, pending.searchIndex));
+            pending = null;
+        }
+    };
+
+    if (worker) {
+        worker.addEventListener('message', ({ data }) => {
+            if (!pending || data?.id !== pending.id) return;
+            pending.resolve({ entries: data.entries, counts: data.counts });
+            pending = null;
+        });
+        worker.addEventListener('error', fallBackToSync);
+    }
+
+    return {
+        /**
+         * @param {Array<object>} updates
+         * @param {object} options - From getFilterOptions
+         * @param {object} [searchIndex] - Main-thread index of `updates`; the worker keeps its own
+         * @returns {Promise<{ entries: Array<object>, counts: object } | null>} The listed entries and the
+         *   filters panel counts; null when a newer request superseded this one
+         */
+        filter(updates, options, searchIndex) {
+            const id = ++latestId;
+            pending?.resolve(null);
+            pending = null;
+
+            if (!worker) {
+                return Promise.resolve(filterUpdatesWithCounts(updates, options, searchIndex));
+            }
+
+            if (updates !== postedUpdates) {
+                worker.postMessage({ type: 'updates', updates });
+                postedUpdates = updates;
+            }
+            return new Promise((resolve) => {
+                pending = { id, resolve, updates, options, searchIndex };
+                worker.postMessage({ type: 'filter', id, options });
+            });
+        },
+
+        dispose() {
+            pending?.resolve(null);
+            pending = null;
+            worker?.terminate();
+            worker = null;
+        },
+    };
+}
@@ -1,12 +1,28 @@
 import { CONFIG } from '../config.js';
 import { SECTION_META, SECTION_TYPES } from '../section-config.js';
-import { filterItems } from './search.js';
+import { createSearchIndex, filterItems, isSearchMatch, scoreSearchMatches } from './search.js';
+import { getFacetCounts } from './facets.js';
 import { groupByYear } from './aggregation.js';
+import { flattenDevelopmentVersions } from './development-versions.js';
+import { DEFAULT_EDITION } from './editions.js';
+import { createReleaseRangePredicate, normalizeReleaseRange } from './release-range.js';
+import { createUpdateCategoryPredicate, sanitizeUpdateCategories } from './update-categories.js';
+import { coerceListSort, sortListEntries } from './sorting.js';
 
-export function filterAllContentTypes(entry, query, removeDuplicates, contentTypes = SECTION_TYPES) {
+export function filterAllContentTypes(
+    entry,
+    query,
+    removeDuplicates,
+    contentTypes = SECTION_TYPES,
+    searchIndex = null,
+    searchOptions = {}
+) {
+    // Field qualifiers need each item's section and update, which only an
+    // index knows; without one, index this entry on its own.
+    const index = searchIndex || createSearchIndex([entry], contentTypes);
     const filteredAdded = {};
     contentTypes.forEach((type) => {
-        filteredAdded[type] = filterItems(entry.added?.[type], query, removeDuplicates);
+        filteredAdded[type] = filterItems(entry.added?.[type], query, removeDuplicates, index, searchOptions);
     });
     return filteredAdded;
 }
@@ -17,25 +33,186 @@ export function getFilteredData(
     query,
     removeDuplicates,
     visibilityMap,
-    contentTypes = SECTION_TYPES
+    contentTypes = SECTION_TYPES,
+    edition = DEFAULT_EDITION,
+    searchIndex = createSearchIndex(allUpdates, contentTypes),
+    searchOptions = {}
 ) {
-    const sourceData = currentView === CONFIG.VIEWS.VERSIONS ? allUpdates : groupByYear(allUpdates, contentTypes);
-    const mapped = sourceData.map((entry) => ({
+    const mapped = filterEntryContents(
+        allUpdates,
+        currentView,
+        query,
+        removeDuplicates,
+        contentTypes,
+        edition,
+        searchIndex,
+        searchOptions
+    );
+    return mapped.filter((entry) => isListedEntry(entry, visibilityMap, contentTypes));
+}
+
+/** Every ranged entry with its sections filtered, whether or not anything in it is shown. */
+function filterEntryContents(
+    allUpdates,
+    currentView,
+    query,
+    removeDuplicates,
+    contentTypes,
+    edition,
+    searchIndex,
+    { fuzzy = false, highlight = false, facets = [], range = null, hiddenCategories = [] } = {}
+) {
+    const inRange = createReleaseRangePredicate(range, allUpdates, edition);
+    const isCategoryShown = createUpdateCategoryPredicate(hiddenCategories);
+    const rangedUpdates = allUpdates.filter((update) => inRange(update) && isCategoryShown(update));
+    const sourceData = currentView === CONFIG.VIEWS.VERSIONS
+        ? rangedUpdates
+        : groupByYear(rangedUpdates, contentTypes, edition);
+    return sourceData.map((entry) => ({
         ...entry,
-        added: filterAllContentTypes(entry, query, removeDuplicates, contentTypes),
+        added: filterAllContentTypes(
+            entry,
+            query,
+            removeDuplicates,
+            contentTypes,
+            searchIndex,
+            { fuzzy, edition, highlight, facets }
+        ),
     }));
+}
 
-    return mapped.filter((entry) =>
-        contentTypes.some((type) => visibilityMap[type] && entry.added[type].length > 0)
-    );
+// Highlighting keeps every item, so an entry is listed only for its matches.
+function isListedEntry(entry, visibilityMap, contentTypes) {
+    return contentTypes.some((type) => visibilityMap[type] && entry.added[type].some(isSearchMatch));
 }
 
-export function getFilteredDataFromState(allUpdates, currentView, query, state, contentTypes = SECTION_TYPES) {
+/**
+ * @param {Array<object>} entries - From getFilteredData
+ * @param {Array<string>} [contentTypes]
+ * @returns {Object<string, number>} Matching items per section type
+ */
+export function countSectionMatches(entries, contentTypes = SECTION_TYPES) {
+    return Object.fromEntries(contentTypes.map((type) => [
+        type,
+        entries.reduce((total, entry) => total + (entry.added?.[type] || []).filter(isSearchMatch).length, 0),
+    ]));
+}
+
+/**
+ * Plain (structured-cloneable) options for filterUpdates, so the same request
+ * can run on the main thread or in the filter worker.
+ * @returns {{ currentView: string, query: string, removeDuplicates: boolean, fuzzySearch: boolean, highlightMatches: boolean, facets: Array<object>, releaseRange: object, hiddenUpdateCategories: Array<string>, visibilityMap: Object<string, boolean>, showDevelopmentVersions: boolean, edition: string, listSort: string, contentTypes: Array<string> }}
+ */
+export function getFilterOptions(state, currentView, query, contentTypes = SECTION_TYPES) {
     const visibilityMap = Object.fromEntries(
         contentTypes.map((type) => {
             const stateKey = SECTION_META[type]?.stateKey;
             return [type, stateKey ? Boolean(state[stateKey]) : true];
         })
     );
-    return getFilteredData(allUpdates, currentView, query, state.removeDuplicates, visibilityMap, contentTypes);
+    return {
+        currentView,
+        query,
+        removeDuplicates: Boolean(state.removeDuplicates),
+        fuzzySearch: Boolean(state.fuzzySearch),
+        highlightMatches: Boolean(state.highlightMatches),
+        facets: (state.facetFilters || []).map((facet) => ({ ...facet })),
+        releaseRange: normalizeReleaseRange(state.releaseRange),
+        hiddenUpdateCategories: sanitizeUpdateCategories(state.hiddenUpdateCategories),
+        visibilityMap,
+        showDevelopmentVersions: Boolean(state.showDevelopmentVersions),
+        edition: state.edition || DEFAULT_EDITION,
+        listSort: coerceListSort(state.listSort),
+        contentTypes: [...contentTypes],
+    };
+}
+
+/**
+ * @param {Array<object>} allUpdates
+ * @param {ReturnType<typeof getFilterOptions>} options
+ * @param {object} [searchIndex] - createSearchIndex(allUpdates), built when omitted
+ * @returns {Array<object>}
+ */
+export function filterUpdates(allUpdates, options, searchIndex = createSearchIndex(allUpdates, options.contentTypes)) {
+    return filterUpdatesWithCounts(allUpdates, options, searchIndex, { counts: false }).entries;
+}
+
+/**
+ * filterUpdates plus the match counts of the filters panel, from the same pass:
+ * per section as if every section were shown (so a hidden section still shows
+ * what it would add), and per facet value.
+ * @param {Array<object>} allUpdates
+ * @param {ReturnType<typeof getFilterOptions>} options
+ * @param {object} [searchIndex] - createSearchIndex(allUpdates), built when omitted
+ * @param {{ counts?: boolean }} [request] - `counts: false` skips counting
+ * @returns {{ entries: Array<object>, counts: { sections: Object<string, number>, facets: Object<string, Array<object>> } | null }}
+ */
+export function filterUpdatesWithCounts(
+    allUpdates,
+    options,
+    searchIndex = createSearchIndex(allUpdates, options.contentTypes),
+    { counts = true } = {}
+) {
+    const {
+        currentView,
+        query,
+        removeDuplicates,
+        fuzzySearch,
+        highlightMatches,
+        facets,
+        releaseRange,
+        hiddenUpdateCategories,
+        visibilityMap,
+        showDevelopmentVersions,
+        edition,
+        listSort,
+        contentTypes,
+    } = options;
+    // Development versions are only listed individually in the versions view;
+    // years count each release once.
+    const updates = showDevelopmentVersions && currentView === CONFIG.VIEWS.VERSIONS
+        ? flattenDevelopmentVersions(allUpdates)
+        : allUpdates;
+    const mapped = filterEntryContents(
+        updates,
+        currentView,
+        query,
+        removeDuplicates,
+        contentTypes,
+        edition,
+        searchIndex,
+        {
+            fuzzy: fuzzySearch,
+            highlight: highlightMatches,
+            facets,
+            range: releaseRange,
+            hiddenCategories: hiddenUpdateCategories,
+        }
+    );
+    const entries = sortListEntries(
+        mapped.filter((entry) => isListedEntry(entry, visibilityMap, contentTypes)),
+        listSort,
+        contentTypes.filter((type) => visibilityMap[type])
+    );
+    if (!counts) return { entries, counts: null };
+
+    const inRange = createReleaseRangePredicate(releaseRange, allUpdates, edition);
+    const isCategoryShown = createUpdateCategoryPredicate(hiddenUpdateCategories);
+    const rangedUpdates = allUpdates.filter((update) => inRange(update) && isCategoryShown(update));
+    return {
+        entries,
+        counts: {
+            sections: countSectionMatches(mapped, contentTypes),
+            facets: getFacetCounts(searchIndex, rangedUpdates, {
+                matches: scoreSearchMatches(searchIndex, query, { fuzzy: fuzzySearch, edition }),
+                facets,
+                visibilityMap,
+                removeDuplicates,
+            }),
+        },
+    };
+}
+
+export function getFilteredDataFromState(allUpdates, currentView, query, state, contentTypes = SECTION_TYPES, searchIndex) {
+    return filterUpdates(allUpdates, getFilterOptions(state, currentView, query, contentTypes), searchIndex);
 }
@@ -0,0 +1,96 @@
+/**
+ * Deep links to a single item: `?item=<identifier>` with an optional
+ * `&in=<version id>` naming the update that contains it.
+ */
+import { Utils } from '../utils.js';
+import { SECTION_META, SECTION_TYPES } from '../section-config.js';
+import { flattenDevelopmentVersions } from './development-versions.js';
+import { matchesFacets } from './facets.js';
+import { scoreSearchMatches } from './search.js';
+
+export const ITEM_LINK_PARAMS = Object.freeze({
+    ITEM: 'item',
+    IN: 'in',
+});
+
+function findInUpdate(update, identifier) {
+    for (const type of SECTION_TYPES) {
+        const item = (update.added?.[type] || []).find((entry) => entry.identifier === identifier);
+        if (item) return { update, type, item };
+    }
+    return null;
+}
+
+/**
+ * @param {Array<object>} updates - state.allUpdates (newest first)
+ * @param {string} identifier
+ * @param {string|null} [versionId] - Card id of the update to look in first; development versions included
+ * @returns {{ update: object, type: string, item: object }|null} Without a matching `versionId`, the oldest release adding the item
+ */
+export function findItemLocation(updates, identifier, versionId = null) {
+    if (!identifier) return null;
+    if (versionId) {
+        const update = flattenDevelopmentVersions(updates).find((entry) => Utils.generateCardId(entry) === versionId);
+        const location = update && findInUpdate(update, identifier);
+        if (location) return location;
+    }
+    for (let i = updates.length - 1; i >= 0; i--) {
+        const location = findInUpdate(updates[i], identifier);
+        if (location) return location;
+    }
+    return null;
+}
+
+/**
+ * Why the current filters leave a linked item out of its version's card.
+ * @param {object} state - App state
+ * @param {{ type: string, item: object }} location - From findItemLocation
+ * @param {object} searchIndex - Index of state.allUpdates
+ * @param {string} query - Current search
+ * @returns {Array<string>} Reasons, empty when the item is shown
+ */
+export function getItemHiddenReasons(state, { type, item }, searchIndex, query) {
+    const reasons = [];
+    const stateKey = SECTION_META[type]?.stateKey;
+    if (stateKey && !state[stateKey]) {
+        reasons.push(`the ${SECTION_META[type].label} section is hidden`);
+    }
+    if (state.removeDuplicates && searchIndex.hidden.has(item)) {
+        reasons.push('duplicates are hidden');
+    }
+    // Highlighting keeps non-matching items in the card.
+    if (!state.highlightMatches) {
+        const matches = scoreSearchMatches(searchIndex, query, { fuzzy: state.fuzzySearch, edition: state.edition });
+        if (matches && !matches.has(item)) reasons.push(`it does not match the search "${query}"`);
+        if (!matchesFacets(item, state.facetFilters)) reasons.push('the tag filters exclude it');
+    }
+    return reasons;
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {{ identifier: string, versionId: string|null }|null}
+ */
+export function readItemLinkParams(params) {
+    const identifier = params.get(ITEM_LINK_PARAMS.ITEM)?.trim();
+    if (!identifier) return null;
+    return { identifier, versionId: params.get(ITEM_LINK_PARAMS.IN)?.trim() || null };
+}
+
+/**
+ * @param {string|URL} baseUrl - Current page address; its path is kept
+ * @param {{ identifier: string, versionId?: string|null }} target
+ * @param {Object<string, string>} [extraParams] - e.g. a non-default edition or data source
+ * @returns {string}
+ */
+export function buildItemLink(baseUrl, { identifier, versionId = null }, extraParams = {}) {
+    const url = new URL(baseUrl);
+    url.search = '';
+    url.hash = '';
+    url.searchParams.set(ITEM_LINK_PARAMS.ITEM, identifier);
+    if (versionId) url.searchParams.set(ITEM_LINK_PARAMS.IN, versionId);
+    Object.entries(extraParams).forEach(([key, value]) => {
+        if (value) url.searchParams.set(key, value);
+    });
+    return url.toString();
+}
@@ -0,0 +1,350 @@
+/**
+ * Search query grammar.
+ *
+ *   query    := or
+ *   or       := and (("OR" | "|") and)*
+ *   and      := unary+
+ *   unary    := ("-" | "NOT") unary | primary
+ *   primary  := "(" or ")" | "phrase" | #tag | field:value | word
+ *
+ * Field qualifiers (`section:mobs`, `version:>=1.19`, `year:2020..2023`,
+ * `ns:minecraft`, `id:`, `name:`, `tag:`, `has:wiki`, `health:>20`,
+ * `meta.<key>:`) compile to item predicates. `word:rest` with an unknown
+ * field stays free text so identifiers like `minecraft:stone` still work.
+ */
+import { Utils } from '../utils.js';
+import { SECTION_META, SECTION_TYPES } from '../section-config.js';
+import { DEFAULT_EDITION, getEditionReleaseDate, getVersionLabel } from './editions.js';
+import { VERSION_KINDS, areVersionsComparable, isVersionInRange, parseJavaVersion } from './versions.js';
+
+export const QUERY_FIELDS = Object.freeze({
+    section: 'section',
+    type: 'section',
+    version: 'version',
+    year: 'year',
+    ns: 'namespace',
+    namespace: 'namespace',
+    id: 'id',
+    name: 'name',
+    tag: 'tag',
+    has: 'has',
+    health: 'meta',
+});
+
+const META_FIELD_PREFIX = 'meta.';
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=)?(.*)$/;
+const RANGE_SEPARATOR = '..';
+const HAS_ALIASES = Object.freeze({ image: 'imagePath', egg: 'spawn_egg', parent: 'parent_mob' });
+
+function syntaxError(message, index) {
+    return { message, index };
+}
+
+function tokenize(query) {
+    const tokens = [];
+    let i = 0;
+    while (i < query.length) {
+        const char = query[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')' || char === '|') {
+            tokens.push({ type: char === '|' ? 'or' : char, index: i });
+            i++;
+        } else if (char === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            tokens.push({ type: 'not', index: i });
+            i++;
+        } else if (char === '"') {
+            const end = query.indexOf('"', i + 1);
+            if (end === -1) throw syntaxError('Missing closing quote', i);
+            tokens.push({ type: 'phrase', value: query.slice(i + 1, end), index: i });
+            i = end + 1;
+        } else {
+            const start = i;
+            while (i < query.length && !/[\s()|"]/.test(query[i])) i++;
+            let raw = query.slice(start, i);
+            // `field:"quoted value"`
+            if (raw.endsWith(':') && query[i] === '"') {
+                const end = query.indexOf('"', i + 1);
+                if (end === -1) throw syntaxError('Missing closing quote', i);
+                raw += query.slice(i + 1, end);
+                i = end + 1;
+            }
+            if (raw === 'OR') tokens.push({ type: 'or', index: start });
+            else if (raw === 'NOT') tokens.push({ type: 'not', index: start });
+            else tokens.push({ type: 'word', value: raw, index: start });
+        }
+    }
+    return tokens;
+}
+
+function parseNumber(text, label, index) {
+    const value = Number(text);
+    if (text === '' || !Number.isFinite(value)) throw syntaxError(`Invalid ${label} "${text}"`, index);
+    return value;
+}
+
+function parseVersion(text, index) {
+    if (parseJavaVersion(text).kind === VERSION_KINDS.UNKNOWN) {
+        throw syntaxError(`Invalid version "${text}"`, index);
+    }
+    return text;
+}
+
+/**
+ * `>=1.19`, `2020..2023` and `1.20` become `{ op, value }` or `{ op: '..', min, max }`.
+ */
+function parseComparison(text, parseValue) {
+    if (text.includes(RANGE_SEPARATOR)) {
+        const [min, max] = text.split(RANGE_SEPARATOR);
+        return {
+            op: RANGE_SEPARATOR,
+            min: min ? parseValue(min) : null,
+            max: max ? parseValue(max) : null,
+        };
+    }
+    const [, op = '=', value] = text.match(COMPARATOR_PATTERN);
+    return { op, value: parseValue(value) };
+}
+
+function normalizeSection(text, index) {
+    const value = text.toLowerCase().replace(/[\s-]+/g, '_');
+    const section = SECTION_TYPES.find((type) =>
+        type === value
+        || type === `${value}s`
+        || SECTION_META[type]?.label.toLowerCase().replace(/\s+/g, '_') === value
+    );
+    if (!section) throw syntaxError(`Unknown section "${text}"`, index);
+    return section;
+}
+
+function parseField(name, rawValue, index) {
+    const key = name.toLowerCase();
+    const field = key.startsWith(META_FIELD_PREFIX) ? 'meta' : QUERY_FIELDS[key];
+    if (!rawValue) throw syntaxError(`Missing value for "${name}:"`, index);
+    const valueIndex = index + name.length + 1;
+
+    switch (field) {
+        case 'section':
+            return { type: 'field', field, value: normalizeSection(rawValue, valueIndex) };
+        case 'version':
+            return { type: 'field', field, ...parseComparison(rawValue, (text) => parseVersion(text, valueIndex)) };
+        case 'year':
+            return {
+                type: 'field',
+                field,
+                ...parseComparison(rawValue, (text) => parseNumber(text, 'year', valueIndex)),
+            };
+        case 'meta': {
+            const metaKey = key.startsWith(META_FIELD_PREFIX) ? name.slice(META_FIELD_PREFIX.length) : key;
+            if (!metaKey) throw syntaxError('Missing meta field name', index);
+            const comparison = /^[<>]|\.\./.test(rawValue)
+                ? parseComparison(rawValue, (text) => parseNumber(text, `${metaKey} value`, valueIndex))
+                : { op: '=', value: rawValue.toLowerCase() };
+            return { type: 'field', field, key: metaKey, ...comparison };
+        }
+        case 'tag':
+            return { type: 'tag', value: rawValue.toLowerCase().replace(/^#/, '') };
+        default:
+            return { type: 'field', field, value: rawValue.toLowerCase() };
+    }
+}
+
+function parseWord(token) {
+    const { value, index } = token;
+    if (value.startsWith('#')) {
+        const tag = value.slice(1).toLowerCase().replace(/[^\w-]/g, '');
+        if (!tag) throw syntaxError('Expected a tag after "#"', index);
+        return { type: 'tag', value: tag };
+    }
+    const colon = value.indexOf(':');
+    if (colon > 0) {
+        const name = value.slice(0, colon);
+        const key = name.toLowerCase();
+        if (Object.hasOwn(QUERY_FIELDS, key) || key.startsWith(META_FIELD_PREFIX)) {
+            return parseField(name, value.slice(colon + 1), index);
+        }
+    }
+    return { type: 'text', value: value.toLowerCase(), phrase: false };
+}
+
+function createParser(tokens, query) {
+    let position = 0;
+    const peek = () => tokens[position];
+    const endIndex = query.length;
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek()?.type === 'or') {
+            const orToken = tokens[position++];
+            if (!peek() || peek().type === ')' || peek().type === 'or') {
+                throw syntaxError('Expected a search term after OR', orToken.index);
+            }
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [];
+        while (peek() && peek().type !== 'or' && peek().type !== ')') {
+            children.push(parseUnary());
+        }
+        if (!children.length) {
+            const token = peek();
+            if (token?.type === 'or') throw syntaxError('Expected a search term before OR', token.index);
+            throw syntaxError('Expected a search term', token ? token.index : endIndex);
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        const token = peek();
+        if (token.type === 'not') {
+            position++;
+            const next = peek();
+            if (!next || next.type === ')' || next.type === 'or') {
+                throw syntaxError('Expected a search term after "-"', token.index);
+            }
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = tokens[position++];
+        if (token.type === '(') {
+            if (peek()?.type === ')') throw syntaxError('Empty parentheses', token.index);
+            const group = parseOr();
+            if (peek()?.type !== ')') throw syntaxError('Missing closing parenthesis', token.index);
+            position++;
+            return group;
+        }
+        if (token.type === 'phrase') {
+            const value = token.value.trim().toLowerCase();
+            if (!value) throw syntaxError('Empty quotes', token.index);
+            return { type: 'text', value, phrase: true };
+        }
+        return parseWord(token);
+    }
+
+    return {
+        parse() {
+            if (!tokens.length) return null;
+            const ast = parseOr();
+            if (position < tokens.length) {
+                throw syntaxError(`Unexpected "${query[tokens[position].index]}"`, tokens[position].index);
+            }
+            return ast;
+        },
+    };
+}
+
+/**
+ * @param {string} query
+ * @returns {{ ast: object | null, error: { message: string, index: number } | null }}
+ *   `ast` is null for an empty query or a syntax error
+ */
+export function parseQuery(query) {
+    const text = String(query ?? '');
+    try {
+        return { ast: createParser(tokenize(text), text).parse(), error: null };
+    } catch (error) {
+        if (typeof error?.index !== 'number') throw error;
+        return { ast: null, error };
+    }
+}
+
+function compareNumbers(actual, node) {
+    if (actual === null || actual === undefined || !Number.isFinite(Number(actual))) return false;
+    const value = Number(actual);
+    switch (node.op) {
+        case RANGE_SEPARATOR:
+            return (node.min === null || value >= node.min) && (node.max === null || value <= node.max);
+        case '>': return value > node.value;
+        case '>=': return value >= node.value;
+        case '<': return value < node.value;
+        case '<=': return value <= node.value;
+        default: return value === node.value;
+    }
+}
+
+function compareVersions(version, node) {
+    if (!version) return false;
+    switch (node.op) {
+        case RANGE_SEPARATOR:
+            return isVersionInRange(version, { min: node.min, max: node.max });
+        case '>=': return isVersionInRange(version, { min: node.value });
+        case '<=': return isVersionInRange(version, { max: node.value });
+        // Strict bounds exclude the whole release line: `>1.20` starts after 1.20.6.
+        case '>': return areVersionsComparable(version, node.value) && !isVersionInRange(version, { max: node.value });
+        case '<': return areVersionsComparable(version, node.value) && !isVersionInRange(version, { min: node.value });
+        default: return isVersionInRange(version, { min: node.value, max: node.value });
+    }
+}
+
+/** Query values are lowercased; data keys are camelCase or snake_case. */
+function findKey(object, key) {
+    if (!object || typeof object !== 'object') return null;
+    const wanted = key.toLowerCase();
+    return Object.keys(object).find((name) => name.toLowerCase() === wanted) || null;
+}
+
+function getMetaValue(item, key) {
+    const metaKey = findKey(item.meta, key);
+    const value = metaKey ? item.meta[metaKey] : null;
+    if (value !== undefined && value !== null) return value;
+    // Mob variants inherit stats from their parent mob (as on the cards).
+    const parentKey = findKey(item.meta?.parent_mob, key);
+    return parentKey ? item.meta.parent_mob[parentKey] : null;
+}
+
+function hasValue(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return value !== undefined && value !== null && value !== '';
+}
+
+/**
+ * @param {object} node - A `field` node from parseQuery
+ * @param {{ edition?: string }} [options]
+ * @returns {(item: object, context: { section: string | null, update: object | null }) => boolean}
+ */
+export function createFieldPredicate(node, { edition = DEFAULT_EDITION } = {}) {
+    switch (node.field) {
+        case 'section':
+            return (_item, { section }) => section === node.value;
+        case 'version':
+            return (_item, { update }) => Boolean(update) && compareVersions(getVersionLabel(update, edition), node);
+        case 'year':
+            return (_item, { update }) => {
+                const date = update ? Utils.parseDate(getEditionReleaseDate(update, edition)) : null;
+                return Boolean(date) && compareNumbers(date.getFullYear(), node);
+            };
+        case 'namespace':
+            return (item) => {
+                const identifier = String(item.identifier || '').toLowerCase();
+                const colon = identifier.indexOf(':');
+                return (colon === -1 ? 'minecraft' : identifier.slice(0, colon)) === node.value;
+            };
+        case 'id':
+            return (item) => String(item.identifier || '').toLowerCase().includes(node.value);
+        case 'name':
+            return (item) => String(item.name || '').toLowerCase().includes(node.value);
+        case 'has': {
+            const key = HAS_ALIASES[node.value] || node.value;
+            return (item) => {
+                const ownKey = findKey(item, key);
+                return hasValue(ownKey ? item[ownKey] : getMetaValue(item, key));
+            };
+        }
+        case 'meta':
+            return (item) => {
+                const value = getMetaValue(item, node.key);
+                if (node.op === '=' && typeof node.value === 'string') {
+                    return hasValue(value) && String(value).toLowerCase() === node.value;
+                }
+                return compareNumbers(value, node);
+            };
+        default:
+            return () => false;
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Release range filter: a version range (card ids of two releases) and a
+ * date range (ISO dates), both optional and applied together.
+ *
+ * Version bounds compare Java versions (see versions.js), so a release bound
+ * covers its patches: `1.16` to `1.20` includes 1.20.6. Dates compare release
+ * dates in the active edition; year-only dates span the whole year and
+ * unreleased entries sort after every date. Development versions follow the
+ * release they lead up to.
+ */
+import { Utils } from '../utils.js';
+import { DEFAULT_EDITION, getEditionReleaseDate } from './editions.js';
+import { compareJavaVersions, isVersionInRange } from './versions.js';
+
+export const EMPTY_RELEASE_RANGE = Object.freeze({
+    fromVersion: null,
+    toVersion: null,
+    fromDate: null,
+    toDate: null,
+});
+
+const UNRELEASED_DATE = '9999-12-31';
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+/**
+ * @param {object} update
+ * @param {string} edition
+ * @returns {[string, string]} First and last ISO day the entry may have been released on
+ */
+function getReleaseSpan(update, edition) {
+    const releaseDate = getEditionReleaseDate(update, edition);
+    if (Utils.isYearOnly(releaseDate)) {
+        const year = releaseDate.trim();
+        return [`${year}-01-01`, `${year}-12-31`];
+    }
+    const text = String(releaseDate ?? '').slice(0, 10);
+    if (ISO_DATE_PATTERN.test(text)) return [text, text];
+    const parsed = Utils.parseDate(releaseDate);
+    if (!parsed) return [UNRELEASED_DATE, UNRELEASED_DATE];
+    const day = `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+    return [day, day];
+}
+
+/**
+ * @param {*} value - Stored or URL-decoded range
+ * @returns {{ fromVersion: string | null, toVersion: string | null, fromDate: string | null, toDate: string | null }}
+ */
+export function normalizeReleaseRange(value) {
+    const text = (entry) => (typeof entry === 'string' && entry.trim() ? entry.trim() : null);
+    const date = (entry) => (ISO_DATE_PATTERN.test(text(entry) || '') ? entry.trim() : null);
+    return {
+        fromVersion: text(value?.fromVersion),
+        toVersion: text(value?.toVersion),
+        fromDate: date(value?.fromDate),
+        toDate: date(value?.toDate),
+    };
+}
+
+/**
+ * @param {object} [range]
+ * @returns {boolean}
+ */
+export function isReleaseRangeActive(range) {
+    return Boolean(range && (range.fromVersion || range.toVersion || range.fromDate || range.toDate));
+}
+
+function getRangeVersion(update) {
+    return update?.release_version?.java || update?.name || null;
+}
+
+/**
+ * @param {object} range
+ * @param {Array<object>} updates
+ * @returns {{ min: string | null, max: string | null } | null} Java versions of the bounds, in
+ *   order; null without known version bounds
+ */
+function resolveVersionBounds(range, updates) {
+    const findVersion = (id) => {
+        const update = id ? updates.find((entry) => Utils.generateCardId(entry) === id) : null;
+        return update ? getRangeVersion(update) : null;
+    };
+    let min = findVersion(range?.fromVersion);
+    let max = findVersion(range?.toVersion);
+    if (!min && !max) return null;
+    if (min && max && compareJavaVersions(min, max) > 0) [min, max] = [max, min];
+    return { min, max };
+}
+
+function createSubjectResolver(updates) {
+    const parents = new Map(updates.map((update) => [Utils.generateCardId(update), update]));
+    return (update) => (update.development_parent && parents.get(update.development_parent)) || update;
+}
+
+/**
+ * Date interval covered by the range: the release days of the entries within
+ * the version bounds, narrowed by the date bounds. For whole-year checks,
+ * e.g. the statistics' per-year table.
+ * Reversed version bounds are swapped; unknown versions are ignored.
+ * @param {object} range
+ * @param {Array<object>} updates
+ * @param {string} [edition]
+ * @returns {{ from: string | null, to: string | null }} Inclusive ISO dates, null when open
+ */
+export function resolveReleaseRange(range, updates, edition = DEFAULT_EDITION) {
+    const later = (a, b) => (a && b ? (a > b ? a : b) : a || b);
+    const earlier = (a, b) => (a && b ? (a < b ? a : b) : a || b);
+    let fromSpan = null;
+    let toSpan = null;
+    const versionBounds = resolveVersionBounds(range, updates);
+    if (versionBounds) {
+        const spans = updates
+            .filter((update) => isVersionInRange(getRangeVersion(update), versionBounds))
+            .map((update) => getReleaseSpan(update, edition));
+        fromSpan = spans.length ? spans.map(([start]) => start).reduce(earlier) : null;
+        toSpan = spans.length ? spans.map(([, end]) => end).reduce(later) : null;
+    }
+    return {
+        from: later(fromSpan, range?.fromDate || null),
+        to: earlier(toSpan, range?.toDate || null),
+    };
+}
+
+/**
+ * @param {object} [range]
+ * @param {Array<object>} updates - Entries to resolve version bounds and development parents against
+ * @param {string} [edition]
+ * @returns {(update: object) => boolean}
+ */
+export function createReleaseRangePredicate(range, updates, edition = DEFAULT_EDITION) {
+    if (!isReleaseRangeActive(range)) return () => true;
+    const versionBounds = resolveVersionBounds(range, updates);
+    const from = range.fromDate || null;
+    const to = range.toDate || null;
+    const getSubject = createSubjectResolver(updates);
+    return (update) => {
+        const subject = getSubject(update);
+        if (versionBounds && !isVersionInRange(getRangeVersion(subject), versionBounds)) return false;
+        if (!from && !to) return true;
+        const [start, end] = getReleaseSpan(subject, edition);
+        return (!from || end >= from) && (!to || start <= to);
+    };
+}
+
+/**
+ * @param {{ from: string | null, to: string | null }} bounds - From resolveReleaseRange
+ * @param {number | string} year
+ * @returns {boolean} Whether any day of `year` lies within the bounds
+ */
+export function isYearInReleaseRange({ from, to }, year) {
+    return (!from || `${year}-12-31` >= from) && (!to || `${year}-01-01` <= to);
+}
+
+/**
+ * @param {object} range
+ * @returns {{ versions: string, dates: string }} `from..to` URL values, empty when unset
+ */
+export function encodeReleaseRange(range) {
+    const join = (from, to) => (from || to ? `${from || ''}..${to || ''}` : '');
+    return {
+        versions: join(range?.fromVersion, range?.toVersion),
+        dates: join(range?.fromDate, range?.toDate),
+    };
+}
+
+/**
+ * @param {string | null} versions - `from..to`
+ * @param {string | null} dates - `from..to`
+ * @returns {object} Normalized range
+ */
+export function decodeReleaseRange(versions, dates) {
+    const split = (param) => {
+        const [from = '', to = ''] = String(param || '').split('..');
+        return [from, to];
+    };
+    const [fromVersion, toVersion] = split(versions);
+    const [fromDate, toDate] = split(dates);
+    return normalizeReleaseRange({ fromVersion, toVersion, fromDate, toDate });
+}
@@ -1,3 +1,9 @@
+import { SECTION_TYPES } from '../section-config.js';
+import { flattenDevelopmentVersions } from './development-versions.js';
+import { DEFAULT_EDITION } from './editions.js';
+import { createFieldPredicate, parseQuery } from './query-language.js';
+import { matchesFacets } from './facets.js';
+
 export function parseSearchQuery(query) {
     if (!query) return { text: '', tags: [] };
     const tokens = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
@@ -16,49 +22,478 @@ export function parseSearchQuery(query) {
     return { text: textTokens.join(' '), tags };
 }
 
-export function filterItems(items, query, removeDuplicates) {
-    if (!items) return [];
-    const parsed = parseSearchQuery(query);
-    let filtered = items.filter((item) => {
-        const displayName = (item.name || '').toLowerCase();
-        const identifier = (item.identifier || '').toLowerCase();
-        const types = Array.isArray(item.types) ? item.types.map((t) => String(t).toLowerCase()) : [];
-        const tags = Array.isArray(item.tags) ? item.tags.map((t) => String(t).toLowerCase()) : [];
-        const allTags = new Set([...types, ...tags]);
-
-        const matchesText = parsed.text
-            ? displayName.includes(parsed.text) || identifier.includes(parsed.text)
-            : true;
-        const matchesTags = parsed.tags.length
-            ? parsed.tags.every((tag) => allTags.has(tag))
-            : true;
-        return matchesText && matchesTags;
+/**
+ * Index terms for a name or identifier: the whole lowercased value, its
+ * words, and for `namespace:path_id` the namespace, path and path parts.
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+export function tokenizeSearchText(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (!text) return [];
+    const terms = new Set([text]);
+    const colon = text.lastIndexOf(':');
+    if (colon !== -1) {
+        terms.add(text.slice(0, colon));
+        terms.add(text.slice(colon + 1));
+    }
+    text.split(/[\s:_]+/).forEach((term) => {
+        if (term) terms.add(term);
     });
+    return [...terms];
+}
 
-    if (removeDuplicates) {
-        filtered = filtered.filter((item) => {
-            const types = Array.isArray(item.types) ? item.types : [];
-            return !types.includes('hidden');
-        });
-    }
+function addPosting(map, key, item) {
+    if (!map.has(key)) map.set(key, new Set());
+    map.get(key).add(item);
+}
 
-    return filtered;
+function indexItem(index, item, section = null, update = null) {
+    if (!item || index.items.has(item)) return;
+    index.items.add(item);
+    index.contexts.set(item, { section, update });
+    [...tokenizeSearchText(item.name), ...tokenizeSearchText(item.identifier)].forEach((term) => {
+        addPosting(index.terms, term, item);
+    });
+    const types = Array.isArray(item.types) ? item.types.map((type) => String(type).toLowerCase()) : [];
+    const tags = Array.isArray(item.tags) ? item.tags.map((tag) => String(tag).toLowerCase()) : [];
+    [...types, ...tags].forEach((tag) => addPosting(index.tags, tag, item));
+    if (types.includes('hidden')) index.hidden.add(item);
+}
+
+function createEmptyIndex() {
+    return {
+        items: new Set(),
+        contexts: new Map(),
+        terms: new Map(),
+        tags: new Map(),
+        hidden: new Set(),
+        nameCounts: new Map(),
+        originals: new Map(),
+        matchCache: new Map(),
+    };
 }
 
-export function getNameSuggestions(updates, contentTypes, limit = 80) {
-    const counts = new Map();
+/**
+ * Inverted index over every item of `updates` (development versions
+ * included). Postings hold the item objects themselves, so the index also
+ * serves year groups and filtered copies that reuse those objects.
+ * @param {Array<object>} updates - Top-level updates, as loaded
+ * @param {Array<string>} [contentTypes]
+ * @returns {object}
+ */
+export function createSearchIndex(updates, contentTypes = SECTION_TYPES) {
+    const index = createEmptyIndex();
     updates.forEach((update) => {
         contentTypes.forEach((type) => {
-            const items = update.added?.[type] || [];
-            items.forEach((item) => {
+            (update.added?.[type] || []).forEach((item) => {
                 if (!item?.name) return;
-                counts.set(item.name, (counts.get(item.name) || 0) + 1);
+                index.nameCounts.set(item.name, (index.nameCounts.get(item.name) || 0) + 1);
+                // Updates are newest first: keep the oldest addition that is not a re-listed duplicate.
+                const isDuplicate = Array.isArray(item.types) && item.types.includes('hidden');
+                if (!isDuplicate || !index.originals.has(item.name)) index.originals.set(item.name, item);
             });
         });
     });
+    flattenDevelopmentVersions(updates).forEach((update) => {
+        contentTypes.forEach((type) => {
+            const items = update.added?.[type];
+            if (Array.isArray(items)) items.forEach((item) => indexItem(index, item, type, update));
+        });
+    });
+    return index;
+}
+
+const MATCH_CACHE_LIMIT = 200;
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} [max]
+ * @returns {number} The distance, or `max + 1` when it is larger than `max`
+ */
+export function editDistance(a, b, max = Infinity) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+function allowedTypos(token) {
+    if (token.length <= 3) return 0;
+    return token.length <= 7 ? 1 : 2;
+}
+
+/**
+ * Match quality of one query token against one index term; lower is better.
+ * Exact, prefix and substring matches always count; typo matches only in
+ * fuzzy mode.
+ * @returns {number | null} null when the term does not match
+ */
+function scoreTerm(token, term, fuzzy) {
+    if (term === token) return 0;
+    if (term.startsWith(token)) return 1;
+    if (term.includes(token)) return 2;
+    if (!fuzzy) return null;
+    const max = allowedTypos(token);
+    if (!max) return null;
+    const distance = editDistance(token, term, max);
+    if (distance <= max) return 2 + distance;
+    const prefixDistance = editDistance(token, term.slice(0, token.length), max);
+    return prefixDistance <= max ? 3 + prefixDistance : null;
+}
+
+function matchTextToken(index, token, fuzzy) {
+    const cacheKey = `${fuzzy ? '~' : '='}${token}`;
+    if (index.matchCache.has(cacheKey)) return index.matchCache.get(cacheKey);
+    // Matching against the (much smaller) term vocabulary keeps the old
+    // "name or identifier contains" behaviour for partial words.
+    const scores = new Map();
+    index.terms.forEach((items, term) => {
+        const score = scoreTerm(token, term, fuzzy);
+        if (score === null) return;
+        items.forEach((item) => {
+            if (!scores.has(item) || scores.get(item) > score) scores.set(item, score);
+        });
+    });
+    if (index.matchCache.size >= MATCH_CACHE_LIMIT) index.matchCache.clear();
+    index.matchCache.set(cacheKey, scores);
+    return scores;
+}
+
+function intersectScores(maps) {
+    const [smallest, ...rest] = [...maps].sort((a, b) => a.size - b.size);
+    const scores = new Map();
+    smallest.forEach((score, item) => {
+        let total = score;
+        for (const map of rest) {
+            if (!map.has(item)) return;
+            total += map.get(item);
+        }
+        scores.set(item, total);
+    });
+    return scores;
+}
+
+function uniteScores(maps) {
+    const scores = new Map();
+    maps.forEach((map) => map.forEach((score, item) => {
+        if (!scores.has(item) || scores.get(item) > score) scores.set(item, score);
+    }));
+    return scores;
+}
+
+function evaluateNode(index, node, options) {
+    switch (node.type) {
+        case 'and':
+            return intersectScores(node.children.map((child) => evaluateNode(index, child, options)));
+        case 'or':
+            return uniteScores(node.children.map((child) => evaluateNode(index, child, options)));
+        case 'not': {
+            const excluded = evaluateNode(index, node.child, options);
+            const scores = new Map();
+            index.items.forEach((item) => {
+                if (!excluded.has(item)) scores.set(item, 0);
+            });
+            return scores;
+        }
+        case 'text':
+            // Phrases are matched literally, words tolerate typos in fuzzy mode.
+            return matchTextToken(index, node.value, options.fuzzy && !node.phrase);
+        case 'tag':
+            return new Map([...(index.tags.get(node.value) || [])].map((item) => [item, 0]));
+        case 'field': {
+            const predicate = createFieldPredicate(node, options);
+            const scores = new Map();
+            index.items.forEach((item) => {
+                if (predicate(item, index.contexts.get(item))) scores.set(item, 0);
+            });
+            return scores;
+        }
+        default:
+            return new Map();
+    }
+}
+
+/**
+ * A query with a syntax error is searched as plain words and tags (quotes,
+ * parentheses, OR and NOT ignored), so results keep updating while typing.
+ */
+function getLenientAst(query) {
+    const parsed = parseSearchQuery(query.replace(/["()|]/g, ' ').replace(/(^|\s)(?:OR|NOT)(?=\s|$)/g, ' '));
+    const children = [
+        ...parsed.text.split(' ')
+            .map((word) => word.replace(/^-+/, ''))
+            .filter(Boolean)
+            .map((value) => ({ type: 'text', value, phrase: false })),
+        ...parsed.tags.map((value) => ({ type: 'tag', value })),
+    ];
+    if (!children.length) return null;
+    return children.length === 1 ? children[0] : { type: 'and', children };
+}
+
+/**
+ * @param {object} index - From createSearchIndex
+ * @param {string} query - Query language, see query-language.js
+ * @param {{ fuzzy?: boolean, edition?: string }} [options]
+ * @returns {Map<object, number> | null} Matching items and their summed score (lower is better), or null when the query has no terms
+ */
+export function scoreSearchMatches(index, query, { fuzzy = false, edition = DEFAULT_EDITION } = {}) {
+    const text = String(query ?? '').trim();
+    if (!text) return null;
+    const cacheKey = `query:${fuzzy ? '~' : '='}:${edition}:${text}`;
+    if (index.matchCache.has(cacheKey)) return index.matchCache.get(cacheKey);
 
-    return [...counts.entries()]
-        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    const { ast, error } = parseQuery(text);
+    const tree = error ? getLenientAst(text) : ast;
+    const scores = tree ? evaluateNode(index, tree, { fuzzy, edition }) : null;
+    if (index.matchCache.size >= MATCH_CACHE_LIMIT) index.matchCache.clear();
+    index.matchCache.set(cacheKey, scores);
+    return scores;
+}
+
+/**
+ * @param {object} index - From createSearchIndex
+ * @param {string} query
+ * @param {{ fuzzy?: boolean }} [options]
+ * @returns {Set<object> | null} Matching items, or null when the query has no terms
+ */
+export function matchSearchIndex(index, query, options) {
+    const scores = scoreSearchMatches(index, query, options);
+    return scores ? new Set(scores.keys()) : null;
+}
+
+/**
+ * @param {object} item - From filterItems
+ * @returns {boolean} False only for an item kept for context by a highlighting filter
+ */
+export function isSearchMatch(item) {
+    return item?.search_match !== false;
+}
+
+/**
+ * @param {Array<object>} items
+ * @param {string} query
+ * @param {boolean} removeDuplicates
+ * @param {object} [searchIndex] - Index containing `items`; built on the fly when omitted
+ * @param {{ fuzzy?: boolean, edition?: string, highlight?: boolean, facets?: Array<object> }} [options] - `fuzzy`
+ * tolerates typos and orders results by match quality; `highlight` keeps non-matching items, returning copies
+ * flagged with `search_match`; `facets` are type/tag filters, see facets.js
+ * @returns {Array<object>}
+ */
+export function filterItems(
+    items,
+    query,
+    removeDuplicates,
+    searchIndex = null,
+    { fuzzy = false, edition, highlight = false, facets = [] } = {}
+) {
+    if (!items) return [];
+    let index = searchIndex;
+    if (!index) {
+        index = createEmptyIndex();
+        items.forEach((item) => indexItem(index, item));
+    }
+    const scores = scoreSearchMatches(index, query, { fuzzy, edition });
+    const visible = removeDuplicates ? items.filter((item) => !index.hidden.has(item)) : items;
+    const isMatch = (item) => (!scores || scores.has(item)) && matchesFacets(item, facets);
+    if (highlight && (scores || facets.length)) {
+        return visible.map((item) => ({ ...item, search_match: isMatch(item) }));
+    }
+    const filtered = visible.filter(isMatch);
+    if (fuzzy && scores) {
+        filtered.sort((a, b) => scores.get(a) - scores.get(b));
+    }
+    return filtered;
+}
+
+function collectHighlightTerms(node, terms) {
+    switch (node?.type) {
+        case 'and':
+        case 'or':
+            node.children.forEach((child) => collectHighlightTerms(child, terms));
+            break;
+        case 'text':
+            terms.add(node.value);
+            break;
+        case 'field':
+            if (node.field === 'name' && typeof node.value === 'string') terms.add(node.value);
+            break;
+        default:
+            // Negated terms and other qualifiers have nothing to mark.
+            break;
+    }
+    return terms;
+}
+
+/**
+ * @param {string} query
+ * @returns {Array<string>} Lowercased words and phrases the query looks for in names, longest first
+ */
+export function getHighlightTerms(query) {
+    const text = String(query ?? '').trim();
+    if (!text) return [];
+    const { ast, error } = parseQuery(text);
+    const terms = collectHighlightTerms(error ? getLenientAst(text) : ast, new Set());
+    return [...terms].filter(Boolean).sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Split `text` into marked and unmarked parts; overlapping matches are merged.
+ * @param {string} text
+ * @param {Array<string>} terms - From getHighlightTerms
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function splitHighlightedText(text, terms) {
+    const value = String(text ?? '');
+    const lower = value.toLowerCase();
+    const ranges = [];
+    terms.forEach((term) => {
+        for (let start = lower.indexOf(term); start !== -1; start = lower.indexOf(term, start + 1)) {
+            ranges.push([start, start + term.length]);
+        }
+    });
+    if (!ranges.length) return value ? [{ text: value, match: false }] : [];
+
+    ranges.sort((a, b) => a[0] - b[0]);
+    const parts = [];
+    let position = 0;
+    let current = null;
+    const flush = () => {
+        if (current[0] > position) parts.push({ text: value.slice(position, current[0]), match: false });
+        parts.push({ text: value.slice(current[0], current[1]), match: true });
+        position = current[1];
+    };
+    ranges.forEach((range) => {
+        if (current && range[0] <= current[1]) {
+            current[1] = Math.max(current[1], range[1]);
+            return;
+        }
+        if (current) flush();
+        current = [...range];
+    });
+    flush();
+    if (position < value.length) parts.push({ text: value.slice(position), match: false });
+    return parts;
+}
+
+/**
+ * @param {object} index - From createSearchIndex
+ * @param {number} [limit]
+ * @param {string} [query] - When given, only matching names, best matches first
+ * @param {{ fuzzy?: boolean }} [options]
+ * @returns {Array<string>} Item names, more frequent first among equal matches
+ */
+export function getNameSuggestions(index, limit = 80, query = '', options = {}) {
+    const scores = scoreSearchMatches(index, query, options);
+    const bestScores = new Map();
+    scores?.forEach((score, item) => {
+        if (!index.nameCounts.has(item.name)) return;
+        if (!bestScores.has(item.name) || bestScores.get(item.name) > score) bestScores.set(item.name, score);
+    });
+    const names = scores ? [...bestScores.keys()] : [...index.nameCounts.keys()];
+
+    return names
+        .map((name) => [name, bestScores.get(name) || 0, index.nameCounts.get(name)])
+        .sort((a, b) => a[1] - b[1] || b[2] - a[2] || a[0].localeCompare(b[0]))
         .slice(0, limit)
         .map(([name]) => name);
 }
+
+/**
+ * Search field autocomplete: `#tag` completions with their item counts while
+ * a tag is being typed, otherwise the best matching item names with the
+ * item, section and update that first added them.
+ * @param {object} index - From createSearchIndex
+ * @param {string} query
+ * @param {{ fuzzy?: boolean, limit?: number }} [options]
+ * @returns {Array<{ kind: 'tag' | 'item', label: string, value: string, count?: number, item?: object, section?: string, update?: object }>}
+ *   `value` is the query to search when the option is chosen
+ */
+export function getAutocompleteOptions(index, query, { fuzzy = false, limit = 8 } = {}) {
+    const text = String(query ?? '');
+    if (!text.trim()) return [];
+
+    const tagMatch = text.match(/(?:^|\s)-?#([\w-]*)$/);
+    if (tagMatch) {
+        const prefix = tagMatch[1].toLowerCase();
+        const head = text.slice(0, text.length - tagMatch[1].length - 1);
+        return [...index.tags]
+            .filter(([tag]) => tag.startsWith(prefix) && tag !== 'hidden')
+            .map(([tag, items]) => [tag, new Set([...items].map((item) => item.name)).size])
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, limit)
+            .map(([tag, count]) => ({ kind: 'tag', label: `#${tag}`, value: `${head}#${tag}`, count }));
+    }
+
+    return getNameSuggestions(index, limit, text, { fuzzy }).map((name) => {
+        const item = index.originals.get(name);
+        const { section = null, update = null } = index.contexts.get(item) || {};
+        return { kind: 'item', label: name, value: name, item, section, update };
+    });
+}
+
+function closestCandidates(token, candidates, limit) {
+    const max = allowedTypos(token) + 1;
+    return candidates
+        .map(([candidate, weight]) => [candidate, editDistance(token, candidate, max), weight])
+        .filter(([, distance]) => distance <= max)
+        .sort((a, b) => a[1] - b[1] || b[2] - a[2] || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([candidate]) => candidate);
+}
+
+/**
+ * "Did you mean" corrections for a query: the first unmatched word or tag is
+ * replaced by its closest index terms (names, identifiers and their words) or
+ * tags, and any other unmatched one by its single closest. Qualifiers,
+ * phrases, negations and operators are kept as typed.
+ * @param {object} index - From createSearchIndex
+ * @param {string} query
+ * @param {number} [limit]
+ * @returns {Array<string>} Corrected queries, closest first
+ */
+export function getSearchCorrections(index, query, limit = 5) {
+    const tokens = String(query || '').trim().split(/\s+/).filter(Boolean);
+    const terms = [...index.terms.entries()].map(([term, items]) => [term, items.size]);
+    const tags = [...index.tags.entries()].map(([tag, items]) => [tag, items.size]);
+
+    const alternatives = tokens.map((token) => {
+        const { ast } = parseQuery(token);
+        if (ast?.type === 'tag') {
+            if (index.tags.has(ast.value)) return null;
+            return closestCandidates(ast.value, tags, limit).map((candidate) => `#${candidate}`);
+        }
+        if (ast?.type !== 'text' || ast.phrase) return null;
+        const word = ast.value;
+        if (matchTextToken(index, word, false).size) return null;
+        // A word that is really a tag ("blok" for #block) is offered as one.
+        return [
+            ...closestCandidates(word, terms, limit),
+            ...closestCandidates(word, tags, 1).map((candidate) => `#${candidate}`),
+        ];
+    });
+
+    const first = alternatives.findIndex((options) => options !== null);
+    if (first === -1 || !alternatives[first].length) return [];
+    if (alternatives.some((options, position) => position !== first && options && !options.length)) return [];
+
+    const corrected = alternatives[first].map((alternative) => tokens
+        .map((token, position) => {
+            if (position === first) return alternative;
+            return alternatives[position] ? alternatives[position][0] : token;
+        })
+        .join(' '));
+    return [...new Set(corrected)].slice(0, limit);
+}
@@ -0,0 +1,118 @@
+/**
+ * Order of the listed versions or years, and of the items inside each card section.
+ */
+import { SECTION_TYPES } from '../section-config.js';
+import { isSearchMatch } from './search.js';
+
+export const LIST_SORT_ORDERS = Object.freeze({
+    NEWEST: 'newest',
+    OLDEST: 'oldest',
+    MOST_ITEMS: 'most-items',
+});
+
+export const LIST_SORT_LABELS = Object.freeze({
+    [LIST_SORT_ORDERS.NEWEST]: 'Newest first',
+    [LIST_SORT_ORDERS.OLDEST]: 'Oldest first',
+    [LIST_SORT_ORDERS.MOST_ITEMS]: 'Most items',
+});
+
+export const ITEM_SORT_ORDERS = Object.freeze({
+    DATA: 'data',
+    NAME: 'name',
+    IDENTIFIER: 'identifier',
+    FAMILY: 'family',
+});
+
+export const ITEM_SORT_LABELS = Object.freeze({
+    [ITEM_SORT_ORDERS.DATA]: 'Data order',
+    [ITEM_SORT_ORDERS.NAME]: 'Name',
+    [ITEM_SORT_ORDERS.IDENTIFIER]: 'Identifier',
+    [ITEM_SORT_ORDERS.FAMILY]: 'Material family',
+});
+
+/** Identifier words naming a form or finish rather than the material itself. */
+const FAMILY_MODIFIERS = new Set([
+    'waxed', 'exposed', 'weathered', 'oxidized', 'stripped', 'polished', 'chiseled',
+    'cut', 'smooth', 'cracked', 'mossy', 'infested', 'potted',
+]);
+
+const collator = new Intl.Collator('en', { sensitivity: 'base', numeric: true });
+
+/**
+ * @param {*} value
+ * @returns {string} A LIST_SORT_ORDERS value, newest first when unknown
+ */
+export function coerceListSort(value) {
+    return Object.values(LIST_SORT_ORDERS).includes(value) ? value : LIST_SORT_ORDERS.NEWEST;
+}
+
+/**
+ * @param {*} value
+ * @returns {string} An ITEM_SORT_ORDERS value, data order when unknown
+ */
+export function coerceItemSort(value) {
+    return Object.values(ITEM_SORT_ORDERS).includes(value) ? value : ITEM_SORT_ORDERS.DATA;
+}
+
+/**
+ * Material an item belongs to, from its identifier: the first word that is
+ * not a form or finish (`waxed_exposed_cut_copper` and `copper_bulb` are both
+ * `copper`).
+ * @param {object} item
+ * @returns {string}
+ */
+export function getMaterialFamily(item) {
+    const words = String(item?.identifier || item?.name || '')
+        .toLowerCase()
+        .replace(/^minecraft:/, '')
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+    return words.find((word) => !FAMILY_MODIFIERS.has(word)) || words[0] || '';
+}
+
+function countMatchingItems(entry, contentTypes) {
+    return contentTypes.reduce((total, type) => total + (entry.added?.[type] || []).filter(isSearchMatch).length, 0);
+}
+
+/**
+ * Filtered entries arrive newest first; reorder them for `order`.
+ * @param {Array<object>} entries
+ * @param {string} order - LIST_SORT_ORDERS value
+ * @param {Array<string>} [contentTypes] - Sections counted for MOST_ITEMS
+ * @returns {Array<object>}
+ */
+export function sortListEntries(entries, order, contentTypes = SECTION_TYPES) {
+    switch (order) {
+        case LIST_SORT_ORDERS.OLDEST:
+            return [...entries].reverse();
+        case LIST_SORT_ORDERS.MOST_ITEMS: {
+            const counts = new Map(entries.map((entry) => [entry, countMatchingItems(entry, contentTypes)]));
+            return [...entries].sort((a, b) => counts.get(b) - counts.get(a));
+        }
+        default:
+            return entries;
+    }
+}
+
+/**
+ * @param {Array<object>} items - One card section
+ * @param {string} order - ITEM_SORT_ORDERS value
+ * @returns {Array<object>}
+ */
+export function sortSectionItems(items, order) {
+    const byName = (a, b) => collator.compare(a.name || '', b.name || '');
+    switch (order) {
+        case ITEM_SORT_ORDERS.NAME:
+            return [...items].sort(byName);
+        case ITEM_SORT_ORDERS.IDENTIFIER:
+            return [...items].sort((a, b) =>
+                collator.compare(a.identifier || a.name || '', b.identifier || b.name || '')
+            );
+        case ITEM_SORT_ORDERS.FAMILY:
+            return [...items].sort((a, b) =>
+                collator.compare(getMaterialFamily(a), getMaterialFamily(b)) || byName(a, b)
+            );
+        default:
+            return items;
+    }
+}
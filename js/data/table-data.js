@@ -1,4 +1,5 @@
 import { Utils } from '../utils.js';
+import { DEFAULT_EDITION, getEditionReleaseDate, getVersionLabel } from './editions.js';
 
 export function getAllNames(updates, contentTypes) {
     const allNames = updates.flatMap((update) =>
@@ -22,9 +23,9 @@ export function getAllNamesByProperty(updates, contentTypes, property = 'name')
     return [...new Set(allNames)].sort((a, b) => a.length - b.length);
 }
 
-export function getVersionsTableData(updates) {
+export function getVersionsTableData(updates, edition = DEFAULT_EDITION) {
     return updates.map((update) => {
-        const releaseDate = update.release_date;
+        const releaseDate = getEditionReleaseDate(update, edition);
         const parsed = Utils.parseDate(releaseDate);
         const isYearOnly = Utils.isYearOnly(releaseDate);
         const items = update.added?.items?.length || 0;
@@ -33,7 +34,7 @@ export function getVersionsTableData(updates) {
         const effects = update.added?.effects?.length || 0;
         return {
             name: update.name || 'N/A',
-            version: update.release_version?.java || 'N/A',
+            version: getVersionLabel(update, edition) || 'N/A',
             items,
             blocks,
             mobs,
@@ -46,9 +47,9 @@ export function getVersionsTableData(updates) {
     });
 }
 
-export function getYearsTableData(updates, contentTypes) {
+export function getYearsTableData(updates, contentTypes, edition = DEFAULT_EDITION) {
     const byYear = updates.reduce((acc, update) => {
-        const parsedDate = Utils.parseDate(update.release_date);
+        const parsedDate = Utils.parseDate(getEditionReleaseDate(update, edition));
         const year = parsedDate ? parsedDate.getFullYear() : null;
         if (!year) return acc;
 
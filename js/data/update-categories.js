@@ -0,0 +1,87 @@
+/**
+ * Update categories: the entry's `type` (major, drop, minor, hotfix), else
+ * what its Java version tells (legacy era, development version, x.y or
+ * x.y.z release).
+ */
+import { isDevelopmentVersion } from './development-versions.js';
+import { VERSION_KINDS, parseJavaVersion } from './versions.js';
+
+export const UPDATE_CATEGORIES = Object.freeze({
+    MAJOR: 'major',
+    DROP: 'drop',
+    MINOR: 'minor',
+    DEVELOPMENT: 'development',
+    BETA: 'beta',
+    ALPHA: 'alpha',
+    INDEV: 'indev',
+    CLASSIC: 'classic',
+    OTHER: 'other',
+});
+
+/** Legend order: newest kinds first. */
+export const UPDATE_CATEGORY_ORDER = Object.freeze(Object.values(UPDATE_CATEGORIES));
+
+export const UPDATE_CATEGORY_LABELS = Object.freeze({
+    [UPDATE_CATEGORIES.MAJOR]: 'Major',
+    [UPDATE_CATEGORIES.DROP]: 'Drop',
+    [UPDATE_CATEGORIES.MINOR]: 'Minor / patch',
+    [UPDATE_CATEGORIES.DEVELOPMENT]: 'Development',
+    [UPDATE_CATEGORIES.BETA]: 'Beta',
+    [UPDATE_CATEGORIES.ALPHA]: 'Alpha',
+    [UPDATE_CATEGORIES.INDEV]: 'Indev / Infdev',
+    [UPDATE_CATEGORIES.CLASSIC]: 'Classic',
+    [UPDATE_CATEGORIES.OTHER]: 'Other',
+});
+
+const TYPE_CATEGORIES = Object.freeze({
+    major: UPDATE_CATEGORIES.MAJOR,
+    drop: UPDATE_CATEGORIES.DROP,
+    minor: UPDATE_CATEGORIES.MINOR,
+    hotfix: UPDATE_CATEGORIES.MINOR,
+    patch: UPDATE_CATEGORIES.MINOR,
+    snapshot: UPDATE_CATEGORIES.DEVELOPMENT,
+});
+
+const ERA_CATEGORIES = Object.freeze({
+    'pre-classic': UPDATE_CATEGORIES.CLASSIC,
+    classic: UPDATE_CATEGORIES.CLASSIC,
+    indev: UPDATE_CATEGORIES.INDEV,
+    infdev: UPDATE_CATEGORIES.INDEV,
+    alpha: UPDATE_CATEGORIES.ALPHA,
+    beta: UPDATE_CATEGORIES.BETA,
+});
+
+/**
+ * @param {object} update
+ * @returns {string} One of UPDATE_CATEGORIES
+ */
+export function getUpdateCategory(update) {
+    const parsed = parseJavaVersion(update?.release_version?.java || update?.release_version?.bedrock);
+    if (parsed.era) return ERA_CATEGORIES[parsed.era];
+    const typed = TYPE_CATEGORIES[String(update?.type ?? '').toLowerCase()];
+    if (typed) return typed;
+    if (isDevelopmentVersion(update)) return UPDATE_CATEGORIES.DEVELOPMENT;
+    if (parsed.kind === VERSION_KINDS.RELEASE && parsed.numbers.length) {
+        return parsed.numbers.length > 2 && parsed.numbers[2] > 0 ? UPDATE_CATEGORIES.MINOR : UPDATE_CATEGORIES.MAJOR;
+    }
+    return UPDATE_CATEGORIES.OTHER;
+}
+
+/**
+ * @param {*} value - Stored list of hidden categories
+ * @returns {Array<string>} Known categories only
+ */
+export function sanitizeUpdateCategories(value) {
+    if (!Array.isArray(value)) return [];
+    return UPDATE_CATEGORY_ORDER.filter((category) => value.includes(category));
+}
+
+/**
+ * @param {Array<string>} [hiddenCategories]
+ * @returns {(update: object) => boolean}
+ */
+export function createUpdateCategoryPredicate(hiddenCategories) {
+    if (!hiddenCategories?.length) return () => true;
+    const hidden = new Set(hiddenCategories);
+    return (update) => !hidden.has(getUpdateCategory(update));
+}
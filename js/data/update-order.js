@@ -0,0 +1,136 @@
+/**
+ * Orderings for update entries (newest first). Every ordering takes the
+ * edition whose versions and release dates it should use (Java by default).
+ */
+import { Utils } from '../utils.js';
+import { VERSION_KINDS, compareJavaVersions, getSnapshotAnchor, parseJavaVersion } from './versions.js';
+import { DEFAULT_EDITION, getEditionReleaseDate, getVersionLabel } from './editions.js';
+
+function compareUpdatesByVersionDesc(a, b, edition) {
+    return compareJavaVersions(getVersionLabel(b, edition), getVersionLabel(a, edition));
+}
+
+/**
+ * Release-date ordering used for the update list: unreleased entries first,
+ * then year-only entries, then dated releases, newest first. Ties (same day,
+ * same year, both unreleased) are broken by version, newest first.
+ * @param {object} a
+ * @param {object} b
+ * @param {string} [edition]
+ * @returns {number}
+ */
+export function compareUpdatesByReleaseDate(a, b, edition = DEFAULT_EDITION) {
+    const releaseA = getEditionReleaseDate(a, edition);
+    const releaseB = getEditionReleaseDate(b, edition);
+    if (releaseA === null && releaseB !== null) return -1;
+    if (releaseA !== null && releaseB === null) return 1;
+    if (releaseA === null && releaseB === null) return compareUpdatesByVersionDesc(a, b, edition);
+
+    const aIsYearOnly = Utils.isYearOnly(releaseA);
+    const bIsYearOnly = Utils.isYearOnly(releaseB);
+
+    if (aIsYearOnly && !bIsYearOnly) return -1;
+    if (!aIsYearOnly && bIsYearOnly) return 1;
+    if (aIsYearOnly && bIsYearOnly) {
+        return parseInt(releaseB, 10) - parseInt(releaseA, 10) || compareUpdatesByVersionDesc(a, b, edition);
+    }
+
+    const dateA = Utils.parseDate(releaseA);
+    const dateB = Utils.parseDate(releaseB);
+    if (!dateA && !dateB) return compareUpdatesByVersionDesc(a, b, edition);
+    if (!dateA) return -1;
+    if (!dateB) return 1;
+    return dateB - dateA || compareUpdatesByVersionDesc(a, b, edition);
+}
+
+// Version sort tiers: snapshots newer than every release in the list, entries
+// placed by version, then entries with no usable version.
+const VERSION_TIERS = Object.freeze({ AHEAD: 0, PLACED: 1, UNPLACED: 2 });
+
+function getReleaseTime(update, edition) {
+    return Utils.parseDate(getEditionReleaseDate(update, edition))?.getTime() ?? null;
+}
+
+function getVersionSortKey(update, edition, { parentsById, releases }) {
+    const parsed = parseJavaVersion(getVersionLabel(update, edition));
+    const time = getReleaseTime(update, edition);
+    const key = { parsed, time, label: getVersionLabel(update, edition) || update.name || '' };
+    if (parsed.kind !== VERSION_KINDS.SNAPSHOT && parsed.kind !== VERSION_KINDS.UNKNOWN) {
+        return { ...key, tier: VERSION_TIERS.PLACED, anchor: parsed };
+    }
+
+    // Snapshots sit with their parent release, else with the first release
+    // dated on or after them.
+    const parent = parentsById.get(update.development_parent);
+    const release = parent
+        ? parseJavaVersion(getVersionLabel(parent, edition))
+        : time !== null && releases.find((candidate) => candidate.time >= time)?.parsed;
+    const anchor = release ? getSnapshotAnchor(release) : null;
+    if (anchor) return { ...key, tier: VERSION_TIERS.PLACED, anchor };
+    return { ...key, tier: parsed.kind === VERSION_KINDS.SNAPSHOT ? VERSION_TIERS.AHEAD : VERSION_TIERS.UNPLACED };
+}
+
+function compareVersionSortKeys(a, b) {
+    if (a.tier !== b.tier) return a.tier - b.tier;
+    if (a.tier === VERSION_TIERS.PLACED) {
+        const anchor = compareJavaVersions(b.anchor, a.anchor);
+        if (anchor !== 0) return anchor;
+    }
+    const aIsSnapshot = a.parsed.kind === VERSION_KINDS.SNAPSHOT;
+    const bIsSnapshot = b.parsed.kind === VERSION_KINDS.SNAPSHOT;
+    if (aIsSnapshot !== bIsSnapshot) return aIsSnapshot ? -1 : 1;
+    if (aIsSnapshot) {
+        const snapshot = compareJavaVersions(b.parsed, a.parsed);
+        if (snapshot !== 0) return snapshot;
+    }
+    if (a.time !== b.time) {
+        if (a.time === null) return 1;
+        if (b.time === null) return -1;
+        return b.time - a.time;
+    }
+    return a.label.localeCompare(b.label);
+}
+
+/**
+ * Version ordering (newest first) over `updates`. Numbered versions follow
+ * compareJavaVersions; a weekly snapshot is placed just before its
+ * `development_parent` release (or the first release dated on or after it)
+ * so that every pair of entries compares consistently.
+ * @param {Array<object>} updates - Entries the comparator will see; others are placed without them
+ * @param {string} [edition]
+ * @returns {(a: object, b: object) => number}
+ */
+export function createVersionComparator(updates, edition = DEFAULT_EDITION) {
+    const parentsById = new Map(updates.map((update) => [Utils.generateCardId(update), update]));
+    const releases = updates
+        .map((update) => ({
+            parsed: parseJavaVersion(getVersionLabel(update, edition)),
+            time: getReleaseTime(update, edition),
+        }))
+        .filter(({ parsed, time }) => parsed.kind === VERSION_KINDS.RELEASE && time !== null)
+        .sort((a, b) => a.time - b.time);
+    const keys = new Map();
+    const getKey = (update) => {
+        if (!keys.has(update)) keys.set(update, getVersionSortKey(update, edition, { parentsById, releases }));
+        return keys.get(update);
+    };
+    return (a, b) => compareVersionSortKeys(getKey(a), getKey(b));
+}
+
+/**
+ * @param {Array<object>} updates
+ * @param {string} [edition]
+ * @returns {Array<object>} A new array in release-date order
+ */
+export function sortUpdatesByReleaseDate(updates, edition = DEFAULT_EDITION) {
+    return [...updates].sort((a, b) => compareUpdatesByReleaseDate(a, b, edition));
+}
+
+/**
+ * @param {Array<object>} updates
+ * @param {string} [edition]
+ * @returns {Array<object>} A new array in version order
+ */
+export function sortUpdatesByVersion(updates, edition = DEFAULT_EDITION) {
+    return [...updates].sort(createVersionComparator(updates, edition));
+}
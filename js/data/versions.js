@@ -0,0 +1,192 @@
+/**
+ * Parse and compare Minecraft Java version strings.
+ *
+ * Numbered versions (legacy eras, releases, pre-releases and release
+ * candidates) share one ordering; weekly snapshots (`24w14a`) are ordered
+ * among themselves. A snapshot and a numbered version cannot be ordered from
+ * their strings alone, so comparing them returns 0; callers that need one
+ * ordering place snapshots with a release through getSnapshotAnchor.
+ */
+
+export const VERSION_KINDS = Object.freeze({
+    RELEASE: 'release',
+    PRE_RELEASE: 'pre-release',
+    RELEASE_CANDIDATE: 'release-candidate',
+    SNAPSHOT: 'snapshot',
+    LEGACY: 'legacy',
+    UNKNOWN: 'unknown',
+});
+
+/** Development eras before 1.0, oldest first. */
+export const LEGACY_ERAS = Object.freeze(['pre-classic', 'classic', 'indev', 'infdev', 'alpha', 'beta']);
+
+const RELEASE_ERA_RANK = LEGACY_ERAS.length;
+const PHASE_RANK = {
+    [VERSION_KINDS.PRE_RELEASE]: 0,
+    [VERSION_KINDS.RELEASE_CANDIDATE]: 1,
+    [VERSION_KINDS.RELEASE]: 2,
+};
+
+const SNAPSHOT_PATTERN = /^(\d{2})w(\d{2})([a-z~]*)$/;
+const NUMBERED_PATTERN = /^(\d+(?:\.\d+)*)(?:\s*-?\s*(pre-release|pre|release candidate|rc)\s*-?\s*(\d+)?)?$/;
+const LEGACY_PATTERNS = [
+    { era: 'pre-classic', pattern: /^(?:pre-classic\s+)?rd-?(\d+)/ },
+    { era: 'classic', pattern: /^(?:classic\s+|c)(\d[\w.]*)/ },
+    { era: 'indev', pattern: /^(?:indev\s+|in-)(\d[\w.]*)/ },
+    { era: 'infdev', pattern: /^(?:infdev\s+|inf-)(\d[\w.]*)/ },
+    { era: 'alpha', pattern: /^(?:alpha\s+v?|a)(\d[\w.]*)/ },
+    { era: 'beta', pattern: /^(?:beta\s+|b)(\d[\w.]*)/ },
+];
+
+function toNumbers(value) {
+    return (value.match(/\d+/g) || []).map(Number);
+}
+
+function phaseKind(phase) {
+    if (!phase) return VERSION_KINDS.RELEASE;
+    return phase === 'rc' || phase === 'release candidate'
+        ? VERSION_KINDS.RELEASE_CANDIDATE
+        : VERSION_KINDS.PRE_RELEASE;
+}
+
+/**
+ * @param {string} raw
+ * @returns {{ raw: string, kind: string, era: string | null, numbers: number[], phaseNumber: number, snapshot: { year: number, week: number, suffix: string } | null }}
+ */
+export function parseJavaVersion(raw) {
+    const text = String(raw ?? '').trim().toLowerCase();
+    const base = { raw: String(raw ?? ''), era: null, numbers: [], phaseNumber: 0, snapshot: null };
+
+    const snapshot = text.match(SNAPSHOT_PATTERN);
+    if (snapshot) {
+        return {
+            ...base,
+            kind: VERSION_KINDS.SNAPSHOT,
+            snapshot: { year: Number(snapshot[1]), week: Number(snapshot[2]), suffix: snapshot[3] },
+        };
+    }
+
+    const numbered = text.match(NUMBERED_PATTERN);
+    if (numbered) {
+        return {
+            ...base,
+            kind: phaseKind(numbered[2]),
+            numbers: toNumbers(numbered[1]),
+            phaseNumber: numbered[3] ? Number(numbered[3]) : 0,
+        };
+    }
+
+    for (const { era, pattern } of LEGACY_PATTERNS) {
+        const legacy = text.match(pattern);
+        if (legacy) {
+            return { ...base, kind: VERSION_KINDS.LEGACY, era, numbers: toNumbers(legacy[1]) };
+        }
+    }
+
+    return { ...base, kind: VERSION_KINDS.UNKNOWN };
+}
+
+function toParsed(version) {
+    return typeof version === 'object' && version !== null && 'kind' in version
+        ? version
+        : parseJavaVersion(version);
+}
+
+function isNumbered(parsed) {
+    return parsed.kind !== VERSION_KINDS.SNAPSHOT && parsed.kind !== VERSION_KINDS.UNKNOWN;
+}
+
+function compareNumberLists(a, b) {
+    const length = Math.max(a.length, b.length);
+    for (let i = 0; i < length; i++) {
+        const diff = (a[i] ?? 0) - (b[i] ?? 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+/**
+ * @param {string | Object} a
+ * @param {string | Object} b
+ * @returns {boolean} True when the two versions can be ordered by their strings
+ */
+export function areVersionsComparable(a, b) {
+    const parsedA = toParsed(a);
+    const parsedB = toParsed(b);
+    if (parsedA.kind === VERSION_KINDS.SNAPSHOT && parsedB.kind === VERSION_KINDS.SNAPSHOT) return true;
+    return isNumbered(parsedA) && isNumbered(parsedB);
+}
+
+/**
+ * Ascending comparator (older first). Returns 0 for versions that are not comparable.
+ * @param {string | Object} a - Version string or result of parseJavaVersion
+ * @param {string | Object} b
+ * @returns {number}
+ */
+export function compareJavaVersions(a, b) {
+    const parsedA = toParsed(a);
+    const parsedB = toParsed(b);
+    if (!areVersionsComparable(parsedA, parsedB)) return 0;
+
+    if (parsedA.kind === VERSION_KINDS.SNAPSHOT) {
+        const { snapshot: snapA } = parsedA;
+        const { snapshot: snapB } = parsedB;
+        return snapA.year - snapB.year
+            || snapA.week - snapB.week
+            || snapA.suffix.localeCompare(snapB.suffix);
+    }
+
+    const eraA = parsedA.era ? LEGACY_ERAS.indexOf(parsedA.era) : RELEASE_ERA_RANK;
+    const eraB = parsedB.era ? LEGACY_ERAS.indexOf(parsedB.era) : RELEASE_ERA_RANK;
+    if (eraA !== eraB) return eraA - eraB;
+
+    const numbers = compareNumberLists(parsedA.numbers, parsedB.numbers);
+    if (numbers !== 0) return numbers;
+
+    const phaseA = PHASE_RANK[parsedA.kind] ?? PHASE_RANK[VERSION_KINDS.RELEASE];
+    const phaseB = PHASE_RANK[parsedB.kind] ?? PHASE_RANK[VERSION_KINDS.RELEASE];
+    return phaseA - phaseB || parsedA.phaseNumber - parsedB.phaseNumber;
+}
+
+/**
+ * Where the weekly snapshots of `release` belong in the numbered ordering:
+ * after the previous version and before the release's first pre-release.
+ * @param {string | Object} release - Version string or result of parseJavaVersion
+ * @returns {Object | null} Parsed version for compareJavaVersions, or null when `release` is not numbered
+ */
+export function getSnapshotAnchor(release) {
+    const parsed = toParsed(release);
+    if (!isNumbered(parsed)) return null;
+    return { ...parsed, kind: VERSION_KINDS.PRE_RELEASE, phaseNumber: -1 };
+}
+
+function compareToBound(parsed, bound) {
+    // A release bound with fewer components covers its patches and
+    // development versions: `1.20` includes `1.20.6` and `1.20-pre1`.
+    const coversPrefix = bound.kind === VERSION_KINDS.RELEASE
+        && isNumbered(parsed)
+        && parsed.era === bound.era
+        && bound.numbers.every((number, index) => parsed.numbers[index] === number);
+    return coversPrefix ? 0 : compareJavaVersions(parsed, bound);
+}
+
+/**
+ * Inclusive range check. A bound that cannot be compared with `version`
+ * (e.g. a snapshot against a numbered release) does not match.
+ * @param {string} version
+ * @param {{ min?: string | null, max?: string | null }} range
+ * @returns {boolean}
+ */
+export function isVersionInRange(version, { min = null, max = null } = {}) {
+    if (!version) return false;
+    const parsed = parseJavaVersion(version);
+    if (min) {
+        const parsedMin = parseJavaVersion(min);
+        if (!areVersionsComparable(parsed, parsedMin) || compareToBound(parsed, parsedMin) < 0) return false;
+    }
+    if (max) {
+        const parsedMax = parseJavaVersion(max);
+        if (!areVersionsComparable(parsed, parsedMax) || compareToBound(parsed, parsedMax) > 0) return false;
+    }
+    return true;
+}
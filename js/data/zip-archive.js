@@ -0,0 +1,72 @@
+/**
+ * Minimal ZIP reader for bundled data archives.
+ * Supports stored and deflate entries (the latter via DecompressionStream).
+ */
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+function findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 0xffff - 22);
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+        if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+    }
+    throw new Error('Invalid zip archive: end of central directory not found');
+}
+
+async function inflateRaw(bytes) {
+    if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Compressed zip entries are not supported in this browser');
+    }
+    const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Map<string, Uint8Array>>} File contents keyed by entry name
+ */
+export async function readZipEntries(buffer) {
+    const view = new DataView(buffer);
+    const decoder = new TextDecoder();
+    const endOffset = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_HEADER) {
+            throw new Error('Invalid zip archive: corrupt central directory');
+        }
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (view.getUint32(localOffset, true) !== LOCAL_FILE_HEADER) {
+            throw new Error(`Invalid zip archive: missing local header for ${name}`);
+        }
+
+        const dataStart = localOffset + 30
+            + view.getUint16(localOffset + 26, true)
+            + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+
+        if (method === METHOD_STORED) {
+            entries.set(name, data);
+        } else if (method === METHOD_DEFLATE) {
+            entries.set(name, await inflateRaw(data));
+        } else {
+            throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+        }
+    }
+    return entries;
+}
@@ -0,0 +1,54 @@
+/**
+ * Collects non-fatal data issues reported by the loaders so they can be shown
+ * in the diagnostics panel. Issues are keyed by source file; reporting a file
+ * again replaces its previous issues (e.g. after a retry).
+ */
+
+const issuesBySource = new Map();
+const listeners = new Set();
+
+/**
+ * @returns {Array<{ source: string, path: string, message: string }>}
+ */
+export function getDataIssues() {
+    return [...issuesBySource.entries()].flatMap(([source, issues]) =>
+        issues.map(({ path, message }) => ({ source, path, message }))
+    );
+}
+
+/**
+ * @param {string} source - Data file the issues were found in
+ * @param {Array<{ path: string, message: string }>} issues
+ */
+export function reportDataIssues(source, issues) {
+    if (!issues.length && !issuesBySource.has(source)) return;
+
+    if (issues.length) {
+        issuesBySource.set(source, issues);
+    } else {
+        issuesBySource.delete(source);
+    }
+
+    const allIssues = getDataIssues();
+    listeners.forEach((listener) => listener(allIssues));
+}
+
+export function clearDataIssues() {
+    if (!issuesBySource.size) return;
+    issuesBySource.clear();
+    listeners.forEach((listener) => listener([]));
+}
+
+/**
+ * @param {(issues: Array<{ source: string, path: string, message: string }>) => void} listener
+ * @returns {() => void} Unsubscribe function
+ */
+export function onDataIssuesChange(listener) {
+    listeners.add(listener);
+    if (issuesBySource.size) {
+        listener(getDataIssues());
+    }
+    return () => {
+        listeners.delete(listener);
+    };
+}
@@ -192,4 +192,16 @@ export class DOMManager {
         });
     }
 
+    /**
+     * Offer text as a file download
+     * @param {string} filename - Suggested file name
+     * @param {string} text - File contents
+     * @param {string} [type] - MIME type
+     */
+    static downloadTextFile(filename, text, type = 'application/json') {
+        const href = URL.createObjectURL(new Blob([text], { type }));
+        DOMManager.createElement('a', { download: filename, href }).click();
+        URL.revokeObjectURL(href);
+    }
+
 }
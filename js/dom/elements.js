@@ -5,12 +5,39 @@ const ELEMENT_SELECTORS = {
     body: CONFIG.SELECTORS.BODY,
     main: CONFIG.SELECTORS.MAIN,
     content: CONFIG.SELECTORS.CONTENT,
+    appNotices: '#app-notices',
+    appToast: '#app-toast',
     navList: CONFIG.SELECTORS.NAV_LIST,
     searchBar: CONFIG.SELECTORS.SEARCH_BAR,
     searchClearBtn: CONFIG.SELECTORS.SEARCH_CLEAR_BTN,
     searchContainer: '.search-container',
     mobileSearchBar: '#mobile-search-bar',
     mobileSearchClearBtn: '#mobile-search-clear-btn',
+    searchError: '#search-error',
+    mobileSearchError: '#mobile-search-error',
+    searchSuggestions: '#search-suggestions',
+    mobileSearchSuggestions: '#mobile-search-suggestions',
+    updateCategoryFilter: '#update-category-filter',
+    listSortSelect: '#list-sort-select',
+    itemSortSelect: '#item-sort-select',
+    releaseRangeFromVersion: '#release-range-from-version',
+    releaseRangeToVersion: '#release-range-to-version',
+    releaseRangeFromDate: '#release-range-from-date',
+    releaseRangeToDate: '#release-range-to-date',
+    releaseRangeClearBtn: '#release-range-clear-btn',
+    facetPanel: '#facet-panel',
+    facetClearBtn: '#facet-clear-btn',
+    filterPresetsList: '#filter-presets-list',
+    filterPresetForm: '#filter-preset-form',
+    filterPresetNameInput: '#filter-preset-name',
+    filterPresetsExportBtn: '#filter-presets-export-btn',
+    filterPresetsImportBtn: '#filter-presets-import-btn',
+    filterPresetsImportInput: '#filter-presets-import-input',
+    filterPresetsStatus: '#filter-presets-status',
+    savedSearchesList: '#saved-searches-list',
+    savedSearchForm: '#saved-search-form',
+    savedSearchNameInput: '#saved-search-name',
+    clearRecentSearchesBtn: '#clear-recent-searches-btn',
     filtersFab: '#filters-fab',
     filtersOverlay: '#filters-overlay',
     toggleSwitch: CONFIG.SELECTORS.TOGGLE_SWITCH,
@@ -27,16 +54,27 @@ const ELEMENT_SELECTORS = {
     showStructuresCheckbox: CONFIG.SELECTORS.SHOW_STRUCTURES_CHECKBOX,
     showBordersCheckbox: CONFIG.SELECTORS.SHOW_BORDERS_CHECKBOX,
     showNotableChangesCheckbox: CONFIG.SELECTORS.SHOW_NOTABLE_CHANGES_CHECKBOX,
+    showDevelopmentVersionsCheckbox: CONFIG.SELECTORS.SHOW_DEVELOPMENT_VERSIONS_CHECKBOX,
+    fuzzySearchCheckbox: CONFIG.SELECTORS.FUZZY_SEARCH_CHECKBOX,
+    highlightMatchesCheckbox: CONFIG.SELECTORS.HIGHLIGHT_MATCHES_CHECKBOX,
     controlsPanel: '#controls-panel',
     navPanel: CONFIG.SELECTORS.NAV_PANEL,
     navToggleBtn: CONFIG.SELECTORS.NAV_TOGGLE_BTN,
     overlay: CONFIG.SELECTORS.OVERLAY,
     navOverlay: '#nav-overlay',
     tooltip: CONFIG.SELECTORS.TOOLTIP,
+    itemContextMenu: '#item-context-menu',
     statsBtn: '#stats-btn',
     compareBtn: '#compare-btn',
     timeSinceBtn: '#time-since-btn',
+    searchResultsBtn: '#search-results-btn',
     materialGroupsBtn: '#material-groups-btn',
+    settingsBtn: '#settings-btn',
+    settingsDialog: '#settings-dialog',
+    settingsExportBtn: '#settings-export-btn',
+    settingsImportBtn: '#settings-import-btn',
+    settingsImportInput: '#settings-import-input',
+    settingsStatus: '#settings-status',
     navFab: '#nav-fab',
     filtersSelectAllBtn: '#filters-select-all',
     filtersSelectNoneBtn: '#filters-select-none',
@@ -45,8 +83,14 @@ const ELEMENT_SELECTORS = {
     filtersPopularMobsBtn: '#filters-popular-mobs',
     themeDarkBtn: '#theme-dark-btn',
     themeLightBtn: '#theme-light-btn',
+    editionJavaBtn: '#edition-java-btn',
+    editionBedrockBtn: '#edition-bedrock-btn',
     navSearch: '#nav-search',
     navJump: '#nav-jump',
+    dataSourceForm: '#data-source-form',
+    dataSourceInput: '#data-source-input',
+    dataSourceLabel: '#data-source-label',
+    dataSourceResetBtn: '#data-source-reset-btn',
 };
 
 export function getAppElements() {
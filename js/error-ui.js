@@ -26,3 +26,88 @@ export function showLoadError(container, message, onRetry) {
     panel.append(text, retry);
     container.replaceChildren(panel);
 }
+
+const MISSING_CHUNKS_NOTICE_ID = 'missing-chunks-notice';
+
+/**
+ * Render (or remove, when `failures` is empty) the banner listing update
+ * chunks that failed to load.
+ * @param {HTMLElement} container
+ * @param {Array<{ file: string, error: string }>} failures
+ * @param {{ onRetry: (file: string) => void | Promise<void> }} handlers
+ */
+export function renderMissingChunksNotice(container, failures, { onRetry }) {
+    if (!container) return;
+
+    const existing = container.querySelector(`#${MISSING_CHUNKS_NOTICE_ID}`);
+    if (!failures.length) {
+        existing?.remove();
+        return;
+    }
+
+    const notice = document.createElement('div');
+    notice.id = MISSING_CHUNKS_NOTICE_ID;
+    notice.className = 'app-notice missing-chunks-notice';
+    notice.setAttribute('role', 'alert');
+
+    const header = document.createElement('div');
+    header.className = 'app-notice-header';
+
+    const text = document.createElement('p');
+    text.className = 'app-notice-text';
+    text.textContent = failures.length === 1
+        ? '1 update file could not be loaded. The list may be incomplete.'
+        : `${failures.length} update files could not be loaded. The list may be incomplete.`;
+
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.className = 'app-notice-dismiss';
+    dismiss.setAttribute('aria-label', 'Dismiss');
+    dismiss.textContent = '×';
+    dismiss.addEventListener('click', () => {
+        notice.remove();
+    });
+
+    header.append(text, dismiss);
+
+    const list = document.createElement('ul');
+    list.className = 'missing-chunks-list';
+    failures.forEach(({ file, error }) => {
+        const item = document.createElement('li');
+        item.className = 'missing-chunks-item';
+
+        const name = document.createElement('code');
+        name.className = 'missing-chunks-file';
+        name.textContent = file;
+        name.title = error;
+
+        const retry = document.createElement('button');
+        retry.type = 'button';
+        retry.className = 'secondary-button missing-chunks-retry';
+        retry.dataset.file = file;
+        retry.textContent = 'Retry';
+        retry.addEventListener('click', async () => {
+            retry.disabled = true;
+            retry.textContent = 'Retrying…';
+            try {
+                await onRetry(file);
+            } catch (error) {
+                console.error(`Retrying ${file} failed:`, error);
+                text.textContent = `Retrying ${file} failed: ${error.message}`;
+            } finally {
+                retry.disabled = false;
+                retry.textContent = 'Retry';
+            }
+        });
+
+        item.append(name, retry);
+        list.appendChild(item);
+    });
+
+    notice.append(header, list);
+    if (existing) {
+        existing.replaceWith(notice);
+    } else {
+        container.appendChild(notice);
+    }
+}
@@ -15,11 +15,14 @@ export class MinecraftUpdatesApp {
         Object.assign(this, createAppServices(this, this.ctx));
 
         this.yearEntriesCache = null;
+        this.searchIndex = null;
+        this.searchComboboxes = [];
         this._releaseFocusTrap = null;
         this._releaseNavFocusTrap = null;
         this.pendingRestore = {
             detailTarget: null,
             compareVersionIds: null,
+            itemTarget: null,
         };
         /** @type {HTMLElement | null} */
         this._navFocusReturnEl = null;
@@ -9,10 +9,14 @@ export const CARD_CLASSES = Object.freeze({
     SUBTITLE_TEXT: 'card-subtitle-text',
     SUBTITLE_LINK: 'card-subtitle-link',
     SUBTITLE_SEPARATOR: 'card-subtitle-separator',
+    EDITION_ONLY: 'card-edition-only',
     SECTION: 'card-section',
     SECTION_TITLE: 'section-title',
     GRID: 'element-grid',
     GRID_ITEM: 'grid-item',
+    INTRODUCED_LABEL: 'grid-item-since',
+    SEARCH_MATCH: 'grid-item-match',
+    SEARCH_DIMMED: 'grid-item-dimmed',
     CLICKABLE_CARD: 'clickable-card',
     TOOLTIP_WRAPPER: 'tooltip-wrapper',
     NOTABLE_CONTENT: 'notable-changes-content',
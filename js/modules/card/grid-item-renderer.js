@@ -1,16 +1,33 @@
 import { CONFIG } from '../../config.js';
 import { Utils } from '../../utils.js';
+import { createHighlightedNodes } from '../../ui/search-highlight.js';
 import { CARD_CLASSES, CARD_DATA } from './constants.js';
 
-export function createGridItemElement(item, sectionType) {
+/**
+ * @param {object} item
+ * @param {string} sectionType
+ * @param {Array<string>} [highlightTerms] - Marked in the names of items flagged `search_match`
+ */
+export function createGridItemElement(item, sectionType, highlightTerms = []) {
+    const element = createSectionItem(item, sectionType, item.search_match ? highlightTerms : []);
+    if (item.introduced_in) {
+        markIntroduction(element, item.introduced_in);
+    }
+    if (item.search_match !== undefined) {
+        element.classList.add(item.search_match ? CARD_CLASSES.SEARCH_MATCH : CARD_CLASSES.SEARCH_DIMMED);
+    }
+    return element;
+}
+
+function createSectionItem(item, sectionType, highlightTerms) {
     if (sectionType === 'mobs' || sectionType === 'mob_variants') {
         return createMobItem(item, sectionType);
     }
     if (sectionType === 'enchantments') {
-        return createEnchantmentItem(item);
+        return createEnchantmentItem(item, highlightTerms);
     }
     if (sectionType === 'advancements') {
-        return createAdvancementItem(item);
+        return createAdvancementItem(item, highlightTerms);
     }
     if (sectionType === 'paintings') {
         return createImageCell(item, 'painting-cell', 'painting-cell-image');
@@ -21,6 +38,14 @@ export function createGridItemElement(item, sectionType) {
     return createDefaultItem(item);
 }
 
+/**
+ * Label an item of a release with the development version that first added it.
+ */
+function markIntroduction(element, version) {
+    element.dataset[CARD_DATA.TOOLTIP] = `${element.dataset[CARD_DATA.TOOLTIP] || ''}|since:${version}`;
+    element.appendChild(createTextElement('span', CARD_CLASSES.INTRODUCED_LABEL, version));
+}
+
 export function createPlaceholderGridItem() {
     const placeholder = document.createElement('div');
     placeholder.className = CARD_CLASSES.GRID_ITEM;
@@ -134,7 +159,7 @@ function createParentMob(parentMob) {
     return wrapper;
 }
 
-function createEnchantmentItem(item) {
+function createEnchantmentItem(item, highlightTerms) {
     const root = createGridItem(item, 'ench-cell');
     const inner = document.createElement('div');
     inner.className = 'ench-cell-inner';
@@ -144,14 +169,14 @@ function createEnchantmentItem(item) {
             className: 'inv-img ench-icon',
             src: CONFIG.ENCHANTMENT_ICON,
         }),
-        createTextElement('span', 'ench-name', item.name || ''),
+        createNameElement('ench-name', item.name || '', highlightTerms),
     );
 
     root.appendChild(wrapWithOptionalLink(inner, item.wiki));
     return root;
 }
 
-function createAdvancementItem(item) {
+function createAdvancementItem(item, highlightTerms) {
     const root = createGridItem(item, 'advancement-cell');
     const inner = document.createElement('div');
     inner.className = 'advancement-cell-content';
@@ -161,7 +186,7 @@ function createAdvancementItem(item) {
         ? createImage({ className: 'advancement-icon', src: iconPath, alt: '' })
         : createTextElement('span', 'advancement-icon advancement-icon-placeholder', '');
 
-    inner.append(icon, createTextElement('span', 'advancement-name', item.name || ''));
+    inner.append(icon, createNameElement('advancement-name', item.name || '', highlightTerms));
     root.appendChild(wrapWithOptionalLink(inner, item.wiki));
     return root;
 }
@@ -231,6 +256,13 @@ function wrapWithOptionalLink(content, wiki) {
     return link;
 }
 
+function createNameElement(className, name, highlightTerms) {
+    const element = document.createElement('span');
+    element.className = className;
+    element.append(...createHighlightedNodes(name, highlightTerms));
+    return element;
+}
+
 function createTextElement(tagName, className, text) {
     const element = document.createElement(tagName);
     element.className = className;
@@ -1,4 +1,5 @@
 import { CARD_CLASSES, CARD_DATA } from './constants.js';
+import { UPDATE_CATEGORY_CLASSES, getUpdateCategoryClass } from '../../ui/update-category-filter.js';
 
 export function createCardHeaderElement(model) {
     const header = document.createElement('div');
@@ -51,7 +52,14 @@ export function createCardSubtitleElement(model) {
         parts.push(createSubtitleText(model.subtitle));
     }
     if (model.typeLabel) {
-        parts.push(createSubtitleText(model.typeLabel));
+        const type = createSubtitleText(model.typeLabel);
+        type.classList.add(UPDATE_CATEGORY_CLASSES.BADGE, getUpdateCategoryClass(model.typeCategory));
+        parts.push(type);
+    }
+    if (model.editionLabel) {
+        const edition = createSubtitleText(model.editionLabel);
+        edition.classList.add(CARD_CLASSES.EDITION_ONLY);
+        parts.push(edition);
     }
     if (model.wiki) {
         const link = document.createElement('a');
@@ -5,6 +5,8 @@ import { DOMManager } from '../../dom-manager.js';
 import { SECTION_META, SECTION_TYPES } from '../../section-config.js';
 import { APP_MODES } from '../../app-modes.js';
 import { DOM_CLASSES } from '../../constants/dom-classes.js';
+import { getHighlightTerms, isSearchMatch } from '../../data/search.js';
+import { sortSectionItems } from '../../data/sorting.js';
 import { createGridSectionElement, createNotableChangesSectionElement } from './sections.js';
 import { createCardHeaderElement, createCardStatusBadgeElement, createCardSubtitleElement } from './header.js';
 import { getCardViewModel } from './view-model.js';
@@ -19,6 +21,7 @@ export class CardRenderer {
         const model = getCardViewModel(data, {
             isYearView: this.ctx.queries.isYearView(),
             activeMode: this.ctx.state.activeMode,
+            edition: this.ctx.state.edition,
         });
         const card = DOMManager.createElement('div', {
             id: model.id,
@@ -39,6 +42,9 @@ export class CardRenderer {
 
     renderContent(data) {
         const sections = [];
+        const highlightTerms = this.ctx.state.highlightMatches
+            ? getHighlightTerms(this.ctx.queries.getSearchQuery())
+            : [];
 
         SECTION_TYPES.forEach((type) => {
             const meta = SECTION_META[type];
@@ -48,7 +54,12 @@ export class CardRenderer {
             if (!Array.isArray(items) || items.length === 0) return;
 
             const label = meta?.label || type;
-            sections.push(createGridSectionElement(items, `${label} (${items.length})`, type));
+            sections.push(createGridSectionElement(
+                sortSectionItems(items, this.ctx.state.itemSort),
+                `${label} (${getSectionCountText(items)})`,
+                type,
+                highlightTerms
+            ));
         });
 
         const showNotable =
@@ -73,6 +84,11 @@ export class CardRenderer {
     }
 }
 
+function getSectionCountText(items) {
+    const matches = items.filter(isSearchMatch).length;
+    return matches === items.length ? String(items.length) : `${matches} of ${items.length}`;
+}
+
 function createScreenshotButton() {
     const button = document.createElement('button');
     button.className = DOM_CLASSES.SCREENSHOT_BUTTON;
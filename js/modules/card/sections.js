@@ -3,14 +3,14 @@ import { SECTION_META } from '../../section-config.js';
 import { CARD_CLASSES, CARD_DATA } from './constants.js';
 import { createGridItemElement, createPlaceholderGridItem } from './grid-item-renderer.js';
 
-export function createGridSectionElement(items, title, sectionType) {
+export function createGridSectionElement(items, title, sectionType, highlightTerms = []) {
     const meta = SECTION_META[sectionType];
     const section = createCardSection(sectionType, title);
     const grid = document.createElement('div');
     grid.className = meta?.gridClass ? `${CARD_CLASSES.GRID} ${meta.gridClass}` : CARD_CLASSES.GRID;
 
     items.forEach((item) => {
-        grid.appendChild(createGridItemElement(item, sectionType));
+        grid.appendChild(createGridItemElement(item, sectionType, highlightTerms));
     });
 
     if (meta?.usePlaceholders) {
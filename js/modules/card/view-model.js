@@ -1,14 +1,18 @@
 import { APP_MODES } from '../../app-modes.js';
 import { Utils } from '../../utils.js';
+import { DEFAULT_EDITION, getEditionAvailabilityLabel, getEditionReleaseDate, getVersionLabel } from '../../data/editions.js';
+import { UPDATE_CATEGORIES, UPDATE_CATEGORY_LABELS, getUpdateCategory } from '../../data/update-categories.js';
 
-export function getCardViewModel(data, { isYearView, activeMode }) {
+export function getCardViewModel(data, { isYearView, activeMode, edition = DEFAULT_EDITION }) {
     const isYearContext = isYearView || data.type === 'year';
     const detailType = isYearContext ? 'year' : 'version';
     const title = isYearContext
         ? data.name || 'Untitled'
-        : [data.release_version?.java || '', data.name || ''].filter(Boolean).join(' — ');
-    const subtitle = isYearContext ? '' : getReleaseDateSubtitle(data.release_date);
-    const statusBadge = isYearContext ? null : getReleaseStatusBadge(data.release_date);
+        : [getVersionLabel(data, edition), data.name || ''].filter(Boolean).join(' — ');
+    const releaseDate = getEditionReleaseDate(data, edition);
+    const subtitle = isYearContext ? '' : getReleaseDateSubtitle(releaseDate);
+    const statusBadge = isYearContext ? null : getReleaseStatusBadge(releaseDate);
+    const category = isYearContext ? UPDATE_CATEGORIES.OTHER : getUpdateCategory(data);
 
     return {
         id: Utils.generateCardId(data),
@@ -19,7 +23,9 @@ export function getCardViewModel(data, { isYearView, activeMode }) {
         showClose: activeMode === APP_MODES.DETAIL,
         statusBadge: statusBadge?.label || '',
         statusBadgeType: statusBadge?.type || '',
-        typeLabel: !isYearContext && data.type ? data.type : '',
+        typeLabel: category !== UPDATE_CATEGORIES.OTHER ? UPDATE_CATEGORY_LABELS[category] : '',
+        typeCategory: category,
+        editionLabel: isYearContext ? '' : getEditionAvailabilityLabel(data, edition) || '',
         wiki: data.wiki || '',
     };
 }
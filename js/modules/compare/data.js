@@ -1,9 +1,17 @@
 import { Utils } from '../../utils.js';
 import { CONFIG } from '../../config.js';
+import { SECTION_TYPES } from '../../section-config.js';
 import { filterAllContentTypes } from '../../data/filtering.js';
+import { sortUpdatesByVersion } from '../../data/update-order.js';
+import { flattenDevelopmentVersions } from '../../data/development-versions.js';
+import { DEFAULT_EDITION, getVersionLabel } from '../../data/editions.js';
 
 export function getCompareDataSource(ctx) {
-    return ctx.state.currentView === CONFIG.VIEWS.YEARS ? ctx.queries.getYearEntries() : ctx.state.allUpdates;
+    if (ctx.state.currentView === CONFIG.VIEWS.YEARS) {
+        return ctx.queries.getYearEntries();
+    }
+    const releases = sortUpdatesByVersion(ctx.state.allUpdates, ctx.state.edition);
+    return ctx.state.showDevelopmentVersions ? flattenDevelopmentVersions(releases) : releases;
 }
 
 export function isCompareYearView(ctx) {
@@ -22,19 +30,22 @@ export function findCompareItem(dataSource, cardId) {
     return dataSource.find((item) => Utils.generateCardId(item) === cardId) || null;
 }
 
-export function filterCompareVersion(version, searchQuery, removeDuplicates) {
+export function filterCompareVersion(version, searchQuery, removeDuplicates, searchIndex = null, searchOptions = {}) {
     return {
         ...version,
-        added: filterAllContentTypes(version, searchQuery, removeDuplicates),
+        added: filterAllContentTypes(version, searchQuery, removeDuplicates, SECTION_TYPES, searchIndex, searchOptions),
     };
 }
 
-export function getCompareItemLabel(item, isYearView) {
+export function getCompareItemLabel(item, isYearView, edition = DEFAULT_EDITION) {
     if (isYearView) return item.name;
-    if (item.name) return `${item.release_version?.java || item.name} — ${item.name}`;
-    return item.release_version?.java || 'Unknown';
+    // Development versions follow their release and are indented under it.
+    const prefix = item.development_parent ? '\u00a0\u00a0↳ ' : '';
+    const version = getVersionLabel(item, edition);
+    if (item.name) return `${prefix}${version || item.name} — ${item.name}`;
+    return `${prefix}${version || 'Unknown'}`;
 }
 
-export function getCompareDisplayName(item, fallback) {
-    return item ? item.release_version?.java || item.name || fallback : fallback;
+export function getCompareDisplayName(item, fallback, edition = DEFAULT_EDITION) {
+    return item ? getVersionLabel(item, edition) || item.name || fallback : fallback;
 }
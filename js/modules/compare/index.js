@@ -35,6 +35,7 @@ export class CompareManager {
             dataSource,
             selections: this.ctx.state.compareVersions,
             isYearView: isCompareYearView(this.ctx),
+            edition: this.ctx.state.edition,
         });
 
         attachCompareHandlers({
@@ -79,8 +80,8 @@ export class CompareManager {
         this.ctx.actions.applyCollapsedState();
         renderCompareSummary(
             summary,
-            getCompareDisplayName(version1, 'Version 1'),
-            getCompareDisplayName(version2, 'Version 2')
+            getCompareDisplayName(version1, 'Version 1', this.ctx.state.edition),
+            getCompareDisplayName(version2, 'Version 2', this.ctx.state.edition)
         );
     }
 
@@ -88,7 +89,14 @@ export class CompareManager {
         return filterCompareVersion(
             version,
             this.ctx.queries.getSearchQuery().trim(),
-            this.ctx.state.removeDuplicates
+            this.ctx.state.removeDuplicates,
+            this.ctx.queries.getSearchIndex(),
+            {
+                fuzzy: this.ctx.state.fuzzySearch,
+                edition: this.ctx.state.edition,
+                highlight: Boolean(this.ctx.state.highlightMatches),
+                facets: this.ctx.state.facetFilters,
+            }
         );
     }
 
@@ -103,7 +111,7 @@ export class CompareManager {
         }
 
         void takeElementScreenshot(container, {
-            filename: buildCompareScreenshotFilename(version1, version2),
+            filename: buildCompareScreenshotFilename(version1, version2, this.ctx.state.edition),
             backgroundColor: '#1a1a1a',
             scale: 2,
             errorLabel: 'Compare screenshot failed:',
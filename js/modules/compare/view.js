@@ -2,9 +2,9 @@ import { Utils } from '../../utils.js';
 import { getCompareItemLabel } from './data.js';
 import { COMPARE_CLASSES, COMPARE_DOM } from './constants.js';
 
-export function renderCompareShell(root, { dataSource, selections, isYearView }) {
+export function renderCompareShell(root, { dataSource, selections, isYearView, edition }) {
     if (!root) return;
-    root.replaceChildren(createCompareShell({ dataSource, selections, isYearView }));
+    root.replaceChildren(createCompareShell({ dataSource, selections, isYearView, edition }));
 }
 
 export function renderCompareEmpty(container, summary, { isYearView = false } = {}) {
@@ -41,7 +41,7 @@ function getById(root, id) {
     return root.querySelector?.(`#${id}`) || null;
 }
 
-function createCompareShell({ dataSource, selections, isYearView }) {
+function createCompareShell({ dataSource, selections, isYearView, edition }) {
     const label1 = isYearView ? 'Year 1:' : 'Version 1:';
     const label2 = isYearView ? 'Year 2:' : 'Version 2:';
     const placeholder = isYearView ? 'Select a year...' : 'Select a version...';
@@ -71,8 +71,8 @@ function createCompareShell({ dataSource, selections, isYearView }) {
     const selectors = document.createElement('div');
     selectors.className = COMPARE_CLASSES.SELECTORS;
     selectors.append(
-        createSelector({ id: COMPARE_DOM.SELECT_1_ID, label: label1, placeholder, dataSource, selectedItem: selections[0], isYearView }),
-        createSelector({ id: COMPARE_DOM.SELECT_2_ID, label: label2, placeholder, dataSource, selectedItem: selections[1], isYearView }),
+        createSelector({ id: COMPARE_DOM.SELECT_1_ID, label: label1, placeholder, dataSource, selectedItem: selections[0], isYearView, edition }),
+        createSelector({ id: COMPARE_DOM.SELECT_2_ID, label: label2, placeholder, dataSource, selectedItem: selections[1], isYearView, edition }),
     );
 
     const cards = document.createElement('div');
@@ -83,7 +83,7 @@ function createCompareShell({ dataSource, selections, isYearView }) {
     return root;
 }
 
-function createSelector({ id, label, placeholder, dataSource, selectedItem, isYearView }) {
+function createSelector({ id, label, placeholder, dataSource, selectedItem, isYearView, edition }) {
     const wrapper = document.createElement('div');
     wrapper.className = COMPARE_CLASSES.SELECTOR;
 
@@ -99,7 +99,7 @@ function createSelector({ id, label, placeholder, dataSource, selectedItem, isYe
     const selectedId = selectedItem ? Utils.generateCardId(selectedItem) : null;
     dataSource.forEach((item) => {
         const itemId = Utils.generateCardId(item);
-        const option = createOption(itemId, getCompareItemLabel(item, isYearView));
+        const option = createOption(itemId, getCompareItemLabel(item, isYearView, edition));
         option.selected = itemId === selectedId;
         select.appendChild(option);
     });
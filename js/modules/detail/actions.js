@@ -41,6 +41,10 @@ export async function leaveDetailMode(ctx) {
         ctx.state.activeMode = APP_MODES.COMPARE;
         const compareManager = await ctx.managers.ensureCompare();
         compareManager.render();
+    } else if (returnContext === 'results') {
+        ctx.state.activeMode = APP_MODES.RESULTS;
+        const searchResultsManager = await ctx.managers.ensureSearchResults();
+        searchResultsManager.render();
     } else {
         ctx.state.activeMode = APP_MODES.LIST;
         void ctx.actions.render();
@@ -66,5 +70,6 @@ export function resetMissingDetail(ctx) {
 function getReturnContext(activeMode) {
     if (activeMode === APP_MODES.STATS) return 'stats';
     if (activeMode === APP_MODES.COMPARE) return 'compare';
+    if (activeMode === APP_MODES.RESULTS) return 'results';
     return 'list';
 }
@@ -1,18 +1,56 @@
 import { Utils } from '../../utils.js';
+import { SECTION_TYPES } from '../../section-config.js';
 import { filterAllContentTypes } from '../../data/filtering.js';
+import {
+    flattenDevelopmentVersions,
+    getIntroducingVersion,
+    getIntroductionMap,
+} from '../../data/development-versions.js';
 
 export function getDetailData(ctx, target) {
     if (!target) return null;
     if (target.type === 'year') {
         return ctx.queries.getYearEntries().find((entry) => Utils.generateCardId(entry) === target.id) || null;
     }
-    return ctx.state.allUpdates.find((entry) => Utils.generateCardId(entry) === target.id) || null;
+    // Development versions can be opened even while they are hidden from the list.
+    return flattenDevelopmentVersions(ctx.state.allUpdates)
+        .find((entry) => Utils.generateCardId(entry) === target.id) || null;
 }
 
 export function getFilteredDetailData(ctx, targetData) {
-    const searchQuery = ctx.queries.getSearchQuery().toLowerCase();
+    const searchQuery = ctx.queries.getSearchQuery();
+    const added = filterAllContentTypes(
+        targetData,
+        searchQuery,
+        ctx.state.removeDuplicates,
+        SECTION_TYPES,
+        ctx.queries.getSearchIndex(),
+        {
+            fuzzy: ctx.state.fuzzySearch,
+            edition: ctx.state.edition,
+            highlight: Boolean(ctx.state.highlightMatches),
+            facets: ctx.state.facetFilters,
+        }
+    );
     return {
         ...targetData,
-        added: filterAllContentTypes(targetData, searchQuery, ctx.state.removeDuplicates),
+        added: attributeToDevelopmentVersions(targetData, added),
     };
 }
+
+/**
+ * Tag each item of a release with the development version that first added it.
+ */
+function attributeToDevelopmentVersions(release, added) {
+    const introductions = getIntroductionMap(release);
+    if (!introductions.size) return added;
+
+    return Object.fromEntries(Object.entries(added).map(([sectionType, items]) => [
+        sectionType,
+        items.map((item) => {
+            const introducedBy = getIntroducingVersion(introductions, sectionType, item);
+            if (!introducedBy) return item;
+            return { ...item, introduced_in: introducedBy.release_version?.java || introducedBy.name };
+        }),
+    ]));
+}
@@ -22,3 +22,6 @@ export const MATERIAL_GROUPS_CLASSES = Object.freeze({
 export const MATERIAL_GROUPS_DATA = Object.freeze({
     SECTION_ID: 'sectionId',
 });
+
+/** localStorage key prefix for collapsed material group sections (value `'true'`). */
+export const MATERIAL_GROUP_COLLAPSED_KEY_PREFIX = 'material-group-collapsed-';
@@ -1,24 +1,33 @@
-import { Utils } from '../../utils.js';
-import { CONFIG } from '../../config.js';
+import { getDataSource } from '../../data-source.js';
+import { validateMaterialGroups } from '../../validate-data.js';
+import { reportDataIssues } from '../../diagnostics.js';
 
 export async function loadMaterialGroupsData() {
     try {
-        const fileIndex = await Utils.fetchJSON(CONFIG.BASE_URL + '/data/special/file_index.json');
+        const source = getDataSource();
+        const fileIndex = await source.fetchJSON('data/special/file_index.json');
         if (!fileIndex?.files?.length) {
             throw new Error('No files found in file index');
         }
 
         const fileDataArray = await Promise.all(
             fileIndex.files.map((filePath) =>
-                Utils.fetchJSON(CONFIG.BASE_URL + '/' + filePath).catch((error) => {
-                    console.warn(`Failed to load ${filePath}:`, error);
-                    return null;
-                })
+                source.fetchJSON(filePath).then(
+                    (fileData) => {
+                        const check = validateMaterialGroups(normalizeMaterialGroupFile(fileData), filePath);
+                        reportDataIssues(filePath, check.issues);
+                        return check.value;
+                    },
+                    (error) => {
+                        console.warn(`Failed to load ${filePath}:`, error);
+                        return [];
+                    }
+                )
             )
         );
 
         return {
-            content: fileDataArray.flatMap(normalizeMaterialGroupFile),
+            content: fileDataArray.flat(),
         };
     } catch (error) {
         console.error('Error loading material groups data:', error);
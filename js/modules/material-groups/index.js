@@ -6,6 +6,7 @@ import { renderStatusMessage } from '../../ui/status-view.js';
 import { loadMaterialGroupsData } from './data.js';
 import { renderMaterialGroupsView } from './view.js';
 import { attachMaterialGroupToggleHandlers } from './controller.js';
+import { MATERIAL_GROUP_COLLAPSED_KEY_PREFIX } from './constants.js';
 
 export class MaterialGroupsManager {
     constructor(ctx) {
@@ -57,6 +58,6 @@ export class MaterialGroupsManager {
     }
 
     getStorageKey(sectionId) {
-        return `material-group-collapsed-${sectionId}`;
+        return `${MATERIAL_GROUP_COLLAPSED_KEY_PREFIX}${sectionId}`;
     }
 }
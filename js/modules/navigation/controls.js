@@ -1,5 +1,8 @@
 import { Utils } from '../../utils.js';
 import { CONFIG } from '../../config.js';
+import { sortUpdatesByVersion } from '../../data/update-order.js';
+import { getVersionLabel } from '../../data/editions.js';
+import { toggleDevelopmentGroup } from './development.js';
 
 export function updateNavControls(ctx, data, isDetailMode = false) {
     const controls = document.querySelector('.nav-controls');
@@ -8,9 +11,10 @@ export function updateNavControls(ctx, data, isDetailMode = false) {
     }
     if (!data || isDetailMode || !ctx.elements.navJump) return;
 
+    const jumpItems = ctx.state.currentView === CONFIG.VIEWS.YEARS ? data : sortUpdatesByVersion(data, ctx.state.edition);
     ctx.elements.navJump.replaceChildren(
         createJumpOption('', 'Jump to…'),
-        ...data.map((item) => createJumpOption(Utils.generateCardId(item), getNavItemLabel(ctx, item))),
+        ...jumpItems.map((item) => createJumpOption(Utils.generateCardId(item), getNavItemLabel(ctx, item))),
     );
 }
 
@@ -20,19 +24,33 @@ export function applyNavFilter(ctx, query) {
 
     const normalized = (query || '').trim().toLowerCase();
     items.forEach((li) => {
-        const text = li.textContent?.toLowerCase() || '';
+        const link = li.querySelector('a');
+        const text = (link || li).textContent?.toLowerCase() || '';
         li.style.display = !normalized || text.includes(normalized) ? '' : 'none';
     });
+
+    // Keep a release visible, and its group open, when one of its
+    // development versions matches.
+    if (!normalized) return;
+    ctx.elements.navList.querySelectorAll('.nav-dev-toggle').forEach((toggle) => {
+        const parentItem = toggle.parentElement;
+        const hasMatch = [...(parentItem?.querySelector('.nav-dev-list')?.children || [])]
+            .some((li) => li.style.display !== 'none');
+        if (!hasMatch) return;
+        parentItem.style.display = '';
+        toggleDevelopmentGroup(toggle, true);
+    });
 }
 
 function getNavItemLabel(ctx, item) {
     if (ctx.state.currentView === CONFIG.VIEWS.YEARS) {
         return item.name;
     }
+    const version = getVersionLabel(item, ctx.state.edition);
     if (item.name) {
-        return `${item.release_version?.java || item.name} — ${item.name}`;
+        return `${version || item.name} — ${item.name}`;
     }
-    return item.release_version?.java || 'Unknown';
+    return version || 'Unknown';
 }
 
 function createJumpOption(value, label) {
@@ -2,7 +2,10 @@ import { Utils } from '../../utils.js';
 import { CONFIG } from '../../config.js';
 import { DOMManager } from '../../dom-manager.js';
 import { DETAIL_STATS_ORDER, SECTION_META } from '../../section-config.js';
+import { flattenDevelopmentVersions } from '../../data/development-versions.js';
+import { getEditionReleaseDate, getVersionLabel } from '../../data/editions.js';
 import { updateNavControls } from './controls.js';
+import { createDevelopmentGroup, developmentVersionsLabel } from './development.js';
 
 export function renderDetailNavigation(ctx, detailData) {
     if (!detailData) return;
@@ -19,6 +22,11 @@ export function renderDetailNavigation(ctx, detailData) {
     if (navSection) {
         ctx.elements.navList.appendChild(navSection);
     }
+
+    const developmentSection = createDevelopmentNavigation(ctx, detailData);
+    if (developmentSection) {
+        ctx.elements.navList.appendChild(developmentSection);
+    }
 }
 
 function getDetailStats(ctx, detailData) {
@@ -81,7 +89,7 @@ function createStatsSection(stats) {
 
 function createVersionNavigation(ctx, detailData) {
     const isYearView = ctx.state.detailTarget?.type === 'year';
-    const dataSource = isYearView ? ctx.queries.getYearEntries() : ctx.state.allUpdates;
+    const dataSource = getVersionNavigationSource(ctx, isYearView);
     const currentIndex = dataSource.findIndex(
         (item) => Utils.generateCardId(item) === Utils.generateCardId(detailData)
     );
@@ -105,17 +113,65 @@ function createVersionNavigation(ctx, detailData) {
     navList.className = 'nav-version-nav-list';
 
     if (prevItem) {
-        navList.appendChild(createVersionNavButton(prevItem, 'Next', isYearView));
+        navList.appendChild(createVersionNavButton(ctx, prevItem, 'Next', isYearView));
     }
     if (nextItem) {
-        navList.appendChild(createVersionNavButton(nextItem, 'Previous', isYearView));
+        navList.appendChild(createVersionNavButton(ctx, nextItem, 'Previous', isYearView));
     }
 
     section.appendChild(navList);
     return section;
 }
 
-function createVersionNavButton(item, label, isYearView) {
+function getVersionNavigationSource(ctx, isYearView) {
+    if (isYearView) return ctx.queries.getYearEntries();
+    return ctx.state.showDevelopmentVersions
+        ? flattenDevelopmentVersions(ctx.state.allUpdates)
+        : ctx.state.allUpdates;
+}
+
+/**
+ * Link a development version back to its release, and list a release's
+ * development versions (when shown) in a collapsed group.
+ */
+function createDevelopmentNavigation(ctx, detailData) {
+    if (ctx.state.detailTarget?.type === 'year') return null;
+
+    const section = document.createElement('div');
+    section.className = 'nav-version-nav-section';
+
+    const title = document.createElement('h4');
+    title.className = 'nav-section-title';
+
+    if (detailData.development_parent) {
+        const parent = ctx.state.allUpdates.find(
+            (item) => Utils.generateCardId(item) === detailData.development_parent
+        );
+        if (!parent) return null;
+        title.textContent = 'Release';
+        const navList = document.createElement('div');
+        navList.className = 'nav-version-nav-list';
+        navList.appendChild(createVersionNavButton(ctx, parent, 'Part of', false));
+        section.append(title, navList);
+        return section;
+    }
+
+    const children = detailData.development_versions || [];
+    if (!children.length || !ctx.state.showDevelopmentVersions) return null;
+
+    title.textContent = 'Development versions';
+    const items = children.map((child) => {
+        const li = document.createElement('li');
+        const releaseDate = getEditionReleaseDate(child, ctx.state.edition) || 'Undated';
+        li.appendChild(createVersionNavButton(ctx, child, releaseDate, false));
+        return li;
+    });
+    const { toggle, list } = createDevelopmentGroup(developmentVersionsLabel(children.length), items);
+    section.append(title, toggle, list);
+    return section;
+}
+
+function createVersionNavButton(ctx, item, label, isYearView) {
     const button = document.createElement('button');
     button.className = 'nav-version-nav-btn';
     button.type = 'button';
@@ -131,7 +187,7 @@ function createVersionNavButton(item, label, isYearView) {
     if (isYearView) {
         nameSpan.textContent = item.name;
     } else {
-        const version = item.release_version?.java || '';
+        const version = getVersionLabel(item, ctx.state.edition);
         const name = item.name || '';
         nameSpan.textContent = [version, name].filter(Boolean).join(' — ') || 'Unknown';
     }
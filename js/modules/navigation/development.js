@@ -0,0 +1,40 @@
+import { DOMManager } from '../../dom-manager.js';
+
+/**
+ * Collapsible list of development versions, collapsed by default.
+ * @param {string} label - Toggle text
+ * @param {Array<HTMLElement>} items - `li` elements for the nested list
+ * @returns {{ toggle: HTMLButtonElement, list: HTMLUListElement }}
+ */
+export function createDevelopmentGroup(label, items) {
+    const list = DOMManager.createElement('ul', { className: 'nav-dev-list' });
+    list.hidden = true;
+    list.append(...items);
+
+    const toggle = DOMManager.createElement('button', {
+        className: 'nav-dev-toggle',
+        type: 'button',
+        'aria-expanded': 'false',
+    }, label);
+
+    return { toggle, list };
+}
+
+/**
+ * @param {HTMLButtonElement} toggle - A `.nav-dev-toggle` created by createDevelopmentGroup
+ * @param {boolean} [expanded] - Defaults to flipping the current state
+ */
+export function toggleDevelopmentGroup(toggle, expanded = toggle.getAttribute('aria-expanded') !== 'true') {
+    const list = toggle.parentElement?.querySelector('.nav-dev-list');
+    if (!list) return;
+    toggle.setAttribute('aria-expanded', String(expanded));
+    list.hidden = !expanded;
+}
+
+/**
+ * @param {number} count
+ * @returns {string}
+ */
+export function developmentVersionsLabel(count) {
+    return `${count} development version${count === 1 ? '' : 's'}`;
+}
@@ -5,6 +5,7 @@ import { applyNavFilter } from './controls.js';
 import { renderDetailNavigation } from './detail.js';
 import { renderListNavigation } from './list.js';
 import { scrollToDetailSection } from './scroll.js';
+import { toggleDevelopmentGroup } from './development.js';
 
 export class NavigationManager {
     constructor(ctx) {
@@ -26,4 +27,8 @@ export class NavigationManager {
     scrollToSection(sectionType) {
         scrollToDetailSection(this.ctx, sectionType);
     }
+
+    toggleDevelopmentGroup(toggle) {
+        toggleDevelopmentGroup(toggle);
+    }
 }
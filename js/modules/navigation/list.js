@@ -1,17 +1,51 @@
 import { Utils } from '../../utils.js';
 import { CONFIG } from '../../config.js';
 import { DOMManager } from '../../dom-manager.js';
+import { getEditionReleaseDate, getVersionLabel } from '../../data/editions.js';
 import { applyNavFilter, updateNavControls } from './controls.js';
+import { createDevelopmentGroup, developmentVersionsLabel } from './development.js';
+import { UPDATE_CATEGORY_LABELS, getUpdateCategory } from '../../data/update-categories.js';
+import { UPDATE_CATEGORY_CLASSES, getUpdateCategoryClass } from '../../ui/update-category-filter.js';
 
 export function renderListNavigation(ctx, data) {
     updateNavControls(ctx, data);
-    const navItems = data.map((item) => createListNavItem(ctx, item));
+    const navItems = createNestedNavItems(ctx, data);
     const fragment = DOMManager.createFragment(navItems);
     DOMManager.clearContainer(ctx.elements.navList);
     ctx.elements.navList.appendChild(fragment);
     applyNavFilter(ctx, ctx.elements.navSearch?.value || '');
 }
 
+/**
+ * Development versions shown in the list are nested under their release's
+ * nav item, whichever way the list is sorted; those whose release was
+ * filtered out stay top-level.
+ */
+function createNestedNavItems(ctx, data) {
+    const topLevel = [];
+    const entries = data.map((item) => ({ item, li: createListNavItem(ctx, item) }));
+    const parents = new Map(entries
+        .filter(({ item }) => !item.development_parent)
+        .map(({ item, li }) => [Utils.generateCardId(item), { li, children: [] }]));
+
+    entries.forEach(({ item, li }) => {
+        const parent = item.development_parent ? parents.get(item.development_parent) : null;
+        if (parent) {
+            parent.children.push(li);
+            return;
+        }
+        topLevel.push(li);
+    });
+
+    parents.forEach(({ li, children }) => {
+        if (!children.length) return;
+        const { toggle, list } = createDevelopmentGroup(developmentVersionsLabel(children.length), children);
+        li.append(toggle, list);
+    });
+
+    return topLevel;
+}
+
 function createListNavItem(ctx, item) {
     const itemDisplayName = item.name;
     const li = DOMManager.createElement('li');
@@ -20,9 +54,14 @@ function createListNavItem(ctx, item) {
     });
 
     if (ctx.state.currentView === CONFIG.VIEWS.VERSIONS) {
-        const displayDate = item.release_date || 'upcoming';
+        const displayDate = getEditionReleaseDate(item, ctx.state.edition) || 'upcoming';
         const date = DOMManager.createElement('span', { className: 'nav-date' }, displayDate);
-        a.append(itemDisplayName || item.release_version?.java || '', date);
+        const category = getUpdateCategory(item);
+        const dot = DOMManager.createElement('span', {
+            className: `${UPDATE_CATEGORY_CLASSES.DOT} ${getUpdateCategoryClass(category)}`,
+            title: UPDATE_CATEGORY_LABELS[category],
+        });
+        a.append(dot, itemDisplayName || getVersionLabel(item, ctx.state.edition), date);
     } else {
         a.textContent = itemDisplayName;
     }
@@ -0,0 +1,34 @@
+export const SEARCH_RESULTS_CLASSES = Object.freeze({
+    CONTAINER: 'search-results',
+    TITLE: 'search-results-title',
+    SUMMARY: 'search-results-summary',
+    TABLE_WRAPPER: 'search-results-table-wrapper',
+    TABLE: 'search-results-table',
+    SORT_BUTTON: 'search-results-sort',
+    ICON: 'search-results-icon',
+    IDENTIFIER: 'search-results-identifier',
+    VERSION_LINK: 'search-results-version',
+});
+
+export const SEARCH_RESULT_SORT_KEYS = Object.freeze({
+    NAME: 'name',
+    IDENTIFIER: 'identifier',
+    SECTION: 'section',
+    VERSION: 'version',
+    DATE: 'date',
+});
+
+export const SEARCH_RESULT_COLUMNS = Object.freeze([
+    { key: null, label: '' },
+    { key: SEARCH_RESULT_SORT_KEYS.NAME, label: 'Name' },
+    { key: SEARCH_RESULT_SORT_KEYS.IDENTIFIER, label: 'Identifier' },
+    { key: SEARCH_RESULT_SORT_KEYS.SECTION, label: 'Section' },
+    { key: SEARCH_RESULT_SORT_KEYS.VERSION, label: 'Version' },
+    { key: SEARCH_RESULT_SORT_KEYS.DATE, label: 'Added' },
+]);
+
+/** Oldest first: answers "when was this added". */
+export const DEFAULT_SEARCH_RESULT_SORT = Object.freeze({ key: SEARCH_RESULT_SORT_KEYS.DATE, direction: 'asc' });
+
+/** Rows rendered at once; broader queries show a notice instead. */
+export const SEARCH_RESULTS_LIMIT = 500;
@@ -0,0 +1,73 @@
+import { CONFIG } from '../../config.js';
+import { SECTION_META, SECTION_TYPES } from '../../section-config.js';
+import { Utils } from '../../utils.js';
+import { filterUpdates, getFilterOptions } from '../../data/filtering.js';
+import { DEFAULT_EDITION, getEditionReleaseDate, getVersionLabel } from '../../data/editions.js';
+import { compareUpdatesByReleaseDate, createVersionComparator } from '../../data/update-order.js';
+import { SEARCH_RESULT_SORT_KEYS } from './constants.js';
+
+/**
+ * One row per item matching the current search, with the version that added it.
+ * @param {object} ctx
+ * @returns {Array<{ item: object, section: string, sectionLabel: string, update: object, cardId: string, version: string, date: string | null }>}
+ */
+export function getSearchResultRows(ctx) {
+    const query = ctx.queries.getSearchQuery();
+    if (!query.trim()) return [];
+
+    const edition = ctx.state.edition || DEFAULT_EDITION;
+    const entries = filterUpdates(
+        ctx.state.allUpdates,
+        { ...getFilterOptions(ctx.state, CONFIG.VIEWS.VERSIONS, query), highlightMatches: false },
+        ctx.queries.getSearchIndex()
+    );
+
+    return entries.flatMap((update) => SECTION_TYPES.flatMap((section) => {
+        const stateKey = SECTION_META[section]?.stateKey;
+        if (stateKey && !ctx.state[stateKey]) return [];
+        return (update.added?.[section] || []).map((item) => ({
+            item,
+            section,
+            sectionLabel: SECTION_META[section]?.label || section,
+            update,
+            cardId: Utils.generateCardId(update),
+            version: getVersionLabel(update, edition) || update.name || '',
+            date: getEditionReleaseDate(update, edition),
+        }));
+    }));
+}
+
+function compareText(a, b) {
+    return String(a || '').localeCompare(String(b || ''), undefined, { sensitivity: 'base', numeric: true });
+}
+
+function getRowComparator(key, edition, rows) {
+    switch (key) {
+        case SEARCH_RESULT_SORT_KEYS.IDENTIFIER:
+            return (a, b) => compareText(a.item.identifier, b.item.identifier);
+        case SEARCH_RESULT_SORT_KEYS.SECTION:
+            return (a, b) => SECTION_TYPES.indexOf(a.section) - SECTION_TYPES.indexOf(b.section);
+        // Update comparators order newest first; rows sort ascending by default.
+        case SEARCH_RESULT_SORT_KEYS.VERSION: {
+            const compareUpdates = createVersionComparator(rows.map((row) => row.update), edition);
+            return (a, b) => compareUpdates(b.update, a.update);
+        }
+        case SEARCH_RESULT_SORT_KEYS.DATE:
+            return (a, b) => compareUpdatesByReleaseDate(b.update, a.update, edition);
+        default:
+            return (a, b) => compareText(a.item.name, b.item.name);
+    }
+}
+
+/**
+ * @param {Array<object>} rows - From getSearchResultRows
+ * @param {{ key: string, direction: 'asc' | 'desc' }} sort
+ * @param {string} [edition]
+ * @returns {Array<object>} New sorted array; ties are broken by name
+ */
+export function sortSearchResultRows(rows, { key, direction }, edition = DEFAULT_EDITION) {
+    const compare = getRowComparator(key, edition, rows);
+    const byName = getRowComparator(SEARCH_RESULT_SORT_KEYS.NAME, edition, rows);
+    const sign = direction === 'desc' ? -1 : 1;
+    return [...rows].sort((a, b) => sign * compare(a, b) || byName(a, b));
+}
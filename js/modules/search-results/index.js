@@ -0,0 +1,39 @@
+/**
+ * Search results module: every item matching the search as one flat, sortable table.
+ */
+import { DOMManager } from '../../dom-manager.js';
+import { DEFAULT_SEARCH_RESULT_SORT } from './constants.js';
+import { getSearchResultRows, sortSearchResultRows } from './data.js';
+import { renderSearchResultsView } from './view.js';
+
+export class SearchResultsManager {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.state = {
+            sort: { ...DEFAULT_SEARCH_RESULT_SORT },
+        };
+    }
+
+    render() {
+        DOMManager.clearContainer(this.ctx.elements.navList);
+        const rows = sortSearchResultRows(getSearchResultRows(this.ctx), this.state.sort, this.ctx.state.edition);
+        renderSearchResultsView(this.ctx.elements.content, rows, {
+            query: this.ctx.queries.getSearchQuery(),
+            sort: this.state.sort,
+            onSort: (key) => this.setSort(key),
+            onOpenVersion: (cardId) => this.ctx.managers.detailView().open('version', cardId),
+        });
+    }
+
+    /**
+     * Sort by `key`, or flip the direction when it is already the sort key.
+     * @param {string} key
+     */
+    setSort(key) {
+        const { sort } = this.state;
+        this.state.sort = sort.key === key
+            ? { key, direction: sort.direction === 'asc' ? 'desc' : 'asc' }
+            : { key, direction: 'asc' };
+        this.render();
+    }
+}
@@ -0,0 +1,94 @@
+import { Utils } from '../../utils.js';
+import { DOMManager } from '../../dom-manager.js';
+import { createStatusMessageElement } from '../../ui/status-view.js';
+import { SEARCH_RESULT_COLUMNS, SEARCH_RESULTS_CLASSES, SEARCH_RESULTS_LIMIT } from './constants.js';
+
+/**
+ * @param {HTMLElement} container
+ * @param {Array<object>} rows - Sorted rows from getSearchResultRows
+ * @param {{ query: string, sort: { key: string, direction: string }, onSort: (key: string) => void, onOpenVersion: (cardId: string) => void }} options
+ */
+export function renderSearchResultsView(container, rows, { query, sort, onSort, onOpenVersion }) {
+    if (!query.trim()) {
+        container.replaceChildren(createStatusMessageElement('Type in the search box to list matching items.'));
+        return;
+    }
+    if (!rows.length) {
+        container.replaceChildren(createStatusMessageElement(`No items match "${query}"`));
+        return;
+    }
+
+    const root = DOMManager.createElement('div', { className: SEARCH_RESULTS_CLASSES.CONTAINER });
+    root.appendChild(DOMManager.createElement('h1', { className: SEARCH_RESULTS_CLASSES.TITLE }, 'Search results'));
+    root.appendChild(DOMManager.createElement('p', { className: SEARCH_RESULTS_CLASSES.SUMMARY }, getSummaryText(rows.length, query)));
+
+    const table = DOMManager.createElement('table', { className: SEARCH_RESULTS_CLASSES.TABLE });
+    table.appendChild(createHeader(sort, onSort));
+    const body = document.createElement('tbody');
+    rows.slice(0, SEARCH_RESULTS_LIMIT).forEach((row) => body.appendChild(createRow(row, onOpenVersion)));
+    table.appendChild(body);
+
+    const wrapper = DOMManager.createElement('div', { className: SEARCH_RESULTS_CLASSES.TABLE_WRAPPER });
+    wrapper.appendChild(table);
+    root.appendChild(wrapper);
+    container.replaceChildren(root);
+}
+
+function getSummaryText(count, query) {
+    const matches = `${count} ${count === 1 ? 'item matches' : 'items match'} "${query}"`;
+    return count > SEARCH_RESULTS_LIMIT ? `${matches}; showing the first ${SEARCH_RESULTS_LIMIT}.` : `${matches}.`;
+}
+
+function createHeader(sort, onSort) {
+    const head = document.createElement('thead');
+    const row = document.createElement('tr');
+    SEARCH_RESULT_COLUMNS.forEach(({ key, label }) => {
+        const cell = DOMManager.createElement('th', { scope: 'col' });
+        if (!key) {
+            row.appendChild(cell);
+            return;
+        }
+        const active = sort.key === key;
+        cell.setAttribute('aria-sort', active ? (sort.direction === 'desc' ? 'descending' : 'ascending') : 'none');
+        const button = DOMManager.createElement('button', { type: 'button', className: SEARCH_RESULTS_CLASSES.SORT_BUTTON }, label);
+        button.dataset.sortKey = key;
+        button.addEventListener('click', () => onSort(key));
+        cell.appendChild(button);
+        row.appendChild(cell);
+    });
+    head.appendChild(row);
+    return head;
+}
+
+function createRow({ item, sectionLabel, update, cardId, version, date }, onOpenVersion) {
+    const row = document.createElement('tr');
+
+    const iconCell = document.createElement('td');
+    const src = Utils.resolveImagePath(item);
+    if (src) {
+        const icon = DOMManager.createElement('img', { className: SEARCH_RESULTS_CLASSES.ICON, src, alt: '', loading: 'lazy' });
+        iconCell.appendChild(icon);
+    }
+
+    const versionCell = document.createElement('td');
+    const link = DOMManager.createElement('a', {
+        className: SEARCH_RESULTS_CLASSES.VERSION_LINK,
+        href: `?mode=detail&detailType=version&detailId=${encodeURIComponent(cardId)}`,
+        title: update.name || version,
+    }, version);
+    link.addEventListener('click', (event) => {
+        event.preventDefault();
+        onOpenVersion(cardId);
+    });
+    versionCell.appendChild(link);
+
+    row.append(
+        iconCell,
+        DOMManager.createElement('td', {}, item.name || ''),
+        DOMManager.createElement('td', { className: SEARCH_RESULTS_CLASSES.IDENTIFIER }, item.identifier || ''),
+        DOMManager.createElement('td', {}, sectionLabel),
+        versionCell,
+        DOMManager.createElement('td', {}, Utils.formatDateForDisplay(date)),
+    );
+    return row;
+}
@@ -1,6 +1,7 @@
 import { DOMManager } from '../../dom-manager.js';
 import { ensureHtml2Canvas } from '../../cdn-loaders.js';
 import { DOM_SELECTORS } from '../../constants/dom-classes.js';
+import { DEFAULT_EDITION, getVersionLabel } from '../../data/editions.js';
 
 export function takeElementScreenshot(element, {
     filename,
@@ -40,8 +41,8 @@ export function sanitizeScreenshotFilename(value) {
     return String(value || 'screenshot').replace(/[^a-z0-9_.-]/gi, '_');
 }
 
-export function buildCompareScreenshotFilename(version1, version2) {
-    const name1 = version1?.release_version?.java || version1?.name || 'v1';
-    const name2 = version2?.release_version?.java || version2?.name || 'v2';
+export function buildCompareScreenshotFilename(version1, version2, edition = DEFAULT_EDITION) {
+    const name1 = getVersionLabel(version1, edition) || version1?.name || 'v1';
+    const name2 = getVersionLabel(version2, edition) || version2?.name || 'v2';
     return sanitizeScreenshotFilename(`compare_${name1}_vs_${name2}.png`);
 }
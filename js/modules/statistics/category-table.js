@@ -0,0 +1,50 @@
+import { DOMManager } from '../../dom-manager.js';
+import { UPDATE_CATEGORY_CLASSES, getUpdateCategoryClass } from '../../ui/update-category-filter.js';
+import { getContentColumns } from './content-table.js';
+
+/**
+ * Content per update category: one row per category with its number of
+ * updates and the enabled content columns.
+ * @param {{ categoryTableHead: HTMLElement, categoryTableBody: HTMLElement }} elements
+ * @param {Array<object>} categoryStats - From getCategoryStats
+ * @param {object} appState
+ */
+export function renderStatisticsCategoryTable(elements, categoryStats, appState) {
+    const thead = elements?.categoryTableHead;
+    const tbody = elements?.categoryTableBody;
+    if (!thead || !tbody) return;
+
+    const columns = [
+        { key: 'label', label: 'Update type' },
+        { key: 'updates', label: 'Updates' },
+        ...getContentColumns(appState),
+        { key: 'total', label: 'Total' },
+    ];
+
+    DOMManager.clearContainer(thead);
+    const headRow = document.createElement('tr');
+    columns.forEach((col) => {
+        const cell = document.createElement('th');
+        cell.textContent = col.label;
+        headRow.appendChild(cell);
+    });
+    thead.appendChild(headRow);
+
+    DOMManager.clearContainer(tbody);
+    categoryStats.forEach((stat) => {
+        const row = tbody.insertRow();
+        columns.forEach((col) => {
+            const cell = row.insertCell();
+            if (col.key === 'label') {
+                const swatch = document.createElement('span');
+                swatch.className = `${UPDATE_CATEGORY_CLASSES.SWATCH} ${getUpdateCategoryClass(stat.category)}`;
+                swatch.setAttribute('aria-hidden', 'true');
+                cell.append(swatch, document.createTextNode(` ${stat.label}`));
+            } else if (col.key === 'updates') {
+                cell.textContent = String(stat.updates);
+            } else {
+                cell.textContent = String(stat.counts[col.key] || 0);
+            }
+        });
+    });
+}
@@ -14,10 +14,11 @@ export async function renderStatisticsChart({
     await ensureChartJs();
     const Chart = globalThis.Chart;
 
-    const statsData = getChartStatsData(
-        isYearView ? statisticsState.yearsStats : statisticsState.versionsStats,
-        isYearView,
-    );
+    // The update type split sums version stats, so it is the same in both views.
+    const isCategoryChart = statisticsState.chartType === 'category';
+    const statsData = isCategoryChart
+        ? statisticsState.categoryStats
+        : getChartStatsData(isYearView ? statisticsState.yearsStats : statisticsState.versionsStats, isYearView);
     if (!statsData || !statsData.length) {
         destroyChart();
         setPlaceholder('No statistics data available.', true);
@@ -28,8 +29,8 @@ export async function renderStatisticsChart({
         return;
     }
 
-    const labelKey = isYearView ? 'year' : 'version';
-    const isAbsoluteBar = statisticsState.chartType === 'bar-absolute';
+    const labelKey = isCategoryChart ? 'label' : isYearView ? 'year' : 'version';
+    const isAbsoluteBar = statisticsState.chartType === 'bar-absolute' || isCategoryChart;
     const chartData = calculateChartData(statsData, labelKey, !isAbsoluteBar);
 
     if (!chartData.labels.length) {
@@ -38,7 +39,7 @@ export async function renderStatisticsChart({
         return;
     }
 
-    const isBarChart = statisticsState.chartType === 'bar' || statisticsState.chartType === 'bar-absolute';
+    const isBarChart = statisticsState.chartType === 'bar' || isAbsoluteBar;
     const datasets = buildDatasets({ chartData, appState, isBarChart });
 
     if (datasets.length === 0) {
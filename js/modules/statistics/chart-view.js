@@ -14,6 +14,7 @@ export function createStatisticsChartCard(heading, chartType) {
         createChartToggleButton('line', 'Line', chartType),
         createChartToggleButton('bar', 'Stacked Bar', chartType),
         createChartToggleButton('bar-absolute', 'Absolute Bar', chartType),
+        createChartToggleButton('category', 'By Update Type', chartType),
     );
 
     const wrapper = document.createElement('div');
@@ -6,6 +6,7 @@ export const STATISTICS_DOM = Object.freeze({
     SHORTEST_TABLE_ID: 'stats-shortest-table',
     CONTENT_TITLE_ID: 'stats-content-title',
     CONTENT_TABLE_ID: 'stats-content-table',
+    CATEGORY_TABLE_ID: 'stats-category-table',
 });
 
 export const STATISTICS_CLASSES = Object.freeze({
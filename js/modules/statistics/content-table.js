@@ -55,8 +55,8 @@ function renderTableHead(thead, columns) {
     thead.appendChild(row);
 }
 
-export function getTableColumns(appState) {
-    const filteredContentColumns = STATS_COLUMNS_ORDER
+export function getContentColumns(appState) {
+    return STATS_COLUMNS_ORDER
         .map((key) => {
             const meta = SECTION_META[key];
             if (!meta?.statsTable) return null;
@@ -64,6 +64,10 @@ export function getTableColumns(appState) {
             return enabled ? { key, label: meta.label } : null;
         })
         .filter(Boolean);
+}
+
+export function getTableColumns(appState) {
+    const filteredContentColumns = getContentColumns(appState);
 
     if (appState.currentView === CONFIG.VIEWS.YEARS) {
         return [
@@ -1,15 +1,146 @@
-import { Utils } from '../../utils.js';
-import { CONFIG } from '../../config.js';
+import { getDataSource } from '../../data-source.js';
+import { validateStatisticsBundle } from '../../validate-data.js';
+import { reportDataIssues } from '../../diagnostics.js';
+import { EDITIONS, getEditionReleaseDate, getEditionVersion } from '../../data/editions.js';
+import {
+    createReleaseRangePredicate,
+    isReleaseRangeActive,
+    isYearInReleaseRange,
+    resolveReleaseRange,
+} from '../../data/release-range.js';
+import {
+    UPDATE_CATEGORY_LABELS,
+    UPDATE_CATEGORY_ORDER,
+    getUpdateCategory,
+} from '../../data/update-categories.js';
+
+const STATISTICS_FILES = {
+    versionsStats: 'data/statistics/by_versions.json',
+    yearsStats: 'data/statistics/by_years.json',
+    namesStats: 'data/statistics/names.json',
+};
 
 export async function loadStatisticsBundle() {
     try {
+        const source = getDataSource();
         const [versionsStats, yearsStats, namesStats] = await Promise.all([
-            Utils.fetchJSON(CONFIG.BASE_URL + '/data/statistics/by_versions.json'),
-            Utils.fetchJSON(CONFIG.BASE_URL + '/data/statistics/by_years.json'),
-            Utils.fetchJSON(CONFIG.BASE_URL + '/data/statistics/names.json'),
+            source.fetchJSON(STATISTICS_FILES.versionsStats),
+            source.fetchJSON(STATISTICS_FILES.yearsStats),
+            source.fetchJSON(STATISTICS_FILES.namesStats),
         ]);
-        return { versionsStats, yearsStats, namesStats };
+        const check = validateStatisticsBundle({ versionsStats, yearsStats, namesStats });
+        Object.entries(check.issues).forEach(([key, issues]) => {
+            reportDataIssues(STATISTICS_FILES[key], issues.filter((issue) => !issue.fatal));
+        });
+        if (!check.ok) {
+            throw new Error(check.error);
+        }
+        return check.value;
     } catch (error) {
         throw new Error(`Failed to load statistics: ${error.message}`);
     }
 }
+
+/**
+ * Update entry a precomputed version stat was built from (stats are keyed by Java version).
+ * @param {object} stat
+ * @param {Array<object>} updates
+ * @returns {object | null}
+ */
+export function findStatUpdate(stat, updates) {
+    if (!stat) return null;
+    const version = (stat.java_version || stat.version || '').toLowerCase();
+    const name = (stat.name || '').toLowerCase();
+    return (version && updates.find((update) => (update.release_version?.java || '').toLowerCase() === version))
+        || (name && updates.find((update) => (update.name || '').toLowerCase() === name))
+        || null;
+}
+
+/**
+ * Relabel version stats with the edition's versions and release dates.
+ * Stats whose update has no version in that edition keep their Java label.
+ * @param {Array<object>} versionsStats
+ * @param {Array<object>} updates
+ * @param {string} edition
+ * @returns {Array<object>}
+ */
+export function getEditionVersionsStats(versionsStats, updates, edition) {
+    if (!Array.isArray(versionsStats) || edition !== EDITIONS.BEDROCK) return versionsStats;
+    return versionsStats.map((stat) => {
+        const update = findStatUpdate(stat, updates);
+        if (!update) return stat;
+        return {
+            ...stat,
+            java_version: stat.version,
+            version: getEditionVersion(update, edition) || stat.version,
+            release_date: getEditionReleaseDate(update, edition),
+        };
+    });
+}
+
+/**
+ * Keep the version and year stats within the release range. Version stats
+ * without a matching update are judged by their own version and release date.
+ * @param {{ versionsStats: Array<object>, yearsStats: Array<object> }} stats
+ * @param {Array<object>} updates
+ * @param {object} range - state.releaseRange
+ * @param {string} edition
+ * @returns {{ versionsStats: Array<object>, yearsStats: Array<object> }}
+ */
+export function getReleaseRangeStats({ versionsStats, yearsStats }, updates, range, edition) {
+    if (!isReleaseRangeActive(range)) return { versionsStats, yearsStats };
+    const inRange = createReleaseRangePredicate(range, updates, edition);
+    const bounds = resolveReleaseRange(range, updates, edition);
+    return {
+        versionsStats: Array.isArray(versionsStats)
+            ? versionsStats.filter((stat) => inRange(findStatUpdate(stat, updates) || {
+                release_date: stat.release_date ?? null,
+                release_version: { java: stat.java_version || stat.version },
+            }))
+            : versionsStats,
+        yearsStats: Array.isArray(yearsStats)
+            ? yearsStats.filter((stat) => isYearInReleaseRange(bounds, stat.year))
+            : yearsStats,
+    };
+}
+
+function getStatCategory(stat, updates) {
+    return getUpdateCategory(
+        findStatUpdate(stat, updates) || { release_version: { java: stat.java_version || stat.version } }
+    );
+}
+
+/**
+ * @param {Array<object>} versionsStats
+ * @param {Array<object>} updates
+ * @param {Array<string>} hiddenCategories
+ * @returns {Array<object>} Version stats of the shown update categories
+ */
+export function filterStatsByUpdateCategory(versionsStats, updates, hiddenCategories) {
+    if (!Array.isArray(versionsStats) || !hiddenCategories?.length) return versionsStats;
+    const hidden = new Set(hiddenCategories);
+    return versionsStats.filter((stat) => !hidden.has(getStatCategory(stat, updates)));
+}
+
+/**
+ * Version stats summed per update category, in legend order.
+ * @param {Array<object>} versionsStats
+ * @param {Array<object>} updates
+ * @returns {Array<{ category: string, label: string, updates: number, counts: Object<string, number> }>}
+ */
+export function getCategoryStats(versionsStats, updates) {
+    if (!Array.isArray(versionsStats)) return [];
+    const byCategory = new Map();
+    versionsStats.forEach((stat) => {
+        const category = getStatCategory(stat, updates);
+        if (!byCategory.has(category)) {
+            byCategory.set(category, { category, label: UPDATE_CATEGORY_LABELS[category], updates: 0, counts: {} });
+        }
+        const entry = byCategory.get(category);
+        entry.updates += 1;
+        Object.entries(stat.counts || {}).forEach(([key, value]) => {
+            entry.counts[key] = (entry.counts[key] || 0) + (Number(value) || 0);
+        });
+    });
+    return UPDATE_CATEGORY_ORDER.filter((category) => byCategory.has(category)).map((category) => byCategory.get(category));
+}
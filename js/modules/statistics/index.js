@@ -5,11 +5,19 @@ import { Utils } from '../../utils.js';
 import { CONFIG } from '../../config.js';
 import { DOMManager } from '../../dom-manager.js';
 import { renderStatusMessage } from '../../ui/status-view.js';
-import { loadStatisticsBundle } from './data.js';
+import {
+    filterStatsByUpdateCategory,
+    findStatUpdate,
+    getCategoryStats,
+    getEditionVersionsStats,
+    getReleaseRangeStats,
+    loadStatisticsBundle,
+} from './data.js';
 import { collectStatisticsElements, renderStatisticsView } from './view.js';
 import { renderStatisticsChart } from './chart-renderer.js';
 import { renderStatisticsNameTables } from './name-tables.js';
 import { renderStatisticsContentTable } from './content-table.js';
+import { renderStatisticsCategoryTable } from './category-table.js';
 
 export class StatisticsManager {
     constructor(ctx) {
@@ -108,12 +116,7 @@ export class StatisticsManager {
         if (!this.elements) return;
         const isYearView = this.ctx.state.currentView === CONFIG.VIEWS.YEARS;
 
-        const chartTitle = isYearView ? 'Growth by Year' : 'Growth by Version';
         const tableTitle = isYearView ? 'Content by Year' : 'Content by Version';
-        if (this.elements.viewTitle) {
-            this.elements.viewTitle.textContent = chartTitle;
-        }
-
         if (this.elements.tableTitle) {
             this.elements.tableTitle.textContent = tableTitle;
         }
@@ -121,12 +124,22 @@ export class StatisticsManager {
         await this.renderChart(isYearView);
         this.renderNameTables();
         this.renderContentTable();
+        this.renderCategoryTable();
+    }
+
+    renderCategoryTable() {
+        renderStatisticsCategoryTable(this.elements, this.getEditionState().categoryStats, this.ctx.state);
     }
 
     async renderChart(isYearView) {
+        if (this.elements?.viewTitle) {
+            this.elements.viewTitle.textContent = this.state.chartType === 'category'
+                ? 'Content by Update Type'
+                : isYearView ? 'Growth by Year' : 'Growth by Version';
+        }
         await renderStatisticsChart({
             elements: this.elements,
-            statisticsState: this.state,
+            statisticsState: this.getEditionState(),
             appState: this.ctx.state,
             isYearView,
             destroyChart: () => this.destroyChart(),
@@ -145,7 +158,7 @@ export class StatisticsManager {
         renderStatisticsContentTable({
             elements: this.elements,
             appState: this.ctx.state,
-            statisticsState: this.state,
+            statisticsState: this.getEditionState(),
             getVersionDetailId: (stat) => this.getVersionDetailId(stat),
             getYearDetailId: (year) => this.getYearDetailId(year),
             onSort: (column) => this.handleTableSort(column),
@@ -164,18 +177,33 @@ export class StatisticsManager {
         this.renderContentTable();
     }
 
+    /**
+     * Statistics state with version stats labelled for the active edition,
+     * limited to the release range and shown update categories, plus their
+     * split by update category.
+     */
+    getEditionState() {
+        const { allUpdates, edition, releaseRange, hiddenUpdateCategories } = this.ctx.state;
+        const { versionsStats, yearsStats } = getReleaseRangeStats(
+            {
+                versionsStats: getEditionVersionsStats(this.state.versionsStats, allUpdates, edition),
+                yearsStats: this.state.yearsStats,
+            },
+            allUpdates,
+            releaseRange,
+            edition
+        );
+        const shownVersionsStats = filterStatsByUpdateCategory(versionsStats, allUpdates, hiddenUpdateCategories);
+        return {
+            ...this.state,
+            versionsStats: shownVersionsStats,
+            yearsStats,
+            categoryStats: getCategoryStats(shownVersionsStats, allUpdates),
+        };
+    }
+
     getVersionDetailId(stat) {
-        if (!stat) return null;
-        const match =
-            (stat.version &&
-                this.ctx.state.allUpdates.find(
-                    (update) =>
-                        (update.release_version?.java || '').toLowerCase() === stat.version.toLowerCase()
-                )) ||
-            (stat.name &&
-                this.ctx.state.allUpdates.find(
-                    (update) => (update.name || '').toLowerCase() === stat.name.toLowerCase()
-                ));
+        const match = findStatUpdate(stat, this.ctx.state.allUpdates);
         return match ? Utils.generateCardId(match) : null;
     }
 
@@ -32,6 +32,26 @@ export function createStatisticsContentTableCard(tableHeading) {
     return card;
 }
 
+export function createStatisticsCategoryTableCard() {
+    const card = createStatisticsCard(STATISTICS_CLASSES.TABLE_CARD);
+    const header = createCardHeader();
+
+    const title = document.createElement('h2');
+    title.textContent = 'Content by Update Type';
+
+    const wrapper = document.createElement('div');
+    wrapper.className = STATISTICS_CLASSES.TABLE_WRAPPER;
+
+    const table = document.createElement('table');
+    table.id = STATISTICS_DOM.CATEGORY_TABLE_ID;
+    table.append(document.createElement('thead'), document.createElement('tbody'));
+
+    header.appendChild(title);
+    wrapper.appendChild(table);
+    card.append(header, wrapper);
+    return card;
+}
+
 function createNameTableElement(id, title) {
     const card = createStatisticsCard();
 
@@ -1,6 +1,10 @@
 import { STATISTICS_CLASSES, STATISTICS_DOM } from './constants.js';
 import { createStatisticsChartCard } from './chart-view.js';
-import { createStatisticsContentTableCard, createStatisticsNameTablesGrid } from './table-view.js';
+import {
+    createStatisticsCategoryTableCard,
+    createStatisticsContentTableCard,
+    createStatisticsNameTablesGrid,
+} from './table-view.js';
 
 export function collectStatisticsElements() {
     return {
@@ -11,6 +15,8 @@ export function collectStatisticsElements() {
         tableTitle: document.getElementById(STATISTICS_DOM.CONTENT_TITLE_ID),
         contentTableHead: document.querySelector(`#${STATISTICS_DOM.CONTENT_TABLE_ID} thead`),
         contentTableBody: document.querySelector(`#${STATISTICS_DOM.CONTENT_TABLE_ID} tbody`),
+        categoryTableHead: document.querySelector(`#${STATISTICS_DOM.CATEGORY_TABLE_ID} thead`),
+        categoryTableBody: document.querySelector(`#${STATISTICS_DOM.CATEGORY_TABLE_ID} tbody`),
         chartTypeButtons: document.querySelectorAll(`.${STATISTICS_CLASSES.CHART_BUTTON}`),
     };
 }
@@ -31,6 +37,7 @@ function createStatisticsView({ isYearView, chartType }) {
         createStatisticsChartCard(heading, chartType),
         createStatisticsNameTablesGrid(),
         createStatisticsContentTableCard(tableHeading),
+        createStatisticsCategoryTableCard(),
     );
     return section;
 }
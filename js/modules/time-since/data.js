@@ -1,9 +1,18 @@
-import { Utils } from '../../utils.js';
-import { CONFIG } from '../../config.js';
+import { getDataSource } from '../../data-source.js';
+import { validateTimeSinceData } from '../../validate-data.js';
+import { reportDataIssues } from '../../diagnostics.js';
+
+const TIME_SINCE_FILE = 'data/statistics/time_since.json';
 
 export async function loadTimeSinceData() {
     try {
-        return await Utils.fetchJSON(CONFIG.BASE_URL + '/data/statistics/time_since.json');
+        const data = await getDataSource().fetchJSON(TIME_SINCE_FILE);
+        const check = validateTimeSinceData(data);
+        reportDataIssues(TIME_SINCE_FILE, check.issues.filter((issue) => !issue.fatal));
+        if (!check.ok) {
+            throw new Error(check.error);
+        }
+        return check.value;
     } catch (error) {
         console.error('Error loading time-since data:', error);
         throw new Error(`Failed to load time-since data: ${error.message}`);
@@ -1,6 +1,9 @@
 import { APP_MODES } from '../app-modes.js';
 import { CONFIG } from '../config.js';
 import { CONTENT_FILTER_STATE_KEYS } from '../constants/filter-config.js';
+import { DEFAULT_EDITION } from '../data/editions.js';
+import { EMPTY_RELEASE_RANGE } from '../data/release-range.js';
+import { ITEM_SORT_ORDERS, LIST_SORT_ORDERS } from '../data/sorting.js';
 
 export function createDefaultState() {
     const contentVisibility = CONTENT_FILTER_STATE_KEYS.reduce((state, key) => {
@@ -10,12 +13,28 @@ export function createDefaultState() {
 
     return {
         allUpdates: [],
+        failedUpdateChunks: [],
         currentView: CONFIG.VIEWS.VERSIONS,
         removeDuplicates: true,
         ...contentVisibility,
         showBorders: false,
         showNotableChanges: true,
+        showDevelopmentVersions: false,
+        fuzzySearch: false,
+        highlightMatches: false,
+        facetFilters: [],
+        releaseRange: { ...EMPTY_RELEASE_RANGE },
+        hiddenUpdateCategories: [],
+        listSort: LIST_SORT_ORDERS.NEWEST,
+        itemSort: ITEM_SORT_ORDERS.DATA,
+        recentSearches: [],
+        savedSearches: [],
+        filterPresets: [],
         theme: 'dark',
+        edition: DEFAULT_EDITION,
+        dataSource: null,
+        /** `?data=` of the opened link: session-only, and used over `dataSource` while set. */
+        linkedDataSource: null,
         debounceTimer: null,
         collapsedSections: {},
         compareVersions: [null, null],
@@ -0,0 +1,152 @@
+/**
+ * Named filter presets: shown sections plus the duplicate and notable
+ * changes options. Built-in presets ship with the app; user presets are
+ * persisted and can be exported and imported as JSON.
+ */
+import { CONTENT_FILTER_STATE_KEYS } from '../constants/filter-config.js';
+import {
+    applyEntryFilters,
+    captureFilters,
+    createEntryId,
+    sanitizeNamedEntries,
+    upsertNamedEntry,
+} from './named-entries.js';
+
+export const FILTER_PRESETS_LIMIT = 30;
+export const FILTER_PRESETS_FILE_VERSION = 1;
+
+const PRESET_OPTION_KEYS = ['removeDuplicates', 'showNotableChanges'];
+const PRESET_FILTER_KEYS = [...PRESET_OPTION_KEYS, ...CONTENT_FILTER_STATE_KEYS];
+
+function sectionFilters(shownKeys) {
+    return Object.fromEntries(CONTENT_FILTER_STATE_KEYS.map((key) => [key, shownKeys.includes(key)]));
+}
+
+export const BUILT_IN_FILTER_PRESETS = Object.freeze([
+    {
+        id: 'builder',
+        name: 'Builder',
+        builtIn: true,
+        filters: {
+            removeDuplicates: true,
+            showNotableChanges: false,
+            ...sectionFilters(['showBlocks', 'showPaintings']),
+        },
+    },
+    {
+        id: 'mob-hunter',
+        name: 'Mob hunter',
+        builtIn: true,
+        filters: {
+            removeDuplicates: true,
+            showNotableChanges: false,
+            ...sectionFilters(['showMobs', 'showMobVariants', 'showBiomes', 'showStructures']),
+        },
+    },
+    {
+        id: 'everything',
+        name: 'Everything',
+        builtIn: true,
+        filters: {
+            removeDuplicates: false,
+            showNotableChanges: true,
+            ...sectionFilters(CONTENT_FILTER_STATE_KEYS),
+        },
+    },
+].map((preset) => Object.freeze(preset)));
+
+/**
+ * @param {object} state - App state
+ * @param {string} name
+ * @returns {{ id: string, name: string, filters: Object<string, boolean> }}
+ */
+export function createFilterPreset(state, name) {
+    return {
+        id: createEntryId(),
+        name: String(name ?? '').trim(),
+        filters: captureFilters(state, PRESET_FILTER_KEYS),
+    };
+}
+
+/**
+ * Add `preset`, replacing an existing user preset with the same name.
+ * @param {Array<object>} presets
+ * @param {object} preset - From createFilterPreset
+ * @returns {Array<object>}
+ */
+export function upsertFilterPreset(presets, preset) {
+    return upsertNamedEntry(presets, preset, FILTER_PRESETS_LIMIT);
+}
+
+/**
+ * Look a preset up by id or (case-insensitive) name; user presets win over built-ins.
+ * @param {Array<object>} presets - User presets
+ * @param {string} key
+ * @returns {object|null}
+ */
+export function findFilterPreset(presets, key) {
+    const text = String(key ?? '').trim().toLowerCase();
+    if (!text) return null;
+    return [...presets, ...BUILT_IN_FILTER_PRESETS].find((preset) =>
+        preset.id.toLowerCase() === text || preset.name.toLowerCase() === text
+    ) || null;
+}
+
+/**
+ * Copy a preset's filters into `state`.
+ * @param {object} state
+ * @param {object} preset
+ */
+export function applyFilterPresetToState(state, preset) {
+    applyEntryFilters(state, preset);
+}
+
+/**
+ * @param {object} preset
+ * @returns {Array<string>} Content filter keys the preset shows
+ */
+export function getPresetShownSections(preset) {
+    return CONTENT_FILTER_STATE_KEYS.filter((key) => preset.filters[key] === true);
+}
+
+/**
+ * Drop malformed entries, built-in copies and unknown filter keys.
+ * @param {*} value
+ * @returns {Array<object>}
+ */
+export function sanitizeFilterPresets(value) {
+    return sanitizeNamedEntries(value, {
+        limit: FILTER_PRESETS_LIMIT,
+        filterKeys: PRESET_FILTER_KEYS,
+        isValid: (entry) => typeof entry.name === 'string' && Boolean(entry.name.trim()) && !entry.builtIn,
+        map: (entry) => ({ name: entry.name.trim() }),
+    });
+}
+
+/**
+ * @param {Array<object>} presets - User presets
+ * @returns {string} JSON document for download
+ */
+export function serializeFilterPresets(presets) {
+    return JSON.stringify({ version: FILTER_PRESETS_FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Parse an exported presets file (or a bare array of presets).
+ * @param {string} text
+ * @returns {Array<object>} Sanitized presets with new ids, so they cannot collide with existing ones
+ * @throws {Error} When the text is not JSON or holds no valid preset
+ */
+export function parseFilterPresets(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (_) {
+        throw new Error('The file is not valid JSON.');
+    }
+    const presets = sanitizeFilterPresets(Array.isArray(parsed) ? parsed : parsed?.presets);
+    if (!presets.length) {
+        throw new Error('The file contains no filter presets.');
+    }
+    return presets.map((preset) => ({ ...preset, id: createEntryId() }));
+}
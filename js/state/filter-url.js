@@ -0,0 +1,111 @@
+/**
+ * Compact URL encoding of the list filters. Values equal to the defaults are
+ * omitted, so a link with default filters carries none of these params.
+ *
+ * - `sections`: hex bitmask of the shown sections, in SECTION_TYPES order
+ * - `opts`: one letter per option, uppercase when on, lowercase when off
+ * - `hide`: hidden update categories
+ * - `sort` / `itemsort`: list order and order of the items inside card sections
+ */
+import { CONTENT_FILTER_STATE_KEYS } from '../constants/filter-config.js';
+import { sanitizeUpdateCategories } from '../data/update-categories.js';
+import { coerceItemSort, coerceListSort } from '../data/sorting.js';
+import { createDefaultState } from './default-state.js';
+
+export const FILTER_URL_PARAMS = Object.freeze({
+    SECTIONS: 'sections',
+    OPTIONS: 'opts',
+    HIDDEN_CATEGORIES: 'hide',
+});
+
+export const SORT_URL_PARAMS = Object.freeze({
+    LIST: 'sort',
+    ITEMS: 'itemsort',
+});
+
+const OPTION_LETTERS = Object.freeze({
+    removeDuplicates: 'd',
+    showNotableChanges: 'n',
+    showBorders: 'b',
+    showDevelopmentVersions: 'v',
+    fuzzySearch: 'f',
+    highlightMatches: 'h',
+});
+
+function getSectionMask(state) {
+    return CONTENT_FILTER_STATE_KEYS.reduce((mask, key, bit) => (state[key] ? mask | (1 << bit) : mask), 0);
+}
+
+/**
+ * @param {object} state - App state
+ * @returns {Object<string, string>} Param values keyed by FILTER_URL_PARAMS, empty for defaults
+ */
+export function encodeFilterParams(state) {
+    const defaults = createDefaultState();
+    const mask = getSectionMask(state);
+    const options = Object.entries(OPTION_LETTERS)
+        .filter(([key]) => Boolean(state[key]) !== defaults[key])
+        .map(([key, letter]) => (state[key] ? letter.toUpperCase() : letter))
+        .join('');
+    return {
+        [FILTER_URL_PARAMS.SECTIONS]: mask === getSectionMask(defaults) ? '' : mask.toString(16),
+        [FILTER_URL_PARAMS.OPTIONS]: options,
+        [FILTER_URL_PARAMS.HIDDEN_CATEGORIES]: sanitizeUpdateCategories(state.hiddenUpdateCategories).join(','),
+    };
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {object} Every URL-encoded filter key; missing or invalid params give the defaults
+ */
+export function decodeFilterParams(params) {
+    const defaults = createDefaultState();
+    const decoded = {};
+
+    const sections = params.get(FILTER_URL_PARAMS.SECTIONS);
+    const mask = sections && /^[0-9a-f]+$/i.test(sections) ? parseInt(sections, 16) : null;
+    CONTENT_FILTER_STATE_KEYS.forEach((key, bit) => {
+        decoded[key] = mask === null ? defaults[key] : Boolean(mask & (1 << bit));
+    });
+
+    const options = params.get(FILTER_URL_PARAMS.OPTIONS) || '';
+    Object.entries(OPTION_LETTERS).forEach(([key, letter]) => {
+        if (options.includes(letter.toUpperCase())) {
+            decoded[key] = true;
+        } else if (options.includes(letter)) {
+            decoded[key] = false;
+        } else {
+            decoded[key] = defaults[key];
+        }
+    });
+
+    decoded.hiddenUpdateCategories = sanitizeUpdateCategories(
+        (params.get(FILTER_URL_PARAMS.HIDDEN_CATEGORIES) || '').split(',')
+    );
+    return decoded;
+}
+
+/**
+ * @param {object} state - App state
+ * @returns {Object<string, string>} Param values keyed by SORT_URL_PARAMS, empty for defaults
+ */
+export function encodeSortParams(state) {
+    const defaults = createDefaultState();
+    const listSort = coerceListSort(state.listSort);
+    const itemSort = coerceItemSort(state.itemSort);
+    return {
+        [SORT_URL_PARAMS.LIST]: listSort === defaults.listSort ? '' : listSort,
+        [SORT_URL_PARAMS.ITEMS]: itemSort === defaults.itemSort ? '' : itemSort,
+    };
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {{ listSort: string, itemSort: string }} Defaults for missing or unknown values
+ */
+export function decodeSortParams(params) {
+    return {
+        listSort: coerceListSort(params.get(SORT_URL_PARAMS.LIST)),
+        itemSort: coerceItemSort(params.get(SORT_URL_PARAMS.ITEMS)),
+    };
+}
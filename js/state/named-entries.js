@@ -0,0 +1,76 @@
+/**
+ * Shared parts of the user's named lists (saved searches and filter presets):
+ * entry ids, replacing an entry by name, the captured boolean filters and
+ * cleaning up stored or imported lists.
+ */
+
+/**
+ * @returns {string} A new entry id
+ */
+export function createEntryId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {object} state - App state
+ * @param {Array<string>} keys
+ * @returns {Object<string, boolean>}
+ */
+export function captureFilters(state, keys) {
+    return Object.fromEntries(keys.map((key) => [key, Boolean(state[key])]));
+}
+
+/**
+ * Copy an entry's filters into `state`.
+ * @param {object} state
+ * @param {{ filters: Object<string, boolean> }} entry
+ */
+export function applyEntryFilters(state, entry) {
+    Object.entries(entry.filters).forEach(([key, value]) => {
+        state[key] = value;
+    });
+}
+
+/**
+ * Add `entry` first, replacing an entry with the same (case-insensitive) name.
+ * @param {Array<object>} entries
+ * @param {object} entry
+ * @param {number} limit
+ * @returns {Array<object>}
+ */
+export function upsertNamedEntry(entries, entry, limit) {
+    const others = entries.filter((other) => other.name.toLowerCase() !== entry.name.toLowerCase());
+    return [entry, ...others].slice(0, limit);
+}
+
+/**
+ * Valid entries of a stored list with their known boolean filters. A missing
+ * id falls back to the name, and an id already taken in the list is replaced,
+ * so removing by id never removes two entries.
+ * @param {*} value
+ * @param {{ limit: number, filterKeys: Array<string>, isValid: (entry: object) => boolean, map: (entry: object) => object }} options
+ *   `map` returns the entry's own fields, `name` included
+ * @returns {Array<object>}
+ */
+export function sanitizeNamedEntries(value, { limit, filterKeys, isValid, map }) {
+    if (!Array.isArray(value)) return [];
+    const ids = new Set();
+    return value
+        .filter((entry) => entry && isValid(entry))
+        .slice(0, limit)
+        .map((entry) => {
+            const fields = map(entry);
+            let id = typeof entry.id === 'string' && entry.id ? entry.id : fields.name;
+            if (ids.has(id)) id = createEntryId();
+            ids.add(id);
+            return {
+                id,
+                ...fields,
+                filters: Object.fromEntries(
+                    filterKeys
+                        .filter((key) => typeof entry.filters?.[key] === 'boolean')
+                        .map((key) => [key, entry.filters[key]])
+                ),
+            };
+        });
+}
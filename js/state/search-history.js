@@ -0,0 +1,114 @@
+/**
+ * Recent searches and named saved searches (query, content filters and view).
+ */
+import { CONFIG } from '../config.js';
+import { CONTENT_FILTER_STATE_KEYS } from '../constants/filter-config.js';
+import {
+    applyEntryFilters,
+    captureFilters,
+    createEntryId,
+    sanitizeNamedEntries,
+    upsertNamedEntry,
+} from './named-entries.js';
+
+export const RECENT_SEARCHES_LIMIT = 10;
+export const SAVED_SEARCHES_LIMIT = 30;
+
+const SAVED_FILTER_KEYS = ['removeDuplicates', ...CONTENT_FILTER_STATE_KEYS];
+const VIEWS = [CONFIG.VIEWS.VERSIONS, CONFIG.VIEWS.YEARS];
+
+/**
+ * @param {Array<string>} recentSearches
+ * @param {string} query
+ * @returns {Array<string>} New list with `query` first, without duplicates
+ */
+export function addRecentSearch(recentSearches, query) {
+    const text = String(query ?? '').trim();
+    if (!text) return recentSearches;
+    return [text, ...recentSearches.filter((entry) => entry !== text)].slice(0, RECENT_SEARCHES_LIMIT);
+}
+
+/**
+ * @param {object} state - App state
+ * @param {string} name
+ * @param {string} query
+ * @returns {{ id: string, name: string, query: string, filters: Object<string, boolean>, view: string }}
+ */
+export function createSavedSearch(state, name, query) {
+    const text = String(query ?? '').trim();
+    return {
+        id: createEntryId(),
+        name: String(name ?? '').trim() || text,
+        query: text,
+        filters: captureFilters(state, SAVED_FILTER_KEYS),
+        view: state.currentView,
+    };
+}
+
+/**
+ * Add `saved`, replacing an existing saved search with the same name.
+ * @param {Array<object>} savedSearches
+ * @param {object} saved - From createSavedSearch
+ * @returns {Array<object>}
+ */
+export function upsertSavedSearch(savedSearches, saved) {
+    return upsertNamedEntry(savedSearches, saved, SAVED_SEARCHES_LIMIT);
+}
+
+/**
+ * Copy a saved search's content filters into `state`.
+ * @param {object} state
+ * @param {object} saved
+ */
+export function applySavedSearchFilters(state, saved) {
+    applyEntryFilters(state, saved);
+}
+
+/**
+ * @param {*} value - Stored list
+ * @returns {Array<string>}
+ */
+export function sanitizeRecentSearches(value) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .filter((entry) => typeof entry === 'string' && entry.trim())
+        .slice(0, RECENT_SEARCHES_LIMIT);
+}
+
+/**
+ * Drop malformed entries and unknown filter keys from a stored list.
+ * @param {*} value
+ * @returns {Array<object>}
+ */
+export function sanitizeSavedSearches(value) {
+    return sanitizeNamedEntries(value, {
+        limit: SAVED_SEARCHES_LIMIT,
+        filterKeys: SAVED_FILTER_KEYS,
+        isValid: (entry) => typeof entry.name === 'string' && typeof entry.query === 'string',
+        map: (entry) => ({
+            name: entry.name,
+            query: entry.query,
+            view: VIEWS.includes(entry.view) ? entry.view : CONFIG.VIEWS.VERSIONS,
+        }),
+    });
+}
+
+/**
+ * Saved and recent searches for the search field suggestions: all of them
+ * for an empty field, otherwise the saved searches whose name or query
+ * contains the text.
+ * @param {{ recentSearches: Array<string>, savedSearches: Array<object> }} state
+ * @param {string} query
+ * @returns {Array<{ kind: 'saved' | 'recent', label: string, value: string, saved?: object }>}
+ */
+export function getSearchHistoryOptions({ recentSearches = [], savedSearches = [] }, query) {
+    const text = String(query ?? '').trim().toLowerCase();
+    const saved = savedSearches
+        .filter((entry) => !text || entry.name.toLowerCase().includes(text) || entry.query.toLowerCase().includes(text))
+        .map((entry) => ({ kind: 'saved', label: entry.name, value: entry.query, saved: entry }));
+    if (text) return saved.slice(0, 3);
+    return [
+        ...saved,
+        ...recentSearches.map((entry) => ({ kind: 'recent', label: entry, value: entry })),
+    ];
+}
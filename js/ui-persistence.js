@@ -5,15 +5,76 @@ import { Utils } from './utils.js';
 import { CONFIG } from './config.js';
 import { APP_MODES } from './app-modes.js';
 import { CONTENT_FILTER_STATE_KEYS } from './constants/filter-config.js';
+import { EDITIONS } from './data/editions.js';
+import { sanitizeRecentSearches, sanitizeSavedSearches } from './state/search-history.js';
+import { normalizeReleaseRange } from './data/release-range.js';
+import { sanitizeUpdateCategories } from './data/update-categories.js';
+import { sanitizeFilterPresets } from './state/filter-presets.js';
+import { coerceItemSort, coerceListSort } from './data/sorting.js';
+import { createDefaultState } from './state/default-state.js';
+import { MATERIAL_GROUP_COLLAPSED_KEY_PREFIX } from './modules/material-groups/constants.js';
 
-const STORAGE_KEY = 'minecraft_updates_ui_state';
-const SCHEMA_VERSION = 3;
+export const STORAGE_KEY = 'minecraft_updates_ui_state';
+const SCHEMA_VERSION = 4;
+/** First schema storing `activeMode` instead of one boolean per mode. */
+const ACTIVE_MODE_SCHEMA_VERSION = 3;
 const BOOLEAN_STATE_KEYS = [
     'removeDuplicates',
     ...CONTENT_FILTER_STATE_KEYS,
     'showNotableChanges',
+    'showDevelopmentVersions',
+    'fuzzySearch',
+    'highlightMatches',
 ];
 
+const SETTINGS_FILE_FORMAT = 'minecraft-updates-settings';
+const SETTINGS_FILE_VERSION = 1;
+
+export const RESET_SCOPES = Object.freeze({
+    FILTERS: 'filters',
+    COLLAPSED: 'collapsed',
+    ALL: 'all',
+});
+
+const FILTER_STATE_KEYS = [
+    ...BOOLEAN_STATE_KEYS,
+    'showBorders',
+    'facetFilters',
+    'releaseRange',
+    'hiddenUpdateCategories',
+    'listSort',
+    'itemSort',
+];
+const SETTINGS_STATE_KEYS = [
+    ...FILTER_STATE_KEYS,
+    'collapsedSections',
+    'theme',
+    'edition',
+    'dataSource',
+    'recentSearches',
+    'savedSearches',
+    'filterPresets',
+    'compareVersions',
+];
+/** Where the user is rather than how the site is set up; kept across imports. */
+const NAVIGATION_STATE_KEYS = ['activeMode', 'currentView', 'detailTarget', 'detailReturnContext'];
+/** Filters kept in the URL only (see url-state.js), never in the stored payload. */
+const URL_ONLY_FILTER_KEYS = ['showBorders', 'facetFilters'];
+/**
+ * Preferences shared live between open tabs. Navigation, compare picks and
+ * the data source stay per tab, as do URL_ONLY_FILTER_KEYS: other tabs only
+ * learn of changes through the stored payload, which does not hold them.
+ */
+export const SHARED_STATE_KEYS = Object.freeze([
+    ...FILTER_STATE_KEYS.filter((key) => !URL_ONLY_FILTER_KEYS.includes(key)),
+    'collapsedSections',
+    'theme',
+    'edition',
+    'recentSearches',
+    'savedSearches',
+    'filterPresets',
+]);
+
 /**
  * Derive activeMode from legacy boolean flags (schema v1).
  * @param {object} saved
@@ -30,6 +91,19 @@ function migrateActiveModeFromBooleans(saved) {
     return APP_MODES.LIST;
 }
 
+/**
+ * Search history arrived in schema v4; older payloads start with none.
+ * @param {object} saved
+ * @returns {{ recentSearches: Array<string>, savedSearches: Array<object> }}
+ */
+function migrateSearchHistory(saved) {
+    if (!(saved.schemaVersion >= 4)) return { recentSearches: [], savedSearches: [] };
+    return {
+        recentSearches: sanitizeRecentSearches(saved.recentSearches),
+        savedSearches: sanitizeSavedSearches(saved.savedSearches),
+    };
+}
+
 /**
  * @param {string} mode
  * @returns {string}
@@ -38,6 +112,84 @@ function coerceStoredMode(mode) {
     return Object.values(APP_MODES).includes(mode) ? mode : APP_MODES.LIST;
 }
 
+/**
+ * Copy the valid values of a stored payload into `state`, migrating older schemas.
+ * @param {object} state
+ * @param {object} saved - Parsed payload
+ * @param {{ detailTarget: object|null, compareVersionIds: Array<string|null>|null }} pendingRestore - Filled in
+ */
+function applySavedUIState(state, saved, pendingRestore) {
+    if (
+        saved.currentView === CONFIG.VIEWS.VERSIONS ||
+        saved.currentView === CONFIG.VIEWS.YEARS
+    ) {
+        state.currentView = saved.currentView;
+    }
+
+    BOOLEAN_STATE_KEYS.forEach((prop) => {
+        if (typeof saved[prop] === 'boolean') {
+            state[prop] = saved[prop];
+        }
+    });
+
+    if (saved.collapsedSections && typeof saved.collapsedSections === 'object') {
+        state.collapsedSections = saved.collapsedSections;
+    }
+
+    if (saved.theme === 'light' || saved.theme === 'dark') {
+        state.theme = saved.theme;
+    }
+
+    if (Object.values(EDITIONS).includes(saved.edition)) {
+        state.edition = saved.edition;
+    }
+
+    if (saved.releaseRange && typeof saved.releaseRange === 'object') {
+        state.releaseRange = normalizeReleaseRange(saved.releaseRange);
+    }
+
+    if (Array.isArray(saved.hiddenUpdateCategories)) {
+        state.hiddenUpdateCategories = sanitizeUpdateCategories(saved.hiddenUpdateCategories);
+    }
+
+    if (typeof saved.listSort === 'string') {
+        state.listSort = coerceListSort(saved.listSort);
+    }
+
+    if (typeof saved.itemSort === 'string') {
+        state.itemSort = coerceItemSort(saved.itemSort);
+    }
+
+    if (typeof saved.dataSource === 'string' && saved.dataSource.trim()) {
+        state.dataSource = saved.dataSource.trim();
+    }
+
+    const rawMode =
+        saved.schemaVersion >= ACTIVE_MODE_SCHEMA_VERSION && typeof saved.activeMode === 'string'
+            ? saved.activeMode
+            : migrateActiveModeFromBooleans(saved);
+    state.activeMode = coerceStoredMode(rawMode);
+
+    Object.assign(state, migrateSearchHistory(saved));
+
+    if (Array.isArray(saved.filterPresets)) {
+        state.filterPresets = sanitizeFilterPresets(saved.filterPresets);
+    }
+
+    if (saved.detailTarget) {
+        state.detailTarget = saved.detailTarget;
+        pendingRestore.detailTarget = saved.detailTarget;
+    }
+
+    if (saved.detailReturnContext) {
+        state.detailReturnContext = saved.detailReturnContext;
+    }
+
+    if (Array.isArray(saved.compareVersionIds)) {
+        pendingRestore.compareVersionIds = saved.compareVersionIds;
+    }
+}
+
 /**
  * @param {*} app - MinecraftUpdatesApp instance
  */
@@ -50,47 +202,7 @@ export function restorePersistedUIState(app) {
     try {
         const raw = localStorage.getItem(STORAGE_KEY);
         if (!raw) return pendingRestore;
-        const saved = JSON.parse(raw);
-
-        if (
-            saved.currentView === CONFIG.VIEWS.VERSIONS ||
-            saved.currentView === CONFIG.VIEWS.YEARS
-        ) {
-            app.state.currentView = saved.currentView;
-        }
-
-        BOOLEAN_STATE_KEYS.forEach((prop) => {
-            if (typeof saved[prop] === 'boolean') {
-                app.state[prop] = saved[prop];
-            }
-        });
-
-        if (saved.collapsedSections && typeof saved.collapsedSections === 'object') {
-            app.state.collapsedSections = saved.collapsedSections;
-        }
-
-        if (saved.theme === 'light' || saved.theme === 'dark') {
-            app.state.theme = saved.theme;
-        }
-
-        const rawMode =
-            saved.schemaVersion >= SCHEMA_VERSION && typeof saved.activeMode === 'string'
-                ? saved.activeMode
-                : migrateActiveModeFromBooleans(saved);
-        app.state.activeMode = coerceStoredMode(rawMode);
-
-        if (saved.detailTarget) {
-            app.state.detailTarget = saved.detailTarget;
-            pendingRestore.detailTarget = saved.detailTarget;
-        }
-
-        if (saved.detailReturnContext) {
-            app.state.detailReturnContext = saved.detailReturnContext;
-        }
-
-        if (Array.isArray(saved.compareVersionIds)) {
-            pendingRestore.compareVersionIds = saved.compareVersionIds;
-        }
+        applySavedUIState(app.state, JSON.parse(raw), pendingRestore);
     } catch (_) {
         /* ignore */
     }
@@ -99,6 +211,25 @@ export function restorePersistedUIState(app) {
     return pendingRestore;
 }
 
+/**
+ * Shared preferences in a payload another tab stored that differ from `state`.
+ * @param {object} state - App state
+ * @param {string|null} raw - New value of the STORAGE_KEY item
+ * @returns {object} Changed SHARED_STATE_KEYS values; empty when nothing changed
+ */
+export function readSharedUIStateChanges(state, raw) {
+    const incoming = createDefaultState();
+    try {
+        if (!raw) return {};
+        applySavedUIState(incoming, JSON.parse(raw), {});
+    } catch (_) {
+        return {};
+    }
+    return Object.fromEntries(SHARED_STATE_KEYS
+        .filter((key) => JSON.stringify(incoming[key]) !== JSON.stringify(state[key]))
+        .map((key) => [key, incoming[key]]));
+}
+
 /**
  * @param {*} app - MinecraftUpdatesApp instance
  */
@@ -110,13 +241,145 @@ export function persistUIState(app) {
             currentView: app.state.currentView,
             ...Object.fromEntries(BOOLEAN_STATE_KEYS.map((key) => [key, app.state[key]])),
             theme: app.state.theme,
+            edition: app.state.edition,
+            releaseRange: app.state.releaseRange,
+            hiddenUpdateCategories: app.state.hiddenUpdateCategories,
+            listSort: app.state.listSort,
+            itemSort: app.state.itemSort,
+            dataSource: app.state.dataSource,
             collapsedSections: app.state.collapsedSections,
             detailTarget: app.state.detailTarget,
             detailReturnContext: app.state.detailReturnContext,
             compareVersionIds: app.state.compareVersions.map((v) => (v ? Utils.generateCardId(v) : null)),
+            recentSearches: app.state.recentSearches,
+            savedSearches: app.state.savedSearches,
+            filterPresets: app.state.filterPresets,
         };
         localStorage.setItem(STORAGE_KEY, JSON.stringify(stateToPersist));
     } catch (_) {
         /* private mode / quota */
     }
 }
+
+function getMaterialGroupCollapsedKeys() {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (key?.startsWith(MATERIAL_GROUP_COLLAPSED_KEY_PREFIX)) keys.push(key);
+    }
+    return keys;
+}
+
+function clearMaterialGroupCollapsed() {
+    getMaterialGroupCollapsedKeys().forEach((key) => localStorage.removeItem(key));
+}
+
+/**
+ * Everything persisted for the site, as a versioned settings file.
+ * @param {*} app - MinecraftUpdatesApp instance
+ * @returns {string} JSON document for download
+ */
+export function exportSettingsFile(app) {
+    persistUIState(app);
+    let uiState = {};
+    let materialGroupsCollapsed = [];
+    try {
+        uiState = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        materialGroupsCollapsed = getMaterialGroupCollapsedKeys()
+            .map((key) => key.slice(MATERIAL_GROUP_COLLAPSED_KEY_PREFIX.length));
+    } catch (_) {
+        /* private mode */
+    }
+    return JSON.stringify({
+        format: SETTINGS_FILE_FORMAT,
+        version: SETTINGS_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        uiState,
+        materialGroupsCollapsed,
+    }, null, 2);
+}
+
+/**
+ * @param {string} text - Contents of a file from exportSettingsFile
+ * @returns {{ uiState: object, materialGroupsCollapsed: Array<string> }}
+ * @throws {Error} When the file is not a settings file this version can read
+ */
+export function parseSettingsFile(text) {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch (_) {
+        throw new Error('The file is not valid JSON.');
+    }
+    if (parsed?.format !== SETTINGS_FILE_FORMAT || !Number.isInteger(parsed.version)) {
+        throw new Error('The file is not a settings export.');
+    }
+    const schemaVersion = parsed.uiState?.schemaVersion;
+    if (parsed.version > SETTINGS_FILE_VERSION || schemaVersion > SCHEMA_VERSION) {
+        throw new Error('The file was exported by a newer version of the site.');
+    }
+    if (!parsed.uiState || typeof parsed.uiState !== 'object' || Array.isArray(parsed.uiState)) {
+        throw new Error('The file holds no settings.');
+    }
+    return {
+        uiState: parsed.uiState,
+        materialGroupsCollapsed: Array.isArray(parsed.materialGroupsCollapsed)
+            ? parsed.materialGroupsCollapsed.filter((id) => typeof id === 'string' && id)
+            : [],
+    };
+}
+
+function resetStateKeys(state, keys) {
+    const defaults = createDefaultState();
+    keys.forEach((key) => {
+        state[key] = defaults[key];
+    });
+}
+
+/**
+ * Reset one group of persisted settings to the defaults, in state and storage.
+ * @param {*} app - MinecraftUpdatesApp instance
+ * @param {string} scope - RESET_SCOPES value
+ */
+export function resetPersistedUIState(app, scope) {
+    const keys = {
+        [RESET_SCOPES.FILTERS]: FILTER_STATE_KEYS,
+        [RESET_SCOPES.COLLAPSED]: ['collapsedSections'],
+        [RESET_SCOPES.ALL]: SETTINGS_STATE_KEYS,
+    }[scope];
+    if (!keys) return;
+
+    resetStateKeys(app.state, keys);
+    try {
+        if (scope !== RESET_SCOPES.FILTERS) clearMaterialGroupCollapsed();
+    } catch (_) {
+        /* private mode */
+    }
+    persistUIState(app);
+}
+
+/**
+ * Replace every setting with an imported file's, migrating older payloads
+ * through restorePersistedUIState. The current mode and view are kept.
+ * @param {*} app - MinecraftUpdatesApp instance
+ * @param {{ uiState: object, materialGroupsCollapsed: Array<string> }} settings - From parseSettingsFile
+ * @returns {{ detailTarget: object|null, compareVersionIds: Array<string|null>|null }}
+ * @throws When storage refuses the payload (private mode, quota); the current settings are then left as they were
+ */
+export function importSettingsFile(app, settings) {
+    const navigation = Object.fromEntries(NAVIGATION_STATE_KEYS.map((key) => [key, app.state[key]]));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings.uiState));
+    resetStateKeys(app.state, SETTINGS_STATE_KEYS);
+    try {
+        clearMaterialGroupCollapsed();
+        settings.materialGroupsCollapsed.forEach((id) => {
+            localStorage.setItem(`${MATERIAL_GROUP_COLLAPSED_KEY_PREFIX}${id}`, 'true');
+        });
+    } catch (_) {
+        /* private mode / quota: material groups start expanded */
+    }
+    const restored = restorePersistedUIState(app);
+    Object.assign(app.state, navigation);
+    persistUIState(app);
+    return restored;
+}
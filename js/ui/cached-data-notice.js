@@ -0,0 +1,30 @@
+const NOTICE_ID = 'cached-data-notice';
+
+function formatCachedAt(date) {
+    return date.toLocaleString(undefined, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+    });
+}
+
+/**
+ * Show (or update) the offline notice in the notices container.
+ * @param {HTMLElement} container
+ * @param {Date} cachedAt
+ */
+export function renderCachedDataNotice(container, cachedAt) {
+    if (!container) return;
+
+    let notice = container.querySelector(`#${NOTICE_ID}`);
+    if (!notice) {
+        notice = document.createElement('p');
+        notice.id = NOTICE_ID;
+        notice.className = 'app-notice cached-data-notice';
+        notice.setAttribute('role', 'status');
+        container.appendChild(notice);
+    }
+    notice.textContent = `You appear to be offline — showing cached data from ${formatCachedAt(cachedAt)}.`;
+}
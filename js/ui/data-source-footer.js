@@ -0,0 +1,22 @@
+/**
+ * @param {Object} elements - App elements
+ * @param {{ spec: string | null, label: string }} source - The active source
+ * @param {{ linked?: boolean, savedSpec?: string | null }} [options] - `linked` when the source came
+ *   from `?data=`; `savedSpec` is the user's own choice, shown in the settings field
+ */
+export function renderDataSourceFooter(elements, source, { linked = false, savedSpec = null } = {}) {
+    if (elements.dataSourceLabel) {
+        let suffix = '';
+        if (!source.spec) suffix = ' (default)';
+        else if (linked) suffix = ' (from link)';
+        elements.dataSourceLabel.textContent = `${source.label}${suffix}`;
+        elements.dataSourceLabel.title = source.label;
+    }
+    if (elements.dataSourceResetBtn) {
+        elements.dataSourceResetBtn.hidden = !source.spec;
+        elements.dataSourceResetBtn.textContent = linked && savedSpec ? 'Use my data source' : 'Use default data';
+    }
+    if (elements.dataSourceInput) {
+        elements.dataSourceInput.value = savedSpec || '';
+    }
+}
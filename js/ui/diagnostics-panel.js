@@ -0,0 +1,83 @@
+const PANEL_ID = 'data-diagnostics';
+const MAX_ISSUES_PER_SOURCE = 50;
+
+function groupBySource(issues) {
+    const groups = new Map();
+    issues.forEach((issue) => {
+        if (!groups.has(issue.source)) groups.set(issue.source, []);
+        groups.get(issue.source).push(issue);
+    });
+    return groups;
+}
+
+function createSourceGroup(source, issues) {
+    const item = document.createElement('li');
+    item.className = 'diagnostics-source';
+
+    const title = document.createElement('code');
+    title.className = 'diagnostics-source-name';
+    title.textContent = source;
+
+    const list = document.createElement('ul');
+    list.className = 'diagnostics-issues';
+    issues.slice(0, MAX_ISSUES_PER_SOURCE).forEach(({ path, message }) => {
+        const row = document.createElement('li');
+        row.className = 'diagnostics-issue';
+
+        const pathEl = document.createElement('code');
+        pathEl.className = 'diagnostics-issue-path';
+        pathEl.textContent = path;
+
+        row.append(pathEl, ` ${message}`);
+        list.appendChild(row);
+    });
+
+    if (issues.length > MAX_ISSUES_PER_SOURCE) {
+        const more = document.createElement('li');
+        more.className = 'diagnostics-issue diagnostics-issue-more';
+        more.textContent = `…and ${issues.length - MAX_ISSUES_PER_SOURCE} more`;
+        list.appendChild(more);
+    }
+
+    item.append(title, list);
+    return item;
+}
+
+/**
+ * Render the collapsible data diagnostics panel (removed when there are no issues).
+ * @param {HTMLElement} container
+ * @param {Array<{ source: string, path: string, message: string }>} issues
+ */
+export function renderDiagnosticsPanel(container, issues) {
+    if (!container) return;
+
+    const existing = container.querySelector(`#${PANEL_ID}`);
+    if (!issues.length) {
+        existing?.remove();
+        return;
+    }
+
+    const panel = document.createElement('details');
+    panel.id = PANEL_ID;
+    panel.className = 'app-notice diagnostics-panel';
+    panel.open = Boolean(existing?.open);
+
+    const summary = document.createElement('summary');
+    summary.className = 'diagnostics-summary';
+    summary.textContent = issues.length === 1
+        ? '1 data issue found — affected entries may be incomplete'
+        : `${issues.length} data issues found — affected entries may be incomplete`;
+
+    const list = document.createElement('ul');
+    list.className = 'diagnostics-sources';
+    groupBySource(issues).forEach((sourceIssues, source) => {
+        list.appendChild(createSourceGroup(source, sourceIssues));
+    });
+
+    panel.append(summary, list);
+    if (existing) {
+        existing.replaceWith(panel);
+    } else {
+        container.appendChild(panel);
+    }
+}
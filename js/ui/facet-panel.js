@@ -0,0 +1,80 @@
+import { FACET_GROUP_LABELS } from '../data/facets.js';
+
+export const FACET_CLASSES = Object.freeze({
+    GROUP: 'facet-group',
+    GROUP_TITLE: 'facet-group-title',
+    LIST: 'facet-list',
+    CHIP: 'facet-chip',
+    COUNT: 'facet-count',
+    EMPTY: 'facet-empty',
+});
+
+const STATE_LABELS = Object.freeze({
+    include: 'included',
+    exclude: 'excluded',
+});
+
+function getFacetState(selected, group, value) {
+    const facet = selected.find((entry) => entry.group === group && entry.value === value);
+    if (!facet) return null;
+    return facet.exclude ? 'exclude' : 'include';
+}
+
+function createFacetChip(group, { value, count }, state) {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = FACET_CLASSES.CHIP;
+    chip.dataset.facetGroup = group;
+    chip.dataset.facetValue = value;
+    if (state) chip.dataset.facetState = state;
+    if (!count && !state) chip.classList.add('is-empty');
+    chip.setAttribute('aria-pressed', state ? 'true' : 'false');
+    chip.setAttribute(
+        'aria-label',
+        `${value}, ${count} ${count === 1 ? 'item' : 'items'}${state ? `, ${STATE_LABELS[state]}` : ''}`
+    );
+
+    const countElement = document.createElement('span');
+    countElement.className = FACET_CLASSES.COUNT;
+    countElement.textContent = String(count);
+    chip.append(document.createTextNode(value), countElement);
+    return chip;
+}
+
+/**
+ * Type and tag chips; a chip's `data-facet-state` is `include` or `exclude` when selected.
+ * @param {HTMLElement} container
+ * @param {Object<string, Array<{ value: string, count: number }>>} counts - From getFacetCounts
+ * @param {Array<{ group: string, value: string, exclude: boolean }>} selected
+ */
+export function renderFacetPanel(container, counts, selected) {
+    if (!container) return;
+    const groups = Object.entries(counts).filter(([, values]) => values.length);
+    if (!groups.length) {
+        const empty = document.createElement('p');
+        empty.className = FACET_CLASSES.EMPTY;
+        empty.textContent = 'No types or tags in the loaded data.';
+        container.replaceChildren(empty);
+        return;
+    }
+
+    container.replaceChildren(...groups.map(([group, values]) => {
+        const section = document.createElement('div');
+        section.className = FACET_CLASSES.GROUP;
+
+        const title = document.createElement('div');
+        title.className = FACET_CLASSES.GROUP_TITLE;
+        title.textContent = FACET_GROUP_LABELS[group] || group;
+
+        const list = document.createElement('div');
+        list.className = FACET_CLASSES.LIST;
+        list.setAttribute('role', 'group');
+        list.setAttribute('aria-label', FACET_GROUP_LABELS[group] || group);
+        values.forEach((entry) => {
+            list.appendChild(createFacetChip(group, entry, getFacetState(selected, group, entry.value)));
+        });
+
+        section.append(title, list);
+        return section;
+    }));
+}
@@ -0,0 +1,54 @@
+import { SECTION_META, SECTION_TYPES } from '../section-config.js';
+import { BUILT_IN_FILTER_PRESETS, getPresetShownSections } from '../state/filter-presets.js';
+
+export const FILTER_PRESET_CLASSES = Object.freeze({
+    ITEM: 'filter-preset',
+    APPLY: 'filter-preset-apply',
+    REMOVE: 'filter-preset-remove',
+    BUILT_IN: 'is-built-in',
+});
+
+function describeFilterPreset(preset) {
+    const shown = getPresetShownSections(preset);
+    const sections = SECTION_TYPES
+        .filter((type) => shown.includes(SECTION_META[type]?.stateKey))
+        .map((type) => SECTION_META[type].label);
+    const parts = [sections.length ? sections.join(', ') : 'No sections'];
+    if (preset.filters.removeDuplicates === true) parts.push('duplicates hidden');
+    if (preset.filters.showNotableChanges === false) parts.push('no notable changes');
+    return parts.join(' · ');
+}
+
+/**
+ * Built-in presets followed by the user's; buttons carry `data-filter-preset-id`.
+ * @param {HTMLElement} list
+ * @param {Array<object>} presets - User presets
+ */
+export function renderFilterPresetList(list, presets) {
+    if (!list) return;
+    list.replaceChildren(...[...BUILT_IN_FILTER_PRESETS, ...presets].map((preset) => {
+        const item = document.createElement('li');
+        item.className = preset.builtIn
+            ? `${FILTER_PRESET_CLASSES.ITEM} ${FILTER_PRESET_CLASSES.BUILT_IN}`
+            : FILTER_PRESET_CLASSES.ITEM;
+
+        const apply = document.createElement('button');
+        apply.type = 'button';
+        apply.className = FILTER_PRESET_CLASSES.APPLY;
+        apply.dataset.filterPresetId = preset.id;
+        apply.title = describeFilterPreset(preset);
+        apply.textContent = preset.name;
+        item.append(apply);
+
+        if (!preset.builtIn) {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = FILTER_PRESET_CLASSES.REMOVE;
+            remove.dataset.filterPresetId = preset.id;
+            remove.setAttribute('aria-label', `Remove filter preset ${preset.name}`);
+            remove.textContent = '×';
+            item.append(remove);
+        }
+        return item;
+    }));
+}
@@ -0,0 +1,39 @@
+/**
+ * Context menu of a grid item; the item it was opened on is kept in the menu's dataset.
+ */
+const VIEWPORT_PADDING = 8;
+
+/**
+ * @param {HTMLElement} menu
+ * @param {{ x: number, y: number, identifier: string, versionId?: string|null }} target - `x`/`y` in viewport pixels
+ */
+export function openItemContextMenu(menu, { x, y, identifier, versionId = null }) {
+    if (!menu) return;
+    menu.dataset.identifier = identifier;
+    menu.dataset.versionId = versionId || '';
+    menu.hidden = false;
+
+    const rect = menu.getBoundingClientRect();
+    const maxLeft = window.innerWidth - rect.width - VIEWPORT_PADDING;
+    const maxTop = window.innerHeight - rect.height - VIEWPORT_PADDING;
+    menu.style.left = `${Math.max(VIEWPORT_PADDING, Math.min(x, maxLeft))}px`;
+    menu.style.top = `${Math.max(VIEWPORT_PADDING, Math.min(y, maxTop))}px`;
+    menu.querySelector('button')?.focus();
+}
+
+/**
+ * @param {HTMLElement} menu
+ */
+export function closeItemContextMenu(menu) {
+    if (!menu || menu.hidden) return;
+    menu.hidden = true;
+}
+
+/**
+ * @param {HTMLElement} menu
+ * @returns {{ identifier: string, versionId: string|null }|null} The item the open menu belongs to
+ */
+export function getItemContextMenuTarget(menu) {
+    if (!menu || menu.hidden || !menu.dataset.identifier) return null;
+    return { identifier: menu.dataset.identifier, versionId: menu.dataset.versionId || null };
+}
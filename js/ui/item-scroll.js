@@ -1,17 +1,27 @@
 import { DOMManager } from '../dom-manager.js';
 import { DOM_SELECTORS } from '../constants/dom-classes.js';
 
-export function scrollToGridItem(contentElement, identifier) {
+export const ITEM_PULSE_CLASS = 'item-link-pulse';
+
+/**
+ * @param {HTMLElement} contentElement - Searched for the item
+ * @param {string} identifier
+ * @param {{ pulse?: boolean }} [options] - `pulse` also flashes an outline, for deep-link targets
+ * @returns {boolean} Whether the item was found
+ */
+export function scrollToGridItem(contentElement, identifier, { pulse = false } = {}) {
     const targetItem = contentElement.querySelector(`${DOM_SELECTORS.GRID_ITEM}[data-identifier="${identifier}"]`);
-    if (!targetItem) return;
+    if (!targetItem) return false;
 
     DOMManager.scrollIntoView(targetItem, {
         behavior: 'smooth',
         block: 'center',
     });
 
-    targetItem.classList.add('highlight-item');
+    const classes = pulse ? ['highlight-item', ITEM_PULSE_CLASS] : ['highlight-item'];
+    targetItem.classList.add(...classes);
     setTimeout(() => {
-        targetItem.classList.remove('highlight-item');
+        targetItem.classList.remove(...classes);
     }, 2000);
+    return true;
 }
@@ -2,6 +2,9 @@ import { CONFIG } from '../config.js';
 import { DOMManager } from '../dom-manager.js';
 import { SECTION_META, SECTION_TYPES } from '../section-config.js';
 import { Utils } from '../utils.js';
+import { DEFAULT_EDITION, getEditionReleaseDate } from '../data/editions.js';
+import { getSearchCorrections, isSearchMatch } from '../data/search.js';
+import { LIST_SORT_ORDERS, coerceListSort } from '../data/sorting.js';
 
 const DAY_IN_MS = 24 * 60 * 60 * 1000;
 
@@ -13,7 +16,7 @@ export function getResultsSummary(app, data) {
         SECTION_TYPES.forEach((type) => {
             const stateKey = SECTION_META[type]?.stateKey;
             if (stateKey && !app.state[stateKey]) return;
-            itemCount += entry.added?.[type]?.length || 0;
+            itemCount += entry.added?.[type]?.filter(isSearchMatch).length || 0;
         });
     });
     return { query, entryCount, itemCount };
@@ -29,9 +32,33 @@ export function renderEmptyState(app, summary) {
     const emptyElement = document.createElement('p');
     emptyElement.className = 'empty-state';
     emptyElement.textContent = emptyMessage;
+    if (summary.query) {
+        appendSearchCorrections(app, emptyElement, getSearchCorrections(app.getSearchIndex(), summary.query));
+    }
     app.elements.content.appendChild(emptyElement);
 }
 
+function appendSearchCorrections(app, emptyElement, corrections) {
+    if (!corrections.length) return;
+    const container = document.createElement('span');
+    container.className = 'did-you-mean';
+    container.appendChild(document.createTextNode('Did you mean '));
+    corrections.forEach((correction, index) => {
+        if (index > 0) container.appendChild(document.createTextNode(', '));
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'did-you-mean-option';
+        button.textContent = correction;
+        button.addEventListener('click', () => {
+            app.setSearchQuery(correction);
+            void app.actions.refreshForSearchChange();
+        });
+        container.appendChild(button);
+    });
+    container.appendChild(document.createTextNode('?'));
+    emptyElement.appendChild(container);
+}
+
 export function renderCardsInChunks({ app, data, cardRenderer, afterRender }) {
     const chunkSize = CONFIG.LIST_RENDER_CHUNK_SIZE;
     const renderContext = createCardListRenderContext(app, data);
@@ -65,7 +92,7 @@ function createCardListNodes(data, cardRenderer, renderContext, startIndex) {
         const nodes = [];
         if (renderContext.showVersionGaps && index > 0) {
             const previous = renderContext.displayedData[index - 1];
-            nodes.push(createVersionGapDivider(previous, item, renderContext.versionOrder, renderContext.showVersionGapCount));
+            nodes.push(createVersionGapDivider(previous, item, renderContext));
         }
         nodes.push(cardRenderer.createCard(item));
         return nodes;
@@ -79,16 +106,20 @@ function createCardListRenderContext(app, displayedData) {
         versionOrder: createVersionOrder(app.state.allUpdates),
         showVersionGaps: shouldShowVersionGaps(app),
         showVersionGapCount: hasSearchQuery,
+        edition: app.state.edition,
     };
 }
 
 function shouldShowVersionGaps(app) {
     if (app.state.currentView !== CONFIG.VIEWS.VERSIONS) return false;
+    // Gaps only mean something between neighbours in release order.
+    const listSort = coerceListSort(app.state.listSort);
+    if (listSort !== LIST_SORT_ORDERS.NEWEST && listSort !== LIST_SORT_ORDERS.OLDEST) return false;
     return hasActiveListFilter(app);
 }
 
 function hasActiveListFilter(app) {
-    if (app.getSearchQuery().trim()) return true;
+    if (app.getSearchQuery().trim() || app.state.facetFilters?.length) return true;
     return SECTION_TYPES.some((type) => {
         const stateKey = SECTION_META[type]?.stateKey;
         return stateKey && app.state[stateKey] === false;
@@ -99,11 +130,11 @@ function createVersionOrder(allUpdates) {
     return new Map(allUpdates.map((item, index) => [getVersionKey(item), index]));
 }
 
-function createVersionGapDivider(previous, current, versionOrder, showVersionGapCount) {
+function createVersionGapDivider(previous, current, { versionOrder, showVersionGapCount, edition }) {
     const divider = document.createElement('div');
     divider.className = 'version-gap-divider';
     divider.setAttribute('role', 'separator');
-    divider.textContent = getVersionGapLabel(previous, current, versionOrder, { showVersionGapCount });
+    divider.textContent = getVersionGapLabel(previous, current, versionOrder, { showVersionGapCount, edition });
     return divider;
 }
 
@@ -111,10 +142,10 @@ export function getVersionGapLabel(
     previous,
     current,
     versionOrder = createVersionOrder([previous, current]),
-    { showVersionGapCount = true } = {}
+    { showVersionGapCount = true, edition = DEFAULT_EDITION } = {}
 ) {
     const versionGap = getVersionGap(previous, current, versionOrder);
-    const dayText = getDayGapText(previous?.release_date, current?.release_date);
+    const dayText = getDayGapText(getEditionReleaseDate(previous, edition), getEditionReleaseDate(current, edition));
     if (!showVersionGapCount) return `${dayText} between`;
     const versionText = `${versionGap} ${pluralize(versionGap, 'version', 'versions')}`;
     return `${versionText}, ${dayText} between`;
@@ -2,18 +2,22 @@ import { APP_MODES, isSearchDisabledMode, isYearToggleDisabledMode } from '../ap
 import { CONFIG } from '../config.js';
 import { POPULAR_FILTERS, ALL_FILTER_CHECKBOX_PAIRS } from '../constants/filter-config.js';
 import { DOMManager } from '../dom-manager.js';
+import { EDITIONS } from '../data/editions.js';
+import { renderSortControls } from './sort-controls.js';
 
 export const MODE_UI_CONFIG = [
     { mode: APP_MODES.COMPARE, btnKey: 'compareBtn', bodyClass: 'compare-mode' },
     { mode: APP_MODES.STATS, btnKey: 'statsBtn', bodyClass: 'stats-mode' },
     { mode: APP_MODES.TIME_SINCE, btnKey: 'timeSinceBtn', bodyClass: 'time-since-mode' },
     { mode: APP_MODES.MATERIAL_GROUPS, btnKey: 'materialGroupsBtn', bodyClass: 'material-groups-mode' },
+    { mode: APP_MODES.RESULTS, btnKey: 'searchResultsBtn', bodyClass: 'results-mode' },
     { mode: APP_MODES.DETAIL, btnKey: null, bodyClass: 'detail-mode' },
 ];
 
 export function syncModeUi(app) {
     const mode = app.state.activeMode;
     syncThemeUi(app);
+    syncEditionUi(app);
 
     if (app.elements.toggleSwitch) {
         const activeElement = app.elements.toggleSwitch.querySelector(`.${CONFIG.CSS_CLASSES.ACTIVE}`);
@@ -57,11 +61,25 @@ export function syncThemeUi(app) {
     });
 }
 
+export function syncEditionUi(app) {
+    [
+        [app.elements.editionJavaBtn, EDITIONS.JAVA],
+        [app.elements.editionBedrockBtn, EDITIONS.BEDROCK],
+    ].forEach(([button, buttonEdition]) => {
+        if (!button) return;
+        const active = app.state.edition === buttonEdition;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+    });
+}
+
 export function syncCheckboxes(app) {
     ALL_FILTER_CHECKBOX_PAIRS.forEach(([elementKey, stateKey]) => {
         const element = app.elements[elementKey];
         if (element) element.checked = app.state[stateKey];
     });
+    app.elements.body?.classList.toggle(CONFIG.CSS_CLASSES.SHOW_BORDERS, Boolean(app.state.showBorders));
+    renderSortControls(app.elements, app.state);
 }
 
 export function syncPopularButtons(app) {
@@ -0,0 +1,41 @@
+import { Utils } from '../utils.js';
+import { getVersionLabel } from '../data/editions.js';
+import { isDevelopmentVersion } from '../data/development-versions.js';
+import { isReleaseRangeActive } from '../data/release-range.js';
+
+function createVersionOption(value, label) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    return option;
+}
+
+function fillVersionSelect(select, releases, edition, selectedId) {
+    if (!select) return;
+    select.replaceChildren(
+        createVersionOption('', 'Any version'),
+        ...releases.map((update) => {
+            const version = getVersionLabel(update, edition);
+            const label = update.name && update.name !== version ? `${version} · ${update.name}` : version || update.name;
+            return createVersionOption(Utils.generateCardId(update), label);
+        })
+    );
+    select.value = selectedId || '';
+}
+
+/**
+ * Version pickers list the releases (newest first); development versions are
+ * covered by their release.
+ * @param {Object<string, HTMLElement>} elements - App elements
+ * @param {Array<object>} updates - Top-level updates in display order
+ * @param {object} range - state.releaseRange
+ * @param {string} edition
+ */
+export function renderReleaseRangeControls(elements, updates, range, edition) {
+    const releases = updates.filter((update) => !isDevelopmentVersion(update));
+    fillVersionSelect(elements.releaseRangeFromVersion, releases, edition, range.fromVersion);
+    fillVersionSelect(elements.releaseRangeToVersion, releases, edition, range.toVersion);
+    if (elements.releaseRangeFromDate) elements.releaseRangeFromDate.value = range.fromDate || '';
+    if (elements.releaseRangeToDate) elements.releaseRangeToDate.value = range.toDate || '';
+    if (elements.releaseRangeClearBtn) elements.releaseRangeClearBtn.hidden = !isReleaseRangeActive(range);
+}
@@ -0,0 +1,51 @@
+import { CONFIG } from '../config.js';
+
+export const SAVED_SEARCH_CLASSES = Object.freeze({
+    ITEM: 'saved-search',
+    APPLY: 'saved-search-apply',
+    REMOVE: 'saved-search-remove',
+    EMPTY: 'saved-searches-empty',
+});
+
+function describeSavedSearch(saved) {
+    const view = saved.view === CONFIG.VIEWS.YEARS ? 'years' : 'versions';
+    return saved.query ? `"${saved.query}" by ${view}` : `All content by ${view}`;
+}
+
+/**
+ * Saved searches in the controls panel; buttons carry `data-saved-search-id`.
+ * @param {HTMLElement} list
+ * @param {Array<object>} savedSearches
+ */
+export function renderSavedSearchList(list, savedSearches) {
+    if (!list) return;
+    if (!savedSearches.length) {
+        const empty = document.createElement('li');
+        empty.className = SAVED_SEARCH_CLASSES.EMPTY;
+        empty.textContent = 'No saved searches yet.';
+        list.replaceChildren(empty);
+        return;
+    }
+
+    list.replaceChildren(...savedSearches.map((saved) => {
+        const item = document.createElement('li');
+        item.className = SAVED_SEARCH_CLASSES.ITEM;
+
+        const apply = document.createElement('button');
+        apply.type = 'button';
+        apply.className = SAVED_SEARCH_CLASSES.APPLY;
+        apply.dataset.savedSearchId = saved.id;
+        apply.title = describeSavedSearch(saved);
+        apply.textContent = saved.name;
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.className = SAVED_SEARCH_CLASSES.REMOVE;
+        remove.dataset.savedSearchId = saved.id;
+        remove.setAttribute('aria-label', `Remove saved search ${saved.name}`);
+        remove.textContent = '×';
+
+        item.append(apply, remove);
+        return item;
+    }));
+}
@@ -0,0 +1,209 @@
+/**
+ * ARIA combobox for a search field: a listbox of item, `#tag`, saved and
+ * recent search suggestions under the input. Arrow keys move the active
+ * option, Enter searches it, Alt+Enter jumps to the item and Escape closes
+ * the list.
+ */
+import { SECTION_META } from '../section-config.js';
+import { Utils } from '../utils.js';
+import { getVersionLabel } from '../data/editions.js';
+import { getHighlightTerms } from '../data/search.js';
+import { createHighlightedNodes } from './search-highlight.js';
+
+const OPTION_CLASS = 'search-suggestion';
+const ACTIVE_OPTION_CLASS = 'is-active';
+const OPTION_GLYPHS = Object.freeze({
+    tag: '#',
+    saved: '★',
+    recent: '↺',
+});
+
+/**
+ * @param {{ kind: string, count?: number, section?: string, update?: object }} option - From getAutocompleteOptions
+ * @param {string} [edition]
+ * @returns {string}
+ */
+export function describeSearchOption(option, edition) {
+    if (option.kind === 'tag') return `${option.count} ${option.count === 1 ? 'item' : 'items'}`;
+    if (option.kind === 'saved') return option.value ? `Saved search · ${option.value}` : 'Saved search';
+    if (option.kind === 'recent') return 'Recent search';
+    const section = SECTION_META[option.section]?.label || option.section || '';
+    const version = option.update ? getVersionLabel(option.update, edition) : '';
+    return [section, version && `added in ${version}`].filter(Boolean).join(' · ');
+}
+
+function createOptionElement(option, id, { query, edition }) {
+    const element = document.createElement('li');
+    element.id = id;
+    element.className = `${OPTION_CLASS} ${OPTION_CLASS}-${option.kind}`;
+    element.setAttribute('role', 'option');
+    element.setAttribute('aria-selected', 'false');
+
+    const iconPath = option.kind === 'item' ? Utils.resolveImagePath(option.item) : '';
+    if (iconPath) {
+        const icon = document.createElement('img');
+        icon.className = `${OPTION_CLASS}-icon`;
+        icon.src = iconPath;
+        icon.alt = '';
+        icon.loading = 'lazy';
+        element.appendChild(icon);
+    } else {
+        const glyph = document.createElement('span');
+        glyph.className = `${OPTION_CLASS}-icon ${OPTION_CLASS}-glyph`;
+        glyph.setAttribute('aria-hidden', 'true');
+        glyph.textContent = OPTION_GLYPHS[option.kind] || '';
+        element.appendChild(glyph);
+    }
+
+    const label = document.createElement('span');
+    label.className = `${OPTION_CLASS}-label`;
+    label.append(...createHighlightedNodes(option.label, option.kind === 'item' ? getHighlightTerms(query) : []));
+
+    const meta = document.createElement('span');
+    meta.className = `${OPTION_CLASS}-meta`;
+    meta.textContent = describeSearchOption(option, edition);
+
+    element.append(label, meta);
+    return element;
+}
+
+/**
+ * @param {HTMLInputElement} input
+ * @param {HTMLElement} listbox - Initially hidden `<ul>`
+ * @param {{
+ *   getOptions: (query: string) => Array<object>,
+ *   getEdition?: () => string,
+ *   onSearch: (value: string, option?: object) => void,
+ *   onJump: (option: object) => void,
+ * }} handlers
+ * @returns {{ refresh: () => void, close: () => void }}
+ */
+export function attachSearchCombobox(input, listbox, { getOptions, getEdition = () => undefined, onSearch, onJump }) {
+    let options = [];
+    let activeIndex = -1;
+
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-controls', listbox.id);
+    input.setAttribute('aria-expanded', 'false');
+    listbox.setAttribute('role', 'listbox');
+
+    const isOpen = () => !listbox.hidden;
+
+    const setActive = (index) => {
+        activeIndex = index;
+        [...listbox.children].forEach((element, position) => {
+            const active = position === index;
+            element.classList.toggle(ACTIVE_OPTION_CLASS, active);
+            element.setAttribute('aria-selected', String(active));
+            if (active) element.scrollIntoView?.({ block: 'nearest' });
+        });
+        if (index >= 0) {
+            input.setAttribute('aria-activedescendant', listbox.children[index].id);
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    };
+
+    const close = () => {
+        options = [];
+        activeIndex = -1;
+        listbox.replaceChildren();
+        listbox.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+    };
+
+    const open = () => {
+        const query = input.value;
+        options = getOptions(query);
+        if (!options.length) {
+            close();
+            return;
+        }
+        const renderContext = { query, edition: getEdition() };
+        listbox.replaceChildren(...options.map((option, index) =>
+            createOptionElement(option, `${listbox.id}-option-${index}`, renderContext)
+        ));
+        listbox.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        setActive(-1);
+    };
+
+    const choose = (option, jump) => {
+        close();
+        if (jump && option.kind === 'item') {
+            onJump(option);
+            return;
+        }
+        input.value = option.value;
+        onSearch(option.value, option);
+    };
+
+    const moveActive = (step) => {
+        if (!isOpen()) {
+            open();
+            if (!options.length) return;
+        }
+        const next = activeIndex + step;
+        setActive(next < 0 ? options.length - 1 : next % options.length);
+    };
+
+    input.addEventListener('input', open);
+    // An empty field lists saved and recent searches.
+    input.addEventListener('focus', () => {
+        if (!input.value.trim()) open();
+    });
+    input.addEventListener('blur', close);
+
+    input.addEventListener('keydown', (event) => {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                moveActive(1);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                moveActive(-1);
+                break;
+            case 'Enter': {
+                event.preventDefault();
+                // Alt+Enter without an active option jumps to the best item match,
+                // past any saved or recent searches listed first.
+                const option = options[activeIndex]
+                    || (event.altKey ? options.find((entry) => entry.kind === 'item') : null);
+                if (option) {
+                    choose(option, event.altKey);
+                } else {
+                    close();
+                    onSearch(input.value);
+                }
+                break;
+            }
+            case 'Escape':
+                if (!isOpen()) return;
+                event.preventDefault();
+                close();
+                break;
+            default:
+                break;
+        }
+    });
+
+    // pointerdown keeps focus in the input, so blur does not close the list first.
+    listbox.addEventListener('pointerdown', (event) => {
+        event.preventDefault();
+    });
+    listbox.addEventListener('click', (event) => {
+        const element = event.target.closest(`.${OPTION_CLASS}`);
+        const index = element ? [...listbox.children].indexOf(element) : -1;
+        if (index >= 0) choose(options[index], event.altKey);
+    });
+
+    return {
+        refresh() {
+            if (isOpen()) open();
+        },
+        close,
+    };
+}
@@ -16,3 +16,28 @@ export function setSearchQueryInFields(elements, value) {
     elements.searchClearBtn?.classList.toggle('is-visible', hasValue);
     elements.mobileSearchClearBtn?.classList.toggle('is-visible', hasValue);
 }
+
+/**
+ * Inline query syntax feedback under both search fields.
+ * @param {object} elements
+ * @param {{ message: string, index: number } | null} error - From parseQuery
+ */
+export function setSearchErrorInFields(elements, error) {
+    [
+        [elements.searchBar, elements.searchError],
+        [elements.mobileSearchBar, elements.mobileSearchError],
+    ].forEach(([input, messageEl]) => {
+        if (!input || !messageEl) return;
+        if (error) {
+            input.setAttribute('aria-invalid', 'true');
+            input.setAttribute('aria-describedby', messageEl.id);
+            messageEl.textContent = `${error.message} (at character ${error.index + 1}); searching plain words`;
+            messageEl.hidden = false;
+        } else {
+            input.removeAttribute('aria-invalid');
+            input.removeAttribute('aria-describedby');
+            messageEl.textContent = '';
+            messageEl.hidden = true;
+        }
+    });
+}
@@ -0,0 +1,19 @@
+import { splitHighlightedText } from '../data/search.js';
+
+export const SEARCH_HIGHLIGHT_CLASS = 'search-highlight';
+
+/**
+ * @param {string} text
+ * @param {Array<string>} terms - From getHighlightTerms
+ * @returns {Array<Node>} Text nodes with the matched parts wrapped in `<mark>`
+ */
+export function createHighlightedNodes(text, terms) {
+    if (!terms?.length) return [document.createTextNode(text)];
+    return splitHighlightedText(text, terms).map(({ text: part, match }) => {
+        if (!match) return document.createTextNode(part);
+        const mark = document.createElement('mark');
+        mark.className = SEARCH_HIGHLIGHT_CLASS;
+        mark.textContent = part;
+        return mark;
+    });
+}
@@ -0,0 +1,47 @@
+/**
+ * Match counts on the section checkboxes and popular pills.
+ */
+import { SECTION_META, SECTION_TYPES } from '../section-config.js';
+import { POPULAR_FILTERS } from '../constants/filter-config.js';
+
+export const SECTION_COUNT_CLASS = 'filter-count';
+export const NO_MATCHES_CLASS = 'has-no-matches';
+
+function setCount(element, count) {
+    let badge = element.querySelector(`.${SECTION_COUNT_CLASS}`);
+    if (!badge) {
+        badge = document.createElement('span');
+        badge.className = SECTION_COUNT_CLASS;
+        element.appendChild(badge);
+    }
+    badge.textContent = String(count);
+}
+
+/**
+ * @param {Object<string, HTMLElement>} elements - App elements
+ * @param {Object<string, number>} counts - Matching items per section type
+ */
+export function renderSectionCounts(elements, counts) {
+    SECTION_TYPES.forEach((type) => {
+        const checkbox = elements[SECTION_META[type]?.checkboxElementKey];
+        const container = checkbox?.parentElement;
+        const label = container?.querySelector('label');
+        if (!label) return;
+        const count = counts[type] ?? 0;
+        setCount(label, count);
+        container.classList.toggle(NO_MATCHES_CLASS, count === 0);
+    });
+
+    POPULAR_FILTERS.forEach(({ elementKey, stateKey }) => {
+        const button = elements[elementKey];
+        const type = SECTION_TYPES.find((sectionType) => SECTION_META[sectionType].stateKey === stateKey);
+        if (!button || !type) return;
+        const count = counts[type] ?? 0;
+        setCount(button, count);
+        button.classList.toggle(NO_MATCHES_CLASS, count === 0);
+        button.setAttribute(
+            'aria-label',
+            `Toggle ${SECTION_META[type].label.toLowerCase()}, ${count} ${count === 1 ? 'match' : 'matches'}`
+        );
+    });
+}
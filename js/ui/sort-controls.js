@@ -0,0 +1,23 @@
+import { ITEM_SORT_LABELS, LIST_SORT_LABELS } from '../data/sorting.js';
+
+function fillSortSelect(select, labels, value) {
+    if (!select) return;
+    if (!select.options?.length) {
+        select.replaceChildren(...Object.entries(labels).map(([order, label]) => {
+            const option = document.createElement('option');
+            option.value = order;
+            option.textContent = label;
+            return option;
+        }));
+    }
+    select.value = value;
+}
+
+/**
+ * @param {Object<string, HTMLElement>} elements - App elements
+ * @param {{ listSort: string, itemSort: string }} state
+ */
+export function renderSortControls(elements, { listSort, itemSort }) {
+    fillSortSelect(elements.listSortSelect, LIST_SORT_LABELS, listSort);
+    fillSortSelect(elements.itemSortSelect, ITEM_SORT_LABELS, itemSort);
+}
@@ -11,3 +11,14 @@ export function createStatusMessageElement(message, { error = false } = {}) {
     element.textContent = message;
     return element;
 }
+
+/**
+ * Inline status text next to a control, e.g. the result of an import.
+ * @param {HTMLElement} element
+ * @param {string} message - Empty hides the status line
+ */
+export function setStatusLine(element, message) {
+    if (!element) return;
+    element.textContent = message;
+    element.hidden = !message;
+}
@@ -0,0 +1,21 @@
+/**
+ * Short-lived status message at the bottom of the page (`#app-toast`).
+ */
+const TOAST_DURATION_MS = 3000;
+const hideTimers = new WeakMap();
+
+/**
+ * @param {HTMLElement} element
+ * @param {string} message
+ * @param {{ error?: boolean, duration?: number }} [options]
+ */
+export function showToast(element, message, { error = false, duration = TOAST_DURATION_MS } = {}) {
+    if (!element) return;
+    clearTimeout(hideTimers.get(element));
+    element.textContent = message;
+    element.classList.toggle('is-error', error);
+    element.hidden = false;
+    hideTimers.set(element, setTimeout(() => {
+        element.hidden = true;
+    }, duration));
+}
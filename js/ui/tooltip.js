@@ -1,13 +1,25 @@
-export function showTooltip(tooltip, target, text) {
+import { createHighlightedNodes } from './search-highlight.js';
+
+const TOOLTIP_PART_PATTERN = /\|(?:health|since):/;
+
+/**
+ * @param {HTMLElement} tooltip
+ * @param {HTMLElement} target
+ * @param {string} text
+ * @param {Array<string>} [highlightTerms] - Search terms to mark in the name
+ */
+export function showTooltip(tooltip, target, text, highlightTerms = []) {
     if (!tooltip || !target || !text) return;
 
-    if (text.includes('|health:')) {
-        const [name, healthPart] = text.split('|health:');
+    if (TOOLTIP_PART_PATTERN.test(text)) {
+        const [name, ...parts] = text.split('|');
+        const lines = parts.map(createTooltipPart).filter(Boolean);
         tooltip.replaceChildren(
-            document.createTextNode(name),
-            document.createElement('br'),
-            createHealthText(healthPart),
+            ...createHighlightedNodes(name, highlightTerms),
+            ...lines.flatMap((line) => [document.createElement('br'), line]),
         );
+    } else if (highlightTerms.length) {
+        tooltip.replaceChildren(...createHighlightedNodes(text, highlightTerms));
     } else {
         tooltip.textContent = text;
     }
@@ -43,6 +55,23 @@ export function hideTooltip(tooltip) {
     tooltip.style.display = 'none';
 }
 
+/**
+ * Tooltip texts are `name|key:value|…`; known keys get their own line.
+ */
+function createTooltipPart(part) {
+    const separator = part.indexOf(':');
+    const key = part.slice(0, separator);
+    const value = part.slice(separator + 1);
+    if (key === 'health') return createHealthText(value);
+    if (key === 'since') {
+        const since = document.createElement('span');
+        since.className = 'tooltip-since-text';
+        since.textContent = `First in ${value}`;
+        return since;
+    }
+    return null;
+}
+
 function createHealthText(healthPart) {
     const wrapper = document.createElement('span');
     wrapper.className = 'tooltip-health-text';
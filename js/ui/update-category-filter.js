@@ -0,0 +1,55 @@
+import { UPDATE_CATEGORY_LABELS, UPDATE_CATEGORY_ORDER } from '../data/update-categories.js';
+
+export const UPDATE_CATEGORY_CLASSES = Object.freeze({
+    CHIP: 'update-category-chip',
+    SWATCH: 'update-category-swatch',
+    COUNT: 'update-category-count',
+    BADGE: 'update-category-badge',
+    DOT: 'update-category-dot',
+});
+
+/**
+ * @param {string} category
+ * @returns {string} Class carrying the category colour (`--category-color`)
+ */
+export function getUpdateCategoryClass(category) {
+    return `update-category-${category}`;
+}
+
+/**
+ * Category toggles, doubling as the colour legend; chips carry `data-update-category`.
+ * @param {HTMLElement} container
+ * @param {Object<string, number>} counts - Updates per category in the loaded data
+ * @param {Array<string>} hiddenCategories
+ */
+export function renderUpdateCategoryFilter(container, counts, hiddenCategories) {
+    if (!container) return;
+    const categories = UPDATE_CATEGORY_ORDER.filter((category) =>
+        counts[category] || hiddenCategories.includes(category)
+    );
+
+    container.replaceChildren(...categories.map((category) => {
+        const shown = !hiddenCategories.includes(category);
+        const count = counts[category] || 0;
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `${UPDATE_CATEGORY_CLASSES.CHIP} ${getUpdateCategoryClass(category)}`;
+        chip.dataset.updateCategory = category;
+        chip.setAttribute('aria-pressed', String(shown));
+        chip.setAttribute(
+            'aria-label',
+            `${UPDATE_CATEGORY_LABELS[category]}, ${count} ${count === 1 ? 'update' : 'updates'}${shown ? '' : ', hidden'}`
+        );
+
+        const swatch = document.createElement('span');
+        swatch.className = UPDATE_CATEGORY_CLASSES.SWATCH;
+        swatch.setAttribute('aria-hidden', 'true');
+
+        const countElement = document.createElement('span');
+        countElement.className = UPDATE_CATEGORY_CLASSES.COUNT;
+        countElement.textContent = String(count);
+
+        chip.append(swatch, document.createTextNode(UPDATE_CATEGORY_LABELS[category]), countElement);
+        return chip;
+    }));
+}
@@ -4,10 +4,37 @@
 import { CONFIG } from './config.js';
 import { Utils } from './utils.js';
 import { APP_MODES, activeModeFromUrlParam, historyModeLabel } from './app-modes.js';
+import { DEFAULT_EDITION, EDITIONS } from './data/editions.js';
+import { decodeFacets, encodeFacets } from './data/facets.js';
+import { decodeReleaseRange, encodeReleaseRange } from './data/release-range.js';
+import {
+    FILTER_URL_PARAMS,
+    SORT_URL_PARAMS,
+    decodeFilterParams,
+    decodeSortParams,
+    encodeFilterParams,
+    encodeSortParams,
+} from './state/filter-url.js';
+import { applyFilterPresetToState, findFilterPreset } from './state/filter-presets.js';
+import { ITEM_LINK_PARAMS, readItemLinkParams } from './data/item-links.js';
+
+/** Params holding list filters; a change to any of them is a history step. */
+const TRACKED_FILTER_PARAMS = [
+    ...Object.values(FILTER_URL_PARAMS),
+    ...Object.values(SORT_URL_PARAMS),
+    'facets',
+    'versions',
+    'dates',
+];
 
 /** Last `view` / `mode` query values after our own history updates (for popstate vs hash-only). */
 let lastTrackedView = null;
 let lastTrackedMode = null;
+let lastTrackedFilters = null;
+
+function getFilterParamsKey(params) {
+    return TRACKED_FILTER_PARAMS.map((key) => params.get(key) || '').join('&');
+}
 
 /**
  * Sync tracker from the current address bar (call after load and after updateURL).
@@ -16,6 +43,15 @@ export function refreshUrlSessionFromLocation() {
     const p = new URLSearchParams(window.location.search);
     lastTrackedView = p.get('view');
     lastTrackedMode = p.get('mode');
+    lastTrackedFilters = getFilterParamsKey(p);
+}
+
+/**
+ * @param {URLSearchParams} params
+ * @returns {boolean} Whether the filter params differ from the last tracked URL
+ */
+export function haveFilterParamsChanged(params) {
+    return getFilterParamsKey(params) !== lastTrackedFilters;
 }
 
 export function getLastTrackedUrlParams() {
@@ -32,6 +68,7 @@ export function restoreFromURL(app) {
     const pendingRestore = {
         detailTarget: null,
         compareVersionIds: null,
+        itemTarget: null,
     };
 
     const urlParams = new URLSearchParams(window.location.search);
@@ -57,6 +94,36 @@ export function restoreFromURL(app) {
         app.setSearchQuery(searchParam);
     }
 
+    app.state.facetFilters = decodeFacets(urlParams.get('facets'));
+
+    // Links written by updateURL always carry `view` and omit default filters,
+    // so there a missing filter param means the default. Bare links keep the
+    // persisted filters.
+    if (viewParam) {
+        Object.assign(app.state, decodeFilterParams(urlParams), decodeSortParams(urlParams));
+    }
+
+    // `?preset=` names a built-in or saved preset; it applies over the other filter params.
+    const preset = findFilterPreset(app.state.filterPresets || [], urlParams.get('preset'));
+    if (preset) {
+        applyFilterPresetToState(app.state, preset);
+    }
+
+    if (viewParam || urlParams.has('versions') || urlParams.has('dates')) {
+        app.state.releaseRange = decodeReleaseRange(urlParams.get('versions'), urlParams.get('dates'));
+    }
+
+    const editionParam = urlParams.get('edition');
+    if (Object.values(EDITIONS).includes(editionParam)) {
+        app.state.edition = editionParam;
+    }
+
+    // A linked source applies to this visit only; the saved one stays untouched.
+    const dataParam = urlParams.get('data')?.trim();
+    if (dataParam) {
+        app.state.linkedDataSource = dataParam !== app.state.dataSource ? dataParam : null;
+    }
+
     if (app.state.activeMode === APP_MODES.COMPARE) {
         const compare1 = urlParams.get('compare1');
         const compare2 = urlParams.get('compare2');
@@ -65,6 +132,9 @@ export function restoreFromURL(app) {
         }
     }
 
+    // `?item=` (with an optional `&in=` version) is revealed once the data has loaded.
+    pendingRestore.itemTarget = readItemLinkParams(urlParams);
+
     return pendingRestore;
 }
 
@@ -84,6 +154,42 @@ export function updateURL(app, clearHash = false, pushHistory = false) {
         url.searchParams.delete('search');
     }
 
+    const facetsParam = encodeFacets(app.state.facetFilters || []);
+    if (facetsParam) {
+        url.searchParams.set('facets', facetsParam);
+    } else {
+        url.searchParams.delete('facets');
+    }
+
+    // A preset link is expanded into the explicit filter params below; an item
+    // link is only followed once.
+    url.searchParams.delete('preset');
+    Object.values(ITEM_LINK_PARAMS).forEach((key) => url.searchParams.delete(key));
+    const filterParams = {
+        ...encodeFilterParams(app.state),
+        ...encodeSortParams(app.state),
+        ...encodeReleaseRange(app.state.releaseRange),
+    };
+    Object.entries(filterParams).forEach(([key, value]) => {
+        if (value) {
+            url.searchParams.set(key, value);
+        } else {
+            url.searchParams.delete(key);
+        }
+    });
+
+    if (app.state.edition && app.state.edition !== DEFAULT_EDITION) {
+        url.searchParams.set('edition', app.state.edition);
+    } else {
+        url.searchParams.delete('edition');
+    }
+
+    if (app.state.linkedDataSource) {
+        url.searchParams.set('data', app.state.linkedDataSource);
+    } else {
+        url.searchParams.delete('data');
+    }
+
     if (app.state.activeMode === APP_MODES.DETAIL && app.state.detailTarget) {
         url.searchParams.set('mode', 'detail');
         url.searchParams.set('detailType', app.state.detailTarget.type);
@@ -108,6 +214,12 @@ export function updateURL(app, clearHash = false, pushHistory = false) {
         url.searchParams.delete('compare2');
         url.searchParams.delete('detailType');
         url.searchParams.delete('detailId');
+    } else if (app.state.activeMode === APP_MODES.RESULTS) {
+        url.searchParams.set('mode', 'results');
+        url.searchParams.delete('compare1');
+        url.searchParams.delete('compare2');
+        url.searchParams.delete('detailType');
+        url.searchParams.delete('detailId');
     } else if (app.state.activeMode === APP_MODES.COMPARE) {
         url.searchParams.set('mode', 'compare');
 
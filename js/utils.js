@@ -2,19 +2,16 @@
  * Utility functions for the Minecraft Updates application
  */
 import { CONFIG } from './config.js';
+import { fetchJSONWithCache } from './data-cache.js';
 
 export class Utils {
     /**
-     * Fetch JSON data from a URL
+     * Fetch JSON data from a URL through the persistent data cache
      * @param {string} url - The URL to fetch from
      * @returns {Promise<Object>} The parsed JSON data
      */
     static async fetchJSON(url) {
-        const response = await fetch(url);
-        if (!response.ok) {
-            throw new Error(`Network error: ${response.statusText} for ${url}`);
-        }
-        return response.json();
+        return fetchJSONWithCache(url);
     }
 
     /**
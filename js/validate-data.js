@@ -1,5 +1,19 @@
 /**
- * Lightweight runtime checks for fetched JSON (static data pipeline).
+ * Runtime checks for fetched JSON (static data pipeline).
+ * Schema-based validators return a repaired `value` plus every issue found;
+ * `ok` is false only when an issue is fatal.
+ */
+import {
+    MATERIAL_GROUP_SCHEMA,
+    STATISTICS_SCHEMAS,
+    TIME_SINCE_SCHEMA,
+    UPDATE_CHUNK_SCHEMA,
+    checkSchema,
+} from './data-schema.js';
+
+/**
+ * @typedef {{ path: string, message: string, fatal: boolean }} DataIssue
+ * @typedef {{ ok: boolean, error?: string, value?: *, issues: Array<DataIssue> }} SchemaCheckResult
  */
 
 /**
@@ -25,17 +39,70 @@ export function validateFileIndex(data) {
     return { ok: true };
 }
 
+function toCheckResult(label, { value, issues }) {
+    const fatalIssue = issues.find((issue) => issue.fatal);
+    if (fatalIssue) {
+        return {
+            ok: false,
+            error: `${label}: ${fatalIssue.path} ${fatalIssue.message}`,
+            issues,
+        };
+    }
+    return { ok: true, value, issues };
+}
+
 /**
  * @param {*} entry
  * @param {number} index
- * @returns {{ ok: boolean, error?: string }}
+ * @returns {SchemaCheckResult}
  */
 export function validateUpdateChunk(entry, index) {
-    if (!entry || typeof entry !== 'object') {
-        return { ok: false, error: `update chunk [${index}]: not an object` };
-    }
-    if (!('added' in entry)) {
-        return { ok: false, error: `update chunk [${index}]: missing added` };
+    return toCheckResult(`update chunk [${index}]`, checkSchema(entry, UPDATE_CHUNK_SCHEMA));
+}
+
+/**
+ * @param {{ versionsStats: *, yearsStats: *, namesStats: * }} bundle
+ * @returns {{ ok: boolean, error?: string, value?: Object, issues: Object }} Issues keyed by file
+ */
+export function validateStatisticsBundle({ versionsStats, yearsStats, namesStats }) {
+    const results = {
+        versionsStats: toCheckResult('by_versions', checkSchema(versionsStats, STATISTICS_SCHEMAS.versions)),
+        yearsStats: toCheckResult('by_years', checkSchema(yearsStats, STATISTICS_SCHEMAS.years)),
+        namesStats: toCheckResult('names', checkSchema(namesStats, STATISTICS_SCHEMAS.names)),
+    };
+    const failed = Object.values(results).find((result) => !result.ok);
+    const issues = Object.fromEntries(Object.entries(results).map(([key, result]) => [key, result.issues]));
+    if (failed) {
+        return { ok: false, error: failed.error, issues };
     }
-    return { ok: true };
+    return {
+        ok: true,
+        value: Object.fromEntries(Object.entries(results).map(([key, result]) => [key, result.value])),
+        issues,
+    };
+}
+
+/**
+ * @param {*} data
+ * @returns {SchemaCheckResult}
+ */
+export function validateTimeSinceData(data) {
+    return toCheckResult('time_since', checkSchema(data, TIME_SINCE_SCHEMA));
+}
+
+/**
+ * Validate material group entries (already normalized from their file format).
+ * Invalid entries are dropped; this never fails.
+ * @param {Array<*>} entries
+ * @param {string} file
+ * @returns {SchemaCheckResult}
+ */
+export function validateMaterialGroups(entries, file) {
+    const issues = [];
+    const value = entries.flatMap((entry, index) => {
+        const result = checkSchema(entry, MATERIAL_GROUP_SCHEMA, `$[${index}]`);
+        issues.push(...result.issues);
+        return result.value === undefined ? [] : [result.value];
+    });
+    return toCheckResult(file, { value, issues });
 }
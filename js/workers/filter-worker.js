@@ -0,0 +1,29 @@
+/**
+ * Module worker that keeps the loaded updates and answers filter requests off
+ * the main thread. Protocol (see data/filter-client.js):
+ * - `{ type: 'updates', updates }` replaces the held updates and rebuilds the search index
+ * - `{ type: 'filter', id, options }` is answered with `{ id, entries, counts }` (see filterUpdatesWithCounts)
+ */
+import { filterUpdatesWithCounts } from '../data/filtering.js';
+import { createSearchIndex } from '../data/search.js';
+
+/**
+ * @param {(message: { id: number, entries: Array<object>, counts: object }) => void} postMessage
+ * @returns {(event: MessageEvent) => void}
+ */
+export function createFilterMessageHandler(postMessage) {
+    let updates = [];
+    let searchIndex = createSearchIndex(updates);
+    return ({ data }) => {
+        if (data?.type === 'updates') {
+            updates = Array.isArray(data.updates) ? data.updates : [];
+            searchIndex = createSearchIndex(updates);
+        } else if (data?.type === 'filter') {
+            postMessage({ id: data.id, ...filterUpdatesWithCounts(updates, data.options, searchIndex) });
+        }
+    };
+}
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.addEventListener('message', createFilterMessageHandler((message) => self.postMessage(message)));
+}
@@ -110,3 +110,19 @@ test('grid item renderer: renders mob egg overlays and baby variant image', () =
     assert.equal(findByClass(mob, 'mob-baby-render').src, `${CONFIG.IMAGE_BASE_PATH}/mob/pig/baby/latest.png`);
     assert.equal(findAll(variant, (node) => node.classList?.contains('mob-egg')).length, 1);
 });
+
+test('grid item renderer: emphasizes search matches and dims the rest', () => {
+    installDomStub();
+
+    const match = createGridItemElement({ name: 'Fire Protection', search_match: true }, 'enchantments', ['fire']);
+    assert.equal(match.classList.contains('grid-item-match'), true);
+    const marks = findAll(match, (node) => node.tagName === 'mark');
+    assert.deepEqual(marks.map((node) => node.textContent), ['Fire']);
+
+    const other = createGridItemElement({ name: 'Fire Aspect', search_match: false }, 'advancements', ['fire']);
+    assert.equal(other.classList.contains('grid-item-dimmed'), true);
+    assert.equal(findAll(other, (node) => node.tagName === 'mark').length, 0);
+
+    const plain = createGridItemElement({ name: 'Stone' }, 'blocks');
+    assert.equal(plain.className, 'grid-item');
+});
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fetchJSONWithCache, onCachedDataFallback } from '../js/data-cache.js';
+
+function createCacheStorage() {
+    const entries = new Map();
+    const cache = {
+        async match(url) {
+            return entries.get(url)?.clone();
+        },
+        async put(url, response) {
+            entries.set(url, response);
+        },
+    };
+    return {
+        entries,
+        async open() {
+            return cache;
+        },
+    };
+}
+
+function jsonResponse(body, headers = {}) {
+    return new Response(JSON.stringify(body), {
+        status: 200,
+        headers: { 'content-type': 'application/json', ...headers },
+    });
+}
+
+test('data cache: falls back to plain fetch without Cache Storage', async () => {
+    const data = await fetchJSONWithCache('/data/a.json', {
+        caches: undefined,
+        fetch: async () => jsonResponse({ ok: 1 }),
+    });
+    assert.deepEqual(data, { ok: 1 });
+
+    await assert.rejects(
+        fetchJSONWithCache('/data/missing.json', {
+            caches: undefined,
+            fetch: async () => new Response('', { status: 404, statusText: 'Not Found' }),
+        }),
+        /Network error: Not Found for \/data\/missing\.json/
+    );
+});
+
+test('data cache: serves cached copy and revalidates with validators', async () => {
+    const caches = createCacheStorage();
+    const requests = [];
+    const fetch = async (url, init = {}) => {
+        requests.push({ url, headers: init.headers ?? {} });
+        if (requests.length === 1) {
+            return jsonResponse({ version: 1 }, { etag: '"abc"', 'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT' });
+        }
+        return new Response(null, { status: 304 });
+    };
+
+    assert.deepEqual(await fetchJSONWithCache('/data/index.json', { caches, fetch }), { version: 1 });
+    assert.deepEqual(await fetchJSONWithCache('/data/index.json', { caches, fetch }), { version: 1 });
+
+    assert.equal(requests.length, 2);
+    assert.deepEqual(requests[1].headers, {
+        'If-None-Match': '"abc"',
+        'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT',
+    });
+});
+
+test('data cache: reports cached date when the network is unavailable', async () => {
+    const caches = createCacheStorage();
+    let online = true;
+    const fetch = async () => {
+        if (!online) throw new TypeError('Failed to fetch');
+        return jsonResponse({ chunk: 'cached' });
+    };
+
+    await fetchJSONWithCache('/data/chunk.json', { caches, fetch });
+    online = false;
+
+    const fallback = new Promise((resolve) => {
+        const unsubscribe = onCachedDataFallback((cachedAt) => {
+            unsubscribe();
+            resolve(cachedAt);
+        });
+    });
+    assert.deepEqual(await fetchJSONWithCache('/data/chunk.json', { caches, fetch }), { chunk: 'cached' });
+
+    const cachedAt = await fallback;
+    assert.ok(cachedAt instanceof Date);
+    assert.ok(Math.abs(Date.now() - cachedAt.getTime()) < 60_000);
+});
@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Utils } from '../js/utils.js';
+import { loadSortedUpdates, loadUpdateChunk, mergeUpdates } from '../js/data-loader.js';
+import { renderMissingChunksNotice } from '../js/error-ui.js';
+import { installDomStub } from './helpers/dom-stub.mjs';
+
+async function withMockedFetch(responses, run) {
+    const originalFetchJSON = Utils.fetchJSON;
+    Utils.fetchJSON = async (url) => {
+        const key = [...responses.keys()].find((suffix) => url.endsWith(suffix));
+        const value = key ? responses.get(key) : undefined;
+        if (value instanceof Error) throw value;
+        if (value === undefined) throw new Error(`Network error: Not Found for ${url}`);
+        return value;
+    };
+    try {
+        await run();
+    } finally {
+        Utils.fetchJSON = originalFetchJSON;
+    }
+}
+
+test('data loader: renders loaded chunks and reports failed ones', async () => {
+    const responses = new Map([
+        ['/data/file_index.json', { files: ['data/a.json', 'data/b.json', 'data/c.json'] }],
+        ['/data/a.json', { name: 'Old', release_date: '2019-01-01', added: {} }],
+        ['/data/b.json', new Error('Network error: Bad Gateway for data/b.json')],
+        ['/data/c.json', { name: 'New', release_date: '2024-01-01', added: {} }],
+    ]);
+
+    await withMockedFetch(responses, async () => {
+        const { updates, failedFiles } = await loadSortedUpdates();
+        assert.deepEqual(updates.map((update) => update.name), ['New', 'Old']);
+        assert.deepEqual(failedFiles, [
+            { file: 'data/b.json', index: 1, error: 'Network error: Bad Gateway for data/b.json' },
+        ]);
+    });
+});
+
+test('data loader: treats invalid chunks as failures and throws when nothing loads', async () => {
+    const responses = new Map([
+        ['/data/file_index.json', { files: ['data/a.json'] }],
+        ['/data/a.json', { name: 'Broken' }],
+    ]);
+
+    await withMockedFetch(responses, async () => {
+        await assert.rejects(loadUpdateChunk('data/a.json', 0), /update chunk \[0\]: \$\.added is required/);
+        await assert.rejects(loadSortedUpdates(), /update chunk \[0\]: \$\.added is required/);
+    });
+});
+
+test('data loader: merges late chunks in release order', () => {
+    const updates = [
+        { name: 'C', release_date: '2024-01-01' },
+        { name: 'A', release_date: '2020-01-01' },
+    ];
+    const merged = mergeUpdates(updates, [{ name: 'B', release_date: '2022-06-01' }]);
+    assert.deepEqual(merged.map((update) => update.name), ['C', 'B', 'A']);
+    assert.equal(updates.length, 2);
+});
+
+test('data loader: a failed retry is reported and the button can be used again', async (t) => {
+    installDomStub();
+    t.mock.method(console, 'error', () => {});
+    const container = document.createElement('div');
+    renderMissingChunksNotice(container, [{ file: '2024.json', error: 'Not Found' }], {
+        onRetry: async () => {
+            throw new Error('render failed');
+        },
+    });
+
+    const retry = container.querySelector('.missing-chunks-retry');
+    retry.click();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(retry.disabled, false);
+    assert.equal(retry.textContent, 'Retry');
+    assert.equal(container.querySelector('.app-notice-text').textContent, 'Retrying 2024.json failed: render failed');
+});
@@ -1,6 +1,19 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { filterItems, parseSearchQuery } from '../js/data/search.js';
+import {
+    createSearchIndex,
+    editDistance,
+    filterItems,
+    getAutocompleteOptions,
+    getHighlightTerms,
+    getNameSuggestions,
+    getSearchCorrections,
+    matchSearchIndex,
+    parseSearchQuery,
+    splitHighlightedText,
+    tokenizeSearchText,
+} from '../js/data/search.js';
+import { filterUpdates } from '../js/data/filtering.js';
 
 test('parseSearchQuery: empty', () => {
     assert.deepEqual(parseSearchQuery(''), { text: '', tags: [] });
@@ -24,3 +37,112 @@ test('filterItems: text and hidden duplicates', () => {
     const r2 = filterItems(items, '', true);
     assert.equal(r2.length, 1);
 });
+
+test('search index: tokenizes identifiers and intersects terms and tags', () => {
+    const stoneBricks = { name: 'Stone Bricks', identifier: 'minecraft:stone_bricks', types: ['block'], tags: ['building'] };
+    const stone = { name: 'Stone', identifier: 'minecraft:stone', types: ['block'], tags: [] };
+    const brush = { name: 'Brush', identifier: 'brush', types: ['item'], tags: ['tool'] };
+    const hiddenStone = { name: 'Stone', identifier: 'minecraft:stone', types: ['hidden'], tags: [] };
+    const updates = [
+        { name: 'Trails', added: { blocks: [stoneBricks], items: [brush] } },
+        { name: 'Classic', added: { blocks: [stone] }, development_versions: [{ name: 'c0.1', added: { blocks: [hiddenStone] } }] },
+    ];
+    const index = createSearchIndex(updates);
+
+    assert.deepEqual(tokenizeSearchText('minecraft:stone_bricks'), ['minecraft:stone_bricks', 'minecraft', 'stone_bricks', 'stone', 'bricks']);
+    assert.deepEqual([...matchSearchIndex(index, 'bricks')], [stoneBricks]);
+    assert.deepEqual([...matchSearchIndex(index, 'ston #block')], [stoneBricks, stone]);
+    assert.deepEqual([...matchSearchIndex(index, 'minecraft #building')], [stoneBricks]);
+    assert.equal(matchSearchIndex(index, 'stone #tool').size, 0);
+    assert.equal(matchSearchIndex(index, '  '), null);
+
+    assert.deepEqual(filterItems(updates[0].added.blocks, 'stone', false, index), [stoneBricks]);
+    assert.deepEqual(filterItems([stone, hiddenStone], 'stone', true, index), [stone]);
+    assert.deepEqual(getNameSuggestions(index, 2), ['Brush', 'Stone']);
+});
+
+test('fuzzy search: tolerates typos and ranks exact matches first', () => {
+    const copper = { name: 'Copper Block', identifier: 'copper_block', types: ['block'], tags: [] };
+    const cutCopper = { name: 'Cut Copper', identifier: 'cut_copper', types: ['block'], tags: [] };
+    const sword = { name: 'Netherite Sword', identifier: 'netherite_sword', types: ['item'], tags: [] };
+    const hopper = { name: 'Hopper', identifier: 'hopper', types: ['block'], tags: [] };
+    const index = createSearchIndex([{ added: { blocks: [hopper, cutCopper, copper], items: [sword] } }]);
+
+    assert.deepEqual(filterItems([hopper, cutCopper, copper], 'cooper', false, index), []);
+    assert.deepEqual(filterItems([hopper, cutCopper, copper], 'cooper', false, index, { fuzzy: true }), [cutCopper, copper]);
+    assert.deepEqual(filterItems([sword], 'netherite_sord', false, index, { fuzzy: true }), [sword]);
+    assert.deepEqual(filterItems([hopper, cutCopper, copper], 'copper bl', false, index, { fuzzy: true }), [copper]);
+
+    assert.deepEqual(getNameSuggestions(index, 5, 'coppe', { fuzzy: true }), ['Copper Block', 'Cut Copper', 'Hopper']);
+    assert.deepEqual(getNameSuggestions(index, 5, 'cut', { fuzzy: true }), ['Cut Copper']);
+    assert.equal(editDistance('cooper', 'copper'), 1);
+    assert.equal(editDistance('cooper', 'netherite', 1), 2);
+});
+
+test('search corrections: closest terms and tags for unmatched words', () => {
+    const index = createSearchIndex([{
+        added: {
+            blocks: [
+                { name: 'Copper Block', identifier: 'copper_block', types: ['block'], tags: [] },
+                { name: 'Hopper', identifier: 'hopper', types: ['block'], tags: ['redstone'] },
+            ],
+            items: [{ name: 'Netherite Sword', identifier: 'netherite_sword', types: ['item'], tags: [] }],
+        },
+    }]);
+
+    assert.deepEqual(getSearchCorrections(index, 'cooper'), ['copper', 'hopper']);
+    assert.deepEqual(getSearchCorrections(index, 'netherite_sord'), ['netherite_sword', 'netherite sword']);
+    assert.deepEqual(getSearchCorrections(index, 'hopper #redstne'), ['hopper #redstone']);
+    assert.deepEqual(getSearchCorrections(index, 'copper'), []);
+    assert.deepEqual(getSearchCorrections(index, 'zzzzzz'), []);
+});
+
+test('highlight search: keeps every item, flags matches and marks matched text', () => {
+    const bulb = { name: 'Copper Bulb', identifier: 'copper_bulb' };
+    const stone = { name: 'Stone', identifier: 'stone' };
+    const hidden = { name: 'Old Copper', identifier: 'old_copper' };
+    const updates = [{ name: 'Trials', added: { blocks: [bulb, stone, hidden] } }];
+    const index = createSearchIndex(updates);
+    index.hidden.add(hidden);
+
+    const items = filterItems(updates[0].added.blocks, 'copper', true, index, { highlight: true });
+    assert.deepEqual(items.map((item) => [item.name, item.search_match]), [['Copper Bulb', true], ['Stone', false]]);
+    assert.equal(bulb.search_match, undefined);
+
+    const options = { currentView: 'versions', query: 'copper', highlightMatches: true, visibilityMap: { blocks: true }, contentTypes: ['blocks'] };
+    assert.equal(filterUpdates(updates, options)[0].added.blocks.length, 3);
+    assert.deepEqual(filterUpdates(updates, { ...options, query: 'dirt' }), []);
+
+    assert.deepEqual(getHighlightTerms('bulb -stone (name:lantern | "copper b")'), ['copper b', 'lantern', 'bulb']);
+    assert.deepEqual(getHighlightTerms('"unclosed copper'), ['unclosed', 'copper']);
+    assert.deepEqual(splitHighlightedText('Copper Bulb', ['copper b', 'bulb']), [
+        { text: 'Copper Bulb', match: true },
+    ]);
+    assert.deepEqual(splitHighlightedText('Waxed Copper', ['copper']), [
+        { text: 'Waxed ', match: false },
+        { text: 'Copper', match: true },
+    ]);
+});
+
+test('autocomplete: item names with their first addition, and tag completions', () => {
+    const original = { name: 'Copper Bulb', identifier: 'copper_bulb', tags: ['redstone'] };
+    const relisted = { name: 'Copper Bulb', identifier: 'copper_bulb', types: ['hidden'] };
+    const updates = [
+        { name: 'Later', added: { blocks: [relisted, { name: 'Crafter', identifier: 'crafter', tags: ['redstone'] }] } },
+        { name: 'Trials', added: { blocks: [original], items: [{ name: 'Copper Key', identifier: 'copper_key', tags: ['reward'] }] } },
+    ];
+    const index = createSearchIndex(updates);
+
+    assert.deepEqual(getAutocompleteOptions(index, ' '), []);
+    const [bulb, key] = getAutocompleteOptions(index, 'copper');
+    assert.equal(bulb.label, 'Copper Bulb');
+    assert.equal(bulb.item, original);
+    assert.equal(bulb.update.name, 'Trials');
+    assert.equal(key.section, 'items');
+
+    assert.deepEqual(getAutocompleteOptions(index, 'copper #re').map(({ label, value, count }) => [label, value, count]), [
+        ['#redstone', 'copper #redstone', 2],
+        ['#reward', 'copper #reward', 1],
+    ]);
+    assert.deepEqual(getAutocompleteOptions(index, '-#rew').map((option) => option.value), ['-#reward']);
+});
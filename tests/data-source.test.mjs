@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deflateRawSync } from 'node:zlib';
+import { CONFIG } from '../js/config.js';
+import { Utils } from '../js/utils.js';
+import { createDataSource, getDataSource, parseDataSourceSpec, setDataSource } from '../js/data-source.js';
+import { readZipEntries } from '../js/data/zip-archive.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { restoreFromURL, updateURL } from '../js/url-state.js';
+import { persistUIState } from '../js/ui-persistence.js';
+import { applyAppDataSource } from '../js/app/data-source.js';
+import { TestElement } from './helpers/dom-stub.mjs';
+
+function buildZip(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, text], index) => {
+        const nameBytes = Buffer.from(name);
+        const raw = Buffer.from(text);
+        const method = index % 2 === 0 ? 0 : 8;
+        const data = method === 8 ? deflateRawSync(raw) : raw;
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(raw.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        localParts.push(local, nameBytes, data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(raw.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + data.length;
+    });
+
+    const centralDirectory = Buffer.concat(centralParts);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(Object.keys(files).length, 8);
+    end.writeUInt16LE(Object.keys(files).length, 10);
+    end.writeUInt32LE(centralDirectory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    const zip = Buffer.concat([...localParts, centralDirectory, end]);
+    return zip.buffer.slice(zip.byteOffset, zip.byteOffset + zip.byteLength);
+}
+
+test('data source: parses remote, relative and archive specs', () => {
+    assert.deepEqual(parseDataSourceSpec(''), { kind: 'remote', location: CONFIG.BASE_URL });
+    assert.deepEqual(parseDataSourceSpec('https://example.com/data/'), { kind: 'remote', location: 'https://example.com/data' });
+    assert.deepEqual(parseDataSourceSpec('../minecraft_data/'), { kind: 'relative', location: '../minecraft_data' });
+    assert.deepEqual(parseDataSourceSpec('fixtures/bundle.zip?v=2'), { kind: 'archive', location: 'fixtures/bundle.zip?v=2' });
+    assert.equal(parseDataSourceSpec('https://example.com/bundle.json').kind, 'archive');
+});
+
+test('data source: base URL sources resolve paths and follow image base', async () => {
+    const originalFetchJSON = Utils.fetchJSON;
+    const requested = [];
+    Utils.fetchJSON = async (url) => {
+        requested.push(url);
+        return {};
+    };
+    try {
+        const source = setDataSource('../minecraft_data');
+        await source.fetchJSON('/data/file_index.json');
+        await source.fetchJSON('data/a.json');
+        assert.deepEqual(requested, ['../minecraft_data/data/file_index.json', '../minecraft_data/data/a.json']);
+        assert.equal(CONFIG.IMAGE_BASE_PATH, '../minecraft_data/images');
+        assert.equal(getDataSource(), source);
+    } finally {
+        Utils.fetchJSON = originalFetchJSON;
+        setDataSource(null);
+    }
+    assert.equal(CONFIG.IMAGE_BASE_PATH, `${CONFIG.BASE_URL}/images`);
+});
+
+test('data source: JSON archives serve bundled files', async () => {
+    const originalFetchJSON = Utils.fetchJSON;
+    Utils.fetchJSON = async () => ({
+        images: 'https://cdn.example.com/images',
+        files: { 'minecraft_data/data/file_index.json': { files: ['data/a.json'] } },
+    });
+    try {
+        const source = createDataSource('bundle.json');
+        assert.deepEqual(await source.fetchJSON('/data/file_index.json'), { files: ['data/a.json'] });
+        assert.equal(source.imageBasePath, 'https://cdn.example.com/images');
+        await assert.rejects(source.fetchJSON('data/missing.json'), /data\/missing\.json not found in archive bundle\.json/);
+    } finally {
+        Utils.fetchJSON = originalFetchJSON;
+    }
+});
+
+test('zip archive: reads stored and deflated entries', async () => {
+    const entries = await readZipEntries(buildZip({
+        'data/file_index.json': '{"files":["data/a.json"]}',
+        'data/a.json': '{"added":{}}',
+    }));
+    const decoder = new TextDecoder();
+    assert.deepEqual([...entries.keys()], ['data/file_index.json', 'data/a.json']);
+    assert.equal(decoder.decode(entries.get('data/a.json')), '{"added":{}}');
+    assert.equal(decoder.decode(entries.get('data/file_index.json')), '{"files":["data/a.json"]}');
+});
+
+test('data source: a linked source is session-only and the footer offers the way back', () => {
+    const location = new URL('https://example.test/?view=versions&data=mirror/');
+    const stored = {};
+    globalThis.localStorage = { setItem: (key, value) => { stored[key] = value; } };
+    globalThis.window = {
+        location,
+        history: { replaceState: (_state, _title, url) => { location.href = String(url); } },
+    };
+    const elements = {
+        dataSourceLabel: new TestElement('span'),
+        dataSourceResetBtn: new TestElement('button'),
+        dataSourceInput: new TestElement('input'),
+    };
+    const app = { state: { ...createDefaultState(), dataSource: 'saved/' }, elements, getSearchQuery: () => '', setSearchQuery() {} };
+
+    restoreFromURL(app);
+    assert.equal(app.state.linkedDataSource, 'mirror/');
+    assert.equal(app.state.dataSource, 'saved/');
+    persistUIState(app);
+    assert.equal(JSON.parse(stored.minecraft_updates_ui_state).dataSource, 'saved/');
+
+    applyAppDataSource(app);
+    assert.equal(getDataSource().spec, 'mirror/');
+    assert.equal(elements.dataSourceLabel.textContent, 'mirror (from link)');
+    assert.equal(elements.dataSourceResetBtn.hidden, false);
+    assert.equal(elements.dataSourceResetBtn.textContent, 'Use my data source');
+    assert.equal(elements.dataSourceInput.value, 'saved/');
+    updateURL(app);
+    assert.equal(location.searchParams.get('data'), 'mirror/');
+
+    app.state.linkedDataSource = null;
+    app.state.dataSource = null;
+    applyAppDataSource(app);
+    assert.equal(elements.dataSourceLabel.textContent, `${CONFIG.BASE_URL} (default)`);
+    assert.equal(elements.dataSourceResetBtn.hidden, true);
+    updateURL(app);
+    assert.equal(location.searchParams.has('data'), false);
+});
@@ -1,6 +1,9 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { getDetailData, getFilteredDetailData } from '../js/modules/detail/data.js';
+import { createSearchIndex } from '../js/data/search.js';
+import { createGridItemElement } from '../js/modules/card/exports.js';
+import { installDomStub } from './helpers/dom-stub.mjs';
 
 test('detail data helpers find targets and apply filters', () => {
     const yearEntry = { name: '2024', added: { blocks: [{ name: 'Year Block', identifier: 'yb' }] } };
@@ -21,6 +24,7 @@ test('detail data helpers find targets and apply filters', () => {
         queries: {
             getYearEntries: () => [yearEntry],
             getSearchQuery: () => 'stone',
+            getSearchIndex: () => createSearchIndex([versionEntry]),
         },
     };
 
@@ -28,3 +32,27 @@ test('detail data helpers find targets and apply filters', () => {
     assert.equal(getDetailData(ctx, { type: 'version', id: 'Version' }), versionEntry);
     assert.equal(getFilteredDetailData(ctx, versionEntry).added.blocks.length, 1);
 });
+
+test('detail data keeps non-matching items, dimmed, when search highlights instead of hiding', () => {
+    installDomStub();
+    const versionEntry = {
+        name: 'Version',
+        added: {
+            blocks: [
+                { name: 'Stone', identifier: 'stone' },
+                { name: 'Dirt', identifier: 'dirt' },
+            ],
+        },
+    };
+    const ctx = {
+        state: { allUpdates: [versionEntry], removeDuplicates: false, highlightMatches: true },
+        queries: {
+            getSearchQuery: () => 'stone',
+            getSearchIndex: () => createSearchIndex([versionEntry]),
+        },
+    };
+
+    const blocks = getFilteredDetailData(ctx, versionEntry).added.blocks;
+    assert.deepEqual(blocks.map((item) => [item.identifier, item.search_match]), [['stone', true], ['dirt', false]]);
+    assert.equal(createGridItemElement(blocks[1], 'blocks').classList.contains('grid-item-dimmed'), true);
+});
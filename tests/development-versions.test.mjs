@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    flattenDevelopmentVersions,
+    getIntroductionMap,
+    groupDevelopmentVersions,
+    isDevelopmentVersion,
+} from '../js/data/development-versions.js';
+import { mergeUpdates } from '../js/data-loader.js';
+import { getFilteredDetailData } from '../js/modules/detail/data.js';
+import { renderListNavigation } from '../js/modules/navigation/list.js';
+import { findAll, installDomStub } from './helpers/dom-stub.mjs';
+
+function update(java, releaseDate, added = {}) {
+    return { name: java, release_version: { java }, release_date: releaseDate, added };
+}
+
+const javaVersions = (updates) => updates.map((entry) => entry.release_version.java);
+
+test('development versions: grouped under the release they lead up to', () => {
+    const grouped = groupDevelopmentVersions([
+        update('24w14a', '2024-04-03'),
+        update('1.20.4', '2023-12-07'),
+        update('1.20.5-pre1', '2024-04-16'),
+        update('1.20.5', '2024-04-23'),
+        update('24w33a', '2024-08-14'),
+        update('1.21.2', null),
+        update('23w40a', '2023-10-04'),
+    ]);
+
+    assert.deepEqual(javaVersions(grouped), ['1.21.2', '1.20.5', '1.20.4']);
+    assert.deepEqual(javaVersions(grouped[1].development_versions), ['1.20.5-pre1', '24w14a']);
+    assert.deepEqual(javaVersions(grouped[0].development_versions), ['24w33a']);
+    assert.deepEqual(javaVersions(grouped[2].development_versions), ['23w40a']);
+    assert.equal(grouped[1].development_versions[0].development_parent, 'id-1-20-5');
+    assert.equal(isDevelopmentVersion({ type: 'snapshot', release_version: { java: 'Combat Test 8' } }), true);
+
+    assert.deepEqual(
+        javaVersions(flattenDevelopmentVersions(grouped)),
+        ['1.21.2', '24w33a', '1.20.5', '1.20.5-pre1', '24w14a', '1.20.4', '23w40a']
+    );
+});
+
+test('development versions: orphans stay top-level and late chunks are regrouped', () => {
+    const initial = groupDevelopmentVersions([update('24w14a', '2024-04-03'), update('1.20.4', '2023-12-07')]);
+    assert.deepEqual(javaVersions(initial), ['24w14a', '1.20.4']);
+
+    const merged = mergeUpdates(initial, [update('1.20.5', '2024-04-23')]);
+    assert.deepEqual(javaVersions(merged), ['1.20.5', '1.20.4']);
+    assert.deepEqual(javaVersions(merged[0].development_versions), ['24w14a']);
+});
+
+test('development versions: release items are attributed to the first snapshot that added them', () => {
+    const [release] = groupDevelopmentVersions([
+        update('1.20.5', '2024-04-23', {
+            blocks: [{ name: 'Vault', identifier: 'vault' }, { name: 'Heavy Core', identifier: 'heavy_core' }],
+            mobs: [{ name: 'Armadillo', identifier: 'armadillo' }],
+        }),
+        update('24w14a', '2024-04-03', { blocks: [{ name: 'Vault', identifier: 'vault' }] }),
+        update('23w51a', '2023-12-20', {
+            blocks: [{ name: 'Vault', identifier: 'vault' }],
+            mobs: [{ name: 'Armadillo', identifier: 'armadillo' }],
+        }),
+    ]);
+    assert.equal(getIntroductionMap(release).get('blocks:vault').release_version.java, '23w51a');
+
+    const ctx = {
+        state: { removeDuplicates: false },
+        queries: { getSearchQuery: () => '', getSearchIndex: () => null },
+    };
+    const detail = getFilteredDetailData(ctx, release);
+    assert.deepEqual(detail.added.blocks.map((item) => item.introduced_in), ['23w51a', undefined]);
+    assert.equal(detail.added.mobs[0].introduced_in, '23w51a');
+});
+
+test('development versions: nav nests shown development versions in a collapsed group', () => {
+    installDomStub();
+    const [release] = groupDevelopmentVersions([update('1.20.5', '2024-04-23'), update('24w14a', '2024-04-03')]);
+    const navList = document.createElement('ul');
+    const ctx = { state: { currentView: 'versions' }, elements: { navList } };
+
+    renderListNavigation(ctx, flattenDevelopmentVersions([release]));
+
+    assert.equal(navList.children.length, 1);
+    const [toggle] = findAll(navList, (node) => node.className === 'nav-dev-toggle');
+    const [group] = findAll(navList, (node) => node.className === 'nav-dev-list');
+    assert.equal(toggle.textContent, '1 development version');
+    assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    assert.equal(group.hidden, true);
+    assert.equal(group.children[0].children[0].getAttribute('href'), '#id-24w14a');
+});
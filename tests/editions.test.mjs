@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { APP_MODES } from '../js/app-modes.js';
+import {
+    getEditionAvailabilityLabel,
+    getEditionReleaseDate,
+    getVersionLabel,
+    normalizeEdition,
+} from '../js/data/editions.js';
+import { sortUpdatesByReleaseDate } from '../js/data/update-order.js';
+import { groupByYear } from '../js/data/aggregation.js';
+import { getVersionsTableData } from '../js/data/table-data.js';
+import { getCardViewModel } from '../js/modules/card/exports.js';
+import { getCompareItemLabel } from '../js/modules/compare/exports.js';
+import { getEditionVersionsStats } from '../js/modules/statistics/data.js';
+
+const trails = {
+    name: 'Trails & Tales',
+    release_version: { java: '1.20', bedrock: '1.20.0' },
+    release_date: '2023-06-07',
+};
+const javaOnly = {
+    name: 'Java Patch',
+    release_version: { java: '1.20.1' },
+    release_date: '2023-06-12',
+};
+const bedrockOnly = {
+    name: 'Bedrock Patch',
+    release_version: { bedrock: '1.20.10' },
+    release_date: '2023-07-11',
+};
+const caves = {
+    name: 'Caves & Cliffs',
+    release_version: { java: '1.18', bedrock: '1.18.0' },
+    release_date: '2021-11-30',
+    release_dates: { bedrock: '2022-01-03' },
+};
+
+test('editions: labels and dates fall back to the other edition', () => {
+    assert.equal(normalizeEdition('bedrock'), 'bedrock');
+    assert.equal(normalizeEdition('pocket'), 'java');
+    assert.equal(getVersionLabel(trails, 'bedrock'), '1.20.0');
+    assert.equal(getVersionLabel(javaOnly, 'bedrock'), '1.20.1');
+    assert.equal(getEditionReleaseDate(caves, 'java'), '2021-11-30');
+    assert.equal(getEditionReleaseDate(caves, 'bedrock'), '2022-01-03');
+
+    assert.equal(getEditionAvailabilityLabel(javaOnly, 'bedrock'), 'Java only');
+    assert.equal(getEditionAvailabilityLabel(bedrockOnly, 'java'), 'Bedrock only');
+    assert.equal(getEditionAvailabilityLabel(javaOnly, 'java'), null);
+    assert.equal(getEditionAvailabilityLabel(trails, 'bedrock'), null);
+});
+
+test('editions: ordering, year grouping and tables follow the edition', () => {
+    const updates = [trails, caves, { name: '2022 Drop', release_version: { java: '1.19' }, release_date: '2021-12-15' }];
+    assert.deepEqual(sortUpdatesByReleaseDate(updates, 'java').map((update) => update.name), ['Trails & Tales', '2022 Drop', 'Caves & Cliffs']);
+    assert.deepEqual(sortUpdatesByReleaseDate(updates, 'bedrock').map((update) => update.name), ['Trails & Tales', 'Caves & Cliffs', '2022 Drop']);
+
+    assert.deepEqual(groupByYear([caves], [], 'java').map((year) => year.name), ['2021']);
+    assert.deepEqual(groupByYear([caves], [], 'bedrock').map((year) => year.name), ['2022']);
+
+    const [row] = getVersionsTableData([caves], 'bedrock');
+    assert.equal(row.version, '1.18.0');
+    assert.equal(row._release_date, '2022-01-03');
+});
+
+test('editions: card, compare and statistics labels switch edition', () => {
+    const model = getCardViewModel(javaOnly, { isYearView: false, activeMode: APP_MODES.LIST, edition: 'bedrock' });
+    assert.equal(model.title, '1.20.1 — Java Patch');
+    assert.equal(model.editionLabel, 'Java only');
+    assert.equal(getCardViewModel(trails, { isYearView: false, activeMode: APP_MODES.LIST, edition: 'bedrock' }).title, '1.20.0 — Trails & Tales');
+    assert.equal(getCardViewModel(trails, { isYearView: false, activeMode: APP_MODES.LIST }).editionLabel, '');
+    assert.equal(getCompareItemLabel(caves, false, 'bedrock'), '1.18.0 — Caves & Cliffs');
+
+    const stats = [{ name: 'Caves & Cliffs', version: '1.18', release_date: '2021-11-30', counts: { total: 1 } }];
+    assert.equal(getEditionVersionsStats(stats, [caves], 'java'), stats);
+    assert.deepEqual(getEditionVersionsStats(stats, [caves], 'bedrock')[0], {
+        ...stats[0],
+        java_version: '1.18',
+        version: '1.18.0',
+        release_date: '2022-01-03',
+    });
+});
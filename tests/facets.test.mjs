@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    decodeFacets,
+    encodeFacets,
+    getFacetCounts,
+    matchesFacets,
+    toggleFacet,
+} from '../js/data/facets.js';
+import { createSearchIndex, filterItems, isSearchMatch, scoreSearchMatches } from '../js/data/search.js';
+import { renderFacetPanel } from '../js/ui/facet-panel.js';
+import { findAll, installDomStub } from './helpers/dom-stub.mjs';
+
+const lamp = { name: 'Redstone Lamp', types: ['block'], tags: ['redstone', 'light'] };
+const torch = { name: 'Torch', types: ['block', 'hidden'], tags: ['light'] };
+const dust = { name: 'Redstone Dust', types: ['item'], tags: ['redstone'] };
+
+const updates = [
+    { name: 'A', added: { blocks: [lamp, torch], items: [dust] } },
+];
+
+test('facets: includes are alternatives within a group, excludes always win', () => {
+    const block = { group: 'types', value: 'block', exclude: false };
+    const item = { group: 'types', value: 'item', exclude: false };
+    const redstone = { group: 'tags', value: 'redstone', exclude: false };
+    const notLight = { group: 'tags', value: 'light', exclude: true };
+
+    assert.deepEqual([lamp, torch, dust].filter((entry) => matchesFacets(entry, [block, item])), [lamp, torch, dust]);
+    assert.deepEqual([lamp, torch, dust].filter((entry) => matchesFacets(entry, [block, redstone])), [lamp]);
+    assert.deepEqual([lamp, torch, dust].filter((entry) => matchesFacets(entry, [notLight])), [dust]);
+    assert.equal(matchesFacets(torch, [{ group: 'types', value: 'hidden', exclude: false }]), false);
+});
+
+test('facets: toggling cycles include, exclude, off and round-trips through the URL', () => {
+    let facets = toggleFacet([], 'tags', 'redstone');
+    assert.deepEqual(facets, [{ group: 'tags', value: 'redstone', exclude: false }]);
+    facets = toggleFacet(toggleFacet(facets, 'types', 'block'), 'tags', 'redstone');
+    assert.equal(encodeFacets(facets), 'types:block,-tags:redstone');
+    assert.deepEqual(decodeFacets(encodeFacets(facets)), facets);
+    assert.deepEqual(toggleFacet(facets, 'tags', 'redstone'), [{ group: 'types', value: 'block', exclude: false }]);
+
+    assert.deepEqual(decodeFacets('colors:red,tags:,types:Block,types:block'), [
+        { group: 'types', value: 'block', exclude: false },
+    ]);
+    assert.deepEqual(decodeFacets(null), []);
+});
+
+test('facets: counts follow the query, sections and the other groups', () => {
+    const index = createSearchIndex(updates);
+    const options = { visibilityMap: { blocks: true, items: true } };
+    const count = (counts, group, value) => counts[group].find((entry) => entry.value === value)?.count;
+
+    const all = getFacetCounts(index, updates, options);
+    assert.equal(count(all, 'types', 'block'), 2);
+    assert.equal(count(all, 'types', 'hidden'), undefined);
+    assert.deepEqual(all.tags.map((entry) => entry.value), ['light', 'redstone']);
+
+    const facets = [{ group: 'types', value: 'block', exclude: false }, { group: 'tags', value: 'redstone', exclude: false }];
+    const selected = getFacetCounts(index, updates, { ...options, facets });
+    assert.equal(count(selected, 'types', 'item'), 1, 'type counts ignore type selections');
+    assert.equal(count(selected, 'types', 'block'), 1);
+    assert.equal(count(selected, 'tags', 'light'), 2, 'tag counts ignore tag selections');
+
+    const matches = scoreSearchMatches(index, 'dust');
+    const searched = getFacetCounts(index, updates, { ...options, matches });
+    assert.equal(count(searched, 'types', 'block'), 0, 'values without matches are kept');
+    assert.equal(count(searched, 'tags', 'redstone'), 1);
+
+    const itemsHidden = getFacetCounts(index, updates, { visibilityMap: { blocks: true, items: false } });
+    assert.equal(count(itemsHidden, 'types', 'item'), 0);
+});
+
+test('facets: filterItems applies facets with and without a query', () => {
+    const index = createSearchIndex(updates);
+    const facets = [{ group: 'tags', value: 'light', exclude: false }];
+    assert.deepEqual(filterItems([lamp, torch, dust], '', false, index, { facets }), [lamp, torch]);
+    assert.deepEqual(filterItems([lamp, torch, dust], 'redstone', false, index, { facets }), [lamp]);
+
+    const highlighted = filterItems([lamp, torch, dust], '', false, index, { facets, highlight: true });
+    assert.deepEqual(highlighted.map(isSearchMatch), [true, true, false]);
+});
+
+test('facets: panel renders chips with counts and selection state', () => {
+    installDomStub();
+    const container = document.createElement('div');
+    renderFacetPanel(container, {
+        types: [{ value: 'block', count: 2 }, { value: 'item', count: 0 }],
+        tags: [{ value: 'redstone', count: 1 }],
+    }, [{ group: 'tags', value: 'redstone', exclude: true }]);
+
+    const chips = findAll(container, (node) => node.classList?.contains('facet-chip'));
+    assert.deepEqual(chips.map((chip) => chip.dataset.facetValue), ['block', 'item', 'redstone']);
+    assert.equal(chips[0].getAttribute('aria-label'), 'block, 2 items');
+    assert.equal(chips[1].classList.contains('is-empty'), true);
+    assert.equal(chips[2].dataset.facetState, 'exclude');
+    assert.equal(chips[2].getAttribute('aria-label'), 'redstone, 1 item, excluded');
+});
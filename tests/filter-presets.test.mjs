@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    BUILT_IN_FILTER_PRESETS,
+    createFilterPreset,
+    findFilterPreset,
+    getPresetShownSections,
+    parseFilterPresets,
+    sanitizeFilterPresets,
+    serializeFilterPresets,
+    upsertFilterPreset,
+} from '../js/state/filter-presets.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { restoreFromURL, updateURL } from '../js/url-state.js';
+import { renderFilterPresetList } from '../js/ui/filter-presets.js';
+import { findAll, installDomStub } from './helpers/dom-stub.mjs';
+
+function installWindow(search) {
+    const location = new URL(`https://example.test/${search}`);
+    const setUrl = (url) => {
+        location.href = String(url);
+    };
+    globalThis.window = {
+        location,
+        history: { pushState: (_state, _title, url) => setUrl(url), replaceState: (_state, _title, url) => setUrl(url) },
+    };
+    return location;
+}
+
+function createApp(overrides = {}) {
+    return {
+        state: { ...createDefaultState(), ...overrides },
+        getSearchQuery: () => '',
+        setSearchQuery() {},
+    };
+}
+
+test('filter presets: capture sections and options, look up by id or name', () => {
+    const state = { ...createDefaultState(), showItems: false, showNotableChanges: false, fuzzySearch: true };
+    const preset = createFilterPreset(state, ' Quiet ');
+    assert.equal(preset.name, 'Quiet');
+    assert.equal(preset.filters.showItems, false);
+    assert.equal(preset.filters.showNotableChanges, false);
+    assert.equal('fuzzySearch' in preset.filters, false);
+
+    const presets = upsertFilterPreset([preset], { ...createFilterPreset(createDefaultState(), 'quiet'), id: 'b' });
+    assert.deepEqual(presets.map((entry) => entry.id), ['b']);
+
+    assert.equal(findFilterPreset(presets, 'QUIET').id, 'b');
+    assert.equal(findFilterPreset([], 'mob-hunter').name, 'Mob hunter');
+    assert.equal(findFilterPreset([], 'Builder').id, 'builder');
+    assert.equal(findFilterPreset([], 'nope'), null);
+    assert.deepEqual(getPresetShownSections(findFilterPreset([], 'builder')), ['showBlocks', 'showPaintings']);
+    assert.deepEqual(BUILT_IN_FILTER_PRESETS.map((entry) => entry.id), ['builder', 'mob-hunter', 'everything']);
+});
+
+test('filter presets: JSON export round-trips and bad imports are rejected', () => {
+    const preset = createFilterPreset({ ...createDefaultState(), showMobs: false }, 'No mobs');
+    const [imported] = parseFilterPresets(serializeFilterPresets([preset]));
+    assert.deepEqual({ ...imported, id: preset.id }, preset);
+    assert.notEqual(imported.id, preset.id, 'imports get new ids');
+
+    const bare = parseFilterPresets(JSON.stringify([
+        { id: 'same', name: 'Bare', filters: { showBlocks: false, bogus: true } },
+        { id: 'same', name: 'Other', filters: {} },
+    ]));
+    assert.deepEqual(bare.map(({ name, filters }) => ({ name, filters })), [
+        { name: 'Bare', filters: { showBlocks: false } },
+        { name: 'Other', filters: {} },
+    ]);
+    assert.notEqual(bare[0].id, bare[1].id);
+    assert.deepEqual(
+        sanitizeFilterPresets([{ id: 'same', name: 'A', filters: {} }, { id: 'same', name: 'B', filters: {} }])
+            .map((entry) => entry.id === 'same'),
+        [true, false],
+        'stored duplicate ids are made unique'
+    );
+    assert.throws(() => parseFilterPresets('{'), /not valid JSON/);
+    assert.throws(() => parseFilterPresets('{"presets":[{"name":""}]}'), /no filter presets/);
+});
+
+test('filter presets: ?preset= applies over the filter params and is expanded by updateURL', () => {
+    const location = installWindow('?view=versions&opts=d&preset=builder');
+    const app = createApp();
+    restoreFromURL(app);
+    assert.equal(app.state.showBlocks, true);
+    assert.equal(app.state.showMobs, false);
+    assert.equal(app.state.removeDuplicates, true);
+    assert.equal(app.state.showNotableChanges, false);
+
+    updateURL(app);
+    assert.equal(location.searchParams.has('preset'), false);
+    assert.equal(location.searchParams.get('sections'), '81');
+
+    installDomStub();
+    const list = document.createElement('ul');
+    renderFilterPresetList(list, [createFilterPreset(createDefaultState(), 'Mine')]);
+    const removes = findAll(list, (node) => node.classList?.contains('filter-preset-remove'));
+    assert.equal(list.children.length, BUILT_IN_FILTER_PRESETS.length + 1);
+    assert.equal(removes.length, 1, 'built-in presets cannot be removed');
+});
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeFilterParams, encodeFilterParams } from '../js/state/filter-url.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { haveFilterParamsChanged, refreshUrlSessionFromLocation, restoreFromURL, updateURL } from '../js/url-state.js';
+
+function installWindow(search) {
+    const pushed = [];
+    const location = new URL(`https://example.test/${search}`);
+    const setUrl = (url) => {
+        location.href = String(url);
+    };
+    globalThis.window = {
+        location,
+        history: {
+            pushState: (_state, _title, url) => {
+                pushed.push(String(url));
+                setUrl(url);
+            },
+            replaceState: (_state, _title, url) => setUrl(url),
+        },
+    };
+    return { location, pushed };
+}
+
+function createApp(overrides = {}) {
+    let query = '';
+    return {
+        state: { ...createDefaultState(), ...overrides },
+        getSearchQuery: () => query,
+        setSearchQuery: (value) => {
+            query = value;
+        },
+    };
+}
+
+test('filter URL: defaults are omitted and changes round-trip', () => {
+    assert.deepEqual(encodeFilterParams(createDefaultState()), { sections: '', opts: '', hide: '' });
+
+    const state = {
+        ...createDefaultState(),
+        showMobs: false,
+        showBiomes: false,
+        removeDuplicates: false,
+        showBorders: true,
+        hiddenUpdateCategories: ['beta', 'minor'],
+    };
+    const params = encodeFilterParams(state);
+    assert.deepEqual(params, { sections: '2fb', opts: 'dB', hide: 'minor,beta' });
+
+    const decoded = decodeFilterParams(new URLSearchParams(params));
+    assert.equal(decoded.showMobs, false);
+    assert.equal(decoded.showBiomes, false);
+    assert.equal(decoded.showBlocks, true);
+    assert.equal(decoded.removeDuplicates, false);
+    assert.equal(decoded.showBorders, true);
+    assert.equal(decoded.showNotableChanges, true);
+    assert.deepEqual(decoded.hiddenUpdateCategories, ['minor', 'beta']);
+
+    assert.equal(decodeFilterParams(new URLSearchParams('sections=zz')).showMobs, true);
+});
+
+test('filter URL: written by updateURL and restored with URL-wins precedence', () => {
+    const { location, pushed } = installWindow('');
+    const app = createApp({ showItems: false, fuzzySearch: true });
+    updateURL(app, false, true);
+    assert.equal(location.searchParams.get('sections'), '3fd');
+    assert.equal(location.searchParams.get('opts'), 'F');
+    assert.equal(location.searchParams.has('hide'), false);
+    assert.equal(pushed.length, 1);
+
+    const recipient = createApp({ showItems: true, showMobs: false });
+    restoreFromURL(recipient);
+    assert.equal(recipient.state.showItems, false);
+    assert.equal(recipient.state.showMobs, true, 'a missing bit in a written link means the default');
+    assert.equal(recipient.state.fuzzySearch, true);
+
+    installWindow('?search=copper');
+    const bare = createApp({ showMobs: false });
+    restoreFromURL(bare);
+    assert.equal(bare.state.showMobs, false, 'links without view keep the persisted filters');
+});
+
+test('filter URL: filter param changes are tracked for back and forward', () => {
+    const { location } = installWindow('?view=versions');
+    refreshUrlSessionFromLocation();
+    assert.equal(haveFilterParamsChanged(location.searchParams), false);
+    location.search = '?view=versions&sections=3fd';
+    assert.equal(haveFilterParamsChanged(location.searchParams), true);
+});
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFilterClient } from '../js/data/filter-client.js';
+import { getFilterOptions } from '../js/data/filtering.js';
+import { createFilterMessageHandler } from '../js/workers/filter-worker.js';
+
+const updates = [
+    {
+        name: 'Trails',
+        release_version: { java: '1.20' },
+        release_date: '2023-06-07',
+        added: { blocks: [{ name: 'Sniffer Egg', identifier: 'sniffer_egg' }], items: [{ name: 'Brush', identifier: 'brush' }] },
+    },
+    {
+        name: 'Wild',
+        release_version: { java: '1.19' },
+        release_date: '2022-06-07',
+        added: { blocks: [{ name: 'Mud', identifier: 'mud' }] },
+    },
+];
+
+const state = { removeDuplicates: true, showBlocks: true, showItems: true };
+
+/** In-process stand-in for a module Worker running filter-worker.js. */
+class FakeWorker {
+    constructor() {
+        this.listeners = { message: [], error: [] };
+        this.posted = [];
+        this.handle = createFilterMessageHandler((data) => {
+            queueMicrotask(() => this.listeners.message.forEach((listener) => listener({ data })));
+        });
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type].push(listener);
+    }
+
+    postMessage(data) {
+        this.posted.push(data.type);
+        this.handle({ data: structuredClone(data) });
+    }
+
+    terminate() {
+        this.terminated = true;
+    }
+}
+
+test('filter client: falls back to synchronous filtering without Workers', async () => {
+    assert.equal(typeof Worker, 'undefined');
+    const client = createFilterClient();
+    const { entries } = await client.filter(updates, getFilterOptions(state, 'versions', 'mud'));
+    assert.deepEqual(entries.map((entry) => entry.name), ['Wild']);
+
+    const years = (await client.filter(updates, getFilterOptions(state, 'years', ''))).entries;
+    assert.deepEqual(years.map((entry) => entry.name), ['2023', '2022']);
+});
+
+test('filter client: worker receives updates once and superseded requests resolve null', async () => {
+    const worker = new FakeWorker();
+    const client = createFilterClient({ createWorker: () => worker });
+
+    const first = client.filter(updates, getFilterOptions(state, 'versions', 'sn'));
+    const second = client.filter(updates, getFilterOptions(state, 'versions', 'brush'));
+
+    assert.equal(await first, null);
+    assert.deepEqual((await second).entries.map((entry) => entry.added.items.length), [1]);
+    assert.deepEqual(worker.posted, ['updates', 'filter', 'filter']);
+});
+
+test('filter client: a failing worker falls back to the synchronous path', async () => {
+    const worker = new FakeWorker();
+    worker.postMessage = function postMessage(data) {
+        this.posted.push(data.type);
+    };
+    const client = createFilterClient({ createWorker: () => worker });
+
+    const pending = client.filter(updates, getFilterOptions(state, 'versions', ''));
+    worker.listeners.error.forEach((listener) => listener(new Error('module workers unsupported')));
+
+    assert.equal((await pending).entries.length, 2);
+    assert.equal(worker.terminated, true);
+    assert.equal((await client.filter(updates, getFilterOptions(state, 'versions', 'mud'))).entries.length, 1);
+});
+
+test('filter client: the worker answers with the filters panel counts of the same pass', async () => {
+    const worker = new FakeWorker();
+    const client = createFilterClient({ createWorker: () => worker });
+
+    const { entries, counts } = await client.filter(updates, getFilterOptions({ ...state, showItems: false }, 'versions', 's'));
+    assert.deepEqual(entries.map((entry) => entry.name), ['Trails']);
+    assert.deepEqual(counts.sections, { ...counts.sections, blocks: 1, items: 1 }, 'hidden sections are counted too');
+    assert.ok(Object.values(counts.facets).every(Array.isArray));
+    assert.deepEqual(worker.posted, ['updates', 'filter']);
+});
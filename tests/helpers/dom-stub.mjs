@@ -6,6 +6,7 @@ export function installDomStub() {
         querySelector: () => null,
         querySelectorAll: () => [],
     };
+    globalThis.DocumentFragment = TestFragment;
 }
 
 export class TestElement {
@@ -34,6 +35,10 @@ export class TestElement {
     }
 
     appendChild(child) {
+        if (child instanceof TestFragment) {
+            this.append(...child.children);
+            return child;
+        }
         if (typeof child === 'string') {
             const text = new TestText(child);
             text.parentElement = this;
@@ -56,6 +61,10 @@ export class TestElement {
         if (name === 'class') this.className = String(value);
     }
 
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
     getAttribute(name) {
         if (name === 'id') return this.id;
         if (name === 'class') return this.className;
@@ -121,6 +130,12 @@ export class TestElement {
     }
 }
 
+class TestFragment extends TestElement {
+    constructor() {
+        super('#document-fragment');
+    }
+}
+
 class TestText {
     constructor(text) {
         this.textContent = text;
@@ -303,6 +303,18 @@ test('tooltip interaction: health tooltip renders icon text and below state', ()
     assert.equal(tooltip.classList.contains('visible'), true);
 });
 
+test('tooltip interaction: introduction line follows health', () => {
+    installDomStub();
+    globalThis.window = { innerWidth: 800 };
+    const tooltip = document.createElement('div');
+    const target = document.createElement('div');
+
+    showTooltip(tooltip, target, 'Armadillo|health:6|since:23w51a');
+
+    assert.match(flattenText(tooltip), /^Armadillo.*×6.*First in 23w51a$/);
+    assert.ok(findByClass(tooltip, 'tooltip-since-text'));
+});
+
 test('theme interaction: syncs body class and button pressed state', () => {
     installDomStub();
     const body = document.createElement('body');
@@ -0,0 +1,178 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildItemLink, findItemLocation, readItemLinkParams } from '../js/data/item-links.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { restoreFromURL, updateURL } from '../js/url-state.js';
+import { revealPendingItem } from '../js/app/item-link-restore.js';
+import { AppActions } from '../js/app/actions.js';
+import { createSearchIndex } from '../js/data/search.js';
+import { installDomStub, TestElement } from './helpers/dom-stub.mjs';
+
+const copper = { name: 'Copper Bulb', identifier: 'copper_bulb' };
+const crafter = { name: 'Crafter', identifier: 'crafter' };
+const updates = [
+    {
+        name: '1.21',
+        added: { blocks: [copper, crafter] },
+        development_versions: [{ name: '24w03a', added: { blocks: [crafter] } }],
+    },
+    { name: '1.20', added: { blocks: [copper] } },
+];
+
+function installWindow(search) {
+    const location = new URL(`https://example.test/${search}`);
+    const setUrl = (url) => {
+        location.href = String(url);
+    };
+    globalThis.window = {
+        location,
+        history: { pushState: (_state, _title, url) => setUrl(url), replaceState: (_state, _title, url) => setUrl(url) },
+    };
+    return location;
+}
+
+function createGridCard(id, identifiers) {
+    const card = new TestElement('article');
+    card.className = 'update-card';
+    card.id = id;
+    identifiers.forEach((identifier) => {
+        const item = new TestElement('div');
+        item.className = 'grid-item';
+        item.dataset.identifier = identifier;
+        item.scrollIntoView = () => {
+            item.scrolled = true;
+        };
+        card.appendChild(item);
+    });
+    return card;
+}
+
+test('item links: an item is found in the named version, else in the oldest release adding it', () => {
+    assert.equal(findItemLocation(updates, 'copper_bulb', 'id-1-21').update.name, '1.21');
+    assert.equal(findItemLocation(updates, 'copper_bulb').update.name, '1.20');
+    assert.equal(findItemLocation(updates, 'copper_bulb', 'nope').update.name, '1.20');
+    assert.equal(findItemLocation(updates, 'crafter', 'id-24w03a').update.name, '24w03a');
+    assert.equal(findItemLocation(updates, 'crafter').type, 'blocks');
+    assert.equal(findItemLocation(updates, 'missing'), null);
+});
+
+test('item links: built with the version, read back from the URL and dropped by updateURL', () => {
+    const link = buildItemLink(
+        'https://example.test/?view=years&search=tuff#id-1-20',
+        { identifier: 'copper_bulb', versionId: 'id-1-21' },
+        { edition: '', data: 'mirror/' }
+    );
+    assert.equal(link, 'https://example.test/?item=copper_bulb&in=id-1-21&data=mirror%2F');
+    assert.deepEqual(readItemLinkParams(new URLSearchParams('item=+crafter+')), { identifier: 'crafter', versionId: null });
+    assert.equal(readItemLinkParams(new URLSearchParams('in=id-1-21')), null);
+
+    const location = installWindow('?item=copper_bulb&in=id-1-21');
+    const app = { state: createDefaultState(), getSearchQuery: () => '', setSearchQuery() {} };
+    const pendingRestore = restoreFromURL(app);
+    assert.deepEqual(pendingRestore.itemTarget, { identifier: 'copper_bulb', versionId: 'id-1-21' });
+
+    updateURL(app);
+    assert.equal(location.searchParams.has('item'), false);
+    assert.equal(location.searchParams.has('in'), false);
+});
+
+test('item links: revealed in the list card, or in the detail view when the list lacks it', (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    installDomStub();
+    const content = new TestElement('main');
+    content.appendChild(createGridCard('id-1-20', ['copper_bulb']));
+    const opened = [];
+    const searchIndex = createSearchIndex(updates);
+    let query = '';
+    const app = {
+        state: { ...createDefaultState(), allUpdates: updates },
+        elements: { content, appToast: new TestElement('div') },
+        pendingRestore: { itemTarget: { identifier: 'copper_bulb', versionId: null } },
+        getSearchIndex: () => searchIndex,
+        getSearchQuery: () => query,
+        detailViewManager: {
+            open: (type, id) => {
+                opened.push(`${type}:${id}`);
+                content.replaceChildren(createGridCard(id, ['copper_bulb', 'crafter']));
+            },
+        },
+        updateURL() {},
+        saveState() {},
+    };
+
+    assert.equal(revealPendingItem(app), true);
+    const listItem = content.querySelector('.grid-item');
+    assert.equal(listItem.scrolled, true);
+    assert.equal(listItem.classList.contains('item-link-pulse'), true);
+    assert.deepEqual(opened, []);
+    assert.equal(revealPendingItem(app), false, 'a link is only followed once');
+
+    app.pendingRestore.itemTarget = { identifier: 'crafter', versionId: 'id-1-21' };
+    assert.equal(revealPendingItem(app), true);
+    assert.deepEqual(opened, ['version:id-1-21']);
+    const detailItem = content.querySelector('.grid-item[data-identifier="crafter"]');
+    assert.equal(detailItem.classList.contains('item-link-pulse'), true);
+
+    t.mock.timers.tick(2000);
+    assert.equal(detailItem.classList.contains('item-link-pulse'), false);
+
+    app.pendingRestore.itemTarget = { identifier: 'missing', versionId: null };
+    t.mock.method(console, 'warn', () => {});
+    assert.equal(revealPendingItem(app), false);
+    assert.equal(app.elements.appToast.hidden, false);
+
+    // Filters that hide the item are named rather than the link silently doing nothing.
+    content.replaceChildren();
+    app.state.showBlocks = false;
+    query = 'stone';
+    app.pendingRestore.itemTarget = { identifier: 'crafter', versionId: null };
+    assert.equal(revealPendingItem(app), false);
+    assert.deepEqual(opened, ['version:id-1-21']);
+    assert.equal(
+        app.elements.appToast.textContent,
+        '"Crafter" is not shown: the Blocks section is hidden, it does not match the search "stone".'
+    );
+});
+
+test('item links: copying reports success and failure', async (t) => {
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    t.mock.method(console, 'warn', () => {});
+    installWindow('?view=versions');
+    const copied = [];
+    let failing = false;
+    Object.defineProperty(globalThis, 'navigator', {
+        configurable: true,
+        value: {
+            clipboard: {
+                writeText: async (text) => {
+                    if (failing) throw new Error('denied');
+                    copied.push(text);
+                },
+            },
+        },
+    });
+    const appToast = new TestElement('div');
+    const app = { state: { ...createDefaultState(), allUpdates: updates }, elements: { appToast } };
+    const actions = new AppActions(app);
+
+    const link = await actions.copyItemLink('crafter', 'id-24w03a');
+    assert.deepEqual(copied, ['https://example.test/?item=crafter&in=id-24w03a']);
+    assert.equal(link, copied[0]);
+    assert.equal(appToast.textContent, 'Link copied.');
+    assert.equal(appToast.classList.contains('is-error'), false);
+
+    failing = true;
+    await actions.copyItemLink('crafter');
+    assert.equal(appToast.textContent, 'Could not copy the link: https://example.test/?item=crafter&in=id-1-21');
+    assert.equal(appToast.classList.contains('is-error'), true);
+    t.mock.timers.tick(8000);
+    assert.equal(appToast.hidden, true);
+
+    copied.length = 0;
+    failing = false;
+    assert.equal(await actions.copyItemLink('missing'), null);
+    assert.deepEqual(copied, []);
+    assert.equal(appToast.textContent, 'Could not copy a link: "missing" is not in this data.');
+    assert.equal(appToast.classList.contains('is-error'), true);
+    assert.equal(appToast.hidden, false);
+});
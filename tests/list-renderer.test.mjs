@@ -1,8 +1,10 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { renderCardsInChunks, getVersionGapLabel } from '../js/ui/list-renderer.js';
+import { getResultsSummary, renderCardsInChunks, renderEmptyState, getVersionGapLabel } from '../js/ui/list-renderer.js';
+import { createSearchIndex } from '../js/data/search.js';
 import { CONFIG } from '../js/config.js';
 import { SECTION_TYPES } from '../js/section-config.js';
+import { LIST_SORT_ORDERS } from '../js/data/sorting.js';
 import { findAll, installDomStub, TestElement } from './helpers/dom-stub.mjs';
 
 test('version gap label counts skipped versions and days', () => {
@@ -40,7 +42,7 @@ test('version gap label counts skipped versions and days', () => {
     );
 });
 
-test('card list renderer inserts version gap dividers only during list filtering', () => {
+test('card list renderer inserts version gap dividers only while filtering a list in release order', () => {
     installDomStub();
     globalThis.DocumentFragment = class DocumentFragment extends TestElement {
         constructor() {
@@ -95,9 +97,18 @@ test('card list renderer inserts version gap dividers only during list filtering
     const dayOnlyDividers = findAll(contentFilteredWithoutSearch, hasVersionGapClass);
     assert.equal(dayOnlyDividers.length, 1);
     assert.equal(dayOnlyDividers[0].textContent, '42 days between');
+
+    const mostItemsContent = document.createElement('div');
+    renderCardsInChunks({
+        app: createApp({ allUpdates, content: mostItemsContent, query: 'copper', listSort: LIST_SORT_ORDERS.MOST_ITEMS }),
+        data: filteredUpdates,
+        cardRenderer,
+        afterRender: () => {},
+    });
+    assert.equal(findAll(mostItemsContent, hasVersionGapClass).length, 0);
 });
 
-function createApp({ allUpdates, content, query, showItems = true }) {
+function createApp({ allUpdates, content, query, showItems = true, listSort = LIST_SORT_ORDERS.NEWEST }) {
     const visibilityState = Object.fromEntries(
         SECTION_TYPES.map((type) => [`show${toPascalCase(type)}`, true])
     );
@@ -109,6 +120,7 @@ function createApp({ allUpdates, content, query, showItems = true }) {
             currentView: CONFIG.VIEWS.VERSIONS,
             ...visibilityState,
             showItems,
+            listSort,
         },
         elements: { content },
         getSearchQuery: () => query,
@@ -134,3 +146,38 @@ function toPascalCase(value) {
         .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
         .join('');
 }
+
+test('empty state offers "did you mean" corrections', () => {
+    installDomStub();
+    const allUpdates = [{ name: 'Trails', added: { blocks: [{ name: 'Copper Block', identifier: 'copper_block' }] } }];
+    const content = new TestElement('div');
+    let refreshed = 0;
+    const app = {
+        ...createApp({ allUpdates, content, query: 'cooper' }),
+        getSearchIndex: () => createSearchIndex(allUpdates),
+        setSearchQuery(value) {
+            app.query = value;
+        },
+        actions: { refreshForSearchChange: async () => { refreshed++; } },
+    };
+
+    renderEmptyState(app, { query: 'cooper', safeQuery: 'cooper' });
+    const options = findAll(content, (node) => node.classList?.contains('did-you-mean-option'));
+    assert.deepEqual(options.map((option) => option.textContent), ['copper']);
+
+    options[0].click();
+    assert.equal(app.query, 'copper');
+    assert.equal(refreshed, 1);
+});
+
+test('results summary counts only matches when highlighting', () => {
+    const app = createApp({ allUpdates: [], content: null, query: 'copper' });
+    const data = [{
+        name: 'Trials',
+        added: {
+            blocks: [{ name: 'Copper Bulb', search_match: true }, { name: 'Stone', search_match: false }],
+            items: [{ name: 'Copper Key' }],
+        },
+    }];
+    assert.deepEqual(getResultsSummary(app, data), { query: 'copper', entryCount: 1, itemCount: 2 });
+});
@@ -1,6 +1,7 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
 import { Utils } from '../js/utils.js';
+import { setDataSource } from '../js/data-source.js';
 import { loadMaterialGroupsData, normalizeMaterialGroupFile } from '../js/modules/material-groups/data.js';
 
 test('material groups: normalizes legacy and direct file formats', () => {
@@ -28,10 +29,12 @@ test('material groups: preserves file_index order from generated data', async ()
     ]);
 
     Utils.fetchJSON = async (url) => responses.get(url);
+    setDataSource('../minecraft_data');
     try {
         const data = await loadMaterialGroupsData();
         assert.deepEqual(data.content.map((item) => item.name), ['Block Forms', 'Manual Groups']);
     } finally {
         Utils.fetchJSON = originalFetchJSON;
+        setDataSource(null);
     }
 });
@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery } from '../js/data/query-language.js';
+import { createSearchIndex, filterItems, matchSearchIndex } from '../js/data/search.js';
+import { setSearchErrorInFields } from '../js/ui/search-fields.js';
+import { installDomStub } from './helpers/dom-stub.mjs';
+
+const mossyStone = { name: 'Mossy Stone Bricks', identifier: 'mossy_stone_bricks', types: ['block'], tags: [], wiki: 'https://minecraft.wiki/w/Mossy_Stone_Bricks' };
+const copperBulb = { name: 'Copper Bulb', identifier: 'copper_bulb', types: ['block'], tags: ['redstone'] };
+const hiddenCopper = { name: 'Copper Grate', identifier: 'copper_grate', types: ['hidden'], tags: [] };
+const warden = { name: 'Warden', identifier: 'warden', types: ['mob'], tags: [], meta: { health: 500 } };
+const frog = { name: 'Frog', identifier: 'frog', types: ['mob'], tags: [], meta: { health: 10 } };
+const armadillo = { name: 'Armadillo', identifier: 'mymod:armadillo', types: ['mob'], tags: [], meta: { health: 12 } };
+
+const updates = [
+    { name: 'Tricky Trials', release_version: { java: '1.21' }, release_date: '2024-06-13', added: { blocks: [copperBulb, hiddenCopper], mobs: [armadillo] } },
+    { name: 'The Wild Update', release_version: { java: '1.19' }, release_date: '2022-06-07', added: { mobs: [warden, frog] } },
+    { name: 'Update Aquatic', release_version: { java: '1.13' }, release_date: '2018-07-18', added: { blocks: [mossyStone] } },
+];
+const index = createSearchIndex(updates);
+const names = (query, options) => [...matchSearchIndex(index, query, options)].map((item) => item.name).sort();
+
+test('query language: parses groups, negation, phrases and qualifiers', () => {
+    assert.equal(parseQuery('').ast, null);
+    assert.deepEqual(parseQuery('-"mossy stone" OR #Mob').ast, {
+        type: 'or',
+        children: [
+            { type: 'not', child: { type: 'text', value: 'mossy stone', phrase: true } },
+            { type: 'tag', value: 'mob' },
+        ],
+    });
+    assert.deepEqual(parseQuery('type:mob health:>=20').ast, {
+        type: 'and',
+        children: [
+            { type: 'field', field: 'section', value: 'mobs' },
+            { type: 'field', field: 'meta', key: 'health', op: '>=', value: 20 },
+        ],
+    });
+    assert.deepEqual(parseQuery('year:2020..').ast, { type: 'field', field: 'year', op: '..', min: 2020, max: null });
+    assert.deepEqual(parseQuery('minecraft:stone').ast, { type: 'text', value: 'minecraft:stone', phrase: false });
+});
+
+test('query language: reports syntax errors with their position', () => {
+    assert.deepEqual(parseQuery('(copper OR').error, { message: 'Expected a search term after OR', index: 8 });
+    assert.deepEqual(parseQuery('(copper').error, { message: 'Missing closing parenthesis', index: 0 });
+    assert.deepEqual(parseQuery('copper)').error, { message: 'Unexpected ")"', index: 6 });
+    assert.deepEqual(parseQuery('"mossy').error, { message: 'Missing closing quote', index: 0 });
+    assert.deepEqual(parseQuery('version:banana').error, { message: 'Invalid version "banana"', index: 8 });
+    assert.deepEqual(parseQuery('type:vehicles').error, { message: 'Unknown section "vehicles"', index: 5 });
+    assert.deepEqual(parseQuery('year:').error, { message: 'Missing value for "year:"', index: 0 });
+});
+
+test('query language: evaluates qualifiers against the search index', () => {
+    assert.deepEqual(names('type:mobs health:>20'), ['Warden']);
+    assert.deepEqual(names('version:>=1.19 copper'), ['Copper Bulb', 'Copper Grate']);
+    assert.deepEqual(names('version:<1.21 -section:mobs'), ['Mossy Stone Bricks']);
+    assert.deepEqual(names('year:2024 -#hidden'), ['Armadillo', 'Copper Bulb']);
+    assert.deepEqual(names('"mossy stone"'), ['Mossy Stone Bricks']);
+    assert.deepEqual(names('"stone mossy"'), []);
+    assert.deepEqual(names('has:wiki'), ['Mossy Stone Bricks']);
+    assert.deepEqual(names('frog OR (copper #redstone)'), ['Copper Bulb', 'Frog']);
+    assert.deepEqual(names('-ns:minecraft'), ['Armadillo']);
+    assert.deepEqual(names('year:2019..2023 | bulb'), ['Copper Bulb', 'Frog', 'Warden']);
+    assert.deepEqual(names('version:1.13', { edition: 'bedrock' }), ['Mossy Stone Bricks']);
+});
+
+test('query language: syntax errors fall back to plain words', () => {
+    assert.deepEqual(names('(copper bulb'), ['Copper Bulb']);
+    assert.deepEqual(filterItems(updates[0].added.blocks, 'copper OR', true, index), [copperBulb]);
+});
+
+test('query language: syntax errors are shown inline under the search fields', () => {
+    installDomStub();
+    const searchBar = document.createElement('input');
+    const searchError = document.createElement('p');
+    searchError.id = 'search-error';
+    searchError.hidden = true;
+    const elements = { searchBar, searchError };
+
+    setSearchErrorInFields(elements, parseQuery('"mossy').error);
+    assert.equal(searchBar.getAttribute('aria-invalid'), 'true');
+    assert.equal(searchBar.getAttribute('aria-describedby'), 'search-error');
+    assert.equal(searchError.hidden, false);
+    assert.match(searchError.textContent, /^Missing closing quote \(at character 1\)/);
+
+    setSearchErrorInFields(elements, null);
+    assert.equal(searchBar.getAttribute('aria-invalid'), null);
+    assert.equal(searchError.hidden, true);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createReleaseRangePredicate,
+    decodeReleaseRange,
+    encodeReleaseRange,
+    normalizeReleaseRange,
+    resolveReleaseRange,
+} from '../js/data/release-range.js';
+import { filterUpdates, getFilterOptions } from '../js/data/filtering.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { getReleaseRangeStats } from '../js/modules/statistics/data.js';
+import { CONFIG } from '../js/config.js';
+
+const release = (java, date, extra = {}) => ({
+    name: java,
+    release_date: date,
+    release_version: { java },
+    added: { blocks: [{ name: `Block ${java}` }] },
+    ...extra,
+});
+
+const updates = [
+    release('1.21', null),
+    release('1.20', '2023-06-07', {
+        development_versions: [{ ...release('23w12a', '2023-03-22'), development_parent: 'id-1-20' }],
+    }),
+    release('1.17', '2021-06-08'),
+    release('1.16', '2020-06-23'),
+    release('1.14', '2019'),
+];
+
+test('release range: version bounds resolve to dates and may be reversed', () => {
+    assert.deepEqual(resolveReleaseRange({ fromVersion: 'id-1-20', toVersion: 'id-1-16' }, updates), {
+        from: '2020-06-23',
+        to: '2023-06-07',
+    });
+    assert.deepEqual(
+        resolveReleaseRange({ fromVersion: 'id-1-16', toDate: '2021-01-01', fromDate: '2019-05-01' }, updates),
+        { from: '2020-06-23', to: '2021-01-01' }
+    );
+
+    const inRange = createReleaseRangePredicate({ fromVersion: 'id-1-16', toVersion: 'id-1-20' }, updates);
+    assert.deepEqual(updates.filter(inRange).map((update) => update.name), ['1.20', '1.17', '1.16']);
+    assert.equal(inRange(updates[1].development_versions[0]), true, 'development versions follow their release');
+
+    const since2019 = createReleaseRangePredicate({ fromDate: '2019-12-01' }, updates);
+    assert.deepEqual(updates.filter(since2019).map((update) => update.name), ['1.21', '1.20', '1.17', '1.16', '1.14']);
+    const until2019 = createReleaseRangePredicate({ toDate: '2019-03-01' }, updates);
+    assert.deepEqual(updates.filter(until2019).map((update) => update.name), ['1.14']);
+});
+
+test('release range: version bounds compare versions, not release days', () => {
+    const patched = [
+        release('1.21', '2024-06-13'),
+        release('1.20.6', '2024-04-29'),
+        release('1.20.1', '2023-06-12'),
+        release('1.20', '2023-06-07'),
+        // A backport released after the next minor version.
+        release('1.16.5', '2021-01-15'),
+        release('1.17', '2021-06-08'),
+        release('1.16', '2020-06-23'),
+        release('1.15', '2019-12-10'),
+    ];
+    const inRange = createReleaseRangePredicate({ fromVersion: 'id-1-16', toVersion: 'id-1-20' }, patched);
+    assert.deepEqual(patched.filter(inRange).map((update) => update.name), ['1.20.6', '1.20.1', '1.20', '1.16.5', '1.17', '1.16']);
+
+    const upTo116 = createReleaseRangePredicate({ toVersion: 'id-1-16' }, patched);
+    assert.deepEqual(patched.filter(upTo116).map((update) => update.name), ['1.16.5', '1.16', '1.15']);
+
+    const withDates = createReleaseRangePredicate({ fromVersion: 'id-1-20', toDate: '2023-12-31' }, patched);
+    assert.deepEqual(patched.filter(withDates).map((update) => update.name), ['1.20.1', '1.20']);
+    assert.deepEqual(resolveReleaseRange({ toVersion: 'id-1-16' }, patched), { from: '2019-12-10', to: '2021-01-15' });
+});
+
+test('release range: URL encoding round-trips and drops invalid dates', () => {
+    const range = normalizeReleaseRange({ fromVersion: 'id-1-16', toDate: '2021-12-31' });
+    assert.deepEqual(encodeReleaseRange(range), { versions: 'id-1-16..', dates: '..2021-12-31' });
+    assert.deepEqual(decodeReleaseRange('id-1-16..', '..2021-12-31'), range);
+    assert.deepEqual(decodeReleaseRange(null, 'yesterday..2021-12-31'), {
+        fromVersion: null,
+        toVersion: null,
+        fromDate: null,
+        toDate: '2021-12-31',
+    });
+    assert.deepEqual(encodeReleaseRange(createDefaultState().releaseRange), { versions: '', dates: '' });
+});
+
+test('release range: applied to versions, years and development versions', () => {
+    const state = {
+        ...createDefaultState(),
+        showDevelopmentVersions: true,
+        releaseRange: { fromVersion: 'id-1-17', toVersion: 'id-1-20' },
+    };
+    const versions = filterUpdates(updates, getFilterOptions(state, CONFIG.VIEWS.VERSIONS, ''));
+    assert.deepEqual(versions.map((entry) => entry.name), ['1.20', '23w12a', '1.17']);
+
+    const years = filterUpdates(updates, getFilterOptions(state, CONFIG.VIEWS.YEARS, ''));
+    assert.deepEqual(years.map((entry) => entry.name), ['2023', '2021']);
+});
+
+test('release range: statistics keep stats within the range', () => {
+    const stats = getReleaseRangeStats(
+        {
+            versionsStats: [{ version: '1.20' }, { version: '1.16' }, { version: '1.9', release_date: '2016-02-29' }],
+            yearsStats: [{ year: 2023 }, { year: 2020 }, { year: 2016 }],
+        },
+        updates,
+        { fromDate: '2020-01-01' },
+        'java'
+    );
+    assert.deepEqual(stats.versionsStats.map((stat) => stat.version), ['1.20', '1.16']);
+    assert.deepEqual(stats.yearsStats.map((stat) => stat.year), [2023, 2020]);
+});
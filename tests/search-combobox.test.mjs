@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { attachSearchCombobox, describeSearchOption } from '../js/ui/search-combobox.js';
+import { findAll, installDomStub } from './helpers/dom-stub.mjs';
+
+const OPTIONS = [
+    {
+        kind: 'item',
+        label: 'Copper Bulb',
+        value: 'Copper Bulb',
+        item: { name: 'Copper Bulb', identifier: 'copper_bulb' },
+        section: 'blocks',
+        update: { release_version: { java: '1.21', bedrock: '1.21.0' } },
+    },
+    { kind: 'tag', label: '#redstone', value: 'copper #redstone', count: 12 },
+];
+
+function setup(options = OPTIONS) {
+    installDomStub();
+    const input = document.createElement('input');
+    const listbox = document.createElement('ul');
+    listbox.id = 'search-suggestions';
+    listbox.hidden = true;
+    const searched = [];
+    const jumped = [];
+    const combobox = attachSearchCombobox(input, listbox, {
+        getOptions: (query) => (query ? options : []),
+        onSearch: (value, option) => searched.push(option?.kind === 'saved' ? `saved:${option.saved.id}` : value),
+        onJump: (option) => jumped.push(option.item.identifier),
+    });
+    const type = (value) => {
+        input.value = value;
+        input.dispatchEvent({ type: 'input' });
+    };
+    const press = (key, extra = {}) => {
+        let prevented = false;
+        input.dispatchEvent({ type: 'keydown', key, preventDefault: () => { prevented = true; }, ...extra });
+        return prevented;
+    };
+    return { input, listbox, combobox, searched, jumped, type, press };
+}
+
+test('search combobox: describes item and tag options', () => {
+    assert.equal(describeSearchOption(OPTIONS[0], 'java'), 'Blocks · added in 1.21');
+    assert.equal(describeSearchOption(OPTIONS[0], 'bedrock'), 'Blocks · added in 1.21.0');
+    assert.equal(describeSearchOption(OPTIONS[1]), '12 items');
+});
+
+test('search combobox: arrow keys move the active option and Enter searches it', () => {
+    const { input, listbox, searched, type, press } = setup();
+    assert.equal(input.getAttribute('role'), 'combobox');
+
+    type('cop');
+    assert.equal(listbox.hidden, false);
+    assert.equal(input.getAttribute('aria-expanded'), 'true');
+    assert.equal(findAll(listbox, (node) => node.getAttribute?.('role') === 'option').length, 2);
+    assert.deepEqual(findAll(listbox, (node) => node.tagName === 'mark').map((node) => node.textContent), ['Cop']);
+
+    assert.equal(press('ArrowDown'), true);
+    assert.equal(input.getAttribute('aria-activedescendant'), 'search-suggestions-option-0');
+    press('ArrowDown');
+    press('ArrowDown');
+    assert.equal(input.getAttribute('aria-activedescendant'), 'search-suggestions-option-0');
+    press('ArrowUp');
+    assert.equal(listbox.children[1].getAttribute('aria-selected'), 'true');
+
+    press('Enter');
+    assert.deepEqual(searched, ['copper #redstone']);
+    assert.equal(input.value, 'copper #redstone');
+    assert.equal(listbox.hidden, true);
+    assert.equal(input.getAttribute('aria-expanded'), 'false');
+
+    type('cop');
+    assert.equal(press('Escape'), true);
+    assert.equal(listbox.hidden, true);
+    assert.equal(press('Escape'), false);
+    press('Enter');
+    assert.deepEqual(searched, ['copper #redstone', 'cop']);
+});
+
+test('search combobox: Alt+Enter and Alt+click jump to the item', () => {
+    const { listbox, searched, jumped, type, press } = setup();
+    type('cop');
+    press('Enter', { altKey: true });
+    assert.deepEqual(jumped, ['copper_bulb']);
+    assert.deepEqual(searched, []);
+
+    type('cop');
+    listbox.dispatchEvent({ type: 'click', target: listbox.children[0], altKey: true });
+    assert.deepEqual(jumped, ['copper_bulb', 'copper_bulb']);
+    listbox.dispatchEvent({ type: 'click', target: listbox.children[0] });
+    assert.deepEqual(searched, []);
+
+    type('cop');
+    listbox.dispatchEvent({ type: 'click', target: listbox.children[0] });
+    assert.deepEqual(searched, ['Copper Bulb']);
+});
+
+test('search combobox: Alt+Enter skips the listed saved and recent searches', () => {
+    const { jumped, searched, type, press } = setup([
+        { kind: 'saved', label: 'Copper', value: 'copper', saved: { id: 'copper' } },
+        { kind: 'recent', label: 'copper bulb', value: 'copper bulb' },
+        ...OPTIONS,
+    ]);
+    type('cop');
+    press('Enter', { altKey: true });
+    assert.deepEqual(jumped, ['copper_bulb']);
+    assert.deepEqual(searched, []);
+
+    type('cop');
+    press('ArrowDown');
+    press('Enter', { altKey: true });
+    assert.deepEqual(searched, ['saved:copper'], 'an active saved search is still applied');
+});
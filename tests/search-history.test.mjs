@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addRecentSearch,
+    applySavedSearchFilters,
+    createSavedSearch,
+    getSearchHistoryOptions,
+    RECENT_SEARCHES_LIMIT,
+    sanitizeSavedSearches,
+    upsertSavedSearch,
+} from '../js/state/search-history.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { persistUIState, restorePersistedUIState } from '../js/ui-persistence.js';
+
+function installLocalStorage(initial = {}) {
+    const store = new Map(Object.entries(initial));
+    globalThis.localStorage = {
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+    };
+    return store;
+}
+
+function createApp() {
+    return { state: createDefaultState(), syncCheckboxesToState() {} };
+}
+
+test('search history: recent searches are deduplicated and capped', () => {
+    let recent = [];
+    ['copper', 'stone', ' copper ', ''].forEach((query) => {
+        recent = addRecentSearch(recent, query);
+    });
+    assert.deepEqual(recent, ['copper', 'stone']);
+
+    for (let i = 0; i < RECENT_SEARCHES_LIMIT + 5; i++) recent = addRecentSearch(recent, `query ${i}`);
+    assert.equal(recent.length, RECENT_SEARCHES_LIMIT);
+    assert.equal(recent[0], `query ${RECENT_SEARCHES_LIMIT + 4}`);
+});
+
+test('search history: saved searches capture query, content filters and view', () => {
+    const state = { ...createDefaultState(), showMobs: false, currentView: 'years' };
+    const saved = createSavedSearch(state, ' Redstone ', ' #redstone ');
+    assert.equal(saved.name, 'Redstone');
+    assert.equal(saved.query, '#redstone');
+    assert.equal(saved.view, 'years');
+    assert.equal(saved.filters.showMobs, false);
+    assert.equal(saved.filters.removeDuplicates, true);
+    assert.equal('fuzzySearch' in saved.filters, false);
+
+    const replaced = upsertSavedSearch([saved], { ...createSavedSearch(state, 'redstone', 'crafter'), id: 'b' });
+    assert.deepEqual(replaced.map((entry) => entry.query), ['crafter']);
+
+    const target = { showMobs: true };
+    applySavedSearchFilters(target, saved);
+    assert.equal(target.showMobs, false);
+
+    assert.deepEqual(getSearchHistoryOptions({ savedSearches: [saved], recentSearches: ['stone'] }, '').map((option) => option.kind), ['saved', 'recent']);
+    assert.deepEqual(getSearchHistoryOptions({ savedSearches: [saved], recentSearches: ['stone'] }, 'red').map((option) => option.label), ['Redstone']);
+    assert.deepEqual(getSearchHistoryOptions({ savedSearches: [saved], recentSearches: ['stone'] }, 'dirt'), []);
+});
+
+test('search history: persisted in schema v4 and migrated from v3 payloads', () => {
+    const store = installLocalStorage({
+        minecraft_updates_ui_state: JSON.stringify({ schemaVersion: 3, activeMode: 'compare', recentSearches: ['ignored'] }),
+    });
+    const legacy = createApp();
+    restorePersistedUIState(legacy);
+    assert.equal(legacy.state.activeMode, 'compare');
+    assert.deepEqual(legacy.state.recentSearches, []);
+    assert.deepEqual(legacy.state.savedSearches, []);
+
+    const app = createApp();
+    app.state.recentSearches = ['copper'];
+    app.state.savedSearches = [createSavedSearch(app.state, 'Copper', 'copper')];
+    persistUIState(app);
+    assert.equal(JSON.parse(store.get('minecraft_updates_ui_state')).schemaVersion, 4);
+
+    const restored = createApp();
+    restorePersistedUIState(restored);
+    assert.deepEqual(restored.state.recentSearches, ['copper']);
+    assert.deepEqual(restored.state.savedSearches, app.state.savedSearches);
+
+    assert.deepEqual(sanitizeSavedSearches([null, { name: 'x' }, { name: 'Bad', query: '', filters: { showMobs: 'no', bogus: true }, view: 'grid' }]), [
+        { id: 'Bad', name: 'Bad', query: '', filters: {}, view: 'versions' },
+    ]);
+});
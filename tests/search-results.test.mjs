@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { activeModeFromUrlParam, urlParamFromActiveMode } from '../js/app-modes.js';
+import { createSearchIndex } from '../js/data/search.js';
+import { getSearchResultRows, sortSearchResultRows } from '../js/modules/search-results/data.js';
+import { renderSearchResultsView } from '../js/modules/search-results/view.js';
+import { findAll, flattenText, installDomStub } from './helpers/dom-stub.mjs';
+
+const updates = [
+    {
+        name: 'Tricky Trials',
+        release_version: { java: '1.21' },
+        release_date: '2024-06-13',
+        added: {
+            blocks: [{ name: 'Copper Bulb', identifier: 'copper_bulb' }],
+            items: [{ name: 'Copper Key', identifier: 'copper_key' }],
+        },
+    },
+    {
+        name: 'Caves & Cliffs: Part I',
+        release_version: { java: '1.17' },
+        release_date: '2021-06-08',
+        added: {
+            blocks: [{ name: 'Copper Block', identifier: 'copper_block' }],
+        },
+    },
+];
+
+function createCtx(query, state = {}) {
+    return {
+        state: { allUpdates: updates, showBlocks: true, showItems: true, ...state },
+        queries: {
+            getSearchQuery: () => query,
+            getSearchIndex: () => createSearchIndex(updates),
+        },
+    };
+}
+
+test('search results: one row per matching item, skipping hidden sections', () => {
+    assert.deepEqual(getSearchResultRows(createCtx('  ')), []);
+
+    const rows = getSearchResultRows(createCtx('copper'));
+    assert.deepEqual(rows.map((row) => row.item.name).sort(), ['Copper Block', 'Copper Bulb', 'Copper Key']);
+    const key = rows.find((row) => row.item.name === 'Copper Key');
+    assert.equal(key.section, 'items');
+    assert.equal(key.version, '1.21');
+    assert.equal(key.date, '2024-06-13');
+    assert.equal(key.update.name, 'Tricky Trials');
+
+    const blocksOnly = getSearchResultRows(createCtx('copper', { showItems: false }));
+    assert.deepEqual(blocksOnly.map((row) => row.section), ['blocks', 'blocks']);
+});
+
+test('search results: sorts by column and direction with name tie-breaks', () => {
+    const rows = getSearchResultRows(createCtx('copper'));
+    const names = (sort) => sortSearchResultRows(rows, sort).map((row) => row.item.name);
+
+    assert.deepEqual(names({ key: 'date', direction: 'asc' }), ['Copper Block', 'Copper Bulb', 'Copper Key']);
+    assert.deepEqual(names({ key: 'date', direction: 'desc' }), ['Copper Bulb', 'Copper Key', 'Copper Block']);
+    assert.deepEqual(names({ key: 'section', direction: 'desc' }), ['Copper Key', 'Copper Block', 'Copper Bulb']);
+    assert.deepEqual(names({ key: 'identifier', direction: 'asc' }), ['Copper Block', 'Copper Bulb', 'Copper Key']);
+});
+
+test('search results view: sortable headers and version links', () => {
+    installDomStub();
+    const container = document.createElement('div');
+    const rows = sortSearchResultRows(getSearchResultRows(createCtx('copper')), { key: 'name', direction: 'asc' });
+    const sorted = [];
+    const opened = [];
+    renderSearchResultsView(container, rows, {
+        query: 'copper',
+        sort: { key: 'name', direction: 'asc' },
+        onSort: (key) => sorted.push(key),
+        onOpenVersion: (cardId) => opened.push(cardId),
+    });
+
+    assert.match(flattenText(container), /3 items match "copper"/);
+    const headers = findAll(container, (node) => node.tagName === 'th' && node.getAttribute('aria-sort'));
+    assert.deepEqual(headers.map((node) => node.getAttribute('aria-sort')), ['ascending', 'none', 'none', 'none', 'none']);
+
+    findAll(container, (node) => node.dataset?.sortKey === 'date')[0].click();
+    assert.deepEqual(sorted, ['date']);
+
+    const links = findAll(container, (node) => node.tagName === 'a');
+    assert.equal(links.length, 3);
+    let prevented = false;
+    links[0].dispatchEvent({ type: 'click', preventDefault: () => { prevented = true; } });
+    assert.equal(prevented, true);
+    assert.deepEqual(opened, [rows[0].cardId]);
+
+    renderSearchResultsView(container, [], { query: 'nothing', sort: { key: 'name', direction: 'asc' } });
+    assert.match(flattenText(container), /No items match "nothing"/);
+});
+
+test('search results mode round-trips through the URL', () => {
+    assert.equal(activeModeFromUrlParam('results'), 'results');
+    assert.equal(urlParamFromActiveMode('results'), 'results');
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { countSectionMatches, filterUpdates, getFilterOptions } from '../js/data/filtering.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { renderSectionCounts } from '../js/ui/section-counts.js';
+import { CONFIG } from '../js/config.js';
+import { installDomStub } from './helpers/dom-stub.mjs';
+
+const updates = [
+    {
+        name: 'A',
+        release_date: '2020-01-01',
+        added: {
+            blocks: [{ name: 'Copper Block' }, { name: 'Stone' }],
+            items: [{ name: 'Copper Ingot' }],
+            mobs: [{ name: 'Allay' }],
+        },
+    },
+];
+
+test('section counts: count matches of every section, highlighted or not', () => {
+    const state = { ...createDefaultState(), showItems: false };
+    const options = getFilterOptions(state, CONFIG.VIEWS.VERSIONS, 'copper');
+    options.visibilityMap = Object.fromEntries(options.contentTypes.map((type) => [type, true]));
+
+    const counts = countSectionMatches(filterUpdates(updates, options));
+    assert.equal(counts.blocks, 1);
+    assert.equal(counts.items, 1, 'hidden sections are counted too');
+    assert.equal(counts.mobs, 0);
+
+    const highlighted = countSectionMatches(filterUpdates(updates, { ...options, highlightMatches: true }));
+    assert.deepEqual(highlighted, counts);
+});
+
+test('section counts: labels and popular pills show counts and dim empty sections', () => {
+    installDomStub();
+    const container = document.createElement('div');
+    const checkbox = document.createElement('input');
+    const label = document.createElement('label');
+    label.textContent = 'Mobs';
+    container.append(checkbox, label);
+    const pill = document.createElement('button');
+
+    renderSectionCounts({ showMobsCheckbox: checkbox, filtersPopularMobsBtn: pill }, { mobs: 0 });
+    assert.equal(label.querySelector('.filter-count').textContent, '0');
+    assert.equal(container.classList.contains('has-no-matches'), true);
+    assert.equal(pill.getAttribute('aria-label'), 'Toggle mobs, 0 matches');
+
+    renderSectionCounts({ showMobsCheckbox: checkbox, filtersPopularMobsBtn: pill }, { mobs: 1 });
+    assert.equal(label.children.length, 1, 'the count badge is reused');
+    assert.equal(container.classList.contains('has-no-matches'), false);
+    assert.equal(pill.getAttribute('aria-label'), 'Toggle mobs, 1 match');
+});
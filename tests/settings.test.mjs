@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDefaultState } from '../js/state/default-state.js';
+import {
+    RESET_SCOPES,
+    STORAGE_KEY,
+    exportSettingsFile,
+    importSettingsFile,
+    parseSettingsFile,
+    resetPersistedUIState,
+} from '../js/ui-persistence.js';
+
+function installLocalStorage(initial = {}) {
+    const store = new Map(Object.entries(initial));
+    globalThis.localStorage = {
+        get length() {
+            return store.size;
+        },
+        key: (index) => [...store.keys()][index] ?? null,
+        getItem: (key) => (store.has(key) ? store.get(key) : null),
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: (key) => store.delete(key),
+    };
+    return store;
+}
+
+function createApp(overrides = {}) {
+    return { state: { ...createDefaultState(), ...overrides }, syncCheckboxesToState() {} };
+}
+
+test('settings: export round-trips through import and keeps the current mode', () => {
+    installLocalStorage({ 'material-group-collapsed-wood': 'true', unrelated: 'x' });
+    const source = createApp({
+        theme: 'light',
+        showMobs: false,
+        listSort: 'oldest',
+        collapsedSections: { '1-21:blocks': true },
+        savedSearches: [{ id: 'a', name: 'Copper', query: 'copper', filters: {}, view: 'versions' }],
+    });
+    const file = exportSettingsFile(source);
+    assert.equal(JSON.parse(file).format, 'minecraft-updates-settings');
+
+    const store = installLocalStorage();
+    const target = createApp({ activeMode: 'stats', showItems: false, theme: 'dark' });
+    importSettingsFile(target, parseSettingsFile(file));
+    assert.equal(target.state.theme, 'light');
+    assert.equal(target.state.showMobs, false);
+    assert.equal(target.state.showItems, true, 'settings missing from the file fall back to the defaults');
+    assert.equal(target.state.listSort, 'oldest');
+    assert.deepEqual(target.state.collapsedSections, { '1-21:blocks': true });
+    assert.equal(target.state.savedSearches[0].name, 'Copper');
+    assert.equal(target.state.activeMode, 'stats');
+    assert.equal(store.get('material-group-collapsed-wood'), 'true');
+    assert.equal(store.has('unrelated'), false);
+});
+
+test('settings: older payloads are migrated and bad files rejected', () => {
+    installLocalStorage();
+    const legacy = JSON.stringify({
+        format: 'minecraft-updates-settings',
+        version: 1,
+        uiState: { schemaVersion: 2, isCompareMode: true, compareVersionIds: ['1-21', null], recentSearches: ['x'] },
+    });
+    const app = createApp();
+    const restored = importSettingsFile(app, parseSettingsFile(legacy));
+    assert.deepEqual(restored.compareVersionIds, ['1-21', null]);
+    assert.deepEqual(app.state.recentSearches, [], 'search history predates schema v4');
+    assert.equal(app.state.activeMode, 'list');
+
+    assert.throws(() => parseSettingsFile('nope'), /not valid JSON/);
+    assert.throws(() => parseSettingsFile('{"format":"other","version":1}'), /not a settings export/);
+    assert.throws(
+        () => parseSettingsFile('{"format":"minecraft-updates-settings","version":1,"uiState":{"schemaVersion":99}}'),
+        /newer version/
+    );
+});
+
+test('settings: an import that storage refuses leaves the current settings in place', () => {
+    const store = installLocalStorage();
+    const app = createApp({ theme: 'light', showMobs: false });
+    resetPersistedUIState(app, RESET_SCOPES.COLLAPSED);
+    const stored = store.get(STORAGE_KEY);
+    localStorage.setItem = () => {
+        throw new Error('QuotaExceededError');
+    };
+
+    const file = JSON.stringify({ format: 'minecraft-updates-settings', version: 1, uiState: { schemaVersion: 2 } });
+    assert.throws(() => importSettingsFile(app, parseSettingsFile(file)), /QuotaExceededError/);
+    assert.equal(app.state.theme, 'light');
+    assert.equal(app.state.showMobs, false);
+    assert.equal(store.get(STORAGE_KEY), stored);
+});
+
+test('settings: granular reset of filters, collapsed state or everything', () => {
+    const store = installLocalStorage({ 'material-group-collapsed-stone': 'true' });
+    const app = createApp({
+        showBlocks: false,
+        itemSort: 'name',
+        theme: 'light',
+        collapsedSections: { 'a:blocks': true },
+    });
+
+    resetPersistedUIState(app, RESET_SCOPES.FILTERS);
+    assert.equal(app.state.showBlocks, true);
+    assert.equal(app.state.itemSort, 'data');
+    assert.deepEqual(app.state.collapsedSections, { 'a:blocks': true });
+    assert.equal(store.has('material-group-collapsed-stone'), true);
+
+    resetPersistedUIState(app, RESET_SCOPES.COLLAPSED);
+    assert.deepEqual(app.state.collapsedSections, {});
+    assert.equal(store.has('material-group-collapsed-stone'), false);
+    assert.equal(app.state.theme, 'light');
+
+    resetPersistedUIState(app, RESET_SCOPES.ALL);
+    assert.equal(app.state.theme, 'dark');
+    assert.equal(JSON.parse(store.get('minecraft_updates_ui_state')).theme, 'dark');
+});
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getMaterialFamily, sortSectionItems } from '../js/data/sorting.js';
+import { filterUpdates, getFilterOptions } from '../js/data/filtering.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { decodeSortParams, encodeSortParams } from '../js/state/filter-url.js';
+import { CardRenderer } from '../js/modules/card/exports.js';
+import { CONFIG } from '../js/config.js';
+import { findAll, installDomStub } from './helpers/dom-stub.mjs';
+
+const blocks = [
+    { name: 'Tuff Bricks', identifier: 'tuff_bricks' },
+    { name: 'Copper Bulb', identifier: 'copper_bulb' },
+    { name: 'Waxed Exposed Cut Copper', identifier: 'waxed_exposed_cut_copper' },
+    { name: 'Chiseled Tuff', identifier: 'chiseled_tuff' },
+];
+
+const update = (java, date, count) => ({
+    name: java,
+    release_date: date,
+    release_version: { java },
+    added: { blocks: blocks.slice(0, count) },
+});
+
+test('sorting: items by name, identifier and material family', () => {
+    assert.equal(getMaterialFamily(blocks[2]), 'copper');
+    assert.equal(getMaterialFamily(blocks[3]), 'tuff');
+    assert.deepEqual(sortSectionItems(blocks, 'name').map((item) => item.name), [
+        'Chiseled Tuff', 'Copper Bulb', 'Tuff Bricks', 'Waxed Exposed Cut Copper',
+    ]);
+    assert.deepEqual(sortSectionItems(blocks, 'identifier').map((item) => item.identifier), [
+        'chiseled_tuff', 'copper_bulb', 'tuff_bricks', 'waxed_exposed_cut_copper',
+    ]);
+    assert.deepEqual(sortSectionItems(blocks, 'family').map((item) => item.name), [
+        'Copper Bulb', 'Waxed Exposed Cut Copper', 'Chiseled Tuff', 'Tuff Bricks',
+    ]);
+    assert.equal(sortSectionItems(blocks, 'data'), blocks);
+});
+
+test('sorting: list oldest first or by matching item count', () => {
+    const updates = [update('1.21', '2024-06-13', 2), update('1.20', '2023-06-07', 4), update('1.19', '2022-06-07', 1)];
+    const names = (listSort, view = CONFIG.VIEWS.VERSIONS) => filterUpdates(
+        updates,
+        getFilterOptions({ ...createDefaultState(), listSort }, view, '')
+    ).map((entry) => entry.name);
+
+    assert.deepEqual(names('newest'), ['1.21', '1.20', '1.19']);
+    assert.deepEqual(names('oldest'), ['1.19', '1.20', '1.21']);
+    assert.deepEqual(names('most-items'), ['1.20', '1.21', '1.19']);
+    assert.deepEqual(names('bogus'), ['1.21', '1.20', '1.19']);
+    assert.deepEqual(names('oldest', CONFIG.VIEWS.YEARS), ['2022', '2023', '2024']);
+});
+
+test('sorting: URL-encoded and applied by the card renderer', () => {
+    assert.deepEqual(encodeSortParams(createDefaultState()), { sort: '', itemsort: '' });
+    const params = encodeSortParams({ listSort: 'oldest', itemSort: 'family' });
+    assert.deepEqual(params, { sort: 'oldest', itemsort: 'family' });
+    assert.deepEqual(decodeSortParams(new URLSearchParams(params)), { listSort: 'oldest', itemSort: 'family' });
+    assert.deepEqual(decodeSortParams(new URLSearchParams('sort=sideways')), { listSort: 'newest', itemSort: 'data' });
+
+    installDomStub();
+    const renderer = new CardRenderer({
+        state: { ...createDefaultState(), itemSort: 'identifier' },
+        queries: { isYearView: () => false, getSearchQuery: () => '' },
+    });
+    const card = renderer.createCard(update('1.20', '2023-06-07', 4));
+    const identifiers = findAll(card, (node) => node.dataset?.identifier).map((node) => node.dataset.identifier);
+    assert.deepEqual(identifiers, ['chiseled_tuff', 'copper_bulb', 'tuff_bricks', 'waxed_exposed_cut_copper']);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDefaultState } from '../js/state/default-state.js';
+import { SHARED_STATE_KEYS, readSharedUIStateChanges } from '../js/ui-persistence.js';
+import { attachTabSync } from '../js/app/tab-sync.js';
+import { AppActions } from '../js/app/actions.js';
+
+const payload = (overrides) => JSON.stringify({ ...createDefaultState(), schemaVersion: 4, ...overrides });
+
+function createApp(calls) {
+    return {
+        state: { ...createDefaultState(), allUpdates: [{ name: '1.21' }] },
+        elements: {},
+        syncViewToggle: () => calls.push('syncViewToggle'),
+        syncCheckboxesToState() {},
+        updatePopularButtons() {},
+        updateSearchSuggestions() {},
+        updateURL: () => calls.push('updateURL'),
+        updateReleaseRangeControls() {},
+        updateUpdateCategoryFilter() {},
+        updateFilterCounts() {},
+        saveState: () => calls.push('saveState'),
+        renderActiveModeView: async () => calls.push('render'),
+    };
+}
+
+test('tab sync: only changed shared preferences are read from another tab', () => {
+    const state = createDefaultState();
+    assert.deepEqual(readSharedUIStateChanges(state, payload({})), {});
+    assert.deepEqual(
+        readSharedUIStateChanges(state, payload({
+            theme: 'light',
+            removeDuplicates: false,
+            activeMode: 'stats',
+            detailTarget: { type: 'version', id: '1-21' },
+            dataSource: 'mirror/',
+        })),
+        { removeDuplicates: false, theme: 'light' }
+    );
+    // Borders and facets live in each tab's URL, not in the stored payload.
+    assert.equal(SHARED_STATE_KEYS.includes('showBorders'), false);
+    assert.equal(SHARED_STATE_KEYS.includes('facetFilters'), false);
+    assert.deepEqual(
+        readSharedUIStateChanges(state, payload({ showBorders: true, facetFilters: [{ group: 'types', value: 'x', exclude: false }] })),
+        {}
+    );
+    assert.deepEqual(readSharedUIStateChanges(state, '{broken'), {});
+    assert.deepEqual(readSharedUIStateChanges(state, null), {});
+});
+
+test('tab sync: storage events from other tabs apply without saving or moving this tab', async () => {
+    const listeners = {};
+    const scrolls = [];
+    globalThis.window = {
+        scrollY: 640,
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        },
+        scrollTo: (options) => scrolls.push(options.top),
+    };
+    const calls = [];
+    const app = createApp(calls);
+    app.state.activeMode = 'detail';
+    app.actions = new AppActions(app);
+    attachTabSync(app);
+
+    listeners.storage({ key: 'material-group-collapsed-wood', newValue: 'true' });
+    listeners.storage({ key: 'minecraft_updates_ui_state', newValue: payload({ activeMode: 'stats' }) });
+    assert.deepEqual(calls, []);
+
+    await app.actions.applySharedState(readSharedUIStateChanges(app.state, payload({ theme: 'light' })));
+    assert.equal(app.state.theme, 'light');
+    assert.deepEqual(calls, ['syncViewToggle']);
+
+    calls.length = 0;
+    await app.actions.applySharedState(readSharedUIStateChanges(app.state, payload({ theme: 'light', showMobs: false })));
+    assert.equal(app.state.showMobs, false);
+    assert.equal(app.state.activeMode, 'detail');
+    assert.deepEqual(calls, ['syncViewToggle', 'updateURL', 'render']);
+    assert.deepEqual(scrolls, [640]);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getUpdateCategory, sanitizeUpdateCategories } from '../js/data/update-categories.js';
+import { filterUpdates, getFilterOptions } from '../js/data/filtering.js';
+import { createDefaultState } from '../js/state/default-state.js';
+import { filterStatsByUpdateCategory, getCategoryStats } from '../js/modules/statistics/data.js';
+import { renderUpdateCategoryFilter } from '../js/ui/update-category-filter.js';
+import { APP_MODES } from '../js/app-modes.js';
+import { CONFIG } from '../js/config.js';
+import { createCardSubtitleElement, getCardViewModel } from '../js/modules/card/exports.js';
+import { findAll, findByClass, installDomStub } from './helpers/dom-stub.mjs';
+
+const update = (java, extra = {}) => ({
+    name: java,
+    release_date: '2020-01-01',
+    release_version: { java },
+    added: { blocks: [{ name: `Block ${java}` }] },
+    ...extra,
+});
+
+test('update categories: from the type, else the version', () => {
+    assert.equal(getUpdateCategory(update('1.21.2', { type: 'drop' })), 'drop');
+    assert.equal(getUpdateCategory(update('1.20.1', { type: 'hotfix' })), 'minor');
+    assert.equal(getUpdateCategory(update('1.16')), 'major');
+    assert.equal(getUpdateCategory(update('1.16.5')), 'minor');
+    assert.equal(getUpdateCategory(update('24w14a')), 'development');
+    assert.equal(getUpdateCategory(update('1.21-pre1')), 'development');
+    assert.equal(getUpdateCategory(update('Beta 1.8', { type: 'major' })), 'beta');
+    assert.equal(getUpdateCategory(update('a1.2.6')), 'alpha');
+    assert.equal(getUpdateCategory(update('inf-20100630')), 'indev');
+    assert.equal(getUpdateCategory(update('rd-132211')), 'classic');
+    assert.equal(getUpdateCategory({ name: 'Mystery' }), 'other');
+    assert.deepEqual(sanitizeUpdateCategories(['beta', 'bogus', 'major']), ['major', 'beta']);
+});
+
+test('update categories: hidden categories are filtered before grouping', () => {
+    const updates = [update('1.16'), update('1.16.5'), update('Beta 1.8')];
+    const state = { ...createDefaultState(), hiddenUpdateCategories: ['minor', 'beta'] };
+    const versions = filterUpdates(updates, getFilterOptions(state, CONFIG.VIEWS.VERSIONS, ''));
+    assert.deepEqual(versions.map((entry) => entry.name), ['1.16']);
+    const years = filterUpdates(updates, getFilterOptions(state, CONFIG.VIEWS.YEARS, ''));
+    assert.equal(years[0].added.blocks.length, 1);
+});
+
+test('update categories: statistics split and filter version stats', () => {
+    const updates = [update('1.16', { type: 'major' }), update('1.16.5')];
+    const versionsStats = [
+        { version: '1.16', counts: { blocks: 3, total: 3 } },
+        { version: '1.16.5', counts: { blocks: 1, total: 1 } },
+        { version: '1.17', counts: { blocks: 2, items: 1, total: 3 } },
+    ];
+    assert.deepEqual(getCategoryStats(versionsStats, updates), [
+        { category: 'major', label: 'Major', updates: 2, counts: { blocks: 5, items: 1, total: 6 } },
+        { category: 'minor', label: 'Minor / patch', updates: 1, counts: { blocks: 1, total: 1 } },
+    ]);
+    assert.deepEqual(
+        filterStatsByUpdateCategory(versionsStats, updates, ['major']).map((stat) => stat.version),
+        ['1.16.5']
+    );
+});
+
+test('update categories: card badges and filter chips', () => {
+    installDomStub();
+    const model = getCardViewModel(update('1.21.2', { type: 'drop' }), { isYearView: false, activeMode: APP_MODES.LIST });
+    const badge = findByClass(createCardSubtitleElement(model), 'update-category-badge');
+    assert.equal(badge.textContent, 'Drop');
+    assert.equal(badge.classList.contains('update-category-drop'), true);
+
+    const container = document.createElement('div');
+    renderUpdateCategoryFilter(container, { major: 2, beta: 1 }, ['beta', 'alpha']);
+    const chips = findAll(container, (node) => node.classList?.contains('update-category-chip'));
+    assert.deepEqual(chips.map((chip) => chip.dataset.updateCategory), ['major', 'beta', 'alpha']);
+    assert.equal(chips[0].getAttribute('aria-pressed'), 'true');
+    assert.equal(chips[1].getAttribute('aria-label'), 'Beta, 1 update, hidden');
+});
@@ -1,6 +1,12 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { validateFileIndex, validateUpdateChunk } from '../js/validate-data.js';
+import {
+    validateFileIndex,
+    validateMaterialGroups,
+    validateStatisticsBundle,
+    validateTimeSinceData,
+    validateUpdateChunk,
+} from '../js/validate-data.js';
 
 test('validate-data contract', () => {
     assert.equal(validateFileIndex(null).ok, false);
@@ -8,3 +14,60 @@ test('validate-data contract', () => {
     assert.equal(validateUpdateChunk({ added: {} }, 0).ok, true);
     assert.equal(validateUpdateChunk({}, 0).ok, false);
 });
+
+test('validate-data: collects non-fatal chunk issues with paths and repairs them', () => {
+    const result = validateUpdateChunk({
+        release_date: 'soon',
+        added: {
+            blocks: [
+                { name: 'Stone', identifier: 'stone' },
+                { name: 'Nameless' },
+                'not-an-item',
+            ],
+            items: { broken: true },
+            mobs: [{ name: 'Zombie', identifier: 'zombie', meta: { parent_mob: 'zombie' } }],
+        },
+        notable_changes: { additions: [{ description: 'New' }], changes: 'oops' },
+    }, 3);
+
+    assert.equal(result.ok, true);
+    assert.deepEqual(result.issues.map((issue) => issue.path), [
+        '$.release_date',
+        '$.added.blocks[1].identifier',
+        '$.added.blocks[2]',
+        '$.added.items',
+        '$.added.mobs[0].meta.parent_mob',
+        '$.notable_changes.changes',
+    ]);
+    assert.equal(result.value.added.blocks.length, 2);
+    assert.deepEqual(result.value.added.items, []);
+    assert.equal('parent_mob' in result.value.added.mobs[0].meta, false);
+    assert.deepEqual(result.value.notable_changes.changes, []);
+});
+
+test('validate-data: fatal issues fail with the first fatal path', () => {
+    const result = validateUpdateChunk({ added: null }, 2);
+    assert.equal(result.ok, false);
+    assert.equal(result.error, 'update chunk [2]: $.added expected object, got null');
+});
+
+test('validate-data: statistics, time-since and material group files', () => {
+    const stats = validateStatisticsBundle({
+        versionsStats: [{ version: '1.21', counts: { total: 3 } }, { version: '1.20', counts: { total: 'x' } }],
+        yearsStats: [{ year: 2024, counts: {} }],
+        namesStats: { longest: ['A'], shortest: [] },
+    });
+    assert.equal(stats.ok, true);
+    assert.deepEqual(stats.issues.versionsStats.map((issue) => issue.path), ['$[1].counts.total']);
+    assert.equal(validateStatisticsBundle({ versionsStats: {}, yearsStats: [], namesStats: {} }).ok, false);
+
+    const timeSince = validateTimeSinceData({ last_major: { version: '1.21', release_date: '2024-06-13' }, last_block: 5 });
+    assert.equal(timeSince.ok, true);
+    assert.equal(timeSince.value.last_block, null);
+    assert.deepEqual(timeSince.issues.map((issue) => issue.path), ['$.last_block']);
+
+    const groups = validateMaterialGroups([{ name: 'Wood', groups: [{ group: 'oak' }, null] }, { groups: [] }], 'data/special/wood.json');
+    assert.equal(groups.value.length, 2);
+    assert.equal(groups.value[0].groups.length, 1);
+    assert.deepEqual(groups.issues.map((issue) => issue.path), ['$[0].groups[1]', '$[1].name']);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareJavaVersions, isVersionInRange, parseJavaVersion } from '../js/data/versions.js';
+import { compareUpdatesByReleaseDate, sortUpdatesByVersion } from '../js/data/update-order.js';
+
+test('versions: parses release, development and legacy formats', () => {
+    assert.equal(parseJavaVersion('1.21').kind, 'release');
+    assert.deepEqual(parseJavaVersion('1.20.5-pre3').numbers, [1, 20, 5]);
+    assert.equal(parseJavaVersion('1.20.5-pre3').kind, 'pre-release');
+    assert.equal(parseJavaVersion('1.14 Pre-Release 2').phaseNumber, 2);
+    assert.equal(parseJavaVersion('1.21-rc1').kind, 'release-candidate');
+    assert.deepEqual(parseJavaVersion('24w14a').snapshot, { year: 24, week: 14, suffix: 'a' });
+    assert.equal(parseJavaVersion('b1.7.3').era, 'beta');
+    assert.equal(parseJavaVersion('Alpha v1.2.6').era, 'alpha');
+    assert.equal(parseJavaVersion('rd-132211').era, 'pre-classic');
+    assert.equal(parseJavaVersion('inf-20100618').era, 'infdev');
+    assert.equal(parseJavaVersion('???').kind, 'unknown');
+});
+
+test('versions: orders numbered versions and snapshots', () => {
+    const ordered = ['rd-132211', 'c0.30', 'a1.2.6', 'b1.8', '1.0', '1.20.5-pre3', '1.20.5-rc1', '1.20.5', '1.21'];
+    const shuffled = [...ordered].reverse();
+    assert.deepEqual(shuffled.sort(compareJavaVersions), ordered);
+
+    assert.ok(compareJavaVersions('24w14a', '24w13b') > 0);
+    assert.ok(compareJavaVersions('24w14a', '24w14b') < 0);
+    assert.equal(compareJavaVersions('24w14a', '1.20.5'), 0);
+    assert.equal(compareJavaVersions('1.20', '1.20.0'), 0);
+});
+
+test('versions: range checks cover patches and reject incomparable versions', () => {
+    assert.equal(isVersionInRange('1.18.2', { min: '1.16', max: '1.20' }), true);
+    assert.equal(isVersionInRange('1.20.6', { min: '1.16', max: '1.20' }), true);
+    assert.equal(isVersionInRange('1.16-pre1', { min: '1.16' }), true);
+    assert.equal(isVersionInRange('1.15.2', { min: '1.16' }), false);
+    assert.equal(isVersionInRange('1.21', { max: '1.20' }), false);
+    assert.equal(isVersionInRange('24w14a', { min: '1.16' }), false);
+});
+
+test('update order: version breaks release-date ties and drives version sort', () => {
+    const updates = [
+        { release_version: { java: '1.20.5-rc1' }, release_date: '2024-04-23' },
+        { release_version: { java: '1.21' }, release_date: null },
+        { release_version: { java: '1.20.5' }, release_date: '2024-04-23' },
+        { release_version: { java: '1.22' }, release_date: null },
+    ];
+    assert.deepEqual(
+        [...updates].sort(compareUpdatesByReleaseDate).map((update) => update.release_version.java),
+        ['1.22', '1.21', '1.20.5', '1.20.5-rc1']
+    );
+
+    const mixed = [
+        { release_version: { java: '24w14a' }, release_date: '2024-04-03' },
+        { release_version: { java: '1.20.4' }, release_date: '2023-12-07' },
+        { release_version: { java: '1.20.5' }, release_date: '2024-04-23' },
+    ];
+    assert.deepEqual(
+        sortUpdatesByVersion(mixed).map((update) => update.release_version.java),
+        ['1.20.5', '24w14a', '1.20.4']
+    );
+});
+
+test('update order: snapshots sit with their release so version sort ignores input order', () => {
+    const updates = [
+        { release_version: { java: '24w33a' }, release_date: '2024-08-14' },
+        { release_version: { java: '1.21' }, release_date: '2024-06-13' },
+        { release_version: { java: '1.21-pre1' }, release_date: '2024-05-22', development_parent: 'id-1-21' },
+        { release_version: { java: '24w21a' }, release_date: '2024-05-24', development_parent: 'id-1-21' },
+        { release_version: { java: '24w18a' }, release_date: '2024-05-02', development_parent: 'id-1-21' },
+        // A backport dated between 1.21's snapshots, so dates and versions disagree.
+        { release_version: { java: '1.20.6' }, release_date: '2024-05-29' },
+        { release_version: { java: '1.20.5' }, release_date: '2024-04-23' },
+        { release_version: { java: '24w14a' }, release_date: '2024-04-03' },
+        { release_version: { java: '1.20.4' }, release_date: '2023-12-07' },
+    ];
+    const expected = updates.map((update) => update.release_version.java);
+    const orders = [
+        [...updates].reverse(),
+        ...updates.map((_, offset) => [...updates.slice(offset), ...updates.slice(0, offset)]),
+        [...updates].sort((a, b) => a.release_date.localeCompare(b.release_date)),
+    ];
+    orders.forEach((order) => {
+        assert.deepEqual(sortUpdatesByVersion(order).map((update) => update.release_version.java), expected);
+    });
+});